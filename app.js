@@ -1,60 +1,130 @@
-// File: app.js
-const express = require('express');
-const bodyParser = require('body-parser');
-const cors = require('cors');
-const mysql = require('mysql2/promise');
-const dotenv = require('dotenv');
-
-// Load environment variables
-dotenv.config();
-
-const app = express();
-const PORT = process.env.PORT || 3000;
-
-// Middleware
-app.use(cors());
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: true }));
-
-// Create MySQL connection pool
-const pool = mysql.createPool({
-  host: process.env.DB_HOST || 'localhost',
-  user: process.env.DB_USER || 'root',
-  password: process.env.DB_PASSWORD || '',
-  database: process.env.DB_NAME || 'library_db',
-  waitForConnections: true,
-  connectionLimit: 10,
-  queueLimit: 0
-});
-
-// Test database connection
-app.get('/api/health', async (req, res) => {
-  try {
-    const [result] = await pool.query('SELECT 1');
-    res.status(200).json({ message: 'Database connection successful', result });
-  } catch (error) {
-    res.status(500).json({ message: 'Database connection failed', error: error.message });
-  }
-});
-
-// Routes
-const booksRouter = require('./routes/books')(pool);
-const authorsRouter = require('./routes/authors')(pool);
-const membersRouter = require('./routes/members')(pool);
-const borrowingsRouter = require('./routes/borrowings')(pool);
-const categoriesRouter = require('./routes/categories')(pool);
-const publishersRouter = require('./routes/publishers')(pool);
-
-app.use('/api/books', booksRouter);
-app.use('/api/authors', authorsRouter);
-app.use('/api/members', membersRouter);
-app.use('/api/borrowings', borrowingsRouter);
-app.use('/api/categories', categoriesRouter);
-app.use('/api/publishers', publishersRouter);
-
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
-
-module.exports = app;
\ No newline at end of file
+// File: app.js
+const path = require('path');
+const express = require('express');
+const bodyParser = require('body-parser');
+const cors = require('cors');
+const mysql = require('mysql2/promise');
+const dotenv = require('dotenv');
+const swaggerUi = require('swagger-ui-dist');
+const { AppError } = require('./errors');
+const { connectionOptions } = require('./db/config');
+const { requestId, notFound, errorHandler } = require('./middleware/errorHandler');
+const { authenticate } = require('./middleware/auth');
+const { createScheduler } = require('./services/scheduler');
+const { createTransport } = require('./services/notificationTransports');
+const { createOutboxWorker } = require('./services/notifications');
+const { openApiDocument } = require('./docs/openapi');
+
+// Load environment variables
+dotenv.config();
+
+const PORT = process.env.PORT || 3000;
+
+// Routers by mount path, in the order they are matched: the member account and
+// notification routers must come before the members router
+const createRouters = (pool, scheduler) => ({
+  '/api/auth': require('./routes/auth')(pool),
+  '/api/books': require('./routes/books')(pool),
+  '/api/authors': require('./routes/authors')(pool),
+  '/api/members/:id/account': require('./routes/accounts')(pool),
+  '/api/members/:id/notifications': require('./routes/notifications')(pool),
+  '/api/members': require('./routes/members')(pool),
+  '/api/borrowings': require('./routes/borrowings')(pool),
+  '/api/categories': require('./routes/categories')(pool),
+  '/api/publishers': require('./routes/publishers')(pool),
+  '/api/reservations': require('./routes/reservations')(pool),
+  '/api/policies': require('./routes/policies')(pool),
+  '/api/items': require('./routes/items')(pool),
+  '/api/admin': require('./routes/admin')(pool, scheduler),
+  '/api/audit': require('./routes/audit')(pool),
+  '/api/me': require('./routes/me')(pool),
+  '/api/reports': require('./routes/reports')(pool)
+});
+
+// Routers that do their own authentication where needed
+const PUBLIC_ROUTERS = ['/api/auth'];
+
+// Build the app on a MySQL pool. Nothing listens or runs in the background
+// until the app is started below, so tests can mount it on their own pool.
+const createApp = (pool, scheduler = createScheduler(pool)) => {
+  const app = express();
+
+  // authenticate looks up the account of every token here
+  app.locals.pool = pool;
+
+  // Middleware
+  app.use(requestId);
+  app.use(cors());
+  app.use(bodyParser.json());
+  app.use(bodyParser.urlencoded({ extended: true }));
+
+  // Test database connection
+  app.get('/api/health', async (req, res) => {
+    try {
+      const [result] = await pool.query('SELECT 1');
+      res.status(200).json({ message: 'Database connection successful', result });
+    } catch (error) {
+      console.error('Database health check failed:', error);
+      throw new AppError('Database connection failed', 503, 'SERVICE_UNAVAILABLE');
+    }
+  });
+
+  // API description and its interactive documentation
+  app.get('/api/openapi.json', (req, res) => {
+    res.status(200).json(openApiDocument);
+  });
+  app.get('/api/docs', (req, res) => {
+    res.sendFile(path.join(__dirname, 'docs', 'index.html'));
+  });
+  app.use('/api/docs', express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
+  // Login is public, every other router requires a valid token
+  Object.entries(createRouters(pool, scheduler)).forEach(([mountPath, router]) => {
+    if (PUBLIC_ROUTERS.includes(mountPath)) {
+      app.use(mountPath, router);
+    } else {
+      app.use(mountPath, authenticate, router);
+    }
+  });
+
+  // Error handling, must be registered after all routes
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+};
+
+// Start server when run as `node app.js`
+if (require.main === module) {
+  // Tokens cannot be signed or verified without a secret
+  if (!process.env.JWT_SECRET) {
+    console.error('JWT_SECRET is not set, add it to the .env file');
+    process.exit(1);
+  }
+
+  // Create MySQL connection pool
+  const pool = mysql.createPool({
+    ...connectionOptions(),
+    waitForConnections: true,
+    connectionLimit: 10,
+    queueLimit: 0
+  });
+
+  // Nightly jobs (overdue marking, fines, expiries)
+  const scheduler = createScheduler(pool);
+
+  // Delivers queued notifications (NOTIFY_TRANSPORT: log or smtp)
+  const outboxWorker = createOutboxWorker(pool, createTransport());
+
+  createApp(pool, scheduler).listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    scheduler.start();
+    outboxWorker.start();
+  });
+}
+
+module.exports = {
+  PUBLIC_ROUTERS,
+  createRouters,
+  createApp
+};
@@ -0,0 +1,14 @@
+// File: db/config.js
+// MySQL connection settings from the environment, shared by the app and the
+// migrate and seed commands
+const connectionOptions = () => ({
+  host: process.env.DB_HOST || 'localhost',
+  port: Number(process.env.DB_PORT || 3306),
+  user: process.env.DB_USER || 'root',
+  password: process.env.DB_PASSWORD || '',
+  database: process.env.DB_NAME || 'library_db'
+});
+
+module.exports = {
+  connectionOptions
+};
@@ -0,0 +1,75 @@
+// File: db/migrate.js
+// Schema migration command, see db/migrator.js:
+//   npm run migrate -- up [--to <version>]
+//   npm run migrate -- down [--steps <n> | --to <version>]
+//   npm run migrate -- status
+const dotenv = require('dotenv');
+const { connect, migrationStatus, migrateUp, migrateDown } = require('./migrator');
+
+const USAGE = 'Usage: npm run migrate -- up [--to <version>] | down [--steps <n> | --to <version>] | status';
+
+// --name value pairs, all values must be non-negative integers
+const parseOptions = (args) => {
+  const options = {};
+
+  for (let index = 0; index < args.length; index += 2) {
+    const name = args[index].replace(/^--/, '');
+    const value = args[index + 1];
+
+    if (!['to', 'steps'].includes(name) || !/^\d+$/.test(value || '')) {
+      throw new Error(USAGE);
+    }
+    options[name] = Number(value);
+  }
+
+  return options;
+};
+
+const describe = ({ version, name }) => `${String(version).padStart(3, '0')}_${name}`;
+
+const commands = {
+  up: async (connection, options) => {
+    const applied = await migrateUp(connection, options);
+    applied.forEach(migration => console.log(`Applied ${describe(migration)}`));
+    console.log(applied.length > 0 ? `${applied.length} migration(s) applied` : 'Already up to date');
+  },
+
+  down: async (connection, options) => {
+    const reverted = await migrateDown(connection, options);
+    reverted.forEach(migration => console.log(`Reverted ${describe(migration)}`));
+    console.log(reverted.length > 0 ? `${reverted.length} migration(s) reverted` : 'Nothing to revert');
+  },
+
+  status: async (connection) => {
+    const { migrations, missing } = await migrationStatus(connection);
+    migrations.forEach((migration) => {
+      const state = migration.applied_at ? `applied ${migration.applied_at.toISOString()}` : 'pending';
+      console.log(`${describe(migration)}  ${state}`);
+    });
+    missing.forEach(migration => console.log(`${describe(migration)}  applied, but its file is missing`));
+  }
+};
+
+const main = async () => {
+  dotenv.config();
+
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!Object.hasOwn(commands, command ?? '')) {
+    throw new Error(USAGE);
+  }
+
+  const options = parseOptions(args);
+  const connection = await connect({ createDatabase: command === 'up' });
+
+  try {
+    await commands[command](connection, options);
+  } finally {
+    await connection.end();
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,174 @@
+// File: db/migrations/001_catalogue.js
+// Books, their physical copies, authors, publishers and categories
+module.exports = {
+  up: [
+    `
+    CREATE TABLE authors (
+      author_id INT AUTO_INCREMENT PRIMARY KEY,
+      first_name VARCHAR(100) NOT NULL,
+      last_name VARCHAR(100) NOT NULL,
+      birth_date DATE,
+      biography TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      deleted_at TIMESTAMP NULL, -- Soft deleted, purged after the retention period
+      INDEX idx_author_name (last_name, first_name),  -- Index for searching by author name
+      INDEX idx_author_deleted (deleted_at), -- For the purge job
+      FULLTEXT INDEX idx_author_search (first_name, last_name) -- Fulltext search on author names
+    ) ENGINE=InnoDB
+    `,
+
+    `
+    CREATE TABLE publishers (
+      publisher_id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      address TEXT,
+      phone VARCHAR(20),
+      email VARCHAR(100),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      deleted_at TIMESTAMP NULL, -- Soft deleted, purged after the retention period
+      UNIQUE INDEX idx_publisher_name (name), -- Index for unique publisher name lookups
+      INDEX idx_publisher_deleted (deleted_at), -- For the purge job
+      FULLTEXT INDEX idx_publisher_search (name) -- Fulltext search on publisher names
+    ) ENGINE=InnoDB
+    `,
+
+    `
+    CREATE TABLE books (
+      book_id INT AUTO_INCREMENT PRIMARY KEY,
+      title VARCHAR(255) NOT NULL,
+      isbn VARCHAR(20) UNIQUE,
+      publisher_id INT,
+      publication_year YEAR,
+      language VARCHAR(50) DEFAULT 'English',
+      page_count INT,
+      description TEXT,
+      replacement_cost DECIMAL(10,2), -- Charged when a copy is lost or damaged
+      available_copies INT NOT NULL DEFAULT 0,
+      total_copies INT NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      deleted_at TIMESTAMP NULL, -- Soft deleted, purged after the retention period unless ever borrowed
+      FOREIGN KEY (publisher_id) REFERENCES publishers(publisher_id) ON DELETE SET NULL,
+      FULLTEXT INDEX idx_book_search (title, description), -- Fulltext search on title and description
+      INDEX idx_book_isbn (isbn), -- For ISBN lookups
+      INDEX idx_book_availability (available_copies), -- For finding available books quickly
+      INDEX idx_book_deleted (deleted_at) -- For the purge job
+    ) ENGINE=InnoDB
+    `,
+
+    // books.available_copies and books.total_copies are derived from this table by triggers
+    `
+    CREATE TABLE items (
+      item_id INT AUTO_INCREMENT PRIMARY KEY,
+      book_id INT NOT NULL,
+      barcode VARCHAR(50) NOT NULL,
+      shelf_location VARCHAR(50),
+      item_condition ENUM('new', 'good', 'fair', 'poor', 'damaged') NOT NULL DEFAULT 'good',
+      status ENUM('available', 'on_loan', 'on_hold', 'repair', 'lost', 'withdrawn') NOT NULL DEFAULT 'available',
+      acquired_date DATE NOT NULL DEFAULT (CURRENT_DATE),
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE CASCADE,
+      UNIQUE INDEX idx_item_barcode (barcode), -- For checkout/return by scanning
+      INDEX idx_item_book_status (book_id, status) -- For finding an available copy of a book
+    ) ENGINE=InnoDB
+    `,
+
+    `
+    CREATE TABLE book_authors (
+      book_id INT NOT NULL,
+      author_id INT NOT NULL,
+      PRIMARY KEY (book_id, author_id),
+      FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE CASCADE,
+      FOREIGN KEY (author_id) REFERENCES authors(author_id) ON DELETE CASCADE
+    ) ENGINE=InnoDB
+    `,
+
+    `
+    CREATE TABLE categories (
+      category_id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      description TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE INDEX idx_category_name (name)
+    ) ENGINE=InnoDB
+    `,
+
+    `
+    CREATE TABLE book_categories (
+      book_id INT NOT NULL,
+      category_id INT NOT NULL,
+      PRIMARY KEY (book_id, category_id),
+      FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE CASCADE,
+      FOREIGN KEY (category_id) REFERENCES categories(category_id) ON DELETE CASCADE
+    ) ENGINE=InnoDB
+    `,
+
+    // Recalculate a book's copy counts from its items.
+    // Lost and withdrawn items no longer count as copies the library owns.
+    `
+    CREATE PROCEDURE RefreshBookCopies(IN bookId INT)
+    BEGIN
+      UPDATE books
+      SET available_copies = (
+            SELECT COUNT(*) FROM items WHERE book_id = bookId AND status = 'available'
+          ),
+          total_copies = (
+            SELECT COUNT(*) FROM items WHERE book_id = bookId AND status NOT IN ('lost', 'withdrawn')
+          )
+      WHERE book_id = bookId;
+    END
+    `,
+
+    // Keep copy counts in sync when items are added, change status or are removed
+    `
+    CREATE TRIGGER after_item_insert
+    AFTER INSERT ON items
+    FOR EACH ROW
+    BEGIN
+      CALL RefreshBookCopies(NEW.book_id);
+    END
+    `,
+
+    `
+    CREATE TRIGGER after_item_update
+    AFTER UPDATE ON items
+    FOR EACH ROW
+    BEGIN
+      IF NEW.status != OLD.status OR NEW.book_id != OLD.book_id THEN
+        CALL RefreshBookCopies(NEW.book_id);
+        IF NEW.book_id != OLD.book_id THEN
+          CALL RefreshBookCopies(OLD.book_id);
+        END IF;
+      END IF;
+    END
+    `,
+
+    `
+    CREATE TRIGGER after_item_delete
+    AFTER DELETE ON items
+    FOR EACH ROW
+    BEGIN
+      CALL RefreshBookCopies(OLD.book_id);
+    END
+    `
+  ],
+
+  down: [
+    `DROP TRIGGER after_item_delete`,
+    `DROP TRIGGER after_item_update`,
+    `DROP TRIGGER after_item_insert`,
+    `DROP PROCEDURE RefreshBookCopies`,
+    `DROP TABLE book_categories`,
+    `DROP TABLE categories`,
+    `DROP TABLE book_authors`,
+    `DROP TABLE items`,
+    `DROP TABLE books`,
+    `DROP TABLE publishers`,
+    `DROP TABLE authors`
+  ]
+};
@@ -0,0 +1,55 @@
+// File: db/migrations/002_members.js
+// Library members and the login accounts of staff and members
+module.exports = {
+  up: [
+    `
+    CREATE TABLE members (
+      member_id INT AUTO_INCREMENT PRIMARY KEY,
+      first_name VARCHAR(100) NOT NULL,
+      last_name VARCHAR(100) NOT NULL,
+      email VARCHAR(100) NOT NULL,
+      phone VARCHAR(20),
+      address TEXT,
+      registration_date DATE NOT NULL DEFAULT (CURRENT_DATE),
+      membership_end_date DATE, -- Membership expires after this date (NULL: no end date)
+      membership_status ENUM('active', 'expired', 'suspended') DEFAULT 'active',
+      member_type ENUM('standard', 'student', 'child', 'staff') NOT NULL DEFAULT 'standard', -- Selects the loan policy
+      keep_history BOOLEAN NOT NULL DEFAULT TRUE, -- FALSE: returned loans are unlinked from the member nightly
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      deleted_at TIMESTAMP NULL, -- Soft deleted, purged after the retention period
+      INDEX idx_member_name (last_name, first_name), -- For searching members by name
+      INDEX idx_member_status (membership_status), -- For filtering members by status
+      INDEX idx_member_deleted (deleted_at) -- For the purge job
+    ) ENGINE=InnoDB
+    PARTITION BY RANGE (member_id) (
+      PARTITION p0 VALUES LESS THAN (10000),
+      PARTITION p1 VALUES LESS THAN (20000),
+      PARTITION p2 VALUES LESS THAN (30000),
+      PARTITION p3 VALUES LESS THAN (40000),
+      PARTITION p4 VALUES LESS THAN MAXVALUE
+    )
+    `,
+
+    // role 'member' accounts are linked to a member record and can only see their own data
+    `
+    CREATE TABLE users (
+      user_id INT AUTO_INCREMENT PRIMARY KEY,
+      email VARCHAR(100) NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      role ENUM('member', 'staff', 'librarian', 'admin') NOT NULL DEFAULT 'member',
+      member_id INT,
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE INDEX idx_user_email (email),
+      INDEX idx_user_member (member_id)
+    ) ENGINE=InnoDB
+    `
+  ],
+
+  down: [
+    `DROP TABLE users`,
+    `DROP TABLE members`
+  ]
+};
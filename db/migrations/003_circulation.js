@@ -0,0 +1,115 @@
+// File: db/migrations/003_circulation.js
+// Loans, renewals, reservations, member accounts and the loan policies
+module.exports = {
+  up: [
+    `
+    CREATE TABLE borrowings (
+      borrowing_id INT AUTO_INCREMENT PRIMARY KEY,
+      book_id INT NOT NULL,
+      item_id INT,
+      member_id INT, -- NULL once the member was purged, the loan is kept anonymized
+      borrow_date DATE NOT NULL DEFAULT (CURRENT_DATE),
+      due_date DATE NOT NULL,
+      return_date DATE,
+      lost_date DATE, -- Fines stop accruing once a book is declared lost
+      fine_amount DECIMAL(10,2) DEFAULT 0.00,
+      fine_posted DECIMAL(10,2) NOT NULL DEFAULT 0.00, -- Part of fine_amount already charged to the member's account
+      renewal_count INT NOT NULL DEFAULT 0,
+      status ENUM('borrowed', 'returned', 'overdue', 'lost') DEFAULT 'borrowed',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE RESTRICT,
+      FOREIGN KEY (item_id) REFERENCES items(item_id) ON DELETE RESTRICT,
+      INDEX idx_borrowing_dates (borrow_date, due_date, return_date), -- For date range queries
+      INDEX idx_borrowing_status (status), -- For filtering by status
+      INDEX idx_borrowing_book_date (book_id, borrow_date) -- For loans per book in the reports
+    ) ENGINE=InnoDB
+    `,
+
+    // Amounts are always positive; balance owed = charges - payments - waivers + refunds
+    `
+    CREATE TABLE account_transactions (
+      transaction_id INT AUTO_INCREMENT PRIMARY KEY,
+      member_id INT, -- NULL once the member was purged
+      borrowing_id INT,
+      type ENUM('charge', 'payment', 'waiver', 'refund') NOT NULL,
+      category ENUM('overdue_fine', 'replacement', 'damage', 'other'), -- What a charge or waiver is for
+      amount DECIMAL(10,2) NOT NULL,
+      description VARCHAR(255),
+      reason TEXT, -- Required for waivers and refunds
+      payment_method ENUM('cash', 'card', 'transfer'),
+      related_transaction_id INT, -- The payment a refund gives back
+      created_by INT, -- users.user_id of the staff member who posted it
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (borrowing_id) REFERENCES borrowings(borrowing_id) ON DELETE SET NULL,
+      FOREIGN KEY (related_transaction_id) REFERENCES account_transactions(transaction_id),
+      INDEX idx_transaction_member (member_id, created_at),
+      INDEX idx_transaction_borrowing (borrowing_id),
+      INDEX idx_transaction_date (created_at) -- For the fine revenue report
+    ) ENGINE=InnoDB
+    `,
+
+    `
+    CREATE TABLE borrowing_renewals (
+      renewal_id INT AUTO_INCREMENT PRIMARY KEY,
+      borrowing_id INT NOT NULL,
+      previous_due_date DATE NOT NULL,
+      new_due_date DATE NOT NULL,
+      renewed_by INT, -- users.user_id of whoever renewed the loan
+      renewed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (borrowing_id) REFERENCES borrowings(borrowing_id) ON DELETE CASCADE,
+      INDEX idx_renewal_borrowing (borrowing_id)
+    ) ENGINE=InnoDB
+    `,
+
+    // 'ready' means item_id is held for this reservation until expiry_date
+    `
+    CREATE TABLE reservations (
+      reservation_id INT AUTO_INCREMENT PRIMARY KEY,
+      book_id INT NOT NULL,
+      member_id INT NOT NULL,
+      item_id INT,
+      reservation_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expiry_date DATE NOT NULL,
+      ready_date DATE,
+      status ENUM('pending', 'ready', 'fulfilled', 'cancelled', 'expired') DEFAULT 'pending',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE CASCADE,
+      FOREIGN KEY (item_id) REFERENCES items(item_id) ON DELETE SET NULL,
+      INDEX idx_reservation_status (status), -- For filtering by status
+      INDEX idx_reservation_dates (reservation_date, expiry_date), -- For date range queries
+      INDEX idx_reservation_queue (book_id, status, reservation_date) -- For FIFO queue lookups per book
+    ) ENGINE=InnoDB
+    `,
+
+    // Member type x book category circulation rules.
+    // NULL member_type or category_id matches any; the most specific matching policy applies.
+    `
+    CREATE TABLE loan_policies (
+      policy_id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      member_type ENUM('standard', 'student', 'child', 'staff'),
+      category_id INT,
+      loan_days INT NOT NULL DEFAULT 14,
+      max_loans INT, -- NULL means unlimited
+      max_renewals INT, -- NULL means unlimited
+      fine_per_day DECIMAL(10,2) NOT NULL DEFAULT 1.00,
+      max_fine DECIMAL(10,2), -- NULL means no cap
+      grace_days INT NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (category_id) REFERENCES categories(category_id) ON DELETE CASCADE,
+      INDEX idx_policy_scope (member_type, category_id)
+    ) ENGINE=InnoDB
+    `
+  ],
+
+  down: [
+    `DROP TABLE loan_policies`,
+    `DROP TABLE reservations`,
+    `DROP TABLE borrowing_renewals`,
+    `DROP TABLE account_transactions`,
+    `DROP TABLE borrowings`
+  ]
+};
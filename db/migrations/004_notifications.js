@@ -0,0 +1,44 @@
+// File: db/migrations/004_notifications.js
+// Notification outbox and the notification types members opted out of
+module.exports = {
+  up: [
+    // Rows are delivered by the outbox worker
+    `
+    CREATE TABLE notifications (
+      notification_id INT AUTO_INCREMENT PRIMARY KEY,
+      member_id INT NOT NULL,
+      type ENUM('due_soon', 'overdue', 'reservation_ready', 'fine_posted') NOT NULL,
+      recipient VARCHAR(100) NOT NULL,
+      subject VARCHAR(255) NOT NULL,
+      body TEXT NOT NULL,
+      borrowing_id INT,
+      reservation_id INT,
+      dedupe_key VARCHAR(100), -- Same event queues only one notification
+      status ENUM('pending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+      attempts INT NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_error TEXT,
+      sent_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE INDEX idx_notification_dedupe (dedupe_key),
+      INDEX idx_notification_outbox (status, next_attempt_at), -- For the outbox worker
+      INDEX idx_notification_member (member_id, created_at)
+    ) ENGINE=InnoDB
+    `,
+
+    // No row: enabled
+    `
+    CREATE TABLE notification_preferences (
+      member_id INT NOT NULL,
+      type ENUM('due_soon', 'overdue', 'reservation_ready', 'fine_posted') NOT NULL,
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      PRIMARY KEY (member_id, type)
+    ) ENGINE=InnoDB
+    `
+  ],
+
+  down: [
+    `DROP TABLE notification_preferences`,
+    `DROP TABLE notifications`
+  ]
+};
@@ -0,0 +1,55 @@
+// File: db/migrations/005_operations.js
+// Background job history, the ISBN lookup cache and the audit log
+module.exports = {
+  up: [
+    `
+    CREATE TABLE job_runs (
+      run_id INT AUTO_INCREMENT PRIMARY KEY,
+      job_name VARCHAR(50) NOT NULL,
+      trigger_type ENUM('scheduled', 'startup', 'manual') NOT NULL,
+      status ENUM('running', 'succeeded', 'failed') NOT NULL DEFAULT 'running',
+      counts JSON, -- Rows affected, per job specific key
+      error TEXT,
+      triggered_by INT, -- users.user_id for manual runs
+      started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      finished_at TIMESTAMP NULL,
+      INDEX idx_job_run_name (job_name, started_at)
+    ) ENGINE=InnoDB
+    `,
+
+    // One row per ISBN and provider
+    `
+    CREATE TABLE isbn_lookups (
+      isbn CHAR(13) NOT NULL, -- ISBN-13 without hyphens
+      provider VARCHAR(50) NOT NULL,
+      metadata JSON, -- NULL when the provider has no record of the ISBN
+      fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (isbn, provider)
+    ) ENGINE=InnoDB
+    `,
+
+    `
+    CREATE TABLE audit_log (
+      audit_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      entity VARCHAR(50) NOT NULL,
+      entity_id INT NOT NULL,
+      action ENUM('create', 'update', 'delete', 'restore', 'purge') NOT NULL,
+      actor_user_id INT, -- users.user_id, NULL for scheduled jobs
+      request_id VARCHAR(64),
+      before_data JSON, -- NULL on create
+      after_data JSON, -- NULL on delete and purge
+      changes JSON NOT NULL, -- { field: { from, to } }
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_audit_entity (entity, entity_id, created_at),
+      INDEX idx_audit_actor (actor_user_id, created_at),
+      INDEX idx_audit_created (created_at)
+    ) ENGINE=InnoDB
+    `
+  ],
+
+  down: [
+    `DROP TABLE audit_log`,
+    `DROP TABLE isbn_lookups`,
+    `DROP TABLE job_runs`
+  ]
+};
@@ -0,0 +1,131 @@
+// File: db/migrations/006_routines.js
+// Stored procedures and functions for use from the MySQL console,
+// the app does this work in services/overdue.js
+module.exports = {
+  up: [
+    `
+    CREATE PROCEDURE UpdateOverdueFines(IN fine_per_day DECIMAL(10,2))
+    BEGIN
+        UPDATE borrowings
+        SET fine_amount = DATEDIFF(CURDATE(), due_date) * fine_per_day
+        WHERE status = 'overdue'
+          AND return_date IS NULL;
+    END
+    `,
+
+    `
+    CREATE PROCEDURE UpdateOverdueBorrowings()
+    BEGIN
+      DECLARE done INT DEFAULT FALSE;
+      DECLARE b_id INT;
+
+      DECLARE cur CURSOR FOR
+        SELECT borrowing_id FROM borrowings
+        WHERE due_date < CURDATE()
+          AND status = 'borrowed';
+
+      DECLARE CONTINUE HANDLER FOR NOT FOUND SET done = TRUE;
+
+      OPEN cur;
+
+      read_loop: LOOP
+        FETCH cur INTO b_id;
+        IF done THEN
+          LEAVE read_loop;
+        END IF;
+
+        UPDATE borrowings
+        SET status = 'overdue'
+        WHERE borrowing_id = b_id;
+      END LOOP;
+
+      CLOSE cur;
+    END
+    `,
+
+    `
+    CREATE PROCEDURE CalculateFinesCursor(IN fine_per_day DECIMAL(10,2))
+    BEGIN
+        -- Zmienne pomocnicze
+        DECLARE done INT DEFAULT 0;
+        DECLARE borrow_id INT;
+        DECLARE due DATE;
+        DECLARE days_late INT;
+
+        -- Kursor do przejścia po wypożyczeniach overdue
+        DECLARE cur CURSOR FOR
+            SELECT borrowing_id, due_date
+            FROM borrowings
+            WHERE status = 'overdue'
+              AND return_date IS NULL;
+
+        DECLARE CONTINUE HANDLER FOR NOT FOUND SET done = 1;
+
+        -- Otwórz kursor
+        OPEN cur;
+
+        read_loop: LOOP
+            FETCH cur INTO borrow_id, due;
+
+            IF done THEN
+                LEAVE read_loop;
+            END IF;
+
+            -- Oblicz ilość dni opóźnienia
+            SET days_late = DATEDIFF(CURDATE(), due);
+
+            -- Zaktualizuj kwotę kary
+            UPDATE borrowings
+            SET fine_amount = days_late * fine_per_day
+            WHERE borrowing_id = borrow_id;
+
+        END LOOP;
+
+        -- Zamknij kursor
+        CLOSE cur;
+    END
+    `,
+
+    `
+    CREATE FUNCTION GetActiveBorrowingsCount(bookId INT)
+    RETURNS INT
+    DETERMINISTIC
+    READS SQL DATA
+    BEGIN
+      DECLARE activeCount INT;
+
+      SELECT COUNT(*)
+      INTO activeCount
+      FROM borrowings
+      WHERE book_id = bookId
+        AND status IN ('borrowed', 'overdue');
+
+      RETURN activeCount;
+    END
+    `,
+
+    `
+    CREATE FUNCTION AuthorExists(aId INT)
+    RETURNS BOOLEAN
+    DETERMINISTIC
+    READS SQL DATA
+    BEGIN
+      DECLARE existsFlag BOOLEAN;
+
+      SELECT EXISTS(
+        SELECT 1 FROM authors WHERE author_id = aId AND deleted_at IS NULL
+      ) INTO existsFlag;
+
+      RETURN existsFlag;
+    END
+    `
+  ],
+
+  down: [
+    `DROP FUNCTION AuthorExists`,
+    `DROP FUNCTION GetActiveBorrowingsCount`,
+    `DROP PROCEDURE CalculateFinesCursor`,
+    `DROP PROCEDURE UpdateOverdueBorrowings`,
+    `DROP PROCEDURE UpdateOverdueFines`
+  ]
+};
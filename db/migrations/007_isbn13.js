@@ -0,0 +1,32 @@
+// File: db/migrations/007_isbn13.js
+// books.isbn13: the ISBN as an ISBN-13 without hyphens or spaces, ISBN-10s
+// converted, so both forms of an ISBN match one indexed value. Fails when two
+// books already have the same ISBN in different forms, merge them first.
+
+// books.isbn without hyphens and spaces
+const DIGITS = `UPPER(REPLACE(REPLACE(isbn, '-', ''), ' ', ''))`;
+
+const digit = (position) => `SUBSTRING(${DIGITS}, ${position}, 1)`;
+
+// Check digit of 978 followed by the first nine digits of an ISBN-10:
+// 9, 7 and 8 weigh 38, the digits after them alternate weights 3 and 1
+const CHECK_DIGIT = `MOD(10 - MOD(38 + ${
+  [1, 2, 3, 4, 5, 6, 7, 8, 9].map(position => (position % 2 === 1 ? `3 * ${digit(position)}` : digit(position))).join(' + ')
+}, 10), 10)`;
+
+module.exports = {
+  up: [
+    `
+    ALTER TABLE books
+      ADD COLUMN isbn13 CHAR(13) GENERATED ALWAYS AS (
+        IF(CHAR_LENGTH(${DIGITS}) = 10, CONCAT('978', LEFT(${DIGITS}, 9), ${CHECK_DIGIT}), ${DIGITS})
+      ) STORED AFTER isbn,
+      ADD UNIQUE INDEX idx_book_isbn13 (isbn13) -- For ISBN lookups in either form
+    `
+  ],
+  down: [
+    `
+    ALTER TABLE books DROP COLUMN isbn13
+    `
+  ]
+};
@@ -0,0 +1,215 @@
+// File: db/migrator.js
+// Versioned schema migrations. Each file in db/migrations is named
+// <version>_<name>.js and exports the SQL statements that apply and revert it:
+//   module.exports = { up: ['CREATE TABLE ...'], down: ['DROP TABLE ...'] };
+// Statements run one at a time, so procedures and triggers need no DELIMITER.
+// Applied versions are recorded in schema_migrations. MySQL commits DDL as it
+// goes, so a migration that fails halfway is left half applied and not recorded.
+const fs = require('fs');
+const path = require('path');
+const mysql = require('mysql2/promise');
+const { connectionOptions } = require('./config');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+// Only one migrate or seed command may change the schema at a time
+const LOCK_NAME = 'library_schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 10;
+
+// Migrations in the order they apply
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => MIGRATION_FILE.test(file))
+    .map((file) => {
+      const [, version, name] = file.match(MIGRATION_FILE);
+      const { up, down } = require(path.join(dir, file));
+
+      if (!Array.isArray(up) || !Array.isArray(down)) {
+        throw new Error(`Migration ${file} must export up and down arrays of SQL statements`);
+      }
+
+      return { version: Number(version), name, file, up, down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Migrations ${migrations[index - 1].file} and ${migration.file} share version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+};
+
+// Connect to the configured database, creating it first when asked to
+const connect = async ({ createDatabase = false } = {}) => {
+  const { database, ...options } = connectionOptions();
+  const connection = await mysql.createConnection(options);
+
+  try {
+    if (createDatabase) {
+      await connection.query('CREATE DATABASE IF NOT EXISTS ?? CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci', [database]);
+    }
+    await connection.changeUser({ database });
+  } catch (error) {
+    await connection.end();
+    throw error;
+  }
+
+  return connection;
+};
+
+const withLock = async (connection, work) => {
+  const [[lock]] = await connection.query('SELECT GET_LOCK(?, ?) AS acquired', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+
+  if (lock.acquired !== 1) {
+    throw new Error('Another migration is running, try again once it has finished');
+  }
+
+  try {
+    return await work();
+  } finally {
+    await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+  }
+};
+
+const ensureMigrationsTable = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB
+  `);
+};
+
+const appliedVersions = async (connection) => {
+  await ensureMigrationsTable(connection);
+  const [rows] = await connection.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(rows.map(row => [row.version, row]));
+};
+
+const runStatements = async (connection, migration, direction) => {
+  for (const [index, sql] of migration[direction].entries()) {
+    try {
+      await connection.query(sql);
+    } catch (error) {
+      error.message = `Migration ${migration.file} (${direction}) failed at statement ${index + 1}: ${error.message}`;
+      throw error;
+    }
+  }
+};
+
+// Every migration with its applied_at, or null when pending. Versions recorded
+// in the database without a file are listed as missing.
+const migrationStatus = async (connection, migrations = loadMigrations()) => {
+  const applied = await appliedVersions(connection);
+  const known = new Set(migrations.map(migration => migration.version));
+
+  return {
+    migrations: migrations.map(({ version, name }) => ({
+      version,
+      name,
+      applied_at: applied.get(version)?.applied_at || null
+    })),
+    missing: [...applied.values()].filter(row => !known.has(row.version))
+  };
+};
+
+// Apply the pending migrations in order, up to and including version `to`.
+// Returns the migrations applied.
+const migrateUp = async (connection, { to = Infinity, migrations = loadMigrations() } = {}) => (
+  withLock(connection, async () => {
+    const applied = await appliedVersions(connection);
+    const pending = migrations.filter(migration => !applied.has(migration.version) && migration.version <= to);
+
+    for (const migration of pending) {
+      await runStatements(connection, migration, 'up');
+      await connection.query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    }
+
+    return pending;
+  })
+);
+
+// Revert the last `steps` applied migrations, or all applied after version `to`.
+// Returns the migrations reverted, newest first.
+const migrateDown = async (connection, { steps = 1, to = null, migrations = loadMigrations() } = {}) => (
+  withLock(connection, async () => {
+    const applied = await appliedVersions(connection);
+    const missing = [...applied.keys()].filter(version => !migrations.some(migration => migration.version === version));
+
+    if (missing.length > 0) {
+      throw new Error(`Cannot revert, no migration files for applied versions ${missing.join(', ')}`);
+    }
+
+    const revertible = migrations.filter(migration => applied.has(migration.version)).reverse();
+    const reverting = to === null
+      ? revertible.slice(0, steps)
+      : revertible.filter(migration => migration.version > to);
+
+    for (const migration of reverting) {
+      await runStatements(connection, migration, 'down');
+      await connection.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    }
+
+    return reverting;
+  })
+);
+
+// Empty every table and load `seed` (see db/seeds/sample.js) with the clock
+// stopped at seed.now, so every run gives the same database. Requires the
+// schema to be up to date. Returns the number of tables emptied.
+const seedDatabase = async (connection, seed, migrations = loadMigrations()) => (
+  withLock(connection, async () => {
+    const applied = await appliedVersions(connection);
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+
+    if (pending.length > 0) {
+      throw new Error(`${pending.length} migration(s) pending, run npm run migrate -- up first`);
+    }
+
+    const [tables] = await connection.query(`
+      SELECT TABLE_NAME AS name FROM information_schema.TABLES
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_TYPE = 'BASE TABLE' AND TABLE_NAME != 'schema_migrations'
+      ORDER BY TABLE_NAME
+    `);
+
+    await connection.query('SET FOREIGN_KEY_CHECKS = 0');
+    try {
+      for (const { name } of tables) {
+        await connection.query('TRUNCATE TABLE ??', [name]);
+      }
+    } finally {
+      await connection.query('SET FOREIGN_KEY_CHECKS = 1');
+    }
+
+    // The clock and zone are only changed for the seed, the caller keeps using the connection
+    const [[{ timeZone }]] = await connection.query('SELECT @@session.time_zone AS timeZone');
+    await connection.query(`SET time_zone = '+00:00'`);
+    await connection.query('SET TIMESTAMP = UNIX_TIMESTAMP(?)', [seed.now]);
+    try {
+      for (const sql of seed.statements) {
+        await connection.query(sql);
+      }
+    } finally {
+      await connection.query('SET TIMESTAMP = DEFAULT');
+      await connection.query('SET time_zone = ?', [timeZone]);
+    }
+
+    return tables.length;
+  })
+);
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  connect,
+  withLock,
+  migrationStatus,
+  migrateUp,
+  migrateDown,
+  seedDatabase
+};
@@ -0,0 +1,29 @@
+// File: db/seed.js
+// Replace all data with the sample data of db/seeds/sample.js:
+//   npm run seed
+// Refused when NODE_ENV is production, unless run with --force.
+const dotenv = require('dotenv');
+const { connect, seedDatabase } = require('./migrator');
+const sample = require('./seeds/sample');
+
+const main = async () => {
+  dotenv.config();
+
+  if (process.env.NODE_ENV === 'production' && !process.argv.includes('--force')) {
+    throw new Error('Seeding deletes all data, pass --force to seed a production database');
+  }
+
+  const connection = await connect();
+
+  try {
+    const tables = await seedDatabase(connection, sample);
+    console.log(`Emptied ${tables} tables and loaded the sample data`);
+  } finally {
+    await connection.end();
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
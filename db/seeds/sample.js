@@ -0,0 +1,160 @@
+// File: db/seeds/sample.js
+// Sample data loaded by `npm run seed`. The statements run in order on an
+// emptied database with the clock set to `now`, so ids, dates and timestamps
+// come out the same on every run.
+module.exports = {
+  now: '2025-01-06 09:00:00',
+
+  statements: [
+    `
+    INSERT INTO authors (first_name, last_name, birth_date) VALUES
+    ('J.K.', 'Rowling', '1965-07-31'),
+    ('George', 'Orwell', '1903-06-25'),
+    ('Jane', 'Austen', '1775-12-16'),
+    ('Alex', 'Michaelides', '1977-09-04'),
+    ('Harper', 'Lee', '1926-04-28'),
+    ('James', 'Clear', '1986-01-22'),
+    ('Gabriel', 'García Márquez', '1927-03-06'),
+    ('Seyed M.M.', 'Tahaghoghi', NULL),
+    ('Hugh E.', 'Williams', NULL),
+    ('Matt', 'Haig', '1975-07-03')
+    `,
+
+    `
+    INSERT INTO publishers (name, email) VALUES
+    ('Penguin Books', 'info@penguin.com'),
+    ('Bloomsbury', 'contact@bloomsbury.com')
+    `,
+
+    `
+    INSERT INTO categories (name) VALUES
+    ('Fiction'),
+    ('Science Fiction'),
+    ('Fantasy'),
+    ('Classic'),
+    ('Non-fiction')
+    `,
+
+    `
+    INSERT INTO members (first_name, last_name, email, phone) VALUES
+    ('John', 'Doe', 'john.doe@example.com', '555-1234'),
+    ('Jane', 'Smith', 'jane.smith@example.com', '555-5678')
+    `,
+
+    `
+    INSERT INTO loan_policies (name, member_type, category_id, loan_days, max_loans, max_renewals, fine_per_day, max_fine, grace_days) VALUES
+    ('Default', NULL, NULL, 14, 5, 2, 1.00, 50.00, 0),
+    ('Students', 'student', NULL, 21, 8, 3, 0.50, 30.00, 2),
+    ('Staff', 'staff', NULL, 30, 15, 5, 0.00, NULL, 0),
+    ('Non-fiction reference', NULL, 5, 7, NULL, 1, 2.00, 50.00, 0)
+    `,
+
+    // Initial admin account (password: admin) - change it after the first login,
+    // and a member login for John Doe (password: member)
+    `
+    INSERT INTO users (email, password_hash, role, member_id) VALUES
+    ('admin@library.local', '$2b$10$F4s2ucnmU4r0J9FWvO470uYtfu9KWyHh6ZA3NQ4Jl3Xe60I2B9bF6', 'admin', NULL),
+    ('john.doe@example.com', '$2b$10$1Ov2Nx4/neqKQL4BNPtnUOciL31k/jQL82kbHBHknDxp2vvJmRd8C', 'member', 1)
+    `,
+
+    // Fiction, non-fiction, international, technical, recent publications with
+    // no ISBN yet and a book with all copies checked out
+    `
+    INSERT INTO books (title, isbn, publisher_id, publication_year, language, page_count, description) VALUES
+    ('The Silent Patient', '9781250301697', 1, 2019, 'English', 336, 'A psychological thriller about a woman who shoots her husband and then stops speaking.'),
+    ('To Kill a Mockingbird', '9780061120084', 2, 1960, 'English', 336, 'A classic novel about racial injustice and moral growth in the American South.'),
+    ('Atomic Habits', '9780735211292', 1, 2018, 'English', 320, 'An easy and proven way to build good habits and break bad ones.'),
+    ('One Hundred Years of Solitude', '9780060883287', 1, 1967, 'Spanish', 417, 'The multi-generational story of the Buendía family in the fictional town of Macondo.'),
+    ('Learning MySQL', '9780596008642', 1, 2007, 'English', 622, 'A comprehensive guide to working with MySQL databases.'),
+    ('Data Science Fundamentals', NULL, 2, 2023, 'English', 480, 'A modern approach to data analysis, machine learning, and AI applications.'),
+    ('The Midnight Library', '9780525559474', 2, 2020, 'English', 304, 'A novel about a library beyond the edge of the universe that contains books of alternate lives.')
+    `,
+
+    `
+    INSERT INTO book_authors (book_id, author_id) VALUES
+    (1, 4),
+    (2, 5),
+    (3, 6),
+    (4, 7),
+    (5, 8),
+    (5, 9),
+    (7, 10)
+    `,
+
+    `
+    INSERT INTO book_categories (book_id, category_id) VALUES
+    (1, 1),
+    (2, 1),
+    (2, 4),
+    (3, 5),
+    (4, 1),
+    (4, 4),
+    (5, 5),
+    (6, 5),
+    (7, 1),
+    (7, 3)
+    `,
+
+    // Physical copies (counts on books are updated by the item triggers)
+    `
+    INSERT INTO items (book_id, barcode, shelf_location) VALUES
+    (1, 'LIB0001001', 'F-01'),
+    (1, 'LIB0001002', 'F-01'),
+    (1, 'LIB0001003', 'F-01'),
+    (1, 'LIB0001004', 'F-01'),
+    (1, 'LIB0001005', 'F-01'),
+    (1, 'LIB0001006', 'F-01'),
+    (1, 'LIB0001007', 'F-01'),
+    (1, 'LIB0001008', 'F-01'),
+    (1, 'LIB0001009', 'F-01'),
+    (1, 'LIB0001010', 'F-01'),
+    (2, 'LIB0002001', 'F-02'),
+    (2, 'LIB0002002', 'F-02'),
+    (2, 'LIB0002003', 'F-02'),
+    (2, 'LIB0002004', 'F-02'),
+    (2, 'LIB0002005', 'F-02'),
+    (2, 'LIB0002006', 'F-02'),
+    (2, 'LIB0002007', 'F-02'),
+    (2, 'LIB0002008', 'F-02'),
+    (3, 'LIB0003001', 'N-01'),
+    (3, 'LIB0003002', 'N-01'),
+    (3, 'LIB0003003', 'N-01'),
+    (3, 'LIB0003004', 'N-01'),
+    (3, 'LIB0003005', 'N-01'),
+    (4, 'LIB0004001', 'F-03'),
+    (4, 'LIB0004002', 'F-03'),
+    (4, 'LIB0004003', 'F-03'),
+    (5, 'LIB0005001', 'T-01'),
+    (5, 'LIB0005002', 'T-01'),
+    (5, 'LIB0005003', 'T-01'),
+    (5, 'LIB0005004', 'T-01'),
+    (5, 'LIB0005005', 'T-01'),
+    (5, 'LIB0005006', 'T-01'),
+    (6, 'LIB0006001', 'T-02'),
+    (6, 'LIB0006002', 'T-02'),
+    (6, 'LIB0006003', 'T-02'),
+    (6, 'LIB0006004', 'T-02'),
+    (6, 'LIB0006005', 'T-02'),
+    (6, 'LIB0006006', 'T-02'),
+    (6, 'LIB0006007', 'T-02'),
+    (6, 'LIB0006008', 'T-02'),
+    (6, 'LIB0006009', 'T-02'),
+    (6, 'LIB0006010', 'T-02'),
+    (7, 'LIB0007001', 'F-04'),
+    (7, 'LIB0007002', 'F-04'),
+    (7, 'LIB0007003', 'F-04'),
+    (7, 'LIB0007004', 'F-04')
+    `,
+
+    // Every copy of The Midnight Library is on loan
+    `
+    INSERT INTO borrowings (book_id, item_id, member_id, due_date) VALUES
+    (7, 43, 1, '2025-01-20'),
+    (7, 44, 1, '2025-01-20'),
+    (7, 45, 2, '2025-01-20'),
+    (7, 46, 2, '2025-01-20')
+    `,
+
+    `UPDATE items SET status = 'on_loan' WHERE book_id = 7`
+  ]
+};
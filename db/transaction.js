@@ -0,0 +1,29 @@
+// File: db/transaction.js
+// Run `work` with a connection of the pool inside a transaction: committed when
+// work resolves, rolled back when it throws. Returns what work returns.
+//   const result = await withTransaction(pool, connection => checkoutBook(connection, req, body));
+const withTransaction = async (pool, work) => {
+  const connection = await pool.getConnection();
+
+  try {
+    // Start a transaction
+    await connection.beginTransaction();
+
+    const result = await work(connection);
+
+    // Commit the transaction
+    await connection.commit();
+
+    return result;
+  } catch (error) {
+    // Rollback in case of error
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  withTransaction
+};
@@ -0,0 +1,1774 @@
+// File: docs/openapi.js
+// OpenAPI 3.1 description of the API, served at /api/openapi.json and browsable
+// at /api/docs. Request bodies are generated from validation/schemas.js.
+// test/openapi.test.js checks that every route of the routers is described here,
+// and the HTTP tests check each response they receive against its schema.
+//
+// Response schemas describe the JSON as it leaves the app: DATE and TIMESTAMP
+// columns are serialized date-times (DATE columns at local midnight), DECIMAL
+// columns are strings such as "12.50" and BOOLEAN columns read with SELECT * are
+// 1 or 0. Fields are not marked required on records, lists take ?fields=.
+const schemas = require('../validation/schemas');
+const { ROLES } = require('../middleware/auth');
+const { MEMBER_TYPES } = require('../services/loanPolicies');
+const { TRANSACTION_TYPES, CHARGE_CATEGORIES } = require('../services/ledger');
+const { NOTIFICATION_TYPES } = require('../services/notifications');
+const { AUDITED_ENTITIES, AUDIT_ACTIONS } = require('../services/audit');
+const { BOOK_INCLUDES, STAFF_INCLUDES } = require('../services/bookRelations');
+const { IMPORT_FORMATS } = require('../services/bookImport');
+const { MAX_LIMIT } = require('../services/listQuery');
+const { JOBS } = require('../services/jobs');
+const { PERIODS, REPORTS } = require('../services/reports');
+
+const MEMBERSHIP_STATUSES = schemas.memberStatus.membership_status.values;
+const ITEM_CONDITIONS = schemas.createItem.item_condition.values;
+const ITEM_STATUSES = ['available', 'on_loan', 'on_hold', 'repair', 'lost', 'withdrawn'];
+const BORROWING_STATUSES = ['borrowed', 'returned', 'overdue', 'lost'];
+const RESERVATION_STATUSES = ['pending', 'ready', 'fulfilled', 'cancelled', 'expired'];
+const PAYMENT_METHODS = schemas.accountPayment.payment_method.values;
+
+// Schema building blocks
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const nullable = (schema) => {
+  if (!schema.type) {
+    return { anyOf: [schema, { type: 'null' }] };
+  }
+  return {
+    ...schema,
+    type: [...[schema.type].flat(), 'null'],
+    ...(schema.enum && { enum: [...schema.enum, null] })
+  };
+};
+
+const object = (properties, required = []) => ({
+  type: 'object',
+  properties,
+  ...(required.length > 0 && { required })
+});
+
+const arrayOf = (items) => ({ type: 'array', items });
+
+const STRING = { type: 'string' };
+const INTEGER = { type: 'integer' };
+const NUMBER = { type: 'number' };
+const BOOLEAN = { type: 'boolean' };
+const ID = { type: 'integer', minimum: 1 };
+const DATE = { type: 'string', format: 'date' };
+const DATE_TIME = { type: 'string', format: 'date-time' };
+const EMAIL = { type: 'string', format: 'email' };
+const AMOUNT = ref('Amount');
+const FLAG = ref('Flag');
+
+const enumOf = (values) => ({ type: 'string', enum: values });
+
+// validate() rules (middleware/validate.js) as JSON Schema. Numbers may also be
+// sent as numeric strings, the schemas only describe the canonical form.
+const RULE_TYPES = {
+  string: (rule) => ({
+    type: 'string',
+    ...(rule.required && { minLength: 1 }),
+    ...(rule.maxLength && { maxLength: rule.maxLength })
+  }),
+  integer: () => ({ type: 'integer' }),
+  number: () => ({ type: 'number' }),
+  boolean: () => ({ type: 'boolean' }),
+  date: () => ({ type: 'string', format: 'date' }),
+  email: () => ({ type: 'string', format: 'email', maxLength: 100 }),
+  isbn: () => ({ type: 'string', description: 'ISBN-10 or ISBN-13 with a valid check digit, hyphens and spaces are ignored' }),
+  enum: (rule) => ({ type: 'string', enum: rule.values }),
+  array: (rule) => ({ type: 'array', items: { type: rule.items, minimum: 1 } })
+};
+
+// Rules of validation/schemas.js that span several fields ($check)
+const CROSS_FIELD_RULES = {
+  createBorrowing: 'Either book_id or barcode is required. due_date must not be before borrow_date (default today).',
+  returnBorrowing: 'damage_charge and withdraw_item require damaged to be true.',
+  returnByBarcode: 'damage_charge and withdraw_item require damaged to be true.',
+  createReservation: 'expiry_date must not be in the past.',
+  ownReservation: 'expiry_date must not be in the past.'
+};
+
+const fromRules = (name, rules) => {
+  const properties = {};
+  const required = [];
+
+  Object.entries(rules).forEach(([field, rule]) => {
+    if (field === '$check') {
+      return;
+    }
+
+    const schema = {
+      ...RULE_TYPES[rule.type](rule),
+      ...(rule.min !== undefined && { minimum: rule.min }),
+      ...(rule.max !== undefined && { maximum: rule.max })
+    };
+
+    if (rule.required) {
+      required.push(field);
+      properties[field] = schema;
+    } else {
+      properties[field] = nullable(schema);
+    }
+  });
+
+  return {
+    ...object(properties, required),
+    ...(CROSS_FIELD_RULES[name] && { description: CROSS_FIELD_RULES[name] })
+  };
+};
+
+// createBook => CreateBookInput
+const inputName = (name) => `${name[0].toUpperCase()}${name.slice(1)}Input`;
+
+const INPUT_SCHEMAS = Object.fromEntries(
+  Object.entries(schemas).map(([name, rules]) => [inputName(name), fromRules(name, rules)])
+);
+
+// Records, as returned by the detail and list routes
+
+const RECORD_SCHEMAS = {
+  Amount: {
+    description: 'Amount of money. DECIMAL columns are read as strings, calculated amounts are numbers.',
+    anyOf: [NUMBER, { type: 'string', pattern: '^-?\\d+(\\.\\d+)?$' }]
+  },
+
+  Flag: {
+    description: 'BOOLEAN column, 1 or 0 when read as a whole row',
+    anyOf: [BOOLEAN, { type: 'integer', enum: [0, 1] }]
+  },
+
+  Error: object({
+    code: { ...STRING, description: 'e.g. NOT_FOUND, VALIDATION_ERROR, DUPLICATE_ENTRY' },
+    message: STRING,
+    details: {
+      description: 'Field errors ({ field, message }) of a VALIDATION_ERROR, raw database errors in development, or null',
+      type: ['array', 'object', 'null']
+    },
+    request_id: { ...STRING, description: 'Same as the X-Request-Id response header' }
+  }, ['code', 'message', 'details', 'request_id']),
+
+  Message: object({ message: STRING }, ['message']),
+
+  Pagination: object({
+    total: INTEGER,
+    page: nullable({ ...INTEGER, description: 'null when paging with a cursor' }),
+    limit: INTEGER,
+    pages: INTEGER,
+    next_cursor: nullable(STRING),
+    prev_cursor: nullable(STRING),
+    next: nullable({ ...STRING, description: 'Path and query of the next page' }),
+    prev: nullable({ ...STRING, description: 'Path and query of the previous page' })
+  }, ['total', 'page', 'limit', 'pages', 'next_cursor', 'prev_cursor', 'next', 'prev']),
+
+  User: object({
+    user_id: ID,
+    email: EMAIL,
+    role: enumOf(ROLES),
+    member_id: nullable(ID),
+    is_active: FLAG,
+    created_at: DATE_TIME
+  }),
+
+  Book: object({
+    book_id: ID,
+    title: STRING,
+    isbn: nullable(STRING),
+    isbn13: nullable({ ...STRING, description: 'The ISBN as an ISBN-13 without hyphens, only in the book details' }),
+    publisher_id: nullable(ID),
+    publisher_name: nullable(STRING),
+    publication_year: nullable(INTEGER),
+    language: nullable(STRING),
+    page_count: nullable(INTEGER),
+    description: nullable(STRING),
+    replacement_cost: nullable(AMOUNT),
+    available_copies: INTEGER,
+    total_copies: INTEGER,
+    created_at: DATE_TIME,
+    updated_at: DATE_TIME,
+    deleted_at: nullable(DATE_TIME),
+    relevance: { ...NUMBER, description: 'Search score, only in search results' },
+    authors: arrayOf(ref('Author')),
+    categories: arrayOf(ref('Category')),
+    publisher: nullable(ref('Publisher')),
+    current_borrowings: arrayOf(ref('Borrowing')),
+    items: arrayOf(ref('Item'))
+  }),
+
+  Facet: object({
+    value: { type: ['string', 'integer'] },
+    count: INTEGER
+  }, ['value', 'count']),
+
+  IsbnLookup: object({
+    isbn10: nullable({ ...STRING, description: 'null for 979 ISBNs, which have no ISBN-10' }),
+    isbn13: STRING,
+    provider: STRING,
+    source: enumOf(['cache', 'provider']),
+    fetched_at: DATE_TIME,
+    existing_book_id: nullable(ID),
+    book: object({
+      title: nullable(STRING),
+      publisher: nullable(object({ name: STRING, publisher_id: nullable(ID) })),
+      publication_year: nullable(INTEGER),
+      language: nullable(STRING),
+      page_count: nullable(INTEGER),
+      description: nullable(STRING),
+      authors: arrayOf(object({ first_name: STRING, last_name: STRING, author_id: nullable(ID) }))
+    })
+  }, ['isbn10', 'isbn13', 'provider', 'source', 'fetched_at', 'existing_book_id', 'book']),
+
+  Enrichment: object({
+    source: enumOf(['cache', 'provider']),
+    provider: STRING,
+    filled: { ...arrayOf(STRING), description: 'Fields taken from the lookup' },
+    unmatched_publisher: nullable({ ...STRING, description: 'Publisher to create, no row has its name' }),
+    unmatched_authors: { ...arrayOf(STRING), description: 'Authors to create, no row has their name' }
+  }),
+
+  ImportReport: object({
+    format: enumOf(IMPORT_FORMATS),
+    dry_run: BOOLEAN,
+    summary: object({
+      total: INTEGER,
+      created: INTEGER,
+      updated: INTEGER,
+      restored: INTEGER,
+      rejected: INTEGER
+    }),
+    rows: arrayOf(object({
+      row: { ...INTEGER, description: 'Record number in the file, from 1' },
+      isbn: nullable(STRING),
+      title: nullable(STRING),
+      action: enumOf(['created', 'updated', 'restored', 'rejected']),
+      errors: arrayOf(object({ field: nullable(STRING), message: STRING })),
+      book_id: ID,
+      created: {
+        type: 'object',
+        description: 'Authors, categories and publisher created for the book'
+      }
+    }))
+  }, ['format', 'dry_run', 'summary', 'rows']),
+
+  Author: object({
+    author_id: ID,
+    first_name: STRING,
+    last_name: STRING,
+    birth_date: nullable(DATE_TIME),
+    biography: nullable(STRING),
+    book_count: INTEGER,
+    created_at: DATE_TIME,
+    updated_at: DATE_TIME,
+    deleted_at: nullable(DATE_TIME),
+    books: arrayOf(ref('Book')),
+    coauthors: arrayOf(object({ author_id: ID, first_name: STRING, last_name: STRING, shared_books: INTEGER }))
+  }),
+
+  Category: object({
+    category_id: ID,
+    name: STRING,
+    description: nullable(STRING),
+    book_count: INTEGER,
+    created_at: DATE_TIME,
+    updated_at: DATE_TIME
+  }),
+
+  Publisher: object({
+    publisher_id: ID,
+    name: STRING,
+    address: nullable(STRING),
+    phone: nullable(STRING),
+    email: nullable(STRING),
+    book_count: INTEGER,
+    created_at: DATE_TIME,
+    updated_at: DATE_TIME,
+    deleted_at: nullable(DATE_TIME)
+  }),
+
+  Item: object({
+    item_id: ID,
+    book_id: ID,
+    title: STRING,
+    isbn: nullable(STRING),
+    barcode: STRING,
+    shelf_location: nullable(STRING),
+    item_condition: enumOf(ITEM_CONDITIONS),
+    status: enumOf(ITEM_STATUSES),
+    acquired_date: DATE_TIME,
+    notes: nullable(STRING),
+    created_at: DATE_TIME,
+    updated_at: DATE_TIME,
+    borrowing_id: nullable({ ...ID, description: 'Current loan of the copy' }),
+    member_id: nullable(ID),
+    due_date: nullable(DATE_TIME)
+  }),
+
+  Member: object({
+    member_id: ID,
+    first_name: STRING,
+    last_name: STRING,
+    email: EMAIL,
+    phone: nullable(STRING),
+    address: nullable(STRING),
+    registration_date: DATE_TIME,
+    membership_end_date: nullable(DATE_TIME),
+    membership_status: enumOf(MEMBERSHIP_STATUSES),
+    member_type: enumOf(MEMBER_TYPES),
+    keep_history: FLAG,
+    created_at: DATE_TIME,
+    updated_at: DATE_TIME,
+    deleted_at: nullable(DATE_TIME),
+    active_loans: INTEGER,
+    overdue_books: INTEGER,
+    current_borrowings: arrayOf(ref('Borrowing')),
+    borrowing_history: { ...arrayOf(ref('Borrowing')), description: 'The last 10 returned loans' },
+    total_fines: AMOUNT,
+    balance: { ...NUMBER, description: 'What the member owes, see /api/members/{id}/account' }
+  }),
+
+  Borrowing: object({
+    borrowing_id: ID,
+    book_id: ID,
+    title: STRING,
+    book_title: STRING,
+    isbn: nullable(STRING),
+    item_id: nullable(ID),
+    barcode: nullable(STRING),
+    shelf_location: nullable(STRING),
+    member_id: nullable({ ...ID, description: 'null once the member was purged or forgot the loan' }),
+    member_name: nullable(STRING),
+    member_email: nullable(STRING),
+    borrow_date: DATE_TIME,
+    due_date: DATE_TIME,
+    return_date: nullable(DATE_TIME),
+    lost_date: nullable(DATE_TIME),
+    days_remaining: { ...INTEGER, description: 'Days until the due date, negative when overdue' },
+    fine_amount: nullable(AMOUNT),
+    fine_posted: AMOUNT,
+    renewal_count: INTEGER,
+    renewals_left: nullable({ ...INTEGER, description: 'null when the policy allows any number' }),
+    status: enumOf(BORROWING_STATUSES),
+    created_at: DATE_TIME,
+    updated_at: DATE_TIME
+  }),
+
+  Renewal: object({
+    renewal_id: ID,
+    previous_due_date: DATE_TIME,
+    new_due_date: DATE_TIME,
+    renewed_at: DATE_TIME,
+    renewed_by: nullable(ID),
+    renewed_by_email: nullable(STRING)
+  }),
+
+  RenewalResult: object({
+    message: STRING,
+    borrowing_id: ID,
+    previous_due_date: DATE,
+    due_date: DATE,
+    renewal_count: INTEGER,
+    renewals_left: nullable(INTEGER),
+    fine_amount: nullable(AMOUNT)
+  }, ['message', 'borrowing_id', 'previous_due_date', 'due_date', 'renewal_count', 'renewals_left']),
+
+  ReturnResult: object({
+    message: STRING,
+    borrowing_id: ID,
+    fine_amount: AMOUNT,
+    damage_charge: AMOUNT,
+    replacement_waived: { ...AMOUNT, description: 'Replacement charge waived because a lost book turned up' },
+    held_for_reservation_id: nullable({ ...ID, description: 'Reservation the copy is now held for' })
+  }, ['message', 'borrowing_id', 'fine_amount', 'damage_charge', 'replacement_waived', 'held_for_reservation_id']),
+
+  Reservation: object({
+    reservation_id: ID,
+    book_id: ID,
+    title: STRING,
+    book_title: STRING,
+    isbn: nullable(STRING),
+    member_id: ID,
+    member_name: STRING,
+    member_email: STRING,
+    item_id: nullable({ ...ID, description: 'Copy held for a ready reservation' }),
+    reservation_date: DATE_TIME,
+    expiry_date: DATE_TIME,
+    ready_date: nullable(DATE_TIME),
+    status: enumOf(RESERVATION_STATUSES),
+    queue_position: nullable({ ...INTEGER, description: 'Place in the queue of the book, null unless pending' }),
+    created_at: DATE_TIME,
+    updated_at: DATE_TIME
+  }),
+
+  Policy: object({
+    policy_id: nullable({ ...ID, description: 'null for the built-in default' }),
+    name: STRING,
+    member_type: nullable({ ...enumOf(MEMBER_TYPES), description: 'null applies to any member type' }),
+    category_id: nullable({ ...ID, description: 'null applies to any category' }),
+    category_name: nullable(STRING),
+    loan_days: INTEGER,
+    max_loans: nullable({ ...INTEGER, description: 'null means unlimited' }),
+    max_renewals: nullable({ ...INTEGER, description: 'null means unlimited' }),
+    fine_per_day: AMOUNT,
+    max_fine: nullable({ ...AMOUNT, description: 'null means no cap' }),
+    grace_days: INTEGER,
+    created_at: DATE_TIME,
+    updated_at: DATE_TIME
+  }),
+
+  AccountSummary: object({
+    member_id: ID,
+    balance: { ...NUMBER, description: 'What the member owes, negative for a credit' },
+    balance_limit: NUMBER,
+    borrowing_blocked: BOOLEAN,
+    totals: object(Object.fromEntries(TRANSACTION_TYPES.map(type => [type, NUMBER])))
+  }, ['member_id', 'balance', 'balance_limit', 'borrowing_blocked', 'totals']),
+
+  Transaction: object({
+    transaction_id: ID,
+    member_id: nullable(ID),
+    borrowing_id: nullable(ID),
+    type: enumOf(TRANSACTION_TYPES),
+    category: nullable(enumOf(CHARGE_CATEGORIES)),
+    amount: AMOUNT,
+    description: nullable(STRING),
+    reason: nullable(STRING),
+    payment_method: nullable(enumOf(PAYMENT_METHODS)),
+    related_transaction_id: nullable({ ...ID, description: 'The payment a refund gives back' }),
+    created_by: nullable(ID),
+    created_at: DATE_TIME,
+    running_balance: { ...AMOUNT, description: 'Balance after the transaction' }
+  }),
+
+  Receipt: object({
+    receipt_number: { ...STRING, description: 'R-<year>-<transaction id>' },
+    issued_at: DATE_TIME,
+    member_id: ID,
+    member_name: STRING,
+    type: enumOf(TRANSACTION_TYPES),
+    category: nullable(enumOf(CHARGE_CATEGORIES)),
+    amount: AMOUNT,
+    description: nullable(STRING),
+    reason: nullable(STRING),
+    payment_method: nullable(enumOf(PAYMENT_METHODS)),
+    borrowing_id: nullable(ID),
+    processed_by: nullable(STRING),
+    balance_after: NUMBER
+  }),
+
+  PostedTransaction: object({
+    message: STRING,
+    transaction_id: ID,
+    receipt_number: { ...STRING, description: 'Only for payments' },
+    balance: NUMBER
+  }, ['message', 'transaction_id', 'balance']),
+
+  Notification: object({
+    notification_id: ID,
+    type: enumOf(NOTIFICATION_TYPES),
+    recipient: STRING,
+    subject: STRING,
+    body: STRING,
+    status: enumOf(['pending', 'sent', 'failed']),
+    attempts: INTEGER,
+    last_error: nullable(STRING),
+    borrowing_id: nullable(ID),
+    reservation_id: nullable(ID),
+    created_at: DATE_TIME,
+    sent_at: nullable(DATE_TIME)
+  }),
+
+  NotificationPreferences: object(
+    Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, BOOLEAN])),
+    NOTIFICATION_TYPES
+  ),
+
+  Job: object({
+    name: enumOf(JOBS.map(job => job.name)),
+    description: STRING,
+    running: BOOLEAN,
+    last_run: nullable(ref('JobRun')),
+    next_run_at: nullable({ ...DATE_TIME, description: 'null when the schedule is not running' })
+  }),
+
+  JobRun: object({
+    run_id: ID,
+    job_name: STRING,
+    trigger_type: enumOf(['scheduled', 'startup', 'manual']),
+    status: enumOf(['running', 'succeeded', 'failed']),
+    counts: nullable({ type: 'object', description: 'Rows affected, keys depend on the job' }),
+    error: nullable(STRING),
+    triggered_by: nullable(ID),
+    triggered_by_email: nullable(STRING),
+    started_at: DATE_TIME,
+    finished_at: nullable(DATE_TIME)
+  }),
+
+  AuditEntry: object({
+    audit_id: ID,
+    entity: enumOf(Object.keys(AUDITED_ENTITIES)),
+    entity_id: ID,
+    action: enumOf(AUDIT_ACTIONS),
+    actor_user_id: nullable({ ...ID, description: 'null for scheduled jobs' }),
+    actor_email: nullable(STRING),
+    request_id: nullable(STRING),
+    before_data: nullable({ type: 'object', description: 'null on create' }),
+    after_data: nullable({ type: 'object', description: 'null on delete and purge' }),
+    changes: {
+      type: 'object',
+      description: 'Changed fields as { "field": { "from": ..., "to": ... } }',
+      additionalProperties: object({ from: {}, to: {} })
+    },
+    created_at: DATE_TIME
+  }),
+
+  Profile: object({
+    member_id: ID,
+    first_name: STRING,
+    last_name: STRING,
+    email: EMAIL,
+    phone: nullable(STRING),
+    address: nullable(STRING),
+    registration_date: DATE_TIME,
+    membership_end_date: nullable(DATE_TIME),
+    membership_status: enumOf(MEMBERSHIP_STATUSES),
+    member_type: enumOf(MEMBER_TYPES),
+    keep_history: BOOLEAN
+  }),
+
+  Report: object({
+    report: enumOf(Object.keys(REPORTS)),
+    from_date: nullable(DATE),
+    to_date: nullable(DATE),
+    period: enumOf(Object.keys(PERIODS)),
+    group_by: STRING,
+    columns: arrayOf(STRING),
+    rows: arrayOf({
+      type: 'object',
+      description: 'One value per column, dates as YYYY-MM-DD',
+      additionalProperties: { type: ['string', 'number', 'null'] }
+    })
+  }, ['report', 'from_date', 'to_date', 'columns', 'rows'])
+};
+
+// Login and user accounts are checked by hand in routes/auth.js
+const AUTH_SCHEMAS = {
+  LoginInput: object({ email: STRING, password: STRING }, ['email', 'password']),
+  CreateUserInput: object({
+    email: STRING,
+    password: STRING,
+    role: enumOf(ROLES),
+    member_id: nullable({ ...ID, description: 'Required for member accounts' })
+  }, ['email', 'password', 'role'])
+};
+
+// Parameters
+
+const pathParameter = (name, schema = ID, description) => ({
+  name,
+  in: 'path',
+  required: true,
+  schema,
+  ...(description && { description })
+});
+
+const queryParameter = (name, schema, description) => ({
+  name,
+  in: 'query',
+  schema,
+  ...(description && { description })
+});
+
+const parameterRef = (name) => ({ $ref: `#/components/parameters/${name}` });
+
+const PARAMETERS = {
+  sort: queryParameter('sort', STRING, 'Comma-separated sort fields, "-" in front sorts descending, e.g. -due_date,title'),
+  fields: queryParameter('fields', STRING, 'Comma-separated fields to return'),
+  page: queryParameter('page', { ...INTEGER, minimum: 1, default: 1 }),
+  limit: queryParameter('limit', { ...INTEGER, minimum: 1, maximum: MAX_LIMIT, default: 10 }),
+  cursor: queryParameter('cursor', STRING, 'next_cursor or prev_cursor of a previous page with the same sort'),
+  sort_by: { ...queryParameter('sort_by', STRING, 'Use sort instead'), deprecated: true },
+  sort_order: { ...queryParameter('sort_order', enumOf(['ASC', 'DESC']), 'Use sort instead'), deprecated: true },
+  include_deleted: queryParameter('include_deleted', enumOf(['false', 'true', 'only']), 'Admins only: also (true) or only (only) deleted records'),
+  include: queryParameter('include', STRING, `Comma-separated related records: ${BOOK_INCLUDES.join(', ')}. Empty for none. ${STAFF_INCLUDES.join(' and ')} are for staff only.`),
+  availability: queryParameter('availability', enumOf(['available', 'unavailable'])),
+  from_date: queryParameter('from_date', DATE, 'Inclusive'),
+  to_date: queryParameter('to_date', DATE, 'Inclusive')
+};
+
+const LIST_PARAMETERS = ['sort', 'fields', 'page', 'limit', 'cursor', 'sort_by', 'sort_order'].map(parameterRef);
+
+// Operations
+
+const json = (schema, description = 'OK') => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+const errorResponse = (description) => json(ref('Error'), description);
+
+const RESPONSES = {
+  BadRequest: errorResponse('Invalid parameters or body'),
+  Unauthorized: errorResponse('Missing, invalid or expired token, or a disabled account'),
+  Forbidden: errorResponse('The user may not do this'),
+  NotFound: errorResponse('No such record'),
+  Error: errorResponse('Error')
+};
+
+const responseRef = (name) => ({ $ref: `#/components/responses/${name}` });
+
+const listOf = (key, schema) => json(object({
+  [key]: arrayOf(ref(schema)),
+  pagination: ref('Pagination')
+}, [key, 'pagination']));
+
+const messageWith = (properties = {}, description = 'OK') => json(object(
+  { message: STRING, ...properties },
+  ['message', ...Object.keys(properties)]
+), description);
+
+const created = (key) => messageWith({ [key]: ID }, 'Created');
+
+const MESSAGE = json(ref('Message'));
+
+// A file download in one of the export formats
+const EXPORT_TYPES = {
+  csv: 'text/csv',
+  jsonl: 'application/x-ndjson',
+  marcxml: 'application/marcxml+xml'
+};
+
+const download = (formats) => ({
+  description: 'Streamed file, see ?format',
+  content: Object.fromEntries(formats.map(format => [EXPORT_TYPES[format], { schema: STRING }]))
+});
+
+const body = (schema, description) => ({
+  required: true,
+  ...(description && { description }),
+  content: { 'application/json': { schema: ref(schema) } }
+});
+
+// role is the least role allowed (see middleware/auth.js), self also allows
+// the member the record belongs to, public skips the token
+const operation = ({
+  tag, summary, description, role, self = false, isPublic = false,
+  parameters = [], requestBody, responses
+}) => {
+  const access = role && `Requires the ${role} role${self ? ' or being the member' : ''}.`;
+  const hasPathParameters = parameters.some(parameter => parameter.in === 'path');
+  const hasQuery = parameters.some(parameter => parameter.in === 'query' || parameter.$ref);
+
+  return {
+    tags: [tag],
+    summary,
+    ...((description || access) && { description: [description, access].filter(Boolean).join('\n\n') }),
+    ...(isPublic && { security: [] }),
+    ...(role && { 'x-required-role': role }),
+    ...(parameters.length > 0 && { parameters }),
+    ...(requestBody && { requestBody }),
+    responses: {
+      ...responses,
+      ...((requestBody || hasQuery) && { 400: responseRef('BadRequest') }),
+      ...(!isPublic && { 401: responseRef('Unauthorized') }),
+      ...((role || self) && { 403: responseRef('Forbidden') }),
+      ...(hasPathParameters && { 404: responseRef('NotFound') }),
+      default: responseRef('Error')
+    }
+  };
+};
+
+const id = pathParameter('id');
+const memberId = pathParameter('id', ID, 'Member id');
+
+const paths = {
+  '/api/health': {
+    get: operation({
+      tag: 'System',
+      summary: 'Check the database connection',
+      isPublic: true,
+      responses: { 200: messageWith({ result: arrayOf({ type: 'object' }) }) }
+    })
+  },
+  '/api/openapi.json': {
+    get: operation({
+      tag: 'System',
+      summary: 'This OpenAPI document',
+      isPublic: true,
+      responses: { 200: json({ type: 'object' }) }
+    })
+  },
+  '/api/docs': {
+    get: operation({
+      tag: 'System',
+      summary: 'Interactive documentation of this document',
+      isPublic: true,
+      responses: { 200: { description: 'HTML page', content: { 'text/html': { schema: STRING } } } }
+    })
+  },
+
+  // Authentication
+
+  '/api/auth/login': {
+    post: operation({
+      tag: 'Auth',
+      summary: 'Log in',
+      description: 'Returns a token to send as `Authorization: Bearer <token>`.',
+      isPublic: true,
+      requestBody: body('LoginInput'),
+      responses: {
+        200: json(object({
+          token: STRING,
+          user: object({ user_id: ID, email: STRING, role: enumOf(ROLES), member_id: nullable(ID) })
+        }, ['token', 'user']))
+      }
+    })
+  },
+  '/api/auth/me': {
+    get: operation({
+      tag: 'Auth',
+      summary: 'Get the logged in user',
+      responses: { 200: json(ref('User')) }
+    })
+  },
+  '/api/auth/users': {
+    post: operation({
+      tag: 'Auth',
+      summary: 'Create a user account',
+      role: 'admin',
+      requestBody: body('CreateUserInput'),
+      responses: { 201: created('user_id') }
+    })
+  },
+
+  // Books
+
+  '/api/books': {
+    get: operation({
+      tag: 'Books',
+      summary: 'List books',
+      description: 'Includes authors and categories by default.',
+      parameters: [
+        queryParameter('search', STRING, 'Words of the title or description'),
+        queryParameter('category', STRING, 'Category name'),
+        queryParameter('author', STRING, 'Part of an author name'),
+        parameterRef('availability'),
+        parameterRef('include'),
+        parameterRef('include_deleted'),
+        ...LIST_PARAMETERS
+      ],
+      responses: { 200: listOf('books', 'Book') }
+    }),
+    post: operation({
+      tag: 'Books',
+      summary: 'Create a book',
+      description: 'With `?enrich=true` the fields missing from the body are filled from the metadata of its ISBN, so title may be left out.',
+      role: 'librarian',
+      parameters: [queryParameter('enrich', BOOLEAN)],
+      requestBody: body('CreateBookInput'),
+      responses: { 201: messageWith({ book_id: ID, enrichment: ref('Enrichment') }, 'Created') }
+    })
+  },
+  '/api/books/search': {
+    get: operation({
+      tag: 'Books',
+      summary: 'Search the catalogue',
+      description: 'Every word must match the title, description, an author, the ISBN or the publisher. Phrases go in quotes, and `title:`, `author:`, `publisher:`, `isbn:`, `category:`, `language:` and `year:` (`year:2001`, `year:>2000`, `year:1990..1999`) search a single field. Sorted by relevance when there are words to rank by.',
+      parameters: [
+        queryParameter('q', STRING),
+        queryParameter('category', STRING),
+        queryParameter('language', STRING),
+        queryParameter('decade', { ...INTEGER, multipleOf: 10 }, 'e.g. 1990'),
+        queryParameter('publisher', STRING),
+        parameterRef('availability'),
+        parameterRef('include'),
+        parameterRef('include_deleted'),
+        parameterRef('sort'),
+        parameterRef('fields'),
+        parameterRef('page'),
+        parameterRef('limit')
+      ],
+      responses: {
+        200: json(object({
+          books: arrayOf(ref('Book')),
+          facets: object({
+            category: arrayOf(ref('Facet')),
+            language: arrayOf(ref('Facet')),
+            decade: arrayOf(ref('Facet')),
+            publisher: arrayOf(ref('Facet')),
+            availability: object({ available: INTEGER, unavailable: INTEGER })
+          }),
+          pagination: ref('Pagination')
+        }, ['books', 'facets', 'pagination']))
+      }
+    })
+  },
+  '/api/books/lookup/{isbn}': {
+    get: operation({
+      tag: 'Books',
+      summary: 'Look up the metadata of an ISBN',
+      description: 'The publisher and authors carry the ids of existing rows with the same name.',
+      role: 'staff',
+      parameters: [
+        pathParameter('isbn', STRING, 'ISBN-10 or ISBN-13'),
+        queryParameter('refresh', BOOLEAN, 'Bypass the cache')
+      ],
+      responses: { 200: json(ref('IsbnLookup')) }
+    })
+  },
+  '/api/books/export': {
+    get: operation({
+      tag: 'Books',
+      summary: 'Export books',
+      description: 'Takes the filters of the list. The CSV columns are those of the import.',
+      role: 'staff',
+      parameters: [
+        queryParameter('format', { ...enumOf(['csv', 'jsonl', 'marcxml']), default: 'csv' }),
+        queryParameter('search', STRING),
+        queryParameter('category', STRING),
+        queryParameter('author', STRING),
+        parameterRef('availability'),
+        parameterRef('include_deleted')
+      ],
+      responses: { 200: download(['csv', 'jsonl', 'marcxml']) }
+    })
+  },
+  '/api/books/import': {
+    post: operation({
+      tag: 'Books',
+      summary: 'Import books from a file',
+      description: 'The format comes from ?format or the Content-Type. Books whose ISBN exists are updated, missing authors, publishers and categories are created.',
+      role: 'librarian',
+      parameters: [
+        queryParameter('format', enumOf(IMPORT_FORMATS)),
+        queryParameter('dry_run', BOOLEAN, 'Save nothing, only report'),
+        queryParameter('batch_size', { ...INTEGER, minimum: 1, default: 100 }, 'Records saved per transaction')
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'text/csv': { schema: STRING },
+          'application/marc': { schema: { type: 'string', contentMediaType: 'application/marc' } },
+          'application/marcxml+xml': { schema: STRING }
+        }
+      },
+      responses: { 200: json(ref('ImportReport')) }
+    })
+  },
+  '/api/books/{id}': {
+    get: operation({
+      tag: 'Books',
+      summary: 'Get a book',
+      description: 'Includes authors, categories, current borrowings and items by default, for members only authors and categories.',
+      parameters: [id, parameterRef('include'), parameterRef('include_deleted')],
+      responses: { 200: json(ref('Book')) }
+    }),
+    put: operation({
+      tag: 'Books',
+      summary: 'Update a book',
+      description: 'author_ids and category_ids replace the existing links when given.',
+      role: 'librarian',
+      parameters: [id],
+      requestBody: body('UpdateBookInput'),
+      responses: { 200: MESSAGE }
+    }),
+    delete: operation({
+      tag: 'Books',
+      summary: 'Delete a book',
+      description: 'The book is hidden until restored or purged, its open reservations are cancelled.',
+      role: 'admin',
+      parameters: [id],
+      responses: { 200: messageWith({ cancelled_reservations: INTEGER }) }
+    })
+  },
+  '/api/books/{id}/restore': {
+    post: operation({
+      tag: 'Books',
+      summary: 'Restore a deleted book',
+      role: 'admin',
+      parameters: [id],
+      responses: { 200: MESSAGE }
+    })
+  },
+
+  // Authors
+
+  '/api/authors': {
+    get: operation({
+      tag: 'Authors',
+      summary: 'List authors',
+      parameters: [
+        queryParameter('search', STRING, 'Part of the name'),
+        parameterRef('include_deleted'),
+        ...LIST_PARAMETERS
+      ],
+      responses: { 200: listOf('authors', 'Author') }
+    }),
+    post: operation({
+      tag: 'Authors',
+      summary: 'Create an author',
+      role: 'librarian',
+      requestBody: body('AuthorInput'),
+      responses: { 201: created('author_id') }
+    })
+  },
+  '/api/authors/{id}': {
+    get: operation({
+      tag: 'Authors',
+      summary: 'Get an author with their books and co-authors',
+      parameters: [id, parameterRef('include_deleted')],
+      responses: { 200: json(ref('Author')) }
+    }),
+    put: operation({
+      tag: 'Authors',
+      summary: 'Update an author',
+      role: 'librarian',
+      parameters: [id],
+      requestBody: body('AuthorInput'),
+      responses: { 200: MESSAGE }
+    }),
+    delete: operation({
+      tag: 'Authors',
+      summary: 'Delete an author without books',
+      role: 'admin',
+      parameters: [id],
+      responses: { 200: MESSAGE }
+    })
+  },
+  '/api/authors/{id}/books': {
+    get: operation({
+      tag: 'Authors',
+      summary: 'List the books of an author',
+      parameters: [id, ...LIST_PARAMETERS],
+      responses: { 200: listOf('books', 'Book') }
+    })
+  },
+  '/api/authors/{id}/restore': {
+    post: operation({
+      tag: 'Authors',
+      summary: 'Restore a deleted author',
+      role: 'admin',
+      parameters: [id],
+      responses: { 200: MESSAGE }
+    })
+  },
+
+  // Members
+
+  '/api/members': {
+    get: operation({
+      tag: 'Members',
+      summary: 'List members',
+      role: 'staff',
+      parameters: [
+        queryParameter('search', STRING, 'Part of the name or email'),
+        queryParameter('status', enumOf(MEMBERSHIP_STATUSES)),
+        parameterRef('include_deleted'),
+        ...LIST_PARAMETERS
+      ],
+      responses: { 200: listOf('members', 'Member') }
+    }),
+    post: operation({
+      tag: 'Members',
+      summary: 'Create a member',
+      role: 'staff',
+      requestBody: body('CreateMemberInput'),
+      responses: { 201: created('member_id') }
+    })
+  },
+  '/api/members/export': {
+    get: operation({
+      tag: 'Members',
+      summary: 'Export members',
+      description: 'Takes the filters of the list.',
+      role: 'staff',
+      parameters: [
+        queryParameter('format', { ...enumOf(['csv', 'jsonl']), default: 'csv' }),
+        queryParameter('search', STRING),
+        queryParameter('status', enumOf(MEMBERSHIP_STATUSES)),
+        parameterRef('include_deleted')
+      ],
+      responses: { 200: download(['csv', 'jsonl']) }
+    })
+  },
+  '/api/members/{id}': {
+    get: operation({
+      tag: 'Members',
+      summary: 'Get a member with their current and recent loans',
+      role: 'staff',
+      self: true,
+      parameters: [id, parameterRef('include_deleted')],
+      responses: { 200: json(ref('Member')) }
+    }),
+    put: operation({
+      tag: 'Members',
+      summary: 'Update a member',
+      role: 'staff',
+      parameters: [id],
+      requestBody: body('UpdateMemberInput'),
+      responses: { 200: MESSAGE }
+    }),
+    delete: operation({
+      tag: 'Members',
+      summary: 'Delete a member without loans',
+      description: 'The member is hidden and can no longer log in until restored or purged, their open reservations are cancelled.',
+      role: 'admin',
+      parameters: [id],
+      responses: { 200: messageWith({ cancelled_reservations: INTEGER }) }
+    })
+  },
+  '/api/members/{id}/restore': {
+    post: operation({
+      tag: 'Members',
+      summary: 'Restore a deleted member',
+      role: 'admin',
+      parameters: [id],
+      responses: { 200: MESSAGE }
+    })
+  },
+  '/api/members/{id}/borrowings': {
+    get: operation({
+      tag: 'Members',
+      summary: 'List the loans of a member',
+      role: 'staff',
+      self: true,
+      parameters: [
+        id,
+        queryParameter('status', enumOf(BORROWING_STATUSES)),
+        parameterRef('include_deleted'),
+        ...LIST_PARAMETERS
+      ],
+      responses: { 200: listOf('borrowings', 'Borrowing') }
+    })
+  },
+  '/api/members/{id}/status': {
+    put: operation({
+      tag: 'Members',
+      summary: 'Change the membership status',
+      role: 'librarian',
+      parameters: [id],
+      requestBody: body('MemberStatusInput'),
+      responses: { 200: MESSAGE }
+    })
+  },
+
+  // Member accounts
+
+  '/api/members/{id}/account': {
+    get: operation({
+      tag: 'Accounts',
+      summary: 'Get the balance of a member',
+      role: 'staff',
+      self: true,
+      parameters: [memberId],
+      responses: { 200: json(ref('AccountSummary')) }
+    })
+  },
+  '/api/members/{id}/account/transactions': {
+    get: operation({
+      tag: 'Accounts',
+      summary: 'List the transactions of a member with the running balance',
+      role: 'staff',
+      self: true,
+      parameters: [memberId, queryParameter('type', enumOf(TRANSACTION_TYPES)), ...LIST_PARAMETERS],
+      responses: { 200: listOf('transactions', 'Transaction') }
+    })
+  },
+  '/api/members/{id}/account/transactions/{transactionId}/receipt': {
+    get: operation({
+      tag: 'Accounts',
+      summary: 'Get the receipt of a transaction',
+      role: 'staff',
+      self: true,
+      parameters: [memberId, pathParameter('transactionId')],
+      responses: { 200: json(ref('Receipt')) }
+    })
+  },
+  '/api/members/{id}/account/charges': {
+    post: operation({
+      tag: 'Accounts',
+      summary: 'Charge a fee',
+      description: 'borrowing_id must be a loan of the member.',
+      role: 'librarian',
+      parameters: [memberId],
+      requestBody: body('AccountChargeInput'),
+      responses: { 201: json(ref('PostedTransaction'), 'Created') }
+    })
+  },
+  '/api/members/{id}/account/payments': {
+    post: operation({
+      tag: 'Accounts',
+      summary: 'Record a payment',
+      description: 'A payment may not exceed the balance.',
+      role: 'staff',
+      parameters: [memberId],
+      requestBody: body('AccountPaymentInput'),
+      responses: { 201: json(ref('PostedTransaction'), 'Created') }
+    })
+  },
+  '/api/members/{id}/account/waivers': {
+    post: operation({
+      tag: 'Accounts',
+      summary: 'Waive part of the balance',
+      description: 'A waiver may not exceed the balance, borrowing_id must be a loan of the member.',
+      role: 'librarian',
+      parameters: [memberId],
+      requestBody: body('AccountWaiverInput'),
+      responses: { 201: json(ref('PostedTransaction'), 'Created') }
+    })
+  },
+  '/api/members/{id}/account/refunds': {
+    post: operation({
+      tag: 'Accounts',
+      summary: 'Refund part of a payment',
+      role: 'admin',
+      parameters: [memberId],
+      requestBody: body('AccountRefundInput'),
+      responses: { 201: json(ref('PostedTransaction'), 'Created') }
+    })
+  },
+
+  // Notifications
+
+  '/api/members/{id}/notifications': {
+    get: operation({
+      tag: 'Notifications',
+      summary: 'List the notifications of a member',
+      role: 'staff',
+      self: true,
+      parameters: [
+        memberId,
+        queryParameter('type', enumOf(NOTIFICATION_TYPES)),
+        queryParameter('status', enumOf(['pending', 'sent', 'failed'])),
+        ...LIST_PARAMETERS
+      ],
+      responses: { 200: listOf('notifications', 'Notification') }
+    })
+  },
+  '/api/members/{id}/notifications/preferences': {
+    get: operation({
+      tag: 'Notifications',
+      summary: 'Get which notifications a member receives',
+      role: 'staff',
+      self: true,
+      parameters: [memberId],
+      responses: { 200: json(ref('NotificationPreferences')) }
+    }),
+    put: operation({
+      tag: 'Notifications',
+      summary: 'Opt in or out of notification types',
+      description: 'Types left out are unchanged.',
+      role: 'staff',
+      self: true,
+      parameters: [memberId],
+      requestBody: body('NotificationPreferencesInput'),
+      responses: { 200: messageWith({ preferences: ref('NotificationPreferences') }) }
+    })
+  },
+
+  // Borrowings
+
+  '/api/borrowings': {
+    get: operation({
+      tag: 'Borrowings',
+      summary: 'List loans',
+      role: 'staff',
+      parameters: [
+        queryParameter('status', enumOf(BORROWING_STATUSES)),
+        queryParameter('member_id', ID),
+        queryParameter('book_id', ID),
+        parameterRef('from_date'),
+        parameterRef('to_date'),
+        ...LIST_PARAMETERS
+      ],
+      responses: { 200: listOf('borrowings', 'Borrowing') }
+    }),
+    post: operation({
+      tag: 'Borrowings',
+      summary: 'Lend a book',
+      description: 'Lends any available copy of book_id or the copy with barcode, due after the loan period of the policy unless due_date is given.',
+      role: 'librarian',
+      requestBody: body('CreateBorrowingInput'),
+      responses: {
+        201: messageWith({
+          borrowing_id: ID,
+          item_id: ID,
+          due_date: DATE,
+          policy_id: nullable({ ...ID, description: 'null when no policy applies' })
+        }, 'Created')
+      }
+    })
+  },
+  '/api/borrowings/export': {
+    get: operation({
+      tag: 'Borrowings',
+      summary: 'Export loans',
+      description: 'Takes the filters of the list.',
+      role: 'staff',
+      parameters: [
+        queryParameter('format', { ...enumOf(['csv', 'jsonl']), default: 'csv' }),
+        queryParameter('status', enumOf(BORROWING_STATUSES)),
+        queryParameter('member_id', ID),
+        queryParameter('book_id', ID),
+        parameterRef('from_date'),
+        parameterRef('to_date')
+      ],
+      responses: { 200: download(['csv', 'jsonl']) }
+    })
+  },
+  '/api/borrowings/return': {
+    post: operation({
+      tag: 'Borrowings',
+      summary: 'Return a book by its barcode',
+      description: 'The fine is calculated from the policy unless fine_amount is given.',
+      role: 'librarian',
+      requestBody: body('ReturnByBarcodeInput'),
+      responses: { 200: json(ref('ReturnResult')) }
+    })
+  },
+  '/api/borrowings/update-overdue': {
+    post: operation({
+      tag: 'Borrowings',
+      summary: 'Mark past due loans overdue',
+      role: 'librarian',
+      responses: { 200: messageWith({ updated_count: INTEGER }) }
+    })
+  },
+  '/api/borrowings/calculate-fines': {
+    post: operation({
+      tag: 'Borrowings',
+      summary: 'Calculate the fines of overdue loans',
+      description: 'fine_per_day overrides the rate of the policies, their grace days and caps still apply.',
+      role: 'librarian',
+      requestBody: body('CalculateFinesInput'),
+      responses: { 200: messageWith({ updated_count: INTEGER }) }
+    })
+  },
+  '/api/borrowings/{id}': {
+    get: operation({
+      tag: 'Borrowings',
+      summary: 'Get a loan',
+      role: 'staff',
+      parameters: [id],
+      responses: { 200: json(ref('Borrowing')) }
+    })
+  },
+  '/api/borrowings/{id}/return': {
+    put: operation({
+      tag: 'Borrowings',
+      summary: 'Return a book',
+      description: 'The fine is calculated from the policy unless fine_amount is given. A lost book that turns up gets its replacement charge waived, a damaged one is charged damage_charge (default: the replacement cost).',
+      role: 'librarian',
+      parameters: [id],
+      requestBody: body('ReturnBorrowingInput'),
+      responses: { 200: json(ref('ReturnResult')) }
+    })
+  },
+  '/api/borrowings/{id}/lost': {
+    post: operation({
+      tag: 'Borrowings',
+      summary: 'Declare a book lost',
+      description: 'The member is charged replacement_cost (default: the replacement cost of the book).',
+      role: 'librarian',
+      parameters: [id],
+      requestBody: body('MarkLostInput'),
+      responses: {
+        200: messageWith({ borrowing_id: ID, fine_amount: AMOUNT, replacement_cost: AMOUNT })
+      }
+    })
+  },
+  '/api/borrowings/{id}/renew': {
+    post: operation({
+      tag: 'Borrowings',
+      summary: 'Renew a loan',
+      description: 'Extends the loan by the loan period of its policy, refused for overdue loans, at the renewal limit or when another member reserved the book.',
+      role: 'librarian',
+      parameters: [id],
+      responses: { 200: json(ref('RenewalResult')) }
+    })
+  },
+  '/api/borrowings/{id}/renewals': {
+    get: operation({
+      tag: 'Borrowings',
+      summary: 'List the renewals of a loan',
+      role: 'staff',
+      parameters: [id],
+      responses: {
+        200: json(object({
+          renewal_count: INTEGER,
+          renewals: arrayOf(ref('Renewal'))
+        }, ['renewal_count', 'renewals']))
+      }
+    })
+  },
+
+  // Categories
+
+  '/api/categories': {
+    get: operation({
+      tag: 'Categories',
+      summary: 'List categories',
+      parameters: LIST_PARAMETERS,
+      responses: { 200: listOf('categories', 'Category') }
+    }),
+    post: operation({
+      tag: 'Categories',
+      summary: 'Create a category',
+      description: 'The id of the new category is returned as publisher_id.',
+      role: 'librarian',
+      requestBody: body('CategoryInput'),
+      responses: { 201: created('publisher_id') }
+    })
+  },
+  '/api/categories/{id}': {
+    get: operation({
+      tag: 'Categories',
+      summary: 'Get a category',
+      parameters: [id],
+      responses: { 200: json(ref('Category')) }
+    }),
+    put: operation({
+      tag: 'Categories',
+      summary: 'Update a category',
+      role: 'librarian',
+      parameters: [id],
+      requestBody: body('CategoryInput'),
+      responses: { 200: MESSAGE }
+    }),
+    delete: operation({
+      tag: 'Categories',
+      summary: 'Delete a category without books',
+      role: 'admin',
+      parameters: [id],
+      responses: { 200: MESSAGE }
+    })
+  },
+
+  // Publishers
+
+  '/api/publishers': {
+    get: operation({
+      tag: 'Publishers',
+      summary: 'List publishers',
+      parameters: [parameterRef('include_deleted'), ...LIST_PARAMETERS],
+      responses: { 200: listOf('publishers', 'Publisher') }
+    }),
+    post: operation({
+      tag: 'Publishers',
+      summary: 'Create a publisher',
+      role: 'librarian',
+      requestBody: body('PublisherInput'),
+      responses: { 201: created('publisher_id') }
+    })
+  },
+  '/api/publishers/{id}': {
+    get: operation({
+      tag: 'Publishers',
+      summary: 'Get a publisher',
+      parameters: [id, parameterRef('include_deleted')],
+      responses: { 200: json(ref('Publisher')) }
+    }),
+    put: operation({
+      tag: 'Publishers',
+      summary: 'Update a publisher',
+      role: 'librarian',
+      parameters: [id],
+      requestBody: body('PublisherInput'),
+      responses: { 200: MESSAGE }
+    }),
+    delete: operation({
+      tag: 'Publishers',
+      summary: 'Delete a publisher without books',
+      role: 'admin',
+      parameters: [id],
+      responses: { 200: MESSAGE }
+    })
+  },
+  '/api/publishers/{id}/restore': {
+    post: operation({
+      tag: 'Publishers',
+      summary: 'Restore a deleted publisher',
+      role: 'admin',
+      parameters: [id],
+      responses: { 200: MESSAGE }
+    })
+  },
+
+  // Reservations
+
+  '/api/reservations': {
+    get: operation({
+      tag: 'Reservations',
+      summary: 'List reservations',
+      description: 'Oldest first, so the reservations of a book read as its queue.',
+      role: 'staff',
+      parameters: [
+        queryParameter('status', enumOf(RESERVATION_STATUSES)),
+        queryParameter('member_id', ID),
+        queryParameter('book_id', ID),
+        ...LIST_PARAMETERS
+      ],
+      responses: { 200: listOf('reservations', 'Reservation') }
+    }),
+    post: operation({
+      tag: 'Reservations',
+      summary: 'Reserve a book without available copies',
+      role: 'staff',
+      self: true,
+      requestBody: body('CreateReservationInput'),
+      responses: { 201: messageWith({ reservation_id: ID, queue_position: INTEGER }, 'Created') }
+    })
+  },
+  '/api/reservations/{id}': {
+    get: operation({
+      tag: 'Reservations',
+      summary: 'Get a reservation',
+      role: 'staff',
+      parameters: [id],
+      responses: { 200: json(ref('Reservation')) }
+    })
+  },
+  '/api/reservations/{id}/cancel': {
+    put: operation({
+      tag: 'Reservations',
+      summary: 'Cancel a reservation',
+      description: 'A copy held for it goes to the next member in the queue.',
+      role: 'staff',
+      self: true,
+      parameters: [id],
+      responses: { 200: messageWith({ held_for_reservation_id: nullable(ID) }) }
+    })
+  },
+
+  // Loan policies
+
+  '/api/policies': {
+    get: operation({
+      tag: 'Policies',
+      summary: 'List loan policies, most specific first',
+      role: 'staff',
+      responses: { 200: json(object({ policies: arrayOf(ref('Policy')) }, ['policies'])) }
+    }),
+    post: operation({
+      tag: 'Policies',
+      summary: 'Create a loan policy',
+      description: 'One policy per member type and category, either may be left out to match any.',
+      role: 'admin',
+      requestBody: body('LoanPolicyInput'),
+      responses: { 201: created('policy_id') }
+    })
+  },
+  '/api/policies/resolve': {
+    get: operation({
+      tag: 'Policies',
+      summary: 'Get the policy that applies to a member borrowing a book',
+      role: 'staff',
+      parameters: [
+        { ...queryParameter('member_id', ID), required: true },
+        { ...queryParameter('book_id', ID), required: true }
+      ],
+      responses: { 200: json(ref('Policy')) }
+    })
+  },
+  '/api/policies/{id}': {
+    get: operation({
+      tag: 'Policies',
+      summary: 'Get a loan policy',
+      role: 'staff',
+      parameters: [id],
+      responses: { 200: json(ref('Policy')) }
+    }),
+    put: operation({
+      tag: 'Policies',
+      summary: 'Update a loan policy',
+      role: 'admin',
+      parameters: [id],
+      requestBody: body('LoanPolicyInput'),
+      responses: { 200: MESSAGE }
+    }),
+    delete: operation({
+      tag: 'Policies',
+      summary: 'Delete a loan policy',
+      role: 'admin',
+      parameters: [id],
+      responses: { 200: MESSAGE }
+    })
+  },
+
+  // Items
+
+  '/api/items': {
+    get: operation({
+      tag: 'Items',
+      summary: 'List copies',
+      role: 'staff',
+      parameters: [
+        queryParameter('book_id', ID),
+        queryParameter('status', enumOf(ITEM_STATUSES)),
+        queryParameter('barcode', STRING),
+        parameterRef('include_deleted'),
+        ...LIST_PARAMETERS
+      ],
+      responses: { 200: listOf('items', 'Item') }
+    }),
+    post: operation({
+      tag: 'Items',
+      summary: 'Add a copy of a book',
+      description: 'The copy is held for the first pending reservation of the book, if any.',
+      role: 'librarian',
+      requestBody: body('CreateItemInput'),
+      responses: {
+        201: messageWith({ item_id: ID, held_for_reservation_id: nullable(ID) }, 'Created')
+      }
+    })
+  },
+  '/api/items/barcode/{barcode}': {
+    get: operation({
+      tag: 'Items',
+      summary: 'Get a copy by its barcode',
+      role: 'staff',
+      parameters: [pathParameter('barcode', STRING)],
+      responses: { 200: json(ref('Item')) }
+    })
+  },
+  '/api/items/{id}': {
+    get: operation({
+      tag: 'Items',
+      summary: 'Get a copy',
+      role: 'staff',
+      parameters: [id],
+      responses: { 200: json(ref('Item')) }
+    }),
+    put: operation({
+      tag: 'Items',
+      summary: 'Update a copy',
+      description: 'on_loan, on_hold and lost are set by circulation and cannot be changed here. A copy made available is held for the first pending reservation of the book, if any.',
+      role: 'librarian',
+      parameters: [id],
+      requestBody: body('UpdateItemInput'),
+      responses: { 200: messageWith({ held_for_reservation_id: nullable(ID) }) }
+    }),
+    delete: operation({
+      tag: 'Items',
+      summary: 'Delete a copy that was never borrowed',
+      role: 'admin',
+      parameters: [id],
+      responses: { 200: MESSAGE }
+    })
+  },
+
+  // Administration
+
+  '/api/admin/jobs': {
+    get: operation({
+      tag: 'Admin',
+      summary: 'List the scheduled jobs with their last run',
+      role: 'admin',
+      responses: { 200: json(object({ jobs: arrayOf(ref('Job')) }, ['jobs'])) }
+    })
+  },
+  '/api/admin/jobs/runs': {
+    get: operation({
+      tag: 'Admin',
+      summary: 'List job runs',
+      role: 'admin',
+      parameters: [
+        queryParameter('job', enumOf(JOBS.map(job => job.name))),
+        queryParameter('status', enumOf(['running', 'succeeded', 'failed'])),
+        ...LIST_PARAMETERS
+      ],
+      responses: { 200: listOf('runs', 'JobRun') }
+    })
+  },
+  '/api/admin/jobs/{name}/run': {
+    post: operation({
+      tag: 'Admin',
+      summary: 'Run a job now',
+      description: 'Waits for the job to finish. A failed job still returns 200 with status failed.',
+      role: 'admin',
+      parameters: [pathParameter('name', enumOf(JOBS.map(job => job.name)))],
+      responses: {
+        200: json(object({
+          message: STRING,
+          run_id: ID,
+          job_name: STRING,
+          trigger_type: enumOf(['manual']),
+          status: enumOf(['succeeded', 'failed']),
+          counts: { type: 'object', description: 'Rows affected, when succeeded' },
+          error: { ...STRING, description: 'When failed' }
+        }, ['message', 'run_id', 'job_name', 'trigger_type', 'status']))
+      }
+    })
+  },
+  '/api/audit': {
+    get: operation({
+      tag: 'Admin',
+      summary: 'Browse the audit log',
+      description: 'Newest first.',
+      role: 'admin',
+      parameters: [
+        queryParameter('entity', enumOf(Object.keys(AUDITED_ENTITIES))),
+        queryParameter('entity_id', ID),
+        queryParameter('actor', ID, 'User id'),
+        queryParameter('action', enumOf(AUDIT_ACTIONS)),
+        queryParameter('request_id', STRING),
+        parameterRef('from_date'),
+        parameterRef('to_date'),
+        ...LIST_PARAMETERS
+      ],
+      responses: { 200: listOf('entries', 'AuditEntry') }
+    })
+  },
+
+  // Member portal
+
+  '/api/me': {
+    get: operation({
+      tag: 'Me',
+      summary: 'Get my profile',
+      description: 'Only for member accounts.',
+      responses: { 200: json(ref('Profile')) }
+    }),
+    put: operation({
+      tag: 'Me',
+      summary: 'Update my contact details and history setting',
+      description: 'Turning keep_history off forgets the loans returned so far.',
+      requestBody: body('UpdateProfileInput'),
+      responses: {
+        200: messageWith({ forgotten_loans: INTEGER, profile: ref('Profile') })
+      }
+    })
+  },
+  '/api/me/loans': {
+    get: operation({
+      tag: 'Me',
+      summary: 'List my current loans',
+      responses: { 200: json(object({ loans: arrayOf(ref('Borrowing')) }, ['loans'])) }
+    })
+  },
+  '/api/me/loans/{id}/renew': {
+    post: operation({
+      tag: 'Me',
+      summary: 'Renew one of my loans',
+      parameters: [id],
+      responses: { 200: json(ref('RenewalResult')) }
+    })
+  },
+  '/api/me/reservations': {
+    get: operation({
+      tag: 'Me',
+      summary: 'List my pending and ready reservations',
+      responses: { 200: json(object({ reservations: arrayOf(ref('Reservation')) }, ['reservations'])) }
+    }),
+    post: operation({
+      tag: 'Me',
+      summary: 'Reserve a book',
+      requestBody: body('OwnReservationInput'),
+      responses: { 201: messageWith({ reservation_id: ID, queue_position: INTEGER }, 'Created') }
+    })
+  },
+  '/api/me/reservations/{id}/cancel': {
+    put: operation({
+      tag: 'Me',
+      summary: 'Cancel one of my reservations',
+      parameters: [id],
+      responses: { 200: messageWith({ held_for_reservation_id: nullable(ID) }) }
+    })
+  },
+  '/api/me/account': {
+    get: operation({
+      tag: 'Me',
+      summary: 'Get my fine balance',
+      responses: {
+        200: json(object({
+          balance: NUMBER,
+          balance_limit: NUMBER,
+          borrowing_blocked: BOOLEAN
+        }, ['balance', 'balance_limit', 'borrowing_blocked']))
+      }
+    })
+  },
+  '/api/me/history': {
+    get: operation({
+      tag: 'Me',
+      summary: 'List the loans I returned',
+      description: 'Stays empty while keep_history is off.',
+      parameters: LIST_PARAMETERS,
+      responses: {
+        200: json(object({
+          keep_history: BOOLEAN,
+          history: arrayOf(ref('Borrowing')),
+          pagination: ref('Pagination')
+        }, ['keep_history', 'history', 'pagination']))
+      }
+    })
+  },
+
+  // Reports
+
+  '/api/reports': {
+    get: operation({
+      tag: 'Reports',
+      summary: 'List the reports',
+      role: 'staff',
+      responses: {
+        200: json(object({
+          reports: arrayOf(object({ name: STRING, description: STRING }, ['name', 'description']))
+        }, ['reports']))
+      }
+    })
+  },
+  '/api/reports/{name}': {
+    get: operation({
+      tag: 'Reports',
+      summary: 'Run a report',
+      description: Object.entries(REPORTS).map(([name, report]) => `- \`${name}\`: ${report.description}`).join('\n'),
+      role: 'staff',
+      parameters: [
+        pathParameter('name', enumOf(Object.keys(REPORTS))),
+        parameterRef('from_date'),
+        parameterRef('to_date'),
+        queryParameter('period', { ...enumOf(Object.keys(PERIODS)), default: 'month' }, 'Reports over time'),
+        queryParameter('group_by', STRING, 'overdue-rate: category (default) or member_type'),
+        queryParameter('limit', { ...INTEGER, minimum: 1 }, 'Top lists: default 10, at most 100'),
+        queryParameter('format', { ...enumOf(['json', 'csv']), default: 'json' })
+      ],
+      responses: {
+        200: {
+          description: 'OK',
+          content: {
+            'application/json': { schema: ref('Report') },
+            'text/csv': { schema: STRING }
+          }
+        }
+      }
+    })
+  }
+};
+
+const openApiDocument = {
+  openapi: '3.1.0',
+  info: {
+    title: 'simpleLibraryApp API',
+    version: '1.0.0',
+    description: 'Library catalogue, circulation and member accounts. Errors share the Error shape, and every response carries an X-Request-Id header.'
+  },
+  security: [{ bearerAuth: [] }],
+  paths,
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+    },
+    parameters: PARAMETERS,
+    responses: RESPONSES,
+    schemas: {
+      ...RECORD_SCHEMAS,
+      ...AUTH_SCHEMAS,
+      ...INPUT_SCHEMAS
+    }
+  }
+};
+
+module.exports = {
+  openApiDocument
+};
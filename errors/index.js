@@ -0,0 +1,66 @@
+// File: errors/index.js
+
+// Base class for errors that map to a specific HTTP response.
+// Anything else reaching the error handler is treated as an internal error.
+class AppError extends Error {
+  constructor(message, status = 500, code = 'INTERNAL_ERROR', details = null) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message, details = null) {
+    super(message, 400, 'BAD_REQUEST', details);
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message, details = null) {
+    super(message, 400, 'VALIDATION_ERROR', details);
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', details = null) {
+    super(message, 401, 'UNAUTHORIZED', details);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Insufficient permissions', details = null) {
+    super(message, 403, 'FORBIDDEN', details);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Resource not found', details = null) {
+    super(message, 404, 'NOT_FOUND', details);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, details = null) {
+    super(message, 409, 'CONFLICT', details);
+  }
+}
+
+class BadGatewayError extends AppError {
+  constructor(message, details = null) {
+    super(message, 502, 'BAD_GATEWAY', details);
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  BadGatewayError
+};
@@ -0,0 +1,88 @@
+// File: middleware/auth.js
+const jwt = require('jsonwebtoken');
+const { UnauthorizedError, ForbiddenError } = require('../errors');
+
+// Roles ordered from least to most privileged; each role can do everything the previous ones can
+const ROLES = ['member', 'staff', 'librarian', 'admin'];
+
+const getSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET environment variable is not set');
+  }
+  return process.env.JWT_SECRET;
+};
+
+const signToken = (user) => jwt.sign(
+  { user_id: user.user_id, role: user.role, member_id: user.member_id },
+  getSecret(),
+  { expiresIn: process.env.JWT_EXPIRES_IN || '8h' }
+);
+
+const hasRole = (user, role) => ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+// Check if the user is the given member or has at least the given role
+const isSelfOrRole = (user, memberId, role) => {
+  if (hasRole(user, role)) {
+    return true;
+  }
+  return user.member_id != null && Number(memberId) === user.member_id;
+};
+
+// Verify the bearer token and attach its payload as req.user. The account is
+// looked up on every request (the pool is app.locals.pool), so a disabled user
+// or deleted member is locked out at once and role changes apply right away.
+const authenticate = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return next(new UnauthorizedError());
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, getSecret());
+  } catch (error) {
+    return next(new UnauthorizedError('Invalid or expired token'));
+  }
+
+  const [users] = await req.app.locals.pool.query(`
+    SELECT u.role, u.member_id
+    FROM users u
+    LEFT JOIN members m ON u.member_id = m.member_id
+    WHERE u.user_id = ? AND u.is_active = TRUE AND m.deleted_at IS NULL
+  `, [payload.user_id]);
+
+  if (users.length === 0) {
+    return next(new UnauthorizedError('Account is disabled'));
+  }
+
+  req.user = { ...payload, role: users[0].role, member_id: users[0].member_id };
+  next();
+};
+
+// Allow only users with at least the given role
+const requireRole = (role) => (req, res, next) => {
+  if (!hasRole(req.user, role)) {
+    return next(new ForbiddenError());
+  }
+  next();
+};
+
+// Allow the member identified by the request (e.g. req.params.id) or users with at least the given role
+const requireSelfOrRole = (getMemberId, role) => (req, res, next) => {
+  if (!isSelfOrRole(req.user, getMemberId(req), role)) {
+    return next(new ForbiddenError());
+  }
+  next();
+};
+
+module.exports = {
+  ROLES,
+  signToken,
+  hasRole,
+  isSelfOrRole,
+  authenticate,
+  requireRole,
+  requireSelfOrRole
+};
@@ -0,0 +1,82 @@
+// File: middleware/errorHandler.js
+const crypto = require('crypto');
+const { AppError, NotFoundError } = require('../errors');
+
+const isDevelopment = () => process.env.NODE_ENV === 'development';
+
+// MySQL errors that are caused by the request rather than by the server
+const MYSQL_ERRORS = {
+  ER_DUP_ENTRY: { status: 409, code: 'DUPLICATE_ENTRY', message: 'A record with the same unique value already exists' },
+  ER_ROW_IS_REFERENCED: { status: 409, code: 'REFERENCED_RECORD', message: 'Record is referenced by other records' },
+  ER_ROW_IS_REFERENCED_2: { status: 409, code: 'REFERENCED_RECORD', message: 'Record is referenced by other records' },
+  ER_NO_REFERENCED_ROW: { status: 400, code: 'INVALID_REFERENCE', message: 'Referenced record does not exist' },
+  ER_NO_REFERENCED_ROW_2: { status: 400, code: 'INVALID_REFERENCE', message: 'Referenced record does not exist' },
+  ER_DATA_TOO_LONG: { status: 400, code: 'BAD_REQUEST', message: 'Value is too long for its field' },
+  ER_BAD_NULL_ERROR: { status: 400, code: 'BAD_REQUEST', message: 'Required value is missing' },
+  ER_TRUNCATED_WRONG_VALUE: { status: 400, code: 'BAD_REQUEST', message: 'Invalid value for field' },
+  ER_TRUNCATED_WRONG_VALUE_FOR_FIELD: { status: 400, code: 'BAD_REQUEST', message: 'Invalid value for field' }
+};
+
+// Client errors of body-parser other than malformed JSON
+const BODY_ERROR_CODES = {
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE'
+};
+
+// Caller-provided request ids end up in headers, logs and the audit log
+const REQUEST_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+// Attach a correlation id to every request, reusing the caller's one if it is safe
+const requestId = (req, res, next) => {
+  const callerId = req.get('X-Request-Id');
+  req.id = callerId && REQUEST_ID_PATTERN.test(callerId) ? callerId : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+// Catch-all for requests that no router handled
+const notFound = (req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.path} not found`));
+};
+
+// Translate any error into the { code, message, details, request_id } envelope
+const errorHandler = (error, req, res, next) => {
+  let status = 500;
+  let code = 'INTERNAL_ERROR';
+  let message = 'Internal server error';
+  let details = null;
+
+  if (error instanceof AppError) {
+    ({ status, code, message, details } = error);
+  } else if (MYSQL_ERRORS[error.code]) {
+    ({ status, code, message } = MYSQL_ERRORS[error.code]);
+  } else if (error.type === 'entity.parse.failed') {
+    // Malformed JSON body from body-parser
+    status = 400;
+    code = 'BAD_REQUEST';
+    message = 'Malformed request body';
+  } else if (error.expose && error.status >= 400 && error.status < 500) {
+    // Body too large, unsupported encoding, aborted upload
+    status = error.status;
+    code = BODY_ERROR_CODES[status] || 'BAD_REQUEST';
+    message = error.message;
+  }
+
+  if (status >= 500) {
+    console.error(`[${req.id}] ${req.method} ${req.originalUrl} failed:`, error);
+  }
+
+  // Raw database and stack details only leave the server in development
+  if (isDevelopment() && !(error instanceof AppError)) {
+    details = { ...details, error: error.message, sql_code: error.code, stack: error.stack };
+  }
+
+  res.status(status).json({ code, message, details, request_id: req.id });
+};
+
+module.exports = {
+  MYSQL_ERRORS,
+  requestId,
+  notFound,
+  errorHandler
+};
@@ -0,0 +1,171 @@
+// File: middleware/validate.js
+const { ValidationError } = require('../errors');
+
+// Declarative request body validation.
+// A schema maps field names to rules, e.g.
+//   { title: { type: 'string', required: true, maxLength: 255 }, isbn: { type: 'isbn' } }
+// and may define a `$check(body)` function for rules spanning several fields,
+// returning a list of { field, message } errors.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isInteger = (value) => (
+  (typeof value === 'number' && Number.isInteger(value))
+  || (typeof value === 'string' && /^-?\d+$/.test(value))
+);
+
+const isNumber = (value) => (
+  (typeof value === 'number' && Number.isFinite(value))
+  || (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)))
+);
+
+// Accept only real calendar dates in YYYY-MM-DD format
+const isDate = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+const normalizeIsbn = (value) => String(value).replace(/[\s-]/g, '').toUpperCase();
+
+// ISBN-10: weighted sum 10..1 divisible by 11, last digit may be X
+// ISBN-13: alternating weights 1 and 3, sum divisible by 10
+const isIsbn = (value) => {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return false;
+  }
+  const isbn = normalizeIsbn(value);
+
+  if (/^\d{9}[\dX]$/.test(isbn)) {
+    const sum = isbn.split('').reduce((total, char, index) => (
+      total + (char === 'X' ? 10 : Number(char)) * (10 - index)
+    ), 0);
+    return sum % 11 === 0;
+  }
+
+  if (/^\d{13}$/.test(isbn)) {
+    const sum = isbn.split('').reduce((total, char, index) => (
+      total + Number(char) * (index % 2 === 0 ? 1 : 3)
+    ), 0);
+    return sum % 10 === 0;
+  }
+
+  return false;
+};
+
+// The ISBN-13 form of an ISBN, without hyphens or spaces, as stored in books.isbn13.
+// Values that are not ISBN-10s are only normalized.
+const toIsbn13 = (value) => {
+  const isbn = normalizeIsbn(value);
+
+  if (!/^\d{9}[\dX]$/.test(isbn)) {
+    return isbn;
+  }
+
+  const digits = `978${isbn.slice(0, 9)}`;
+  const sum = digits.split('').reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+  return `${digits}${(10 - (sum % 10)) % 10}`;
+};
+
+// Check a single value against its rule, returning an error message or null
+const checkValue = (value, rule) => {
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return 'Must be a string';
+      if (rule.required && value.trim() === '') return 'Must not be empty';
+      if (rule.maxLength && value.length > rule.maxLength) {
+        return `Must be at most ${rule.maxLength} characters`;
+      }
+      break;
+    case 'integer':
+      if (!isInteger(value)) return 'Must be an integer';
+      break;
+    case 'number':
+      if (!isNumber(value)) return 'Must be a number';
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return 'Must be true or false';
+      break;
+    case 'date':
+      if (!isDate(value)) return 'Must be a valid date in YYYY-MM-DD format';
+      break;
+    case 'email':
+      if (typeof value !== 'string' || !EMAIL_PATTERN.test(value)) return 'Must be a valid email address';
+      if (value.length > 100) return 'Must be at most 100 characters';
+      break;
+    case 'isbn':
+      if (!isIsbn(value)) return 'Must be a valid ISBN-10 or ISBN-13';
+      break;
+    case 'enum':
+      if (!rule.values.includes(value)) return `Must be one of: ${rule.values.join(', ')}`;
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return 'Must be an array';
+      if (rule.items === 'integer' && !value.every((item) => isInteger(item) && Number(item) > 0)) {
+        return 'Must contain only positive integer ids';
+      }
+      break;
+    default:
+      throw new Error(`Unknown validation type: ${rule.type}`);
+  }
+
+  if (rule.min !== undefined && Number(value) < rule.min) return `Must be at least ${rule.min}`;
+  if (rule.max !== undefined && Number(value) > rule.max) return `Must be at most ${rule.max}`;
+
+  return null;
+};
+
+// Validate an object against a schema, returning a list of { field, message } errors
+const validateBody = (schema, body = {}) => {
+  const errors = [];
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    if (field === '$check') {
+      return;
+    }
+
+    const value = body[field];
+
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        errors.push({ field, message: 'Is required' });
+      }
+      return;
+    }
+
+    const message = checkValue(value, rule);
+    if (message) {
+      errors.push({ field, message });
+    }
+  });
+
+  // Cross-field rules only run once every field is valid on its own
+  if (errors.length === 0 && schema.$check) {
+    errors.push(...schema.$check(body));
+  }
+
+  return errors;
+};
+
+// Express middleware rejecting invalid bodies with a 400 listing each field error
+const validate = (schema) => (req, res, next) => {
+  const errors = validateBody(schema, req.body);
+
+  if (errors.length > 0) {
+    return next(new ValidationError('Validation failed', errors));
+  }
+
+  next();
+};
+
+module.exports = {
+  validate,
+  validateBody,
+  isIsbn,
+  isDate,
+  normalizeIsbn,
+  toIsbn13
+};
@@ -0,0 +1,114 @@
+// File: repositories/books.js
+// Queries on books shared by the routers and services. Every function takes
+// the pool or a connection as `db`, so it runs inside the caller's transaction.
+const { NotFoundError } = require('../errors');
+
+// A book that is not deleted, or null. `lock` locks the row until the transaction ends.
+const findById = async (db, bookId, { lock = false } = {}) => {
+  const [books] = await db.query(`
+    SELECT * FROM books WHERE book_id = ? AND deleted_at IS NULL ${lock ? 'FOR UPDATE' : ''}
+  `, [bookId]);
+
+  return books[0] || null;
+};
+
+// Like findById, but a missing book is a 404
+const getById = async (db, bookId, options) => {
+  const book = await findById(db, bookId, options);
+
+  if (!book) {
+    throw new NotFoundError('Book not found');
+  }
+
+  return book;
+};
+
+// What replacing a copy of the book costs, null when it has none set
+const getReplacementCost = async (db, bookId) => {
+  const [books] = await db.query(`
+    SELECT replacement_cost FROM books WHERE book_id = ?
+  `, [bookId]);
+
+  if (books.length === 0 || books[0].replacement_cost === null) {
+    return null;
+  }
+
+  return Number(books[0].replacement_cost);
+};
+
+// Link the book to the rows of `ids`, if any, in a link table (book_authors, book_categories)
+const link = async (db, table, column, bookId, ids) => {
+  if (ids && ids.length > 0) {
+    await db.query(`
+      INSERT INTO ${table} (book_id, ${column}) VALUES ?
+    `, [ids.map(id => [bookId, id])]);
+  }
+};
+
+// Replace the links of the book in a link table
+const relink = async (db, table, column, bookId, ids) => {
+  await db.query(`DELETE FROM ${table} WHERE book_id = ?`, [bookId]);
+  await link(db, table, column, bookId, ids);
+};
+
+// Insert a book with its authors and categories, returns its id.
+// Copies are added as items, see routes/items.js.
+const create = async (db, {
+  title, isbn, publisher_id, publication_year, language,
+  page_count, description, replacement_cost, author_ids, category_ids
+}) => {
+  const [result] = await db.query(`
+    INSERT INTO books (
+      title, isbn, publisher_id, publication_year, language,
+      page_count, description, replacement_cost
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    title, isbn, publisher_id, publication_year, language,
+    page_count, description, replacement_cost
+  ]);
+
+  await link(db, 'book_authors', 'author_id', result.insertId, author_ids);
+  await link(db, 'book_categories', 'category_id', result.insertId, category_ids);
+
+  return result.insertId;
+};
+
+// Update a book. Its authors and categories are replaced when given and kept
+// when left out. Copy counts are maintained by the item triggers.
+const update = async (db, bookId, {
+  title, isbn, publisher_id, publication_year, language,
+  page_count, description, replacement_cost, author_ids, category_ids
+}) => {
+  await db.query(`
+    UPDATE books SET
+      title = ?,
+      isbn = ?,
+      publisher_id = ?,
+      publication_year = ?,
+      language = ?,
+      page_count = ?,
+      description = ?,
+      replacement_cost = ?
+    WHERE book_id = ?
+  `, [
+    title, isbn, publisher_id, publication_year, language,
+    page_count, description, replacement_cost,
+    bookId
+  ]);
+
+  if (author_ids) {
+    await relink(db, 'book_authors', 'author_id', bookId, author_ids);
+  }
+
+  if (category_ids) {
+    await relink(db, 'book_categories', 'category_id', bookId, category_ids);
+  }
+};
+
+module.exports = {
+  findById,
+  getById,
+  getReplacementCost,
+  create,
+  update
+};
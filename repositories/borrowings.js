@@ -0,0 +1,114 @@
+// File: repositories/borrowings.js
+// Queries on borrowings shared by the routers and services. Every function takes
+// the pool or a connection as `db`, so it runs inside the caller's transaction.
+const { NotFoundError } = require('../errors');
+
+// Loans the member still has to bring back
+const ACTIVE_STATUSES = ['borrowed', 'overdue'];
+
+// A borrowing or null. `lock` locks the row until the transaction ends.
+const findById = async (db, borrowingId, { lock = false } = {}) => {
+  const [borrowings] = await db.query(`
+    SELECT * FROM borrowings WHERE borrowing_id = ? ${lock ? 'FOR UPDATE' : ''}
+  `, [borrowingId]);
+
+  return borrowings[0] || null;
+};
+
+// Like findById, but a missing borrowing is a 404
+const getById = async (db, borrowingId, options) => {
+  const borrowing = await findById(db, borrowingId, options);
+
+  if (!borrowing) {
+    throw new NotFoundError('Borrowing record not found');
+  }
+
+  return borrowing;
+};
+
+// The borrowed, overdue or lost borrowing of the item with the barcode, or null
+const findOpenByBarcode = async (db, barcode, { lock = false } = {}) => {
+  const [borrowings] = await db.query(`
+    SELECT b.*
+    FROM borrowings b
+    JOIN items i ON b.item_id = i.item_id
+    WHERE i.barcode = ? AND b.status IN ('borrowed', 'overdue', 'lost')
+    ${lock ? 'FOR UPDATE' : ''}
+  `, [barcode]);
+
+  return borrowings[0] || null;
+};
+
+// Number of active loans of a book, of a member, or of a member for a book
+const countActive = async (db, { book_id, member_id }) => {
+  const conditions = ['status IN (?)'];
+  const parameters = [ACTIVE_STATUSES];
+
+  if (book_id !== undefined) {
+    conditions.push('book_id = ?');
+    parameters.push(book_id);
+  }
+
+  if (member_id !== undefined) {
+    conditions.push('member_id = ?');
+    parameters.push(member_id);
+  }
+
+  const [countResult] = await db.query(`
+    SELECT COUNT(*) AS count FROM borrowings WHERE ${conditions.join(' AND ')}
+  `, parameters);
+
+  return countResult[0].count;
+};
+
+// Number of overdue loans of a member
+const countOverdue = async (db, memberId) => {
+  const [countResult] = await db.query(`
+    SELECT COUNT(*) AS count FROM borrowings WHERE member_id = ? AND status = 'overdue'
+  `, [memberId]);
+
+  return countResult[0].count;
+};
+
+// Record a new loan, returns its id
+const create = async (db, { book_id, item_id, member_id, borrow_date, due_date }) => {
+  const [result] = await db.query(`
+    INSERT INTO borrowings (
+      book_id, item_id, member_id, borrow_date, due_date, status
+    ) VALUES (?, ?, ?, ?, ?, 'borrowed')
+  `, [book_id, item_id, member_id, borrow_date, due_date]);
+
+  return result.insertId;
+};
+
+const markReturned = async (db, borrowingId, { return_date, fine_amount }) => {
+  await db.query(`
+    UPDATE borrowings SET
+      status = 'returned',
+      return_date = ?,
+      fine_amount = ?
+    WHERE borrowing_id = ?
+  `, [return_date, fine_amount, borrowingId]);
+};
+
+const markLost = async (db, borrowingId, { lost_date, fine_amount }) => {
+  await db.query(`
+    UPDATE borrowings SET
+      status = 'lost',
+      lost_date = ?,
+      fine_amount = ?
+    WHERE borrowing_id = ?
+  `, [lost_date, fine_amount, borrowingId]);
+};
+
+module.exports = {
+  ACTIVE_STATUSES,
+  findById,
+  getById,
+  findOpenByBarcode,
+  countActive,
+  countOverdue,
+  create,
+  markReturned,
+  markLost
+};
@@ -0,0 +1,52 @@
+// File: repositories/items.js
+// Queries on items (physical copies) shared by the routers and services. Every
+// function takes the pool or a connection as `db`, so it runs inside the caller's
+// transaction. The item triggers keep the copy counts of books in step.
+
+// The item with the barcode if its book is not deleted, or null
+const findByBarcode = async (db, barcode, { lock = false } = {}) => {
+  const [items] = await db.query(`
+    SELECT i.*
+    FROM items i
+    JOIN books bk ON i.book_id = bk.book_id
+    WHERE i.barcode = ? AND bk.deleted_at IS NULL
+    ${lock ? 'FOR UPDATE' : ''}
+  `, [barcode]);
+
+  return items[0] || null;
+};
+
+// The first copy of a book on the shelf, locked, or null
+const findAvailable = async (db, bookId) => {
+  const [items] = await db.query(`
+    SELECT * FROM items
+    WHERE book_id = ? AND status = 'available'
+    ORDER BY item_id
+    LIMIT 1
+    FOR UPDATE
+  `, [bookId]);
+
+  return items[0] || null;
+};
+
+// Number of copies of a book with the status
+const countByStatus = async (db, bookId, status) => {
+  const [countResult] = await db.query(`
+    SELECT COUNT(*) AS count FROM items WHERE book_id = ? AND status = ?
+  `, [bookId, status]);
+
+  return countResult[0].count;
+};
+
+const setStatus = async (db, itemId, status) => {
+  await db.query(`
+    UPDATE items SET status = ? WHERE item_id = ?
+  `, [status, itemId]);
+};
+
+module.exports = {
+  findByBarcode,
+  findAvailable,
+  countByStatus,
+  setStatus
+};
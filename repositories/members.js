@@ -0,0 +1,99 @@
+// File: repositories/members.js
+// Queries on members shared by the routers and services. Every function takes
+// the pool or a connection as `db`, so it runs inside the caller's transaction.
+const { NotFoundError } = require('../errors');
+const { formatDate } = require('../services/loanPolicies');
+
+// A member that is not deleted, or null. `lock` locks the row until the transaction ends.
+const findById = async (db, memberId, { lock = false } = {}) => {
+  const [members] = await db.query(`
+    SELECT * FROM members WHERE member_id = ? AND deleted_at IS NULL ${lock ? 'FOR UPDATE' : ''}
+  `, [memberId]);
+
+  return members[0] || null;
+};
+
+// Like findById, but a missing member is a 404
+const getById = async (db, memberId, options) => {
+  const member = await findById(db, memberId, options);
+
+  if (!member) {
+    throw new NotFoundError('Member not found');
+  }
+
+  return member;
+};
+
+// Whether another member that is not deleted has the email
+const isEmailTaken = async (db, email, exceptMemberId = null) => {
+  const [members] = await db.query(`
+    SELECT member_id FROM members
+    WHERE email = ? AND deleted_at IS NULL ${exceptMemberId !== null ? 'AND member_id != ?' : ''}
+    LIMIT 1
+  `, exceptMemberId !== null ? [email, exceptMemberId] : [email]);
+
+  return members.length > 0;
+};
+
+// Insert a member, returns the id. Registration starts today and the member
+// is an active standard member unless given otherwise.
+const create = async (db, {
+  first_name, last_name, email, phone, address,
+  registration_date, membership_end_date, membership_status, member_type
+}) => {
+  const [result] = await db.query(`
+    INSERT INTO members (
+      first_name, last_name, email, phone,
+      address, registration_date, membership_end_date, membership_status, member_type
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    first_name,
+    last_name,
+    email,
+    phone,
+    address,
+    registration_date || formatDate(new Date()),
+    membership_end_date,
+    membership_status || 'active',
+    member_type || 'standard'
+  ]);
+
+  return result.insertId;
+};
+
+// Update a member, the member type is kept when left out
+const update = async (db, memberId, {
+  first_name, last_name, email, phone, address,
+  membership_end_date, membership_status, member_type
+}) => {
+  await db.query(`
+    UPDATE members SET
+      first_name = ?,
+      last_name = ?,
+      email = ?,
+      phone = ?,
+      address = ?,
+      membership_end_date = ?,
+      membership_status = ?,
+      member_type = COALESCE(?, member_type)
+    WHERE member_id = ?
+  `, [
+    first_name,
+    last_name,
+    email,
+    phone,
+    address,
+    membership_end_date,
+    membership_status,
+    member_type || null,
+    memberId
+  ]);
+};
+
+module.exports = {
+  findById,
+  getById,
+  isEmailTaken,
+  create,
+  update
+};
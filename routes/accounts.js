@@ -0,0 +1,293 @@
+// File: routes/accounts.js
+// Mounted at /api/members/:id/account
+const express = require('express');
+const { BadRequestError, NotFoundError } = require('../errors');
+const { requireRole, requireSelfOrRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+const { withTransaction } = require('../db/transaction');
+const memberRepository = require('../repositories/members');
+const borrowingRepository = require('../repositories/borrowings');
+const {
+  TRANSACTION_TYPES, SIGNED_AMOUNT, getBalanceLimit, getBalance, receiptNumber, postTransaction
+} = require('../services/ledger');
+const { whereClause } = require('../services/filters');
+const { listQuery } = require('../services/listQuery');
+const { auditChange } = require('../services/audit');
+
+// Sorting and fields of the transaction list
+const transactionList = {
+  sortable: {
+    transaction_id: 'ledger.transaction_id',
+    created_at: 'ledger.created_at',
+    type: 'ledger.type',
+    category: 'ledger.category',
+    amount: 'ledger.amount'
+  },
+  defaultSort: '-created_at',
+  key: 'transaction_id',
+  fields: [
+    'transaction_id', 'member_id', 'borrowing_id', 'type', 'category', 'amount', 'description',
+    'reason', 'payment_method', 'related_transaction_id', 'created_by', 'created_at', 'running_balance'
+  ]
+};
+
+module.exports = (pool) => {
+  const router = express.Router({ mergeParams: true });
+
+  // Members may view their own account
+  const memberIdParam = (req) => req.params.id;
+
+  // Post a transaction while holding a lock on the member, so concurrent
+  // postings cannot push the balance past the checks in `check`
+  const postLocked = (req, memberId, check, transaction) => withTransaction(pool, async (connection) => {
+    await memberRepository.getById(connection, memberId, { lock: true });
+    const balance = await getBalance(connection, memberId);
+    await check(connection, balance);
+
+    const transactionId = await postTransaction(connection, { member_id: memberId, ...transaction });
+    await auditChange(connection, req, 'account_transaction', transactionId);
+    const newBalance = await getBalance(connection, memberId);
+
+    return { transactionId, balance: newBalance };
+  });
+
+  // A charge or waiver may only name a loan of the member it is posted to
+  const checkBorrowing = async (connection, memberId, borrowingId) => {
+    if (borrowingId === undefined || borrowingId === null) {
+      return;
+    }
+
+    const borrowing = await borrowingRepository.getById(connection, borrowingId);
+
+    if (borrowing.member_id !== Number(memberId)) {
+      throw new BadRequestError('Borrowing belongs to another member');
+    }
+  };
+
+  // Get account summary
+  router.get('/', requireSelfOrRole(memberIdParam, 'staff'), async (req, res) => {
+    const memberId = req.params.id;
+
+    await memberRepository.getById(pool, memberId);
+
+    const [totals] = await pool.query(`
+      SELECT type, SUM(amount) AS total
+      FROM account_transactions
+      WHERE member_id = ?
+      GROUP BY type
+    `, [memberId]);
+
+    const balance = await getBalance(pool, memberId);
+    const balanceLimit = getBalanceLimit();
+
+    res.status(200).json({
+      member_id: Number(memberId),
+      balance,
+      balance_limit: balanceLimit,
+      borrowing_blocked: balance > balanceLimit,
+      totals: Object.fromEntries(TRANSACTION_TYPES.map(type => [
+        type,
+        Number(totals.find(total => total.type === type)?.total || 0)
+      ]))
+    });
+  });
+
+  // Get account transactions with running balance, newest first
+  router.get('/transactions', requireSelfOrRole(memberIdParam, 'staff'), async (req, res) => {
+    const memberId = req.params.id;
+    const list = listQuery(req, transactionList);
+    const type = req.query.type;
+
+    await memberRepository.getById(pool, memberId);
+
+    // Running balance is computed over the whole ledger before filtering
+    let query = `
+      SELECT * FROM (
+        SELECT t.*, SUM(${SIGNED_AMOUNT}) OVER (ORDER BY t.created_at, t.transaction_id) AS running_balance
+        FROM account_transactions t
+        WHERE t.member_id = ?
+      ) ledger
+    `;
+
+    let countQuery = `
+      SELECT COUNT(*) AS total FROM account_transactions WHERE member_id = ?
+    `;
+
+    const conditions = [];
+    const parameters = [memberId];
+
+    if (type) {
+      conditions.push(`ledger.type = ?`);
+      countQuery += ` AND type = ?`;
+      parameters.push(type);
+    }
+
+    query += whereClause([...conditions, ...list.conditions]);
+    query += list.orderAndLimit;
+
+    const [rows] = await pool.query(query, [...parameters, ...list.parameters, ...list.limitParameters]);
+    const [countResult] = await pool.query(countQuery, parameters);
+    const { items: transactions, pagination } = list.page(rows, countResult[0].total);
+
+    res.status(200).json({ transactions, pagination });
+  });
+
+  // Get a receipt for a transaction
+  router.get('/transactions/:transactionId/receipt', requireSelfOrRole(memberIdParam, 'staff'), async (req, res) => {
+    const { id: memberId, transactionId } = req.params;
+
+    const [transactions] = await pool.query(`
+      SELECT t.*, CONCAT(m.first_name, ' ', m.last_name) AS member_name,
+             u.email AS created_by_email
+      FROM account_transactions t
+      JOIN members m ON t.member_id = m.member_id
+      LEFT JOIN users u ON t.created_by = u.user_id
+      WHERE t.transaction_id = ? AND t.member_id = ?
+    `, [transactionId, memberId]);
+
+    if (transactions.length === 0) {
+      throw new NotFoundError('Transaction not found');
+    }
+
+    const transaction = transactions[0];
+
+    // Balance right after this transaction
+    const [balanceResult] = await pool.query(`
+      SELECT COALESCE(SUM(${SIGNED_AMOUNT}), 0) AS balance
+      FROM account_transactions
+      WHERE member_id = ? AND (created_at < ? OR (created_at = ? AND transaction_id <= ?))
+    `, [memberId, transaction.created_at, transaction.created_at, transactionId]);
+
+    res.status(200).json({
+      receipt_number: receiptNumber(transaction),
+      issued_at: transaction.created_at,
+      member_id: transaction.member_id,
+      member_name: transaction.member_name,
+      type: transaction.type,
+      category: transaction.category,
+      amount: transaction.amount,
+      description: transaction.description,
+      reason: transaction.reason,
+      payment_method: transaction.payment_method,
+      borrowing_id: transaction.borrowing_id,
+      processed_by: transaction.created_by_email,
+      balance_after: Number(balanceResult[0].balance)
+    });
+  });
+
+  // Charge a fee to the member's account
+  router.post('/charges', requireRole('librarian'), validate(schemas.accountCharge), async (req, res) => {
+    const memberId = req.params.id;
+    const { amount, category, description, borrowing_id } = req.body;
+
+    const result = await postLocked(req, memberId, async (connection) => {
+      await checkBorrowing(connection, memberId, borrowing_id);
+    }, {
+      borrowing_id,
+      type: 'charge',
+      category: category || 'other',
+      amount,
+      description,
+      created_by: req.user.user_id
+    });
+
+    res.status(201).json({
+      message: 'Charge posted successfully',
+      transaction_id: result.transactionId,
+      balance: result.balance
+    });
+  });
+
+  // Record a full or partial payment
+  router.post('/payments', requireRole('staff'), validate(schemas.accountPayment), async (req, res) => {
+    const memberId = req.params.id;
+    const { amount, payment_method, description } = req.body;
+
+    const result = await postLocked(req, memberId, async (connection, balance) => {
+      if (Number(amount) > balance) {
+        throw new BadRequestError(`Payment exceeds the outstanding balance of ${balance.toFixed(2)}`);
+      }
+    }, {
+      type: 'payment',
+      amount,
+      payment_method,
+      description: description || 'Payment',
+      created_by: req.user.user_id
+    });
+
+    res.status(201).json({
+      message: 'Payment recorded successfully',
+      transaction_id: result.transactionId,
+      receipt_number: receiptNumber({ transaction_id: result.transactionId, created_at: new Date() }),
+      balance: result.balance
+    });
+  });
+
+  // Waive part or all of the outstanding balance
+  router.post('/waivers', requireRole('librarian'), validate(schemas.accountWaiver), async (req, res) => {
+    const memberId = req.params.id;
+    const { amount, reason, category, borrowing_id } = req.body;
+
+    const result = await postLocked(req, memberId, async (connection, balance) => {
+      if (Number(amount) > balance) {
+        throw new BadRequestError(`Waiver exceeds the outstanding balance of ${balance.toFixed(2)}`);
+      }
+      await checkBorrowing(connection, memberId, borrowing_id);
+    }, {
+      borrowing_id,
+      type: 'waiver',
+      category: category || 'other',
+      amount,
+      description: 'Waiver',
+      reason,
+      created_by: req.user.user_id
+    });
+
+    res.status(201).json({
+      message: 'Waiver recorded successfully',
+      transaction_id: result.transactionId,
+      balance: result.balance
+    });
+  });
+
+  // Refund (part of) an earlier payment
+  router.post('/refunds', requireRole('admin'), validate(schemas.accountRefund), async (req, res) => {
+    const memberId = req.params.id;
+    const { transaction_id, amount, reason } = req.body;
+
+    const result = await postLocked(req, memberId, async (connection) => {
+      const [paymentResult] = await connection.query(`
+        SELECT t.amount,
+               (SELECT COALESCE(SUM(r.amount), 0) FROM account_transactions r
+                WHERE r.related_transaction_id = t.transaction_id AND r.type = 'refund') AS refunded
+        FROM account_transactions t
+        WHERE t.transaction_id = ? AND t.member_id = ? AND t.type = 'payment'
+      `, [transaction_id, memberId]);
+
+      if (paymentResult.length === 0) {
+        throw new NotFoundError('Payment not found');
+      }
+
+      const refundable = Number(paymentResult[0].amount) - Number(paymentResult[0].refunded);
+      if (Number(amount) > refundable) {
+        throw new BadRequestError(`Refund exceeds the refundable amount of ${refundable.toFixed(2)}`);
+      }
+    }, {
+      type: 'refund',
+      amount,
+      description: 'Refund',
+      reason,
+      related_transaction_id: transaction_id,
+      created_by: req.user.user_id
+    });
+
+    res.status(201).json({
+      message: 'Refund recorded successfully',
+      transaction_id: result.transactionId,
+      balance: result.balance
+    });
+  });
+
+  return router;
+};
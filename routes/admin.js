@@ -0,0 +1,88 @@
+// File: routes/admin.js
+const express = require('express');
+const { requireRole } = require('../middleware/auth');
+const { whereClause } = require('../services/filters');
+const { listQuery } = require('../services/listQuery');
+
+// Sorting and fields of the job run history
+const runList = {
+  sortable: {
+    run_id: 'r.run_id',
+    job_name: 'r.job_name',
+    status: 'r.status',
+    started_at: 'r.started_at',
+    finished_at: 'r.finished_at'
+  },
+  defaultSort: '-started_at',
+  key: 'run_id',
+  fields: [
+    'run_id', 'job_name', 'trigger_type', 'status', 'counts', 'error', 'triggered_by',
+    'triggered_by_email', 'started_at', 'finished_at'
+  ]
+};
+
+module.exports = (pool, scheduler) => {
+  const router = express.Router();
+
+  // List jobs with their latest run and next scheduled time
+  router.get('/jobs', requireRole('admin'), async (req, res) => {
+    const jobs = await scheduler.listJobs();
+
+    res.status(200).json({ jobs });
+  });
+
+  // Get the run history of all jobs, newest first
+  router.get('/jobs/runs', requireRole('admin'), async (req, res) => {
+    const list = listQuery(req, runList);
+
+    const jobName = req.query.job;
+    const status = req.query.status;
+
+    let query = `
+      SELECT r.*, u.email AS triggered_by_email
+      FROM job_runs r
+      LEFT JOIN users u ON r.triggered_by = u.user_id
+    `;
+
+    const conditions = [];
+    const parameters = [];
+
+    // Add filters if needed
+    if (jobName) {
+      conditions.push(`r.job_name = ?`);
+      parameters.push(jobName);
+    }
+
+    if (status) {
+      conditions.push(`r.status = ?`);
+      parameters.push(status);
+    }
+
+    // Add WHERE clause if any conditions exist
+    query += whereClause([...conditions, ...list.conditions]);
+
+    // Add sorting and pagination
+    query += list.orderAndLimit;
+
+    // Get total count for pagination
+    const countQuery = `SELECT COUNT(*) AS total FROM job_runs r ${whereClause(conditions)}`;
+
+    const [rows] = await pool.query(query, [...parameters, ...list.parameters, ...list.limitParameters]);
+    const [countResult] = await pool.query(countQuery, parameters);
+    const { items: runs, pagination } = list.page(rows, countResult[0].total);
+
+    res.status(200).json({ runs, pagination });
+  });
+
+  // Run a job now and wait for it to finish
+  router.post('/jobs/:name/run', requireRole('admin'), async (req, res) => {
+    const run = await scheduler.runJob(req.params.name, 'manual', req.user.user_id);
+
+    res.status(200).json({
+      message: run.status === 'succeeded' ? 'Job completed' : 'Job failed',
+      ...run
+    });
+  });
+
+  return router;
+};
@@ -0,0 +1,113 @@
+// File: routes/audit.js
+const express = require('express');
+const { BadRequestError } = require('../errors');
+const { requireRole } = require('../middleware/auth');
+const { isDate } = require('../middleware/validate');
+const { whereClause } = require('../services/filters');
+const { listQuery } = require('../services/listQuery');
+const { AUDITED_ENTITIES, AUDIT_ACTIONS } = require('../services/audit');
+
+// Sorting and fields of the audit log
+const auditList = {
+  sortable: {
+    audit_id: 'a.audit_id',
+    created_at: 'a.created_at',
+    entity: 'a.entity',
+    action: 'a.action'
+  },
+  defaultSort: '-created_at',
+  key: 'audit_id',
+  fields: [
+    'audit_id', 'entity', 'entity_id', 'action', 'actor_user_id', 'actor_email', 'request_id',
+    'before_data', 'after_data', 'changes', 'created_at'
+  ]
+};
+
+module.exports = (pool) => {
+  const router = express.Router();
+
+  // Get the audit log, newest first.
+  // Filters: ?entity, ?entity_id, ?actor (user id), ?action, ?request_id, ?from_date and ?to_date
+  router.get('/', requireRole('admin'), async (req, res) => {
+    const list = listQuery(req, auditList);
+
+    const { entity, entity_id, actor, action, request_id, from_date, to_date } = req.query;
+
+    if (entity && !AUDITED_ENTITIES[entity]) {
+      throw new BadRequestError(`Unknown entity "${entity}". Audited entities: ${Object.keys(AUDITED_ENTITIES).join(', ')}`);
+    }
+
+    if (action && !AUDIT_ACTIONS.includes(action)) {
+      throw new BadRequestError(`action must be one of: ${AUDIT_ACTIONS.join(', ')}`);
+    }
+
+    [['from_date', from_date], ['to_date', to_date]].forEach(([name, value]) => {
+      if (value && !isDate(value)) {
+        throw new BadRequestError(`${name} must be a valid date in YYYY-MM-DD format`);
+      }
+    });
+
+    let query = `
+      SELECT a.*, u.email AS actor_email
+      FROM audit_log a
+      LEFT JOIN users u ON a.actor_user_id = u.user_id
+    `;
+
+    const conditions = [];
+    const parameters = [];
+
+    // Add filters if needed
+    if (entity) {
+      conditions.push(`a.entity = ?`);
+      parameters.push(entity);
+    }
+
+    if (entity_id) {
+      conditions.push(`a.entity_id = ?`);
+      parameters.push(entity_id);
+    }
+
+    if (actor) {
+      conditions.push(`a.actor_user_id = ?`);
+      parameters.push(actor);
+    }
+
+    if (action) {
+      conditions.push(`a.action = ?`);
+      parameters.push(action);
+    }
+
+    if (request_id) {
+      conditions.push(`a.request_id = ?`);
+      parameters.push(request_id);
+    }
+
+    // Both ends of the date range are inclusive
+    if (from_date) {
+      conditions.push(`a.created_at >= ?`);
+      parameters.push(from_date);
+    }
+
+    if (to_date) {
+      conditions.push(`a.created_at < ? + INTERVAL 1 DAY`);
+      parameters.push(to_date);
+    }
+
+    // Add WHERE clause if any conditions exist
+    query += whereClause([...conditions, ...list.conditions]);
+
+    // Add sorting and pagination
+    query += list.orderAndLimit;
+
+    // Get total count for pagination
+    const countQuery = `SELECT COUNT(*) AS total FROM audit_log a ${whereClause(conditions)}`;
+
+    const [rows] = await pool.query(query, [...parameters, ...list.parameters, ...list.limitParameters]);
+    const [countResult] = await pool.query(countQuery, parameters);
+    const { items: entries, pagination } = list.page(rows, countResult[0].total);
+
+    res.status(200).json({ entries, pagination });
+  });
+
+  return router;
+};
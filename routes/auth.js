@@ -0,0 +1,105 @@
+// File: routes/auth.js
+const express = require('express');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError, UnauthorizedError } = require('../errors');
+const bcrypt = require('bcryptjs');
+const { ROLES, signToken, authenticate, requireRole } = require('../middleware/auth');
+const { auditChange } = require('../services/audit');
+
+module.exports = (pool) => {
+  const router = express.Router();
+
+  // Log in and receive a signed token
+  router.post('/login', async (req, res) => {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      throw new BadRequestError('Email and password are required');
+    }
+
+    const [users] = await pool.query(`
+      SELECT u.user_id, u.email, u.password_hash, u.role, u.member_id, u.is_active,
+             m.deleted_at AS member_deleted_at
+      FROM users u
+      LEFT JOIN members m ON u.member_id = m.member_id
+      WHERE u.email = ?
+    `, [email]);
+
+    // Same response for unknown email and wrong password
+    if (users.length === 0 || !(await bcrypt.compare(password, users[0].password_hash))) {
+      throw new UnauthorizedError('Invalid email or password');
+    }
+
+    const user = users[0];
+
+    // Logins of deleted members are disabled until the member is restored
+    if (!user.is_active || user.member_deleted_at) {
+      throw new ForbiddenError('Account is disabled');
+    }
+
+    res.status(200).json({
+      token: signToken(user),
+      user: {
+        user_id: user.user_id,
+        email: user.email,
+        role: user.role,
+        member_id: user.member_id
+      }
+    });
+  });
+
+  // Get the currently authenticated user
+  router.get('/me', authenticate, async (req, res) => {
+    const [users] = await pool.query(`
+      SELECT user_id, email, role, member_id, is_active, created_at
+      FROM users WHERE user_id = ?
+    `, [req.user.user_id]);
+
+    if (users.length === 0) {
+      throw new NotFoundError('User not found');
+    }
+
+    res.status(200).json(users[0]);
+  });
+
+  // Create a user account (staff accounts or member logins)
+  router.post('/users', authenticate, requireRole('admin'), async (req, res) => {
+    const { email, password, role, member_id } = req.body;
+
+    if (!email || !password || !role) {
+      throw new BadRequestError('Email, password and role are required');
+    }
+
+    if (!ROLES.includes(role)) {
+      throw new BadRequestError(`Invalid role. Must be one of: ${ROLES.join(', ')}`);
+    }
+
+    if (role === 'member' && !member_id) {
+      throw new BadRequestError('Member accounts require member_id');
+    }
+
+    // Check if email already exists
+    const [emailCheck] = await pool.query(`
+      SELECT user_id FROM users WHERE email = ?
+    `, [email]);
+
+    if (emailCheck.length > 0) {
+      throw new ConflictError('Email already in use');
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+
+    const [result] = await pool.query(`
+      INSERT INTO users (email, password_hash, role, member_id)
+      VALUES (?, ?, ?, ?)
+    `, [email, passwordHash, role, role === 'member' ? member_id : null]);
+
+    await auditChange(pool, req, 'user', result.insertId);
+
+    res.status(201).json({
+      message: 'User created successfully',
+      user_id: result.insertId
+    });
+  });
+
+  return router;
+};
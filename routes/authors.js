@@ -1,275 +1,259 @@
-// File: routes/authors.js
-const express = require('express');
-
-module.exports = (pool) => {
-  const router = express.Router();
-
-  // Get all authors with pagination and search
-  router.get('/', async (req, res) => {
-    try {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 10;
-      const offset = (page - 1) * limit;
-      
-      const searchTerm = req.query.search || '';
-      
-      let query = `
-        SELECT a.author_id, a.first_name, a.last_name, a.birth_date, 
-               COUNT(ba.book_id) AS book_count
-        FROM authors a
-        LEFT JOIN book_authors ba ON a.author_id = ba.author_id
-      `;
-      
-      const parameters = [];
-      
-      // Add search condition if needed
-      if (searchTerm) {
-        query += ` WHERE CONCAT(a.first_name, ' ', a.last_name) LIKE ?`;
-        parameters.push(`%${searchTerm}%`);
-      }
-      
-      // Add grouping and pagination
-      query += ` GROUP BY a.author_id ORDER BY a.last_name, a.first_name LIMIT ? OFFSET ?`;
-      parameters.push(limit, offset);
-      
-      // Get total count for pagination
-      let countQuery = `SELECT COUNT(*) AS total FROM authors`;
-      
-      if (searchTerm) {
-        countQuery += ` WHERE CONCAT(first_name, ' ', last_name) LIKE ?`;
-      }
-      
-      const [authors] = await pool.query(query, parameters);
-      const [countResult] = await pool.query(
-        countQuery, 
-        searchTerm ? [`%${searchTerm}%`] : []
-      );
-      const totalCount = countResult[0].total;
-      
-      res.status(200).json({
-        authors,
-        pagination: {
-          total: totalCount,
-          page,
-          limit,
-          pages: Math.ceil(totalCount / limit)
-        }
-      });
-    } catch (error) {
-      console.error('Error getting authors:', error);
-      res.status(500).json({ message: 'Error retrieving authors', error: error.message });
-    }
-  });
-
-  // Get author by ID with their books
-  router.get('/:id', async (req, res) => {
-    try {
-      const authorId = req.params.id;
-      
-      // Get author info
-      const [authors] = await pool.query(`
-        SELECT * FROM authors WHERE author_id = ?
-      `, [authorId]);
-      
-      if (authors.length === 0) {
-        return res.status(404).json({ message: 'Author not found' });
-      }
-      
-      const author = authors[0];
-      
-      // Get author's books
-      const [books] = await pool.query(`
-        SELECT b.book_id, b.title, b.isbn, b.publication_year, 
-               b.available_copies, b.total_copies
-        FROM books b
-        JOIN book_authors ba ON b.book_id = ba.book_id
-        WHERE ba.author_id = ?
-        ORDER BY b.publication_year DESC
-      `, [authorId]);
-      
-      // Get co-authors
-      const [coauthors] = await pool.query(`
-        SELECT DISTINCT a.author_id, a.first_name, a.last_name, COUNT(b.book_id) AS shared_books
-        FROM authors a
-        JOIN book_authors ba1 ON a.author_id = ba1.author_id
-        JOIN book_authors ba2 ON ba1.book_id = ba2.book_id
-        JOIN books b ON ba1.book_id = b.book_id
-        WHERE ba2.author_id = ? AND a.author_id != ?
-        GROUP BY a.author_id
-        ORDER BY shared_books DESC
-      `, [authorId, authorId]);
-      
-      author.books = books;
-      author.coauthors = coauthors;
-      
-      res.status(200).json(author);
-    } catch (error) {
-      console.error('Error getting author:', error);
-      res.status(500).json({ message: 'Error retrieving author', error: error.message });
-    }
-  });
-
-  // Create a new author
-  router.post('/', async (req, res) => {
-    try {
-      const { first_name, last_name, birth_date, biography } = req.body;
-      
-      const [result] = await pool.query(`
-        INSERT INTO authors (first_name, last_name, birth_date, biography)
-        VALUES (?, ?, ?, ?)
-      `, [first_name, last_name, birth_date, biography]);
-      
-      res.status(201).json({ 
-        message: 'Author created successfully',
-        author_id: result.insertId
-      });
-    } catch (error) {
-      console.error('Error creating author:', error);
-      res.status(500).json({ message: 'Error creating author', error: error.message });
-    }
-  });
-
-  // Update an author
-  router.put('/:id', async (req, res) => {
-    try {
-      const authorId = req.params.id;
-      const { first_name, last_name, birth_date, biography } = req.body;
-      
-	  /*
-      // Check if author exists
-      const [authorCheck] = await pool.query(`
-        SELECT author_id FROM authors WHERE author_id = ?
-      `, [authorId]);
-      
-      if (authorCheck.length === 0) {
-        return res.status(404).json({ message: 'Author not found' });
-      }
-	  */
-	  
-	  const [authorCheck] = await pool.query(`
-	  SELECT author_id,
-         COUNT(*) OVER () AS total_authors
-	  FROM authors
-	  WHERE author_id = ?
-	  `, [authorId]);
-
-	  if (authorCheck.length === 0) {
-		return res.status(404).json({ message: 'Author not found' });
-	  }
-
-      
-      await pool.query(`
-        UPDATE authors SET
-          first_name = ?,
-          last_name = ?,
-          birth_date = ?,
-          biography = ?
-        WHERE author_id = ?
-      `, [first_name, last_name, birth_date, biography, authorId]);
-      
-      res.status(200).json({ message: 'Author updated successfully' });
-    } catch (error) {
-      console.error('Error updating author:', error);
-      res.status(500).json({ message: 'Error updating author', error: error.message });
-    }
-  });
-
-  // Delete an author
-  router.delete('/:id', async (req, res) => {
-    try {
-      const authorId = req.params.id;
-      
-      // Check if the author has books
-      const [booksCheck] = await pool.query(`
-	  SELECT DISTINCT author_id,
-		COUNT(*) OVER (PARTITION BY author_id) AS book_count
-	  FROM book_authors
-	  WHERE author_id = ?
-	  `, [authorId]);
-      
-      if (booksCheck.length > 0 && booksCheck[0].book_count > 0) {
-        return res.status(400).json({ 
-          message: 'Cannot delete author with associated books'
-        });
-      }
-      
-      // Delete the author
-      const [result] = await pool.query(`
-        DELETE FROM authors WHERE author_id = ?
-      `, [authorId]);
-      
-      if (result.affectedRows === 0) {
-        return res.status(404).json({ message: 'Author not found' });
-      }
-      
-      res.status(200).json({ message: 'Author deleted successfully' });
-    } catch (error) {
-      console.error('Error deleting author:', error);
-      res.status(500).json({ message: 'Error deleting author', error: error.message });
-    }
-  });
-
-  // Get books by author
-  router.get('/:id/books', async (req, res) => {
-    try {
-      const authorId = req.params.id;
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 10;
-      const offset = (page - 1) * limit;
-      
-	  /*
-      // Check if author exists
-      const [authorCheck] = await pool.query(`
-        SELECT author_id FROM authors WHERE author_id = ?
-      `, [authorId]);
-      
-      if (authorCheck.length === 0) {
-        return res.status(404).json({ message: 'Author not found' });
-      }
-	  */
-	  
-	  const [rows] = await pool.query(`
-	  SELECT AuthorExists(?) AS existsFlag
-	  `, [authorId]);
-
-	  if (!rows[0].existsFlag) {
-		return res.status(404).json({ message: 'Author not found' });
-	  }
-
-      
-      // Get books by the author with pagination
-      const [books] = await pool.query(`
-        SELECT b.book_id, b.title, b.isbn, b.publication_year, 
-               b.language, b.available_copies, b.total_copies
-        FROM books b
-        JOIN book_authors ba ON b.book_id = ba.book_id
-        WHERE ba.author_id = ?
-        ORDER BY b.publication_year DESC
-        LIMIT ? OFFSET ?
-      `, [authorId, limit, offset]);
-      
-      // Get total count for pagination
-      const [countResult] = await pool.query(`
-        SELECT COUNT(*) AS total 
-        FROM book_authors 
-        WHERE author_id = ?
-      `, [authorId]);
-      const totalCount = countResult[0].total;
-      
-      res.status(200).json({
-        books,
-        pagination: {
-          total: totalCount,
-          page,
-          limit,
-          pages: Math.ceil(totalCount / limit)
-        }
-      });
-    } catch (error) {
-      console.error('Error getting author books:', error);
-      res.status(500).json({ message: 'Error retrieving author books', error: error.message });
-    }
-  });
-
-  return router;
+// File: routes/authors.js
+const express = require('express');
+const { ConflictError, NotFoundError } = require('../errors');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+const { snapshot, auditChange } = require('../services/audit');
+const { deletedFilter, softDelete, restore } = require('../services/softDelete');
+const { whereClause } = require('../services/filters');
+const { listQuery } = require('../services/listQuery');
+
+// Sorting and fields of the author list
+const authorList = {
+  sortable: {
+    author_id: 'a.author_id',
+    first_name: 'a.first_name',
+    last_name: 'a.last_name',
+    birth_date: 'a.birth_date'
+  },
+  defaultSort: 'last_name,first_name',
+  key: 'author_id',
+  fields: ['author_id', 'first_name', 'last_name', 'birth_date', 'book_count', 'deleted_at']
+};
+
+// Sorting and fields of an author's books, newest first by default
+const authorBookList = {
+  sortable: {
+    book_id: 'b.book_id',
+    title: 'b.title',
+    publication_year: 'b.publication_year'
+  },
+  defaultSort: '-publication_year',
+  key: 'book_id',
+  fields: ['book_id', 'title', 'isbn', 'publication_year', 'language', 'available_copies', 'total_copies']
+};
+
+module.exports = (pool) => {
+  const router = express.Router();
+
+  // Get all authors with pagination and search
+  router.get('/', async (req, res) => {
+    const list = listQuery(req, authorList);
+    
+    const searchTerm = req.query.search || '';
+    
+    let query = `
+      SELECT a.author_id, a.first_name, a.last_name, a.birth_date, a.deleted_at,
+             COUNT(ba.book_id) AS book_count
+      FROM authors a
+      LEFT JOIN book_authors ba ON a.author_id = ba.author_id
+    `;
+    
+    const conditions = deletedFilter(req, 'a');
+    const parameters = [];
+    
+    // Add search condition if needed
+    if (searchTerm) {
+      conditions.push(`CONCAT(a.first_name, ' ', a.last_name) LIKE ?`);
+      parameters.push(`%${searchTerm}%`);
+    }
+    
+    // Add grouping, sorting and pagination
+    query += whereClause([...conditions, ...list.conditions]);
+    query += ` GROUP BY a.author_id${list.orderAndLimit}`;
+    
+    // Get total count for pagination
+    const countQuery = `SELECT COUNT(*) AS total FROM authors a ${whereClause(conditions)}`;
+    
+    const [rows] = await pool.query(query, [...parameters, ...list.parameters, ...list.limitParameters]);
+    const [countResult] = await pool.query(countQuery, parameters);
+    const { items: authors, pagination } = list.page(rows, countResult[0].total);
+    
+    res.status(200).json({ authors, pagination });
+  });
+
+  // Get author by ID with their books
+  router.get('/:id', async (req, res) => {
+    const authorId = req.params.id;
+    
+    // Get author info
+    const [authors] = await pool.query(`
+      SELECT * FROM authors a ${whereClause(['a.author_id = ?', ...deletedFilter(req, 'a')])}
+    `, [authorId]);
+    
+    if (authors.length === 0) {
+      throw new NotFoundError('Author not found');
+    }
+    
+    const author = authors[0];
+    
+    // Get author's books
+    const [books] = await pool.query(`
+      SELECT b.book_id, b.title, b.isbn, b.publication_year, 
+             b.available_copies, b.total_copies
+      FROM books b
+      JOIN book_authors ba ON b.book_id = ba.book_id
+      WHERE ba.author_id = ? AND b.deleted_at IS NULL
+      ORDER BY b.publication_year DESC
+    `, [authorId]);
+    
+    // Get co-authors
+    const [coauthors] = await pool.query(`
+      SELECT DISTINCT a.author_id, a.first_name, a.last_name, COUNT(b.book_id) AS shared_books
+      FROM authors a
+      JOIN book_authors ba1 ON a.author_id = ba1.author_id
+      JOIN book_authors ba2 ON ba1.book_id = ba2.book_id
+      JOIN books b ON ba1.book_id = b.book_id
+      WHERE ba2.author_id = ? AND a.author_id != ?
+        AND a.deleted_at IS NULL AND b.deleted_at IS NULL
+      GROUP BY a.author_id
+      ORDER BY shared_books DESC
+    `, [authorId, authorId]);
+    
+    author.books = books;
+    author.coauthors = coauthors;
+    
+    res.status(200).json(author);
+  });
+
+  // Create a new author
+  router.post('/', requireRole('librarian'), validate(schemas.author), async (req, res) => {
+    const { first_name, last_name, birth_date, biography } = req.body;
+    
+    const [result] = await pool.query(`
+      INSERT INTO authors (first_name, last_name, birth_date, biography)
+      VALUES (?, ?, ?, ?)
+    `, [first_name, last_name, birth_date, biography]);
+    
+    await auditChange(pool, req, 'author', result.insertId);
+    
+    res.status(201).json({ 
+      message: 'Author created successfully',
+      author_id: result.insertId
+    });
+  });
+
+  // Update an author
+  router.put('/:id', requireRole('librarian'), validate(schemas.author), async (req, res) => {
+    const authorId = req.params.id;
+    const { first_name, last_name, birth_date, biography } = req.body;
+    
+	  /*
+    // Check if author exists
+    const [authorCheck] = await pool.query(`
+      SELECT author_id FROM authors WHERE author_id = ?
+    `, [authorId]);
+    
+    if (authorCheck.length === 0) {
+      throw new NotFoundError('Author not found');
+    }
+	  */
+	  
+	  const [authorCheck] = await pool.query(`
+	  SELECT author_id,
+       COUNT(*) OVER () AS total_authors
+	  FROM authors
+	  WHERE author_id = ? AND deleted_at IS NULL
+	  `, [authorId]);
+
+	  if (authorCheck.length === 0) {
+		throw new NotFoundError('Author not found');
+	  }
+
+    
+    const before = await snapshot(pool, 'author', authorId);
+    
+    await pool.query(`
+      UPDATE authors SET
+        first_name = ?,
+        last_name = ?,
+        birth_date = ?,
+        biography = ?
+      WHERE author_id = ?
+    `, [first_name, last_name, birth_date, biography, authorId]);
+    
+    await auditChange(pool, req, 'author', authorId, before);
+    
+    res.status(200).json({ message: 'Author updated successfully' });
+  });
+
+  // Delete an author
+  router.delete('/:id', requireRole('admin'), async (req, res) => {
+    const authorId = req.params.id;
+    
+    // Check if the author has books (deleted books do not count)
+    const [booksCheck] = await pool.query(`
+	  SELECT DISTINCT ba.author_id,
+		COUNT(*) OVER (PARTITION BY ba.author_id) AS book_count
+	  FROM book_authors ba
+	  JOIN books b ON ba.book_id = b.book_id
+	  WHERE ba.author_id = ? AND b.deleted_at IS NULL
+	  `, [authorId]);
+    
+    if (booksCheck.length > 0 && booksCheck[0].book_count > 0) {
+      throw new ConflictError('Cannot delete author with associated books');
+    }
+    
+    // Hidden until restored or purged
+    await softDelete(pool, req, 'author', authorId);
+    
+    res.status(200).json({ message: 'Author deleted successfully' });
+  });
+
+  // Get books by author
+  router.get('/:id/books', async (req, res) => {
+    const authorId = req.params.id;
+    const list = listQuery(req, authorBookList);
+    
+	  /*
+    // Check if author exists
+    const [authorCheck] = await pool.query(`
+      SELECT author_id FROM authors WHERE author_id = ?
+    `, [authorId]);
+    
+    if (authorCheck.length === 0) {
+      throw new NotFoundError('Author not found');
+    }
+	  */
+	  
+	  const [rows] = await pool.query(`
+	  SELECT AuthorExists(?) AS existsFlag
+	  `, [authorId]);
+
+	  if (!rows[0].existsFlag) {
+		throw new NotFoundError('Author not found');
+	  }
+
+    
+    // Get books by the author with pagination
+    const [bookRows] = await pool.query(`
+      SELECT b.book_id, b.title, b.isbn, b.publication_year, 
+             b.language, b.available_copies, b.total_copies
+      FROM books b
+      JOIN book_authors ba ON b.book_id = ba.book_id
+      ${whereClause(['ba.author_id = ?', 'b.deleted_at IS NULL', ...list.conditions])}
+      ${list.orderAndLimit}
+    `, [authorId, ...list.parameters, ...list.limitParameters]);
+    
+    // Get total count for pagination
+    const [countResult] = await pool.query(`
+      SELECT COUNT(*) AS total 
+      FROM book_authors ba
+      JOIN books b ON ba.book_id = b.book_id
+      WHERE ba.author_id = ? AND b.deleted_at IS NULL
+    `, [authorId]);
+    const { items: books, pagination } = list.page(bookRows, countResult[0].total);
+    
+    res.status(200).json({ books, pagination });
+  });
+
+  // Restore a deleted author
+  router.post('/:id/restore', requireRole('admin'), async (req, res) => {
+    await restore(pool, req, 'author', req.params.id);
+    
+    res.status(200).json({ message: 'Author restored successfully' });
+  });
+
+  return router;
 };
\ No newline at end of file
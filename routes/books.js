@@ -1,391 +1,332 @@
-// File: routes/books.js
-const express = require('express');
-
-module.exports = (pool) => {
-  const router = express.Router();
-
-  // Get all books with pagination and filtering
-  router.get('/', async (req, res) => {
-    try {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 10;
-      const offset = (page - 1) * limit;
-      
-      const searchTerm = req.query.search || '';
-      const category = req.query.category || '';
-      const author = req.query.author || '';
-      const availability = req.query.availability;
-      
-      let query = `
-        SELECT b.book_id, b.title, b.isbn, b.publication_year, 
-               b.language, b.available_copies, b.total_copies,
-               p.name AS publisher_name
-        FROM books b
-        LEFT JOIN publishers p ON b.publisher_id = p.publisher_id
-      `;
-      
-      const conditions = [];
-      const parameters = [];
-      
-      // Add search condition if needed
-      if (searchTerm) {
-        conditions.push(`(MATCH(b.title, b.description) AGAINST(? IN BOOLEAN MODE))`);
-        parameters.push(`*${searchTerm}*`);
-      }
-      
-      // Add category filter
-      if (category) {
-        query += `
-          JOIN book_categories bc ON b.book_id = bc.book_id
-          JOIN categories c ON bc.category_id = c.category_id
-        `;
-        conditions.push(`c.name = ?`);
-        parameters.push(category);
-      }
-      
-      // Add author filter
-      if (author) {
-        query += `
-          JOIN book_authors ba ON b.book_id = ba.book_id
-          JOIN authors a ON ba.author_id = a.author_id
-        `;
-        conditions.push(`CONCAT(a.first_name, ' ', a.last_name) LIKE ?`);
-        parameters.push(`%${author}%`);
-      }
-      
-      // Add availability filter
-      if (availability === 'available') {
-        conditions.push(`b.available_copies > 0`);
-      } else if (availability === 'unavailable') {
-        conditions.push(`b.available_copies = 0`);
-      }
-      
-      // Add WHERE clause if any conditions exist
-      if (conditions.length > 0) {
-        query += ` WHERE ${conditions.join(' AND ')}`;
-      }
-      
-      // Add pagination
-      query += ` GROUP BY b.book_id LIMIT ? OFFSET ?`;
-      parameters.push(limit, offset);
-      
-      // Get total count for pagination
-      let countQuery = `
-        SELECT COUNT(DISTINCT b.book_id) AS total 
-        FROM books b
-      `;
-      
-      if (category) {
-        countQuery += `
-          JOIN book_categories bc ON b.book_id = bc.book_id
-          JOIN categories c ON bc.category_id = c.category_id
-        `;
-      }
-      
-      if (author) {
-        countQuery += `
-          JOIN book_authors ba ON b.book_id = ba.book_id
-          JOIN authors a ON ba.author_id = a.author_id
-        `;
-      }
-      
-      if (conditions.length > 0) {
-        countQuery += ` WHERE ${conditions.join(' AND ')}`;
-      }
-      
-      const [books] = await pool.query(query, parameters);
-      const [countResult] = await pool.query(countQuery, parameters.slice(0, -2));
-      const totalCount = countResult[0].total;
-      
-      // For each book, get its authors
-      for (const book of books) {
-        const [authors] = await pool.query(`
-          SELECT a.author_id, a.first_name, a.last_name
-          FROM authors a
-          JOIN book_authors ba ON a.author_id = ba.author_id
-          WHERE ba.book_id = ?
-        `, [book.book_id]);
-        
-        const [categories] = await pool.query(`
-          SELECT c.category_id, c.name
-          FROM categories c
-          JOIN book_categories bc ON c.category_id = bc.category_id
-          WHERE bc.book_id = ?
-        `, [book.book_id]);
-        
-        book.authors = authors;
-        book.categories = categories;
-      }
-      
-      res.status(200).json({
-        books,
-        pagination: {
-          total: totalCount,
-          page,
-          limit,
-          pages: Math.ceil(totalCount / limit)
-        }
-      });
-    } catch (error) {
-      console.error('Error getting books:', error);
-      res.status(500).json({ message: 'Error retrieving books', error: error.message });
-    }
-  });
-
-  // Get book by ID
-  router.get('/:id', async (req, res) => {
-    try {
-      const bookId = req.params.id;
-      
-      // Get book basic info
-      const [books] = await pool.query(`
-        SELECT b.*, p.name AS publisher_name
-        FROM books b
-        LEFT JOIN publishers p ON b.publisher_id = p.publisher_id
-        WHERE b.book_id = ?
-      `, [bookId]);
-      
-      if (books.length === 0) {
-        return res.status(404).json({ message: 'Book not found' });
-      }
-      
-      const book = books[0];
-      
-      // Get book authors
-      const [authors] = await pool.query(`
-        SELECT a.author_id, a.first_name, a.last_name
-        FROM authors a
-        JOIN book_authors ba ON a.author_id = ba.author_id
-        WHERE ba.book_id = ?
-      `, [bookId]);
-      
-      // Get book categories
-      const [categories] = await pool.query(`
-        SELECT c.category_id, c.name
-        FROM categories c
-        JOIN book_categories bc ON c.category_id = bc.category_id
-        WHERE bc.book_id = ?
-      `, [bookId]);
-      
-      // Get current borrowings of this book
-      const [borrowings] = await pool.query(`
-        SELECT b.borrowing_id, b.borrow_date, b.due_date, b.status,
-               m.member_id, CONCAT(m.first_name, ' ', m.last_name) AS member_name
-        FROM borrowings b
-        JOIN members m ON b.member_id = m.member_id
-        WHERE b.book_id = ? AND b.status IN ('borrowed', 'overdue')
-        ORDER BY b.due_date
-      `, [bookId]);
-      
-      book.authors = authors;
-      book.categories = categories;
-      book.current_borrowings = borrowings;
-      
-      res.status(200).json(book);
-    } catch (error) {
-      console.error('Error getting book:', error);
-      res.status(500).json({ message: 'Error retrieving book', error: error.message });
-    }
-  });
-
-  // Create a new book
-  router.post('/', async (req, res) => {
-    try {
-      const { 
-        title, isbn, publisher_id, publication_year, language,
-        page_count, description, total_copies, author_ids, category_ids 
-      } = req.body;
-      
-      // Start a transaction
-      const connection = await pool.getConnection();
-      await connection.beginTransaction();
-      
-      try {
-        // Insert the book
-        const [result] = await connection.query(`
-          INSERT INTO books (
-            title, isbn, publisher_id, publication_year, language,
-            page_count, description, total_copies, available_copies
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `, [
-          title, isbn, publisher_id, publication_year, language,
-          page_count, description, total_copies, total_copies
-        ]);
-        
-        const bookId = result.insertId;
-        
-        // Add author relationships
-        if (author_ids && author_ids.length > 0) {
-          const authorValues = author_ids.map(authorId => [bookId, authorId]);
-          await connection.query(`
-            INSERT INTO book_authors (book_id, author_id) VALUES ?
-          `, [authorValues]);
-        }
-        
-        // Add category relationships
-        if (category_ids && category_ids.length > 0) {
-          const categoryValues = category_ids.map(categoryId => [bookId, categoryId]);
-          await connection.query(`
-            INSERT INTO book_categories (book_id, category_id) VALUES ?
-          `, [categoryValues]);
-        }
-        
-        // Commit the transaction
-        await connection.commit();
-        
-        res.status(201).json({ 
-          message: 'Book created successfully',
-          book_id: bookId
-        });
-      } catch (error) {
-        // Rollback in case of error
-        await connection.rollback();
-        throw error;
-      } finally {
-        connection.release();
-      }
-    } catch (error) {
-      console.error('Error creating book:', error);
-      res.status(500).json({ message: 'Error creating book', error: error.message });
-    }
-  });
-
-  // Update a book
-  router.put('/:id', async (req, res) => {
-    try {
-      const bookId = req.params.id;
-      const { 
-        title, isbn, publisher_id, publication_year, language,
-        page_count, description, total_copies, available_copies,
-        author_ids, category_ids 
-      } = req.body;
-      
-      // Start a transaction
-      const connection = await pool.getConnection();
-      await connection.beginTransaction();
-      
-      try {
-        // Update the book
-        await connection.query(`
-          UPDATE books SET
-            title = ?,
-            isbn = ?,
-            publisher_id = ?,
-            publication_year = ?,
-            language = ?,
-            page_count = ?,
-            description = ?,
-            total_copies = ?,
-            available_copies = ?
-          WHERE book_id = ?
-        `, [
-          title, isbn, publisher_id, publication_year, language,
-          page_count, description, total_copies, available_copies,
-          bookId
-        ]);
-        
-        // Update author relationships if provided
-        if (author_ids) {
-          // Remove existing relationships
-          await connection.query(`DELETE FROM book_authors WHERE book_id = ?`, [bookId]);
-          
-          // Add new relationships
-          if (author_ids.length > 0) {
-            const authorValues = author_ids.map(authorId => [bookId, authorId]);
-            await connection.query(`
-              INSERT INTO book_authors (book_id, author_id) VALUES ?
-            `, [authorValues]);
-          }
-        }
-        
-        // Update category relationships if provided
-        if (category_ids) {
-          // Remove existing relationships
-          await connection.query(`DELETE FROM book_categories WHERE book_id = ?`, [bookId]);
-          
-          // Add new relationships
-          if (category_ids.length > 0) {
-            const categoryValues = category_ids.map(categoryId => [bookId, categoryId]);
-            await connection.query(`
-              INSERT INTO book_categories (book_id, category_id) VALUES ?
-            `, [categoryValues]);
-          }
-        }
-        
-        // Commit the transaction
-        await connection.commit();
-        
-        res.status(200).json({ message: 'Book updated successfully' });
-      } catch (error) {
-        // Rollback in case of error
-        await connection.rollback();
-        throw error;
-      } finally {
-        connection.release();
-      }
-    } catch (error) {
-      console.error('Error updating book:', error);
-      res.status(500).json({ message: 'Error updating book', error: error.message });
-    }
-  });
-
-  // Delete a book
-  router.delete('/:id', async (req, res) => {
-    try {
-      const bookId = req.params.id;
-      /*
-      // Check if the book has active borrowings
-      const [activeBorrowings] = await pool.query(`
-        SELECT COUNT(*) AS count
-        FROM borrowings
-        WHERE book_id = ? AND status IN ('borrowed', 'overdue')
-      `, [bookId]);
-      
-      if (activeBorrowings[0].count > 0) {
-        return res.status(400).json({ 
-          message: 'Cannot delete book with active borrowings'
-        });
-      }
-	  */
-	  // Check if the book has active borrowings using MySQL function
-	   const [rows] = await pool.query(`
-	  SELECT GetActiveBorrowingsCount(?) AS count
-	  `, [bookId]);
-
-	  if (rows[0].count > 0) {
-		return res.status(400).json({
-		message: 'Cannot delete book with active borrowings'
-		});
-	  }
-      
-      // Start a transaction
-      const connection = await pool.getConnection();
-      await connection.beginTransaction();
-      
-      try {
-        // Delete relationships
-        await connection.query(`DELETE FROM book_authors WHERE book_id = ?`, [bookId]);
-        await connection.query(`DELETE FROM book_categories WHERE book_id = ?`, [bookId]);
-        
-        // Delete the book
-        await connection.query(`DELETE FROM books WHERE book_id = ?`, [bookId]);
-        
-        // Commit the transaction
-        await connection.commit();
-        
-        res.status(200).json({ message: 'Book deleted successfully' });
-      } catch (error) {
-        // Rollback in case of error
-        await connection.rollback();
-        throw error;
-      } finally {
-        connection.release();
-      }
-    } catch (error) {
-      console.error('Error deleting book:', error);
-      res.status(500).json({ message: 'Error deleting book', error: error.message });
-    }
-  });
-
-  return router;
+// File: routes/books.js
+const express = require('express');
+const { BadRequestError, ConflictError, NotFoundError } = require('../errors');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+const { withTransaction } = require('../db/transaction');
+const bookRepository = require('../repositories/books');
+const borrowingRepository = require('../repositories/borrowings');
+const {
+  IMPORT_FORMATS, formatFromContentType, parseImport, importBooks
+} = require('../services/bookImport');
+const { bookFilters, whereClause } = require('../services/filters');
+const { streamExport } = require('../services/exporter');
+const { BOOK_INCLUDES, parseIncludes, loadBookRelations } = require('../services/bookRelations');
+const { listQuery } = require('../services/listQuery');
+const { buildSearch, searchFacets } = require('../services/catalogueSearch');
+const { createIsbnProvider } = require('../services/isbnProviders');
+const { lookupIsbn, applyMetadata } = require('../services/isbnLookup');
+const { snapshot, auditChange } = require('../services/audit');
+const { deletedFilter, softDelete, restore } = require('../services/softDelete');
+const { cancelReservations } = require('../services/reservations');
+
+// Sorting and fields of the book list, fields include the related records
+const bookList = {
+  sortable: {
+    book_id: 'b.book_id',
+    title: 'b.title',
+    isbn: 'b.isbn',
+    publication_year: 'b.publication_year',
+    language: 'b.language',
+    available_copies: 'b.available_copies',
+    total_copies: 'b.total_copies',
+    publisher_name: 'p.name'
+  },
+  defaultSort: 'book_id',
+  key: 'book_id',
+  fields: [
+    'book_id', 'title', 'isbn', 'publication_year', 'language', 'available_copies',
+    'total_copies', 'publisher_name', 'deleted_at', ...BOOK_INCLUDES
+  ]
+};
+
+// Sorting of search results, by relevance when there is free text to rank by
+const searchList = {
+  sortable: {
+    relevance: 'relevance',
+    book_id: 'b.book_id',
+    title: 'b.title',
+    publication_year: 'b.publication_year'
+  },
+  key: 'book_id',
+  fields: [...bookList.fields, 'relevance'],
+  cursors: false
+};
+
+module.exports = (pool, isbnProvider = createIsbnProvider()) => {
+  const router = express.Router();
+
+  // With ?enrich=true, fill the fields missing from a new book from its ISBN's
+  // metadata before validation, so title may come from the lookup
+  const enrichFromIsbn = async (req, res, next) => {
+    if (req.query.enrich !== 'true') {
+      return next();
+    }
+    if (!req.body?.isbn) {
+      throw new BadRequestError('isbn is required to enrich a book');
+    }
+    
+    const lookup = await lookupIsbn(pool, isbnProvider, req.body.isbn);
+    if (!lookup) {
+      throw new NotFoundError(`No metadata found for ISBN ${req.body.isbn}`);
+    }
+    
+    req.enrichment = applyMetadata(req.body, lookup);
+    next();
+  };
+
+  // Get all books with pagination and filtering,
+  // ?include= selects the related records (default: authors,categories)
+  router.get('/', async (req, res) => {
+    const list = listQuery(req, bookList);
+    
+    let query = `
+      SELECT b.book_id, b.title, b.isbn, b.publication_year, 
+             b.language, b.available_copies, b.total_copies, b.deleted_at,
+             p.name AS publisher_name
+      FROM books b
+      LEFT JOIN publishers p ON b.publisher_id = p.publisher_id
+    `;
+    
+    // Search, category, author and availability filters
+    const { conditions, parameters } = bookFilters(req.query);
+    conditions.push(...deletedFilter(req, 'b'));
+    
+    query += whereClause([...conditions, ...list.conditions]);
+    
+    // Add sorting and pagination
+    query += list.orderAndLimit;
+    
+    // Get total count for pagination
+    const countQuery = `SELECT COUNT(*) AS total FROM books b ${whereClause(conditions)}`;
+    
+    const [rows] = await pool.query(query, [...parameters, ...list.parameters, ...list.limitParameters]);
+    const [countResult] = await pool.query(countQuery, parameters);
+    
+    // Related records for the whole page, one query per relation
+    await loadBookRelations(pool, rows, parseIncludes(req, ['authors', 'categories']));
+    
+    const { items: books, pagination } = list.page(rows, countResult[0].total);
+    
+    res.status(200).json({ books, pagination });
+  });
+
+  // Search the catalogue (?q=, see services/catalogueSearch.js) with facet counts,
+  // ?category, ?language, ?decade, ?publisher and ?availability narrow the results
+  router.get('/search', async (req, res) => {
+    const search = buildSearch(req.query);
+    search.conditions.push(...deletedFilter(req, 'b'));
+    const list = listQuery(req, { ...searchList, defaultSort: search.terms.length > 0 ? '-relevance' : 'title' });
+    
+    const from = `
+      FROM books b
+      LEFT JOIN publishers p ON b.publisher_id = p.publisher_id
+      ${whereClause(search.conditions)}
+    `;
+    
+    const [rows] = await pool.query(`
+      SELECT b.book_id, b.title, b.isbn, b.publication_year, 
+             b.language, b.available_copies, b.total_copies,
+             p.name AS publisher_name,
+             ${search.relevance.sql} AS relevance
+      ${from}
+      ${list.orderAndLimit}
+    `, [...search.relevance.parameters, ...search.parameters, ...list.limitParameters]);
+    
+    const [countResult] = await pool.query(`SELECT COUNT(*) AS total ${from}`, search.parameters);
+    
+    await loadBookRelations(pool, rows, parseIncludes(req, ['authors', 'categories']));
+    
+    const facets = await searchFacets(pool, search);
+    const { items: books, pagination } = list.page(rows, countResult[0].total);
+    
+    res.status(200).json({ books, facets, pagination });
+  });
+
+  // Look up the metadata of an ISBN, with its publisher and authors matched to
+  // existing rows (?refresh=true bypasses the cache)
+  router.get('/lookup/:isbn', requireRole('staff'), async (req, res) => {
+    const lookup = await lookupIsbn(pool, isbnProvider, req.params.isbn, { refresh: req.query.refresh === 'true' });
+    
+    if (!lookup) {
+      throw new NotFoundError(`No metadata found for ISBN ${req.params.isbn}`);
+    }
+    
+    res.status(200).json(lookup);
+  });
+
+  // Export books with their authors, categories and publisher (?format=csv|jsonl|marcxml),
+  // accepts the same filters as the list
+  router.get('/export', requireRole('staff'), async (req, res) => {
+    const { conditions, parameters } = bookFilters(req.query);
+    conditions.push(...deletedFilter(req, 'b'));
+    
+    await streamExport(pool, res, {
+      name: 'books',
+      format: req.query.format || 'csv',
+      formats: ['csv', 'jsonl', 'marcxml'],
+      sql: `
+        SELECT b.book_id, b.title, b.isbn, p.name AS publisher, b.publication_year,
+               b.language, b.page_count, b.description, b.replacement_cost,
+               b.available_copies, b.total_copies,
+               (SELECT JSON_ARRAYAGG(JSON_OBJECT(
+                  'author_id', a.author_id, 'first_name', a.first_name, 'last_name', a.last_name))
+                FROM book_authors ba
+                JOIN authors a ON ba.author_id = a.author_id
+                WHERE ba.book_id = b.book_id) AS authors,
+               (SELECT JSON_ARRAYAGG(c.name)
+                FROM book_categories bc
+                JOIN categories c ON bc.category_id = c.category_id
+                WHERE bc.book_id = b.book_id) AS categories
+        FROM books b
+        LEFT JOIN publishers p ON b.publisher_id = p.publisher_id
+        ${whereClause(conditions)}
+        ORDER BY b.book_id
+      `,
+      parameters,
+      toRecord: (row) => ({ ...row, authors: row.authors || [], categories: row.categories || [] }),
+      // Same columns as the CSV import, so an export can be imported again
+      columns: [
+        ['book_id', book => book.book_id],
+        ['title', book => book.title],
+        ['isbn', book => book.isbn],
+        ['authors', book => book.authors.map(author => `${author.last_name}, ${author.first_name}`)],
+        ['publisher', book => book.publisher],
+        ['publication_year', book => book.publication_year],
+        ['language', book => book.language],
+        ['page_count', book => book.page_count],
+        ['description', book => book.description],
+        ['categories', book => book.categories],
+        ['replacement_cost', book => book.replacement_cost],
+        ['available_copies', book => book.available_copies],
+        ['total_copies', book => book.total_copies]
+      ]
+    });
+  });
+
+  // Get book by ID,
+  // ?include= selects the related records (default: authors,categories,current_borrowings,items,
+  // members only get authors,categories and cannot include the loans or copies)
+  router.get('/:id', async (req, res) => {
+    const bookId = req.params.id;
+    
+    // Get book basic info
+    const [books] = await pool.query(`
+      SELECT b.*, p.name AS publisher_name
+      FROM books b
+      LEFT JOIN publishers p ON b.publisher_id = p.publisher_id
+      ${whereClause(['b.book_id = ?', ...deletedFilter(req, 'b')])}
+    `, [bookId]);
+    
+    if (books.length === 0) {
+      throw new NotFoundError('Book not found');
+    }
+    
+    const book = books[0];
+    
+    await loadBookRelations(pool, [book], parseIncludes(
+      req, ['authors', 'categories', 'current_borrowings', 'items']
+    ));
+    
+    res.status(200).json(book);
+  });
+
+  // Bulk import books from a CSV, MARC21 or MARCXML file sent as the request body.
+  // The format comes from ?format= or the Content-Type, ?dry_run=true only reports
+  // what would be created, updated or rejected.
+  router.post('/import', requireRole('librarian'), express.raw({ type: () => true, limit: '10mb' }), async (req, res) => {
+    const format = req.query.format || formatFromContentType(req.get('Content-Type'));
+    
+    if (!IMPORT_FORMATS.includes(format)) {
+      throw new BadRequestError(`Unsupported import format, expected one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+    
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      throw new BadRequestError('Import file is empty');
+    }
+    
+    let records;
+    try {
+      records = parseImport(format, req.body);
+    } catch (error) {
+      throw new BadRequestError(`Could not parse ${format} file: ${error.message}`);
+    }
+    
+    const report = await importBooks(pool, records, {
+      dryRun: req.query.dry_run === 'true',
+      batchSize: Math.max(parseInt(req.query.batch_size) || 100, 1),
+      req
+    });
+    
+    res.status(200).json({ format, ...report });
+  });
+
+  // Create a new book
+  router.post('/', requireRole('librarian'), enrichFromIsbn, validate(schemas.createBook), async (req, res) => {
+    const bookId = await withTransaction(pool, async (connection) => {
+      const bookId = await bookRepository.create(connection, req.body);
+      
+      await auditChange(connection, req, 'book', bookId);
+      
+      return bookId;
+    });
+    
+    res.status(201).json({ 
+      message: 'Book created successfully',
+      book_id: bookId,
+      ...(req.enrichment && { enrichment: req.enrichment })
+    });
+  });
+
+  // Update a book
+  router.put('/:id', requireRole('librarian'), validate(schemas.updateBook), async (req, res) => {
+    const bookId = req.params.id;
+    
+    await withTransaction(pool, async (connection) => {
+      const before = await snapshot(connection, 'book', bookId);
+      
+      if (!before || before.deleted_at) {
+        throw new NotFoundError('Book not found');
+      }
+      
+      await bookRepository.update(connection, bookId, req.body);
+      
+      await auditChange(connection, req, 'book', bookId, before);
+    });
+    
+    res.status(200).json({ message: 'Book updated successfully' });
+  });
+
+  // Delete a book. It is hidden until restored or purged, its authors,
+  // categories, copies and loan history are kept.
+  router.delete('/:id', requireRole('admin'), async (req, res) => {
+    const bookId = req.params.id;
+    
+    // Check if the book has active borrowings
+    if (await borrowingRepository.countActive(pool, { book_id: bookId }) > 0) {
+      throw new ConflictError('Cannot delete book with active borrowings');
+    }
+    
+    const cancelledReservations = await withTransaction(pool, async (connection) => {
+      await softDelete(connection, req, 'book', bookId);
+      
+      // Nobody can borrow the book anymore, so nobody waits for it
+      return cancelReservations(connection, req, 'book_id', bookId);
+    });
+    
+    res.status(200).json({
+      message: 'Book deleted successfully',
+      cancelled_reservations: cancelledReservations
+    });
+  });
+
+  // Restore a deleted book
+  router.post('/:id/restore', requireRole('admin'), async (req, res) => {
+    await restore(pool, req, 'book', req.params.id);
+    
+    res.status(200).json({ message: 'Book restored successfully' });
+  });
+
+  return router;
 };
\ No newline at end of file
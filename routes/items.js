@@ -0,0 +1,255 @@
+// File: routes/items.js
+const express = require('express');
+const { BadRequestError, ConflictError, NotFoundError } = require('../errors');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { withTransaction } = require('../db/transaction');
+const schemas = require('../validation/schemas');
+const bookRepository = require('../repositories/books');
+const { whereClause } = require('../services/filters');
+const { listQuery } = require('../services/listQuery');
+const { snapshot, auditChange } = require('../services/audit');
+const { deletedFilter } = require('../services/softDelete');
+const { releaseItem } = require('../services/reservations');
+const { formatDate } = require('../services/loanPolicies');
+
+// Sorting and fields of the item list
+const itemList = {
+  sortable: {
+    item_id: 'i.item_id',
+    barcode: 'i.barcode',
+    shelf_location: 'i.shelf_location',
+    item_condition: 'i.item_condition',
+    status: 'i.status',
+    title: 'bk.title'
+  },
+  defaultSort: 'barcode',
+  key: 'item_id',
+  fields: ['item_id', 'barcode', 'shelf_location', 'item_condition', 'status', 'book_id', 'title']
+};
+
+module.exports = (pool) => {
+  const router = express.Router();
+
+  const itemQuery = `
+    SELECT i.*, bk.title, bk.isbn,
+           br.borrowing_id, br.member_id, br.due_date
+    FROM items i
+    JOIN books bk ON i.book_id = bk.book_id
+    LEFT JOIN borrowings br ON br.item_id = i.item_id AND br.status IN ('borrowed', 'overdue')
+  `;
+
+  // Get all items with filtering options
+  router.get('/', requireRole('staff'), async (req, res) => {
+    const list = listQuery(req, itemList);
+
+    const bookId = req.query.book_id;
+    const status = req.query.status;
+    const barcode = req.query.barcode;
+
+    let query = `
+      SELECT i.item_id, i.barcode, i.shelf_location, i.item_condition, i.status,
+             bk.book_id, bk.title
+      FROM items i
+      JOIN books bk ON i.book_id = bk.book_id
+    `;
+
+    // Copies of deleted books are hidden with their book
+    const conditions = deletedFilter(req, 'bk');
+    const parameters = [];
+
+    // Add filters if needed
+    if (bookId) {
+      conditions.push(`i.book_id = ?`);
+      parameters.push(bookId);
+    }
+
+    if (status) {
+      conditions.push(`i.status = ?`);
+      parameters.push(status);
+    }
+
+    if (barcode) {
+      conditions.push(`i.barcode LIKE ?`);
+      parameters.push(`${barcode}%`);
+    }
+
+    // Add WHERE clause if any conditions exist
+    query += whereClause([...conditions, ...list.conditions]);
+
+    // Add sorting and pagination
+    query += list.orderAndLimit;
+
+    // Get total count for pagination
+    const countQuery = `
+      SELECT COUNT(*) AS total
+      FROM items i
+      JOIN books bk ON i.book_id = bk.book_id
+      ${whereClause(conditions)}
+    `;
+
+    const [rows] = await pool.query(query, [...parameters, ...list.parameters, ...list.limitParameters]);
+    const [countResult] = await pool.query(countQuery, parameters);
+    const { items, pagination } = list.page(rows, countResult[0].total);
+
+    res.status(200).json({ items, pagination });
+  });
+
+  // Look up an item by scanned barcode, with its current borrowing
+  router.get('/barcode/:barcode', requireRole('staff'), async (req, res) => {
+    const [items] = await pool.query(`${itemQuery} WHERE i.barcode = ?`, [req.params.barcode]);
+
+    if (items.length === 0) {
+      throw new NotFoundError('Item not found');
+    }
+
+    res.status(200).json(items[0]);
+  });
+
+  // Get item by ID, with its current borrowing
+  router.get('/:id', requireRole('staff'), async (req, res) => {
+    const [items] = await pool.query(`${itemQuery} WHERE i.item_id = ?`, [req.params.id]);
+
+    if (items.length === 0) {
+      throw new NotFoundError('Item not found');
+    }
+
+    res.status(200).json(items[0]);
+  });
+
+  // Add a physical copy of a book. The new copy goes to the reservation queue
+  // of the book before the shelf.
+  router.post('/', requireRole('librarian'), validate(schemas.createItem), async (req, res) => {
+    const {
+      book_id, barcode, shelf_location, item_condition, acquired_date, notes
+    } = req.body;
+
+    const result = await withTransaction(pool, async (connection) => {
+      // Check if the book exists, locked like a checkout locks it
+      await bookRepository.getById(connection, book_id, { lock: true });
+
+      // Check if barcode already exists
+      const [barcodeCheck] = await connection.query(`
+        SELECT item_id FROM items WHERE barcode = ?
+      `, [barcode]);
+
+      if (barcodeCheck.length > 0) {
+        throw new ConflictError('Barcode already in use');
+      }
+
+      // Added out of circulation, releaseItem puts it on the shelf or on hold
+      const [insertResult] = await connection.query(`
+        INSERT INTO items (
+          book_id, barcode, shelf_location, item_condition, status, acquired_date, notes
+        ) VALUES (?, ?, ?, ?, 'repair', ?, ?)
+      `, [
+        book_id,
+        barcode,
+        shelf_location,
+        item_condition || 'good',
+        acquired_date || formatDate(new Date()), // Default to current date
+        notes
+      ]);
+
+      const itemId = insertResult.insertId;
+      const heldForReservationId = await releaseItem(connection, itemId, book_id);
+
+      await auditChange(connection, req, 'item', itemId);
+
+      return { item_id: itemId, held_for_reservation_id: heldForReservationId };
+    });
+
+    res.status(201).json({
+      message: 'Item created successfully',
+      ...result
+    });
+  });
+
+  // Update an item's location, condition or shelf status. A copy that goes back
+  // to the shelf goes to the reservation queue of its book first.
+  router.put('/:id', requireRole('librarian'), validate(schemas.updateItem), async (req, res) => {
+    const itemId = req.params.id;
+    const { shelf_location, item_condition, status, notes } = req.body;
+
+    const heldForReservationId = await withTransaction(pool, async (connection) => {
+      // Lock the book with the item, so no checkout lends it meanwhile
+      const [itemCheck] = await connection.query(`
+        SELECT i.book_id, i.status
+        FROM items i
+        JOIN books bk ON i.book_id = bk.book_id
+        WHERE i.item_id = ?
+        FOR UPDATE
+      `, [itemId]);
+
+      if (itemCheck.length === 0) {
+        throw new NotFoundError('Item not found');
+      }
+
+      // Circulation owns the status of items that are lent, held or lost
+      const { book_id: bookId, status: currentStatus } = itemCheck[0];
+      if (status && status !== currentStatus && !['available', 'repair', 'withdrawn'].includes(currentStatus)) {
+        throw new BadRequestError(`Cannot change status of an item that is ${currentStatus}`);
+      }
+
+      const isReleased = status === 'available' && currentStatus !== 'available';
+
+      const before = await snapshot(connection, 'item', itemId);
+
+      await connection.query(`
+        UPDATE items SET
+          shelf_location = COALESCE(?, shelf_location),
+          item_condition = COALESCE(?, item_condition),
+          status = COALESCE(?, status),
+          notes = COALESCE(?, notes)
+        WHERE item_id = ?
+      `, [shelf_location, item_condition, isReleased ? null : status, notes, itemId]);
+
+      const heldFor = isReleased ? await releaseItem(connection, itemId, bookId) : null;
+
+      await auditChange(connection, req, 'item', itemId, before);
+
+      return heldFor;
+    });
+
+    res.status(200).json({
+      message: 'Item updated successfully',
+      held_for_reservation_id: heldForReservationId
+    });
+  });
+
+  // Delete an item that was added by mistake
+  router.delete('/:id', requireRole('admin'), async (req, res) => {
+    const itemId = req.params.id;
+
+    await withTransaction(pool, async (connection) => {
+      const [itemCheck] = await connection.query(`
+        SELECT item_id FROM items WHERE item_id = ? FOR UPDATE
+      `, [itemId]);
+
+      if (itemCheck.length === 0) {
+        throw new NotFoundError('Item not found');
+      }
+
+      // Items with history must be withdrawn instead, so borrowings keep their item
+      const [borrowingsCheck] = await connection.query(`
+        SELECT COUNT(*) AS count FROM borrowings WHERE item_id = ?
+      `, [itemId]);
+
+      if (borrowingsCheck[0].count > 0) {
+        throw new ConflictError('Cannot delete item with borrowing history, withdraw it instead');
+      }
+
+      const before = await snapshot(connection, 'item', itemId);
+
+      await connection.query(`
+        DELETE FROM items WHERE item_id = ?
+      `, [itemId]);
+
+      await auditChange(connection, req, 'item', itemId, before);
+    });
+
+    res.status(200).json({ message: 'Item deleted successfully' });
+  });
+
+  return router;
+};
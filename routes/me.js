@@ -0,0 +1,249 @@
+// File: routes/me.js
+// Self-service for members, mounted at /api/me. Everything is for the member
+// of the logged in account, so no route takes a member id.
+const express = require('express');
+const { ForbiddenError, NotFoundError } = require('../errors');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+const { withTransaction } = require('../db/transaction');
+const memberRepository = require('../repositories/members');
+const borrowingRepository = require('../repositories/borrowings');
+const { resolvePolicy } = require('../services/loanPolicies');
+const { renewBorrowing } = require('../services/renewals');
+const { getBalance, getBalanceLimit } = require('../services/ledger');
+const { placeReservation, cancelReservation } = require('../services/reservations');
+const { forgetReadingHistory } = require('../services/readingHistory');
+const { whereClause } = require('../services/filters');
+const { listQuery } = require('../services/listQuery');
+const { snapshot, auditChange } = require('../services/audit');
+
+// Sorting and fields of the reading history
+const historyList = {
+  sortable: {
+    borrowing_id: 'b.borrowing_id',
+    borrow_date: 'b.borrow_date',
+    return_date: 'b.return_date',
+    title: 'bk.title'
+  },
+  defaultSort: '-return_date',
+  key: 'borrowing_id',
+  fields: ['borrowing_id', 'borrow_date', 'return_date', 'book_id', 'title', 'isbn']
+};
+
+const PROFILE_COLUMNS = `
+  member_id, first_name, last_name, email, phone, address, registration_date,
+  membership_end_date, membership_status, member_type, keep_history
+`;
+
+module.exports = (pool) => {
+  const router = express.Router();
+
+  // Staff accounts have no member record, and deleted members have no portal
+  router.use(async (req, res, next) => {
+    if (!req.user.member_id) {
+      throw new ForbiddenError('Only member accounts can use the member portal');
+    }
+
+    await memberRepository.getById(pool, req.user.member_id);
+
+    next();
+  });
+
+  const getProfile = async (db, memberId) => {
+    const [members] = await db.query(`SELECT ${PROFILE_COLUMNS} FROM members WHERE member_id = ?`, [memberId]);
+    return { ...members[0], keep_history: Boolean(members[0].keep_history) };
+  };
+
+  // Get the member's profile
+  router.get('/', async (req, res) => {
+    res.status(200).json(await getProfile(pool, req.user.member_id));
+  });
+
+  // Update the member's contact details and history setting. Turning the
+  // history off forgets the loans returned so far right away.
+  router.put('/', validate(schemas.updateProfile), async (req, res) => {
+    const memberId = req.user.member_id;
+    const { phone, address, keep_history } = req.body;
+
+    const result = await withTransaction(pool, async (connection) => {
+      const before = await snapshot(connection, 'member', memberId);
+
+      await connection.query(`
+        UPDATE members SET
+          phone = COALESCE(?, phone),
+          address = COALESCE(?, address),
+          keep_history = COALESCE(?, keep_history)
+        WHERE member_id = ?
+      `, [phone ?? null, address ?? null, keep_history ?? null, memberId]);
+
+      await auditChange(connection, req, 'member', memberId, before);
+
+      const forgotten = keep_history === false
+        ? await forgetReadingHistory(connection, memberId)
+        : 0;
+
+      return {
+        forgotten_loans: forgotten,
+        profile: await getProfile(connection, memberId)
+      };
+    });
+
+    res.status(200).json({
+      message: 'Profile updated successfully',
+      ...result
+    });
+  });
+
+  // Get the member's current loans, due first
+  router.get('/loans', async (req, res) => {
+    const memberId = req.user.member_id;
+
+    const [loans] = await pool.query(`
+      SELECT b.borrowing_id, b.borrow_date, b.due_date, b.status, b.renewal_count, b.fine_amount,
+             DATEDIFF(b.due_date, CURDATE()) AS days_remaining,
+             bk.book_id, bk.title, bk.isbn, i.barcode
+      FROM borrowings b
+      JOIN books bk ON b.book_id = bk.book_id
+      LEFT JOIN items i ON b.item_id = i.item_id
+      WHERE b.member_id = ? AND b.status IN ('borrowed', 'overdue', 'lost')
+      ORDER BY b.due_date ASC, b.borrowing_id ASC
+    `, [memberId]);
+
+    // Renewals left under each loan's policy, null when unlimited
+    for (const loan of loans) {
+      const policy = await resolvePolicy(pool, memberId, loan.book_id);
+      loan.renewals_left = policy.max_renewals === null
+        ? null
+        : Math.max(policy.max_renewals - loan.renewal_count, 0);
+    }
+
+    res.status(200).json({ loans });
+  });
+
+  // Renew one of the member's loans, within the limits of its loan policy
+  router.post('/loans/:id/renew', async (req, res) => {
+    const borrowingId = req.params.id;
+
+    const renewal = await withTransaction(pool, async (connection) => {
+      // Other members' loans are not found rather than forbidden
+      const borrowing = await borrowingRepository.findById(connection, borrowingId);
+
+      if (!borrowing || borrowing.member_id !== req.user.member_id) {
+        throw new NotFoundError('Borrowing record not found');
+      }
+
+      return renewBorrowing(connection, req, borrowingId);
+    });
+
+    res.status(200).json({
+      message: 'Borrowing renewed successfully',
+      ...renewal
+    });
+  });
+
+  // Get the member's pending and ready reservations
+  router.get('/reservations', async (req, res) => {
+    const [reservations] = await pool.query(`
+      SELECT r.reservation_id, r.reservation_date, r.expiry_date, r.ready_date, r.status,
+             bk.book_id, bk.title, bk.isbn,
+             CASE WHEN r.status = 'pending' THEN (
+               SELECT COUNT(*) FROM reservations q
+               WHERE q.book_id = r.book_id AND q.status = 'pending'
+                 AND (q.reservation_date < r.reservation_date
+                      OR (q.reservation_date = r.reservation_date AND q.reservation_id <= r.reservation_id))
+             ) END AS queue_position
+      FROM reservations r
+      JOIN books bk ON r.book_id = bk.book_id
+      WHERE r.member_id = ? AND r.status IN ('pending', 'ready')
+      ORDER BY r.reservation_date ASC, r.reservation_id ASC
+    `, [req.user.member_id]);
+
+    res.status(200).json({ reservations });
+  });
+
+  // Reserve a book for the member
+  router.post('/reservations', validate(schemas.ownReservation), async (req, res) => {
+    const { book_id, expiry_date } = req.body;
+
+    const reservation = await withTransaction(pool, connection => placeReservation(connection, req, {
+      book_id,
+      member_id: req.user.member_id,
+      expiry_date
+    }));
+
+    res.status(201).json({
+      message: 'Book reserved successfully',
+      ...reservation
+    });
+  });
+
+  // Cancel one of the member's reservations
+  router.put('/reservations/:id/cancel', async (req, res) => {
+    const reservationId = req.params.id;
+
+    const heldForReservationId = await withTransaction(pool, async (connection) => {
+      const [reservationCheck] = await connection.query(`
+        SELECT member_id FROM reservations WHERE reservation_id = ?
+      `, [reservationId]);
+
+      if (reservationCheck.length === 0 || reservationCheck[0].member_id !== req.user.member_id) {
+        throw new NotFoundError('Reservation not found');
+      }
+
+      return cancelReservation(connection, req, reservationId);
+    });
+
+    res.status(200).json({
+      message: 'Reservation cancelled successfully',
+      held_for_reservation_id: heldForReservationId
+    });
+  });
+
+  // Get the member's fine balance, the full ledger is at /api/members/:id/account
+  router.get('/account', async (req, res) => {
+    const balance = await getBalance(pool, req.user.member_id);
+    const balanceLimit = getBalanceLimit();
+
+    res.status(200).json({
+      balance,
+      balance_limit: balanceLimit,
+      borrowing_blocked: balance > balanceLimit
+    });
+  });
+
+  // Get the member's reading history, the loans returned, newest first.
+  // Stays empty for members who turned keep_history off.
+  router.get('/history', async (req, res) => {
+    const memberId = req.user.member_id;
+    const list = listQuery(req, historyList);
+
+    const conditions = [`b.member_id = ?`, `b.status = 'returned'`];
+    const parameters = [memberId];
+
+    const query = `
+      SELECT b.borrowing_id, b.borrow_date, b.return_date,
+             bk.book_id, bk.title, bk.isbn
+      FROM borrowings b
+      JOIN books bk ON b.book_id = bk.book_id
+      ${whereClause([...conditions, ...list.conditions])}
+      ${list.orderAndLimit}
+    `;
+
+    // Get total count for pagination
+    const countQuery = `SELECT COUNT(*) AS total FROM borrowings b ${whereClause(conditions)}`;
+
+    const [rows] = await pool.query(query, [...parameters, ...list.parameters, ...list.limitParameters]);
+    const [countResult] = await pool.query(countQuery, parameters);
+    const { items: history, pagination } = list.page(rows, countResult[0].total);
+
+    const [members] = await pool.query(`SELECT keep_history FROM members WHERE member_id = ?`, [memberId]);
+
+    res.status(200).json({
+      keep_history: Boolean(members[0].keep_history),
+      history,
+      pagination
+    });
+  });
+
+  return router;
+};
@@ -1,374 +1,330 @@
-// File: routes/members.js
-const express = require('express');
-
-module.exports = (pool) => {
-  const router = express.Router();
-
-  // Get all members with pagination and filtering
-  router.get('/', async (req, res) => {
-    try {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 10;
-      const offset = (page - 1) * limit;
-      
-      const searchTerm = req.query.search || '';
-      const status = req.query.status;
-      const sortBy = req.query.sort_by || 'last_name';
-      const sortOrder = req.query.sort_order || 'ASC';
-      
-      // Validate sort parameters to prevent SQL injection
-      const validSortFields = ['last_name', 'first_name', 'registration_date', 'membership_status'];
-      const validSortOrders = ['ASC', 'DESC'];
-      
-      const actualSortBy = validSortFields.includes(sortBy) ? sortBy : 'last_name';
-      const actualSortOrder = validSortOrders.includes(sortOrder.toUpperCase()) ? sortOrder : 'ASC';
-      
-      let query = `
-        SELECT m.*,
-               (SELECT COUNT(*) FROM borrowings 
-                WHERE member_id = m.member_id AND status IN ('borrowed', 'overdue')) AS active_loans,
-               (SELECT COUNT(*) FROM borrowings 
-                WHERE member_id = m.member_id AND status = 'overdue') AS overdue_books
-        FROM members m
-      `;
-      
-      const parameters = [];
-      
-      // Add search condition if needed
-      const conditions = [];
-      
-      if (searchTerm) {
-        conditions.push(`(CONCAT(m.first_name, ' ', m.last_name) LIKE ? OR m.email LIKE ?)`);
-        parameters.push(`%${searchTerm}%`, `%${searchTerm}%`);
-      }
-      
-      if (status) {
-        conditions.push(`m.membership_status = ?`);
-        parameters.push(status);
-      }
-      
-      if (conditions.length > 0) {
-        query += ` WHERE ${conditions.join(' AND ')}`;
-      }
-      
-      // Add sorting and pagination
-      query += ` ORDER BY m.${actualSortBy} ${actualSortOrder} LIMIT ? OFFSET ?`;
-      parameters.push(limit, offset);
-      
-      // Get total count for pagination
-      let countQuery = `SELECT COUNT(*) AS total FROM members m`;
-      
-      if (conditions.length > 0) {
-        countQuery += ` WHERE ${conditions.join(' AND ')}`;
-      }
-      
-      const [members] = await pool.query(query, parameters);
-      const [countResult] = await pool.query(countQuery, parameters.slice(0, -2));
-      const totalCount = countResult[0].total;
-      
-      res.status(200).json({
-        members,
-        pagination: {
-          total: totalCount,
-          page,
-          limit,
-          pages: Math.ceil(totalCount / limit)
-        }
-      });
-    } catch (error) {
-      console.error('Error getting members:', error);
-      res.status(500).json({ message: 'Error retrieving members', error: error.message });
-    }
-  });
-
-  // Get member by ID with their borrowing history
-  router.get('/:id', async (req, res) => {
-    try {
-      const memberId = req.params.id;
-      
-      // Get member info
-      const [members] = await pool.query(`
-        SELECT * FROM members WHERE member_id = ?
-      `, [memberId]);
-      
-      if (members.length === 0) {
-        return res.status(404).json({ message: 'Member not found' });
-      }
-      
-      const member = members[0];
-      
-      // Get current borrowings
-      const [currentBorrowings] = await pool.query(`
-        SELECT b.borrowing_id, b.borrow_date, b.due_date, b.status,
-               bk.book_id, bk.title, bk.isbn,
-               DATEDIFF(b.due_date, CURDATE()) AS days_remaining
-        FROM borrowings b
-        JOIN books bk ON b.book_id = bk.book_id
-        WHERE b.member_id = ? AND b.status IN ('borrowed', 'overdue')
-        ORDER BY b.due_date ASC
-      `, [memberId]);
-      
-      // Get borrowing history
-      const [borrowingHistory] = await pool.query(`
-        SELECT b.borrowing_id, b.borrow_date, b.return_date, b.status,
-               bk.book_id, bk.title, bk.isbn
-        FROM borrowings b
-        JOIN books bk ON b.book_id = bk.book_id
-        WHERE b.member_id = ? AND b.status = 'returned'
-        ORDER BY b.return_date DESC
-        LIMIT 10
-      `, [memberId]);
-      
-      // Get total fines
-      const [fines] = await pool.query(`
-        SELECT SUM(fine_amount) AS total_fines
-        FROM borrowings
-        WHERE member_id = ?
-      `, [memberId]);
-      
-      member.current_borrowings = currentBorrowings;
-      member.borrowing_history = borrowingHistory;
-      member.total_fines = fines[0].total_fines || 0;
-      
-      res.status(200).json(member);
-    } catch (error) {
-      console.error('Error getting member:', error);
-      res.status(500).json({ message: 'Error retrieving member', error: error.message });
-    }
-  });
-
-  // Create a new member
-  router.post('/', async (req, res) => {
-    try {
-      const { 
-        first_name, last_name, email, phone, 
-        address, registration_date, membership_status 
-      } = req.body;
-      
-      // Check if email already exists
-      const [emailCheck] = await pool.query(`
-        SELECT member_id FROM members WHERE email = ?
-      `, [email]);
-      
-      if (emailCheck.length > 0) {
-        return res.status(400).json({ message: 'Email already in use' });
-      }
-      
-      const [result] = await pool.query(`
-        INSERT INTO members (
-          first_name, last_name, email, phone, 
-          address, registration_date, membership_status
-        ) VALUES (?, ?, ?, ?, ?, ?, ?)
-      `, [
-        first_name, 
-        last_name, 
-        email, 
-        phone, 
-        address, 
-        registration_date || new Date().toISOString().split('T')[0], // Default to current date
-        membership_status || 'active'
-      ]);
-      
-      res.status(201).json({ 
-        message: 'Member created successfully',
-        member_id: result.insertId
-      });
-    } catch (error) {
-      console.error('Error creating member:', error);
-      res.status(500).json({ message: 'Error creating member', error: error.message });
-    }
-  });
-
-  // Update a member
-  router.put('/:id', async (req, res) => {
-    try {
-      const memberId = req.params.id;
-      const { 
-        first_name, last_name, email, phone, 
-        address, membership_status 
-      } = req.body;
-      
-      // Check if member exists
-      const [memberCheck] = await pool.query(`
-        SELECT member_id FROM members WHERE member_id = ?
-      `, [memberId]);
-      
-      if (memberCheck.length === 0) {
-        return res.status(404).json({ message: 'Member not found' });
-      }
-      
-      // Check if email already exists for another member
-      if (email) {
-        const [emailCheck] = await pool.query(`
-          SELECT member_id FROM members WHERE email = ? AND member_id != ?
-        `, [email, memberId]);
-        
-        if (emailCheck.length > 0) {
-          return res.status(400).json({ message: 'Email already in use by another member' });
-        }
-      }
-      
-      await pool.query(`
-        UPDATE members SET
-          first_name = ?,
-          last_name = ?,
-          email = ?,
-          phone = ?,
-          address = ?,
-          membership_status = ?
-        WHERE member_id = ?
-      `, [
-        first_name, 
-        last_name, 
-        email, 
-        phone, 
-        address, 
-        membership_status,
-        memberId
-      ]);
-      
-      res.status(200).json({ message: 'Member updated successfully' });
-    } catch (error) {
-      console.error('Error updating member:', error);
-      res.status(500).json({ message: 'Error updating member', error: error.message });
-    }
-  });
-
-  // Delete a member
-  router.delete('/:id', async (req, res) => {
-    try {
-      const memberId = req.params.id;
-      
-      // Check if the member has active borrowings
-      const [borrowingsCheck] = await pool.query(`
-        SELECT COUNT(*) AS count
-        FROM borrowings
-        WHERE member_id = ? AND status IN ('borrowed', 'overdue')
-      `, [memberId]);
-      
-      if (borrowingsCheck[0].count > 0) {
-        return res.status(400).json({ 
-          message: 'Cannot delete member with active borrowings'
-        });
-      }
-      
-      // Delete the member
-      const [result] = await pool.query(`
-        DELETE FROM members WHERE member_id = ?
-      `, [memberId]);
-      
-      if (result.affectedRows === 0) {
-        return res.status(404).json({ message: 'Member not found' });
-      }
-      
-      res.status(200).json({ message: 'Member deleted successfully' });
-    } catch (error) {
-      console.error('Error deleting member:', error);
-      res.status(500).json({ message: 'Error deleting member', error: error.message });
-    }
-  });
-
-  // Get member's borrowing history
-  router.get('/:id/borrowings', async (req, res) => {
-    try {
-      const memberId = req.params.id;
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 10;
-      const offset = (page - 1) * limit;
-      const status = req.query.status;
-      
-      // Check if member exists
-      const [memberCheck] = await pool.query(`
-        SELECT member_id FROM members WHERE member_id = ?
-      `, [memberId]);
-      
-      if (memberCheck.length === 0) {
-        return res.status(404).json({ message: 'Member not found' });
-      }
-      
-      let query = `
-        SELECT b.borrowing_id, b.borrow_date, b.due_date, b.return_date, 
-               b.fine_amount, b.status,
-               bk.book_id, bk.title, bk.isbn
-        FROM borrowings b
-        JOIN books bk ON b.book_id = bk.book_id
-        WHERE b.member_id = ?
-      `;
-      
-      const parameters = [memberId];
-      
-      if (status) {
-        query += ` AND b.status = ?`;
-        parameters.push(status);
-      }
-      
-      query += ` ORDER BY b.borrow_date DESC LIMIT ? OFFSET ?`;
-      parameters.push(limit, offset);
-      
-      // Get total count for pagination
-      let countQuery = `
-        SELECT COUNT(*) AS total FROM borrowings WHERE member_id = ?
-      `;
-      
-      const countParams = [memberId];
-      
-      if (status) {
-        countQuery += ` AND status = ?`;
-        countParams.push(status);
-      }
-      
-      const [borrowings] = await pool.query(query, parameters);
-      const [countResult] = await pool.query(countQuery, countParams);
-      const totalCount = countResult[0].total;
-      
-      res.status(200).json({
-        borrowings,
-        pagination: {
-          total: totalCount,
-          page,
-          limit,
-          pages: Math.ceil(totalCount / limit)
-        }
-      });
-    } catch (error) {
-      console.error('Error getting member borrowings:', error);
-      res.status(500).json({ message: 'Error retrieving member borrowings', error: error.message });
-    }
-  });
-
-  // Update member status
-  router.put('/:id/status', async (req, res) => {
-    try {
-      const memberId = req.params.id;
-      const { membership_status } = req.body;
-      
-      if (!membership_status) {
-        return res.status(400).json({ message: 'Membership status is required' });
-      }
-      
-      // Validate membership status
-      const validStatuses = ['active', 'expired', 'suspended'];
-      if (!validStatuses.includes(membership_status)) {
-        return res.status(400).json({ 
-          message: 'Invalid status. Must be one of: active, expired, suspended'
-        });
-      }
-      
-      // Update member status
-      const [result] = await pool.query(`
-        UPDATE members SET membership_status = ? WHERE member_id = ?
-      `, [membership_status, memberId]);
-      
-      if (result.affectedRows === 0) {
-        return res.status(404).json({ message: 'Member not found' });
-      }
-      
-      res.status(200).json({ message: 'Member status updated successfully' });
-    } catch (error) {
-      console.error('Error updating member status:', error);
-      res.status(500).json({ message: 'Error updating member status', error: error.message });
-    }
-  });
-
-  return router;
+// File: routes/members.js
+const express = require('express');
+const { ConflictError, NotFoundError } = require('../errors');
+const { requireRole, requireSelfOrRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+const { withTransaction } = require('../db/transaction');
+const memberRepository = require('../repositories/members');
+const borrowingRepository = require('../repositories/borrowings');
+const { getBalance } = require('../services/ledger');
+const { memberFilters, whereClause } = require('../services/filters');
+const { streamExport } = require('../services/exporter');
+const { listQuery } = require('../services/listQuery');
+const { snapshot, auditChange } = require('../services/audit');
+const { deletedFilter, softDelete, restore } = require('../services/softDelete');
+const { cancelReservations } = require('../services/reservations');
+
+// Sorting and fields of the member list
+const memberList = {
+  sortable: {
+    member_id: 'm.member_id',
+    last_name: 'm.last_name',
+    first_name: 'm.first_name',
+    email: 'm.email',
+    registration_date: 'm.registration_date',
+    membership_end_date: 'm.membership_end_date',
+    membership_status: 'm.membership_status',
+    member_type: 'm.member_type'
+  },
+  defaultSort: 'last_name',
+  key: 'member_id',
+  fields: [
+    'member_id', 'first_name', 'last_name', 'email', 'phone', 'address', 'registration_date',
+    'membership_end_date', 'membership_status', 'member_type', 'created_at', 'updated_at',
+    'deleted_at', 'active_loans', 'overdue_books'
+  ]
+};
+
+// Sorting and fields of a member's borrowing history
+const memberBorrowingList = {
+  sortable: {
+    borrowing_id: 'b.borrowing_id',
+    borrow_date: 'b.borrow_date',
+    due_date: 'b.due_date',
+    return_date: 'b.return_date',
+    status: 'b.status',
+    title: 'bk.title'
+  },
+  defaultSort: '-borrow_date',
+  key: 'borrowing_id',
+  fields: [
+    'borrowing_id', 'borrow_date', 'due_date', 'return_date', 'fine_amount', 'status',
+    'book_id', 'title', 'isbn'
+  ]
+};
+
+module.exports = (pool) => {
+  const router = express.Router();
+  
+  // Members may access their own record
+  const memberIdParam = (req) => req.params.id;
+
+  // Get all members with pagination and filtering
+  router.get('/', requireRole('staff'), async (req, res) => {
+    const list = listQuery(req, memberList);
+    
+    let query = `
+      SELECT m.*,
+             (SELECT COUNT(*) FROM borrowings 
+              WHERE member_id = m.member_id AND status IN ('borrowed', 'overdue')) AS active_loans,
+             (SELECT COUNT(*) FROM borrowings 
+              WHERE member_id = m.member_id AND status = 'overdue') AS overdue_books
+      FROM members m
+    `;
+    
+    // Search and status filters
+    const { conditions, parameters } = memberFilters(req.query);
+    conditions.push(...deletedFilter(req, 'm'));
+    
+    query += whereClause([...conditions, ...list.conditions]);
+    
+    // Add sorting and pagination
+    query += list.orderAndLimit;
+    
+    // Get total count for pagination
+    const countQuery = `SELECT COUNT(*) AS total FROM members m ${whereClause(conditions)}`;
+    
+    const [rows] = await pool.query(query, [...parameters, ...list.parameters, ...list.limitParameters]);
+    const [countResult] = await pool.query(countQuery, parameters);
+    const { items: members, pagination } = list.page(rows, countResult[0].total);
+    
+    res.status(200).json({ members, pagination });
+  });
+
+  // Export members (?format=csv|jsonl), accepts the same filters as the list
+  router.get('/export', requireRole('staff'), async (req, res) => {
+    const { conditions, parameters } = memberFilters(req.query);
+    conditions.push(...deletedFilter(req, 'm'));
+    
+    const columns = [
+      'member_id', 'first_name', 'last_name', 'email', 'phone', 'address', 'registration_date',
+      'membership_end_date', 'membership_status', 'member_type', 'created_at'
+    ];
+    
+    await streamExport(pool, res, {
+      name: 'members',
+      format: req.query.format || 'csv',
+      formats: ['csv', 'jsonl'],
+      sql: `
+        SELECT ${columns.map(column => `m.${column}`).join(', ')}
+        FROM members m
+        ${whereClause(conditions)}
+        ORDER BY m.member_id
+      `,
+      parameters,
+      columns: columns.map(column => [column, member => member[column]])
+    });
+  });
+
+  // Get member by ID with their borrowing history
+  router.get('/:id', requireSelfOrRole(memberIdParam, 'staff'), async (req, res) => {
+    const memberId = req.params.id;
+    
+    // Get member info
+    const [members] = await pool.query(`
+      SELECT * FROM members m ${whereClause(['m.member_id = ?', ...deletedFilter(req, 'm')])}
+    `, [memberId]);
+    
+    if (members.length === 0) {
+      throw new NotFoundError('Member not found');
+    }
+    
+    const member = members[0];
+    
+    // Get current borrowings
+    const [currentBorrowings] = await pool.query(`
+      SELECT b.borrowing_id, b.borrow_date, b.due_date, b.status,
+             bk.book_id, bk.title, bk.isbn,
+             DATEDIFF(b.due_date, CURDATE()) AS days_remaining
+      FROM borrowings b
+      JOIN books bk ON b.book_id = bk.book_id
+      WHERE b.member_id = ? AND b.status IN ('borrowed', 'overdue')
+      ORDER BY b.due_date ASC
+    `, [memberId]);
+    
+    // Get borrowing history
+    const [borrowingHistory] = await pool.query(`
+      SELECT b.borrowing_id, b.borrow_date, b.return_date, b.status,
+             bk.book_id, bk.title, bk.isbn
+      FROM borrowings b
+      JOIN books bk ON b.book_id = bk.book_id
+      WHERE b.member_id = ? AND b.status = 'returned'
+      ORDER BY b.return_date DESC
+      LIMIT 10
+    `, [memberId]);
+    
+    // Get total fines
+    const [fines] = await pool.query(`
+      SELECT SUM(fine_amount) AS total_fines
+      FROM borrowings
+      WHERE member_id = ?
+    `, [memberId]);
+    
+    member.current_borrowings = currentBorrowings;
+    member.borrowing_history = borrowingHistory;
+    member.total_fines = fines[0].total_fines || 0;
+    member.balance = await getBalance(pool, memberId);
+    
+    res.status(200).json(member);
+  });
+
+  // Create a new member
+  router.post('/', requireRole('staff'), validate(schemas.createMember), async (req, res) => {
+    // Check if email already exists (deleted members do not count)
+    if (await memberRepository.isEmailTaken(pool, req.body.email)) {
+      throw new ConflictError('Email already in use');
+    }
+    
+    const memberId = await memberRepository.create(pool, req.body);
+    
+    await auditChange(pool, req, 'member', memberId);
+    
+    res.status(201).json({ 
+      message: 'Member created successfully',
+      member_id: memberId
+    });
+  });
+
+  // Update a member
+  router.put('/:id', requireRole('staff'), validate(schemas.updateMember), async (req, res) => {
+    const memberId = req.params.id;
+    const { email } = req.body;
+    
+    await withTransaction(pool, async (connection) => {
+      // Lock the member, so the snapshot is what this update changes
+      await memberRepository.getById(connection, memberId, { lock: true });
+      
+      // Check if email already exists for another member
+      if (email && await memberRepository.isEmailTaken(connection, email, memberId)) {
+        throw new ConflictError('Email already in use by another member');
+      }
+      
+      const before = await snapshot(connection, 'member', memberId);
+      
+      await memberRepository.update(connection, memberId, req.body);
+      
+      await auditChange(connection, req, 'member', memberId, before);
+    });
+    
+    res.status(200).json({ message: 'Member updated successfully' });
+  });
+
+  // Delete a member. The member is hidden and can no longer log in until
+  // restored or purged, their loan history and account are kept.
+  router.delete('/:id', requireRole('admin'), async (req, res) => {
+    const memberId = req.params.id;
+    
+    // Check if the member has active borrowings
+    if (await borrowingRepository.countActive(pool, { member_id: memberId }) > 0) {
+      throw new ConflictError('Cannot delete member with active borrowings');
+    }
+    
+    const cancelledReservations = await withTransaction(pool, async (connection) => {
+      await softDelete(connection, req, 'member', memberId);
+      
+      return cancelReservations(connection, req, 'member_id', memberId);
+    });
+    
+    res.status(200).json({
+      message: 'Member deleted successfully',
+      cancelled_reservations: cancelledReservations
+    });
+  });
+
+  // Restore a deleted member, unless their email is now used by another member
+  router.post('/:id/restore', requireRole('admin'), async (req, res) => {
+    const memberId = req.params.id;
+    
+    const [emailCheck] = await pool.query(`
+      SELECT other.member_id
+      FROM members m
+      JOIN members other ON other.email = m.email AND other.member_id != m.member_id
+      WHERE m.member_id = ? AND other.deleted_at IS NULL
+    `, [memberId]);
+    
+    if (emailCheck.length > 0) {
+      throw new ConflictError('Email already in use by another member');
+    }
+    
+    await restore(pool, req, 'member', memberId);
+    
+    res.status(200).json({ message: 'Member restored successfully' });
+  });
+
+  // Get member's borrowing history
+  router.get('/:id/borrowings', requireSelfOrRole(memberIdParam, 'staff'), async (req, res) => {
+    const memberId = req.params.id;
+    const list = listQuery(req, memberBorrowingList);
+    const status = req.query.status;
+    
+    // Check if member exists
+    const [memberCheck] = await pool.query(`
+      SELECT member_id FROM members m ${whereClause(['m.member_id = ?', ...deletedFilter(req, 'm')])}
+    `, [memberId]);
+    
+    if (memberCheck.length === 0) {
+      throw new NotFoundError('Member not found');
+    }
+    
+    let query = `
+      SELECT b.borrowing_id, b.borrow_date, b.due_date, b.return_date, 
+             b.fine_amount, b.status,
+             bk.book_id, bk.title, bk.isbn
+      FROM borrowings b
+      JOIN books bk ON b.book_id = bk.book_id
+    `;
+    
+    const conditions = ['b.member_id = ?'];
+    const parameters = [memberId];
+    
+    if (status) {
+      conditions.push(`b.status = ?`);
+      parameters.push(status);
+    }
+    
+    query += whereClause([...conditions, ...list.conditions]);
+    query += list.orderAndLimit;
+    
+    // Get total count for pagination
+    let countQuery = `
+      SELECT COUNT(*) AS total FROM borrowings WHERE member_id = ?
+    `;
+    
+    const countParams = [memberId];
+    
+    if (status) {
+      countQuery += ` AND status = ?`;
+      countParams.push(status);
+    }
+    
+    const [rows] = await pool.query(query, [...parameters, ...list.parameters, ...list.limitParameters]);
+    const [countResult] = await pool.query(countQuery, countParams);
+    const { items: borrowings, pagination } = list.page(rows, countResult[0].total);
+    
+    res.status(200).json({ borrowings, pagination });
+  });
+
+  // Update member status
+  router.put('/:id/status', requireRole('librarian'), validate(schemas.memberStatus), async (req, res) => {
+    const memberId = req.params.id;
+    const { membership_status } = req.body;
+    
+    await withTransaction(pool, async (connection) => {
+      await memberRepository.getById(connection, memberId, { lock: true });
+      
+      const before = await snapshot(connection, 'member', memberId);
+      
+      // Update member status
+      await connection.query(`
+        UPDATE members SET membership_status = ? WHERE member_id = ?
+      `, [membership_status, memberId]);
+      
+      await auditChange(connection, req, 'member', memberId, before);
+    });
+    
+    res.status(200).json({ message: 'Member status updated successfully' });
+  });
+
+  return router;
 };
\ No newline at end of file
@@ -0,0 +1,126 @@
+// File: routes/notifications.js
+// Mounted at /api/members/:id/notifications
+const express = require('express');
+const { requireSelfOrRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+const memberRepository = require('../repositories/members');
+const { NOTIFICATION_TYPES } = require('../services/notifications');
+const { whereClause } = require('../services/filters');
+const { listQuery } = require('../services/listQuery');
+const { snapshot, auditChange } = require('../services/audit');
+
+// Sorting and fields of the notification history
+const notificationList = {
+  sortable: {
+    notification_id: 'notification_id',
+    created_at: 'created_at',
+    sent_at: 'sent_at',
+    type: 'type',
+    status: 'status'
+  },
+  defaultSort: '-created_at',
+  key: 'notification_id',
+  fields: [
+    'notification_id', 'type', 'recipient', 'subject', 'body', 'status', 'attempts',
+    'last_error', 'borrowing_id', 'reservation_id', 'created_at', 'sent_at'
+  ]
+};
+
+module.exports = (pool) => {
+  const router = express.Router({ mergeParams: true });
+
+  // Members may view their own notifications and preferences
+  const memberIdParam = (req) => req.params.id;
+
+  const getPreferences = async (memberId) => {
+    const [rows] = await pool.query(`
+      SELECT type, enabled FROM notification_preferences WHERE member_id = ?
+    `, [memberId]);
+
+    return Object.fromEntries(NOTIFICATION_TYPES.map(type => [
+      type,
+      Boolean(rows.find(row => row.type === type)?.enabled ?? true)
+    ]));
+  };
+
+  // Get the member's notification history, newest first
+  router.get('/', requireSelfOrRole(memberIdParam, 'staff'), async (req, res) => {
+    const memberId = req.params.id;
+    const list = listQuery(req, notificationList);
+
+    const type = req.query.type;
+    const status = req.query.status;
+
+    await memberRepository.getById(pool, memberId);
+
+    let query = `
+      SELECT notification_id, type, recipient, subject, body, status, attempts,
+             last_error, borrowing_id, reservation_id, created_at, sent_at
+      FROM notifications
+    `;
+
+    const conditions = ['member_id = ?'];
+    const parameters = [memberId];
+
+    // Add filters if needed
+    if (type) {
+      conditions.push(`type = ?`);
+      parameters.push(type);
+    }
+
+    if (status) {
+      conditions.push(`status = ?`);
+      parameters.push(status);
+    }
+
+    query += whereClause([...conditions, ...list.conditions]);
+    query += list.orderAndLimit;
+
+    const countQuery = `SELECT COUNT(*) AS total FROM notifications ${whereClause(conditions)}`;
+
+    const [rows] = await pool.query(query, [...parameters, ...list.parameters, ...list.limitParameters]);
+    const [countResult] = await pool.query(countQuery, parameters);
+    const { items: notifications, pagination } = list.page(rows, countResult[0].total);
+
+    res.status(200).json({ notifications, pagination });
+  });
+
+  // Get which notification types the member receives
+  router.get('/preferences', requireSelfOrRole(memberIdParam, 'staff'), async (req, res) => {
+    const memberId = req.params.id;
+
+    await memberRepository.getById(pool, memberId);
+
+    res.status(200).json(await getPreferences(memberId));
+  });
+
+  // Opt in or out of notification types, types left out are unchanged
+  router.put('/preferences', requireSelfOrRole(memberIdParam, 'staff'), validate(schemas.notificationPreferences), async (req, res) => {
+    const memberId = req.params.id;
+
+    await memberRepository.getById(pool, memberId);
+
+    const changes = NOTIFICATION_TYPES
+      .filter(type => req.body[type] !== undefined)
+      .map(type => [memberId, type, req.body[type]]);
+
+    if (changes.length > 0) {
+      const before = await snapshot(pool, 'notification_preferences', memberId);
+
+      await pool.query(`
+        INSERT INTO notification_preferences (member_id, type, enabled) VALUES ?
+        ON DUPLICATE KEY UPDATE enabled = VALUES(enabled)
+      `, [changes]);
+
+      await auditChange(pool, req, 'notification_preferences', memberId, before);
+    }
+
+    res.status(200).json({
+      message: 'Notification preferences updated successfully',
+      preferences: await getPreferences(memberId)
+    });
+  });
+
+  return router;
+};
@@ -0,0 +1,159 @@
+// File: routes/policies.js
+const express = require('express');
+const { BadRequestError, ConflictError, NotFoundError } = require('../errors');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+const { resolvePolicy } = require('../services/loanPolicies');
+const { snapshot, auditChange } = require('../services/audit');
+
+module.exports = (pool) => {
+  const router = express.Router();
+
+  // Only one policy may exist per member type/category combination
+  const checkScopeIsFree = async (memberType, categoryId, exceptPolicyId = 0) => {
+    const [scopeCheck] = await pool.query(`
+      SELECT policy_id FROM loan_policies
+      WHERE member_type <=> ? AND category_id <=> ? AND policy_id != ?
+    `, [memberType || null, categoryId || null, exceptPolicyId]);
+
+    if (scopeCheck.length > 0) {
+      throw new ConflictError('A policy for this member type and category already exists');
+    }
+  };
+
+  // Get all policies, most specific first
+  router.get('/', requireRole('staff'), async (req, res) => {
+    const [policies] = await pool.query(`
+      SELECT lp.*, c.name AS category_name
+      FROM loan_policies lp
+      LEFT JOIN categories c ON lp.category_id = c.category_id
+      ORDER BY (lp.category_id IS NOT NULL) DESC, (lp.member_type IS NOT NULL) DESC, lp.policy_id
+    `);
+
+    res.status(200).json({ policies });
+  });
+
+  // Preview which policy applies to a member borrowing a book
+  router.get('/resolve', requireRole('staff'), async (req, res) => {
+    const { member_id, book_id } = req.query;
+
+    if (!member_id || !book_id) {
+      throw new BadRequestError('member_id and book_id are required');
+    }
+
+    const policy = await resolvePolicy(pool, member_id, book_id);
+
+    res.status(200).json(policy);
+  });
+
+  // Get policy by ID
+  router.get('/:id', requireRole('staff'), async (req, res) => {
+    const policyId = req.params.id;
+
+    const [policies] = await pool.query(`
+      SELECT lp.*, c.name AS category_name
+      FROM loan_policies lp
+      LEFT JOIN categories c ON lp.category_id = c.category_id
+      WHERE lp.policy_id = ?
+    `, [policyId]);
+
+    if (policies.length === 0) {
+      throw new NotFoundError('Policy not found');
+    }
+
+    res.status(200).json(policies[0]);
+  });
+
+  // Create a new policy
+  router.post('/', requireRole('admin'), validate(schemas.loanPolicy), async (req, res) => {
+    const {
+      name, member_type, category_id, loan_days, max_loans,
+      max_renewals, fine_per_day, max_fine, grace_days
+    } = req.body;
+
+    await checkScopeIsFree(member_type, category_id);
+
+    const [result] = await pool.query(`
+      INSERT INTO loan_policies (
+        name, member_type, category_id, loan_days, max_loans,
+        max_renewals, fine_per_day, max_fine, grace_days
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      name, member_type || null, category_id || null, loan_days, max_loans ?? null,
+      max_renewals ?? null, fine_per_day, max_fine ?? null, grace_days || 0
+    ]);
+
+    await auditChange(pool, req, 'loan_policy', result.insertId);
+
+    res.status(201).json({
+      message: 'Policy created successfully',
+      policy_id: result.insertId
+    });
+  });
+
+  // Update a policy
+  router.put('/:id', requireRole('admin'), validate(schemas.loanPolicy), async (req, res) => {
+    const policyId = req.params.id;
+    const {
+      name, member_type, category_id, loan_days, max_loans,
+      max_renewals, fine_per_day, max_fine, grace_days
+    } = req.body;
+
+    // Check if policy exists
+    const [policyCheck] = await pool.query(`
+      SELECT policy_id FROM loan_policies WHERE policy_id = ?
+    `, [policyId]);
+
+    if (policyCheck.length === 0) {
+      throw new NotFoundError('Policy not found');
+    }
+
+    await checkScopeIsFree(member_type, category_id, policyId);
+
+    const before = await snapshot(pool, 'loan_policy', policyId);
+
+    await pool.query(`
+      UPDATE loan_policies SET
+        name = ?,
+        member_type = ?,
+        category_id = ?,
+        loan_days = ?,
+        max_loans = ?,
+        max_renewals = ?,
+        fine_per_day = ?,
+        max_fine = ?,
+        grace_days = ?
+      WHERE policy_id = ?
+    `, [
+      name, member_type || null, category_id || null, loan_days, max_loans ?? null,
+      max_renewals ?? null, fine_per_day, max_fine ?? null, grace_days || 0,
+      policyId
+    ]);
+
+    await auditChange(pool, req, 'loan_policy', policyId, before);
+
+    res.status(200).json({ message: 'Policy updated successfully' });
+  });
+
+  // Delete a policy
+  router.delete('/:id', requireRole('admin'), async (req, res) => {
+    const policyId = req.params.id;
+
+    const before = await snapshot(pool, 'loan_policy', policyId);
+
+    const [result] = await pool.query(`
+      DELETE FROM loan_policies WHERE policy_id = ?
+    `, [policyId]);
+
+    if (result.affectedRows === 0) {
+      throw new NotFoundError('Policy not found');
+    }
+
+    await auditChange(pool, req, 'loan_policy', policyId, before);
+
+    res.status(200).json({ message: 'Policy deleted successfully' });
+  });
+
+  return router;
+};
@@ -1,180 +1,165 @@
-// File: routes/publishers.js
-const express = require('express');
-
-module.exports = (pool) => {
-  const router = express.Router();
-
-  // Get all publishers with pagination and search
-  router.get('/', async (req, res) => {
-    try {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 10;
-      const offset = (page - 1) * limit;
-      
-      const searchTerm = req.query.search || '';
-      
-      let query = `
-        SELECT p.publisher_id, p.name, p.address, p.email, p.phone,  
-               COUNT(b.book_id) AS book_count
-        FROM publishers p
-        LEFT JOIN books b ON p.publisher_id = b.publisher_id
-      `;
-      
-      const parameters = [];
-      
-      // Add grouping and pagination
-      query += ` GROUP BY p.publisher_id ORDER BY p.name LIMIT ? OFFSET ?`;
-      parameters.push(limit, offset);
-      
-      // Get total count for pagination
-      let countQuery = `SELECT COUNT(*) AS total FROM publishers`;
-      
-      const [publishers] = await pool.query(query, parameters);
-      const [countResult] = await pool.query(
-        countQuery, 
-        searchTerm ? [`%${searchTerm}%`] : []
-      );
-      const totalCount = countResult[0].total;
-      
-      res.status(200).json({
-        publishers,
-        pagination: {
-          total: totalCount,
-          page,
-          limit,
-          pages: Math.ceil(totalCount / limit)
-        }
-      });
-    } catch (error) {
-      console.error('Błąd przy wybieraniu wydawców', error);
-      res.status(500).json({ message: 'Błąd przy wybieraniu wydawców', error: error.message });
-    }
-  });
-
-  // Create a new publisher
-  router.post('/', async (req, res) => {
-    try {
-      const { name, address, phone, email } = req.body;
-      
-      const [result] = await pool.query(`
-        INSERT INTO publishers (name, address, phone, email)
-        VALUES (?, ?, ?, ?)
-      `, [name, address, phone, email]);
-      
-      res.status(201).json({ 
-        message: 'Wydawca pomyślnie utworzony',
-        publisher_id: result.insertId
-      });
-    } catch (error) {
-      console.error('Błąd przy tworzeniu wydawcy:', error);
-      res.status(500).json({ message: 'Błąd przy tworzeniu wydawcy', error: error.message });
-    }
-  });
-  
-  // Delete a publisher
-  router.delete('/:id', async (req, res) => {
-    try {
-      const publisherId = req.params.id;
-      
-      // Check if the publisher has books
-      const [booksCheck] = await pool.query(`
-        SELECT COUNT(*) AS count FROM books WHERE publisher_id = ?
-      `, [publisherId]);
-      
-      if (booksCheck[0].count > 0) {
-        return res.status(400).json({ 
-          message: 'Cannot delete publisher with associated books'
-        });
-      }
-      
-      // Delete the publisher
-      const [result] = await pool.query(`
-        DELETE FROM publishers WHERE publisher_id = ?
-      `, [publisherId]);
-      
-      if (result.affectedRows === 0) {
-        return res.status(404).json({ message: 'Publisher not found' });
-      }
-      
-      res.status(200).json({ message: 'Publisher deleted successfully' });
-    } catch (error) {
-      console.error('Error deleting publisher:', error);
-      res.status(500).json({ message: 'Error deleting publisher', error: error.message });
-    }
-  });
-
-  // Update a publisher
-  router.put('/:id', async (req, res) => {
-    try {
-      const publisherId = req.params.id;
-      const { 
-        name, address, phone, email
-      } = req.body;
-      
-      // Check if publisher exists
-      const [publisherCheck] = await pool.query(`
-        SELECT publisher_id FROM publishers WHERE publisher_id = ?
-      `, [publisherId]);
-      
-      if (publisherCheck.length === 0) {
-        return res.status(404).json({ message: 'Publisher not found' });
-      }
-      
-      // Check if email already exists for another publisher
-      if (email) {
-        const [emailCheck] = await pool.query(`
-          SELECT publisher_id FROM publishers WHERE email = ? AND publisher_id != ?
-        `, [email, publisher_id]);
-        
-        if (emailCheck.length > 0) {
-          return res.status(400).json({ message: 'Email already in use by another publisher' });
-        }
-      }
-      
-      await pool.query(`
-        UPDATE publishers SET
-          name = ?,
-          address = ?,
-          phone = ?,
-          email = ?
-        WHERE publisher_id = ?
-      `, [
-        name, 
-        address, 
-        phone, 
-        email,
-        publisherId
-      ]);
-      
-      res.status(200).json({ message: 'Publisher updated successfully' });
-    } catch (error) {
-      console.error('Error updating publisher:', error);
-      res.status(500).json({ message: 'Error updating publisher', error: error.message });
-    }
-  });
-
-// Get publisher by ID
-  router.get('/:id', async (req, res) => {
-    try {
-      const publisherId = req.params.id;
-      
-      // Get publisher info
-      const [publishers] = await pool.query(`
-        SELECT * FROM publishers WHERE publisher_id = ?
-      `, [publisherId]);
-      
-      if (publishers.length === 0) {
-        return res.status(404).json({ message: 'Publisher not found' });
-      }
-      
-      const publisher = publishers[0];
-      
-      res.status(200).json(publisher);
-    } catch (error) {
-      console.error('Error getting publisher:', error);
-      res.status(500).json({ message: 'Error retrieving publisher', error: error.message });
-    }
-  });
-
-  return router;
+// File: routes/publishers.js
+const express = require('express');
+const { ConflictError, NotFoundError } = require('../errors');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+const { snapshot, auditChange } = require('../services/audit');
+const { deletedFilter, softDelete, restore } = require('../services/softDelete');
+const { whereClause } = require('../services/filters');
+const { listQuery } = require('../services/listQuery');
+
+// Sorting and fields of the publisher list
+const publisherList = {
+  sortable: {
+    publisher_id: 'p.publisher_id',
+    name: 'p.name',
+    email: 'p.email'
+  },
+  defaultSort: 'name',
+  key: 'publisher_id',
+  fields: ['publisher_id', 'name', 'address', 'email', 'phone', 'book_count', 'deleted_at']
+};
+
+module.exports = (pool) => {
+  const router = express.Router();
+
+  // Get all publishers with pagination and search
+  router.get('/', async (req, res) => {
+    const list = listQuery(req, publisherList);
+    
+    let query = `
+      SELECT p.publisher_id, p.name, p.address, p.email, p.phone, p.deleted_at,
+             COUNT(b.book_id) AS book_count
+      FROM publishers p
+      LEFT JOIN books b ON p.publisher_id = b.publisher_id AND b.deleted_at IS NULL
+    `;
+    
+    const conditions = deletedFilter(req, 'p');
+    
+    // Add grouping, sorting and pagination
+    query += whereClause([...conditions, ...list.conditions]);
+    query += ` GROUP BY p.publisher_id${list.orderAndLimit}`;
+    
+    // Get total count for pagination
+    const countQuery = `SELECT COUNT(*) AS total FROM publishers p ${whereClause(conditions)}`;
+    
+    const [rows] = await pool.query(query, [...list.parameters, ...list.limitParameters]);
+    const [countResult] = await pool.query(countQuery);
+    const { items: publishers, pagination } = list.page(rows, countResult[0].total);
+    
+    res.status(200).json({ publishers, pagination });
+  });
+
+  // Create a new publisher
+  router.post('/', requireRole('librarian'), validate(schemas.publisher), async (req, res) => {
+    const { name, address, phone, email } = req.body;
+    
+    const [result] = await pool.query(`
+      INSERT INTO publishers (name, address, phone, email)
+      VALUES (?, ?, ?, ?)
+    `, [name, address, phone, email]);
+    
+    await auditChange(pool, req, 'publisher', result.insertId);
+    
+    res.status(201).json({ 
+      message: 'Wydawca pomyślnie utworzony',
+      publisher_id: result.insertId
+    });
+  });
+  
+  // Delete a publisher
+  router.delete('/:id', requireRole('admin'), async (req, res) => {
+    const publisherId = req.params.id;
+    
+    // Check if the publisher has books
+    const [booksCheck] = await pool.query(`
+      SELECT COUNT(*) AS count FROM books WHERE publisher_id = ? AND deleted_at IS NULL
+    `, [publisherId]);
+    
+    if (booksCheck[0].count > 0) {
+      throw new ConflictError('Cannot delete publisher with associated books');
+    }
+    
+    // Hidden until restored or purged
+    await softDelete(pool, req, 'publisher', publisherId);
+    
+    res.status(200).json({ message: 'Publisher deleted successfully' });
+  });
+
+  // Update a publisher
+  router.put('/:id', requireRole('librarian'), validate(schemas.publisher), async (req, res) => {
+    const publisherId = req.params.id;
+    const { 
+      name, address, phone, email
+    } = req.body;
+    
+    // Check if publisher exists
+    const [publisherCheck] = await pool.query(`
+      SELECT publisher_id FROM publishers WHERE publisher_id = ? AND deleted_at IS NULL
+    `, [publisherId]);
+    
+    if (publisherCheck.length === 0) {
+      throw new NotFoundError('Publisher not found');
+    }
+    
+    // Check if email already exists for another publisher
+    if (email) {
+      const [emailCheck] = await pool.query(`
+        SELECT publisher_id FROM publishers WHERE email = ? AND publisher_id != ?
+      `, [email, publisherId]);
+      
+      if (emailCheck.length > 0) {
+        throw new ConflictError('Email already in use by another publisher');
+      }
+    }
+    
+    const before = await snapshot(pool, 'publisher', publisherId);
+    
+    await pool.query(`
+      UPDATE publishers SET
+        name = ?,
+        address = ?,
+        phone = ?,
+        email = ?
+      WHERE publisher_id = ?
+    `, [
+      name, 
+      address, 
+      phone, 
+      email,
+      publisherId
+    ]);
+    
+    await auditChange(pool, req, 'publisher', publisherId, before);
+    
+    res.status(200).json({ message: 'Publisher updated successfully' });
+  });
+
+// Get publisher by ID
+  router.get('/:id', async (req, res) => {
+    const publisherId = req.params.id;
+    
+    // Get publisher info
+    const [publishers] = await pool.query(`
+      SELECT * FROM publishers p ${whereClause(['p.publisher_id = ?', ...deletedFilter(req, 'p')])}
+    `, [publisherId]);
+    
+    if (publishers.length === 0) {
+      throw new NotFoundError('Publisher not found');
+    }
+    
+    const publisher = publishers[0];
+    
+    res.status(200).json(publisher);
+  });
+
+  // Restore a deleted publisher
+  router.post('/:id/restore', requireRole('admin'), async (req, res) => {
+    await restore(pool, req, 'publisher', req.params.id);
+    
+    res.status(200).json({ message: 'Publisher restored successfully' });
+  });
+
+  return router;
 };
\ No newline at end of file
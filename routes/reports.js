@@ -0,0 +1,120 @@
+// File: routes/reports.js
+const express = require('express');
+const { BadRequestError, NotFoundError } = require('../errors');
+const { requireRole } = require('../middleware/auth');
+const { isDate } = require('../middleware/validate');
+const { streamExport } = require('../services/exporter');
+const { MAX_LIMIT } = require('../services/listQuery');
+const { PERIODS, REPORTS, buildReport } = require('../services/reports');
+
+const DEFAULT_TOP_LIMIT = 10;
+
+const FORMATS = ['json', 'csv'];
+
+// Options of a report from the query string
+const reportOptions = (report, query) => {
+  const { from_date, to_date, period, limit, group_by } = query;
+
+  [['from_date', from_date], ['to_date', to_date]].forEach(([name, value]) => {
+    if (value && !isDate(value)) {
+      throw new BadRequestError(`${name} must be a valid date in YYYY-MM-DD format`);
+    }
+  });
+
+  if (from_date && to_date && from_date > to_date) {
+    throw new BadRequestError('from_date must not be after to_date');
+  }
+
+  const options = { from: from_date || null, to: to_date || null };
+
+  if (report.overTime) {
+    options.period = period || 'month';
+    if (!PERIODS[options.period]) {
+      throw new BadRequestError(`period must be one of: ${Object.keys(PERIODS).join(', ')}`);
+    }
+  }
+
+  if (report.groups) {
+    options.groupBy = group_by || report.groups[0];
+    if (!report.groups.includes(options.groupBy)) {
+      throw new BadRequestError(`group_by must be one of: ${report.groups.join(', ')}`);
+    }
+  }
+
+  // Top lists always have a limit, the other lists only when one is given
+  if (limit !== undefined || report.top) {
+    options.limit = limit !== undefined ? parseInt(limit) : DEFAULT_TOP_LIMIT;
+    if (!(options.limit >= 1)) {
+      throw new BadRequestError('limit must be a positive number');
+    }
+    if (report.top) {
+      options.limit = Math.min(options.limit, MAX_LIMIT);
+    }
+  }
+
+  return options;
+};
+
+module.exports = (pool) => {
+  const router = express.Router();
+
+  // List the available reports
+  router.get('/', requireRole('staff'), async (req, res) => {
+    res.status(200).json({
+      reports: Object.entries(REPORTS).map(([name, report]) => ({
+        name,
+        description: report.description
+      }))
+    });
+  });
+
+  // Run a report. Filters: ?from_date and ?to_date (inclusive), ?period for reports
+  // over time, ?limit and ?group_by where they apply. ?format=csv downloads it.
+  router.get('/:name', requireRole('staff'), async (req, res) => {
+    const name = req.params.name;
+    const report = Object.hasOwn(REPORTS, name) ? REPORTS[name] : null;
+
+    if (!report) {
+      throw new NotFoundError(`Unknown report "${name}". Reports: ${Object.keys(REPORTS).join(', ')}`);
+    }
+
+    const format = req.query.format || 'json';
+
+    if (!FORMATS.includes(format)) {
+      throw new BadRequestError(`format must be one of: ${FORMATS.join(', ')}`);
+    }
+
+    const options = reportOptions(report, req.query);
+    const { sql, parameters, columns, decimals } = buildReport(report, options);
+
+    if (format === 'csv') {
+      await streamExport(pool, res, {
+        name: `report-${name}`,
+        format,
+        formats: ['csv'],
+        sql,
+        parameters,
+        columns: columns.map(column => [column, row => row[column]])
+      });
+      return;
+    }
+
+    // Dates are returned as written in the database, like in the CSV
+    const [rows] = await pool.query({ sql, values: parameters, dateStrings: true });
+
+    res.status(200).json({
+      report: name,
+      from_date: options.from,
+      to_date: options.to,
+      ...(options.period && { period: options.period }),
+      ...(options.groupBy && { group_by: options.groupBy }),
+      columns,
+      rows: rows.map(row => ({
+        ...row,
+        ...Object.fromEntries(decimals.map(column => [column, row[column] === null ? null : Number(row[column])]))
+      }))
+    });
+  });
+
+  return router;
+};
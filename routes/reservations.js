@@ -0,0 +1,152 @@
+// File: routes/reservations.js
+const express = require('express');
+const { NotFoundError } = require('../errors');
+const { requireRole, requireSelfOrRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+const { withTransaction } = require('../db/transaction');
+const { placeReservation, cancelReservation } = require('../services/reservations');
+const { whereClause } = require('../services/filters');
+const { listQuery } = require('../services/listQuery');
+
+// Sorting and fields of the reservation list, oldest first by default
+// so a book's list reads as its queue
+const reservationList = {
+  sortable: {
+    reservation_id: 'r.reservation_id',
+    reservation_date: 'r.reservation_date',
+    expiry_date: 'r.expiry_date',
+    ready_date: 'r.ready_date',
+    status: 'r.status',
+    title: 'bk.title'
+  },
+  defaultSort: 'reservation_date',
+  key: 'reservation_id',
+  fields: [
+    'reservation_id', 'reservation_date', 'expiry_date', 'ready_date', 'status',
+    'book_id', 'title', 'isbn', 'member_id', 'member_name', 'queue_position'
+  ]
+};
+
+module.exports = (pool) => {
+  const router = express.Router();
+
+  // Members may reserve books for themselves
+  const memberIdBody = (req) => req.body.member_id;
+
+  // Position in the FIFO queue of the book, only meaningful for pending reservations
+  const queuePositionColumn = `
+    CASE WHEN r.status = 'pending' THEN (
+      SELECT COUNT(*) FROM reservations q
+      WHERE q.book_id = r.book_id AND q.status = 'pending'
+        AND (q.reservation_date < r.reservation_date
+             OR (q.reservation_date = r.reservation_date AND q.reservation_id <= r.reservation_id))
+    ) END AS queue_position
+  `;
+
+  // Get all reservations with filtering options
+  router.get('/', requireRole('staff'), async (req, res) => {
+    const list = listQuery(req, reservationList);
+
+    const status = req.query.status;
+    const memberId = req.query.member_id;
+    const bookId = req.query.book_id;
+
+    let query = `
+      SELECT r.reservation_id, r.reservation_date, r.expiry_date, r.ready_date, r.status,
+             bk.book_id, bk.title, bk.isbn,
+             m.member_id, CONCAT(m.first_name, ' ', m.last_name) AS member_name,
+             ${queuePositionColumn}
+      FROM reservations r
+      JOIN books bk ON r.book_id = bk.book_id
+      JOIN members m ON r.member_id = m.member_id
+    `;
+
+    const conditions = [];
+    const parameters = [];
+
+    // Add filters if needed
+    if (status) {
+      conditions.push(`r.status = ?`);
+      parameters.push(status);
+    }
+
+    if (memberId) {
+      conditions.push(`r.member_id = ?`);
+      parameters.push(memberId);
+    }
+
+    if (bookId) {
+      conditions.push(`r.book_id = ?`);
+      parameters.push(bookId);
+    }
+
+    // Add WHERE clause if any conditions exist
+    query += whereClause([...conditions, ...list.conditions]);
+
+    // Add sorting and pagination
+    query += list.orderAndLimit;
+
+    // Get total count for pagination
+    const countQuery = `SELECT COUNT(*) AS total FROM reservations r ${whereClause(conditions)}`;
+
+    const [rows] = await pool.query(query, [...parameters, ...list.parameters, ...list.limitParameters]);
+    const [countResult] = await pool.query(countQuery, parameters);
+    const { items: reservations, pagination } = list.page(rows, countResult[0].total);
+
+    res.status(200).json({ reservations, pagination });
+  });
+
+  // Get a specific reservation by ID
+  router.get('/:id', requireRole('staff'), async (req, res) => {
+    const reservationId = req.params.id;
+
+    const [reservations] = await pool.query(`
+      SELECT r.*,
+             bk.title AS book_title, bk.isbn,
+             CONCAT(m.first_name, ' ', m.last_name) AS member_name,
+             m.email AS member_email,
+             ${queuePositionColumn}
+      FROM reservations r
+      JOIN books bk ON r.book_id = bk.book_id
+      JOIN members m ON r.member_id = m.member_id
+      WHERE r.reservation_id = ?
+    `, [reservationId]);
+
+    if (reservations.length === 0) {
+      throw new NotFoundError('Reservation not found');
+    }
+
+    res.status(200).json(reservations[0]);
+  });
+
+  // Create a new reservation (join the queue for a book)
+  router.post('/', requireSelfOrRole(memberIdBody, 'staff'), validate(schemas.createReservation), async (req, res) => {
+    const { book_id, member_id, expiry_date } = req.body;
+
+    const reservation = await withTransaction(pool, connection => (
+      placeReservation(connection, req, { book_id, member_id, expiry_date })
+    ));
+
+    res.status(201).json({
+      message: 'Book reserved successfully',
+      ...reservation
+    });
+  });
+
+  // Cancel a reservation
+  router.put('/:id/cancel', async (req, res) => {
+    const reservationId = req.params.id;
+
+    const heldForReservationId = await withTransaction(pool, connection => (
+      cancelReservation(connection, req, reservationId)
+    ));
+
+    res.status(200).json({
+      message: 'Reservation cancelled successfully',
+      held_for_reservation_id: heldForReservationId
+    });
+  });
+
+  return router;
+};
\ No newline at end of file
@@ -0,0 +1,156 @@
+// File: services/audit.js
+// Audit log of data changes made through the API. Routes take a snapshot of
+// the row before changing it and call auditChange afterwards, in the same
+// transaction when there is one:
+//   const before = await snapshot(connection, 'book', bookId);
+//   ... UPDATE ...
+//   await auditChange(connection, req, 'book', bookId, before);
+// Creates pass no snapshot and deletes leave no row, which sets the action.
+// For soft deleted entities, setting or clearing deleted_at is a delete or a
+// restore, and removing a deleted row for good is a purge.
+
+// Audited tables. `columns` leaves out secrets, `lists` adds the ids of linked
+// rows so replacing a book's authors shows up in the diff.
+const AUDITED_ENTITIES = {
+  book: {
+    table: 'books',
+    key: 'book_id',
+    lists: {
+      author_ids: 'SELECT author_id AS id FROM book_authors WHERE book_id = ? ORDER BY author_id',
+      category_ids: 'SELECT category_id AS id FROM book_categories WHERE book_id = ? ORDER BY category_id'
+    }
+  },
+  author: { table: 'authors', key: 'author_id' },
+  publisher: { table: 'publishers', key: 'publisher_id' },
+  category: { table: 'categories', key: 'category_id' },
+  item: { table: 'items', key: 'item_id' },
+  member: { table: 'members', key: 'member_id' },
+  borrowing: { table: 'borrowings', key: 'borrowing_id' },
+  reservation: { table: 'reservations', key: 'reservation_id' },
+  loan_policy: { table: 'loan_policies', key: 'policy_id' },
+  account_transaction: { table: 'account_transactions', key: 'transaction_id' },
+  user: {
+    table: 'users',
+    key: 'user_id',
+    columns: 'user_id, email, role, member_id, is_active, created_at, updated_at'
+  },
+  // Keyed by member, one flag per notification type
+  notification_preferences: {
+    load: async (db, memberId) => {
+      const [rows] = await db.query(`
+        SELECT type, enabled FROM notification_preferences WHERE member_id = ? ORDER BY type
+      `, [memberId]);
+      return rows.length > 0
+        ? Object.fromEntries(rows.map(row => [row.type, Boolean(row.enabled)]))
+        : null;
+    }
+  }
+};
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+// Bookkeeping columns that change on every update
+const IGNORED_FIELDS = ['updated_at'];
+
+// The current state of a row, or null when it does not exist.
+// Dates are kept as written in the database.
+const snapshot = async (db, entity, id) => {
+  const config = AUDITED_ENTITIES[entity];
+
+  if (config.load) {
+    return config.load(db, id);
+  }
+
+  const [rows] = await db.query({
+    sql: `SELECT ${config.columns || '*'} FROM ${config.table} WHERE ${config.key} = ?`,
+    values: [id],
+    dateStrings: true
+  });
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const row = { ...rows[0] };
+  for (const [field, sql] of Object.entries(config.lists || {})) {
+    const [ids] = await db.query(sql, [id]);
+    row[field] = ids.map(({ id: linkedId }) => linkedId);
+  }
+
+  return row;
+};
+
+// Changed fields as { field: { from, to } }
+const diff = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  fields.forEach((field) => {
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (!IGNORED_FIELDS.includes(field) && JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  });
+
+  return changes;
+};
+
+const auditAction = (before, after) => {
+  if (!before) {
+    return 'create';
+  }
+  if (!after) {
+    return before.deleted_at ? 'purge' : 'delete';
+  }
+  if (!before.deleted_at && after.deleted_at) {
+    return 'delete';
+  }
+  if (before.deleted_at && !after.deleted_at) {
+    return 'restore';
+  }
+  return 'update';
+};
+
+// Who made the change, null for work done without a logged in user.
+// Request ids are at most 64 characters, see middleware/errorHandler.js.
+const auditActor = (req) => ({
+  user_id: req?.user?.user_id ?? null,
+  request_id: req?.id ?? null
+});
+
+// Record the change of an entity given its snapshot from before the change.
+// Updates that changed nothing, or rows that never existed, are not recorded.
+const auditChange = async (db, req, entity, id, before = null) => {
+  const after = await snapshot(db, entity, id);
+  if (!before && !after) {
+    return;
+  }
+  const action = auditAction(before, after);
+
+  const changes = diff(before, after);
+  if (action === 'update' && Object.keys(changes).length === 0) {
+    return;
+  }
+
+  const actor = auditActor(req);
+
+  await db.query(`
+    INSERT INTO audit_log (
+      entity, entity_id, action, actor_user_id, request_id,
+      before_data, after_data, changes
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    entity, id, action, actor.user_id, actor.request_id,
+    before ? JSON.stringify(before) : null,
+    after ? JSON.stringify(after) : null,
+    JSON.stringify(changes)
+  ]);
+};
+
+module.exports = {
+  AUDITED_ENTITIES,
+  AUDIT_ACTIONS,
+  snapshot,
+  auditChange
+};
@@ -0,0 +1,310 @@
+// File: services/bookImport.js
+// Bulk cataloguing from CSV, MARC21 and MARCXML files. Authors, publishers and
+// categories are matched by name and created when missing, books are matched on ISBN.
+// Deleted books, authors and publishers that match are restored.
+const { AppError } = require('../errors');
+const { MYSQL_ERRORS } = require('../middleware/errorHandler');
+const { validateBody, normalizeIsbn, toIsbn13 } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+const {
+  parseCsv, csvRowToBook, parseMarc, parseMarcXml, marcToBook
+} = require('./catalogueFormats');
+const { snapshot, auditChange } = require('./audit');
+const { restore } = require('./softDelete');
+const { withTransaction } = require('../db/transaction');
+
+const IMPORT_FORMATS = ['csv', 'marc', 'marcxml'];
+
+const CONTENT_TYPES = {
+  'text/csv': 'csv',
+  'application/marc': 'marc',
+  'application/marcxml+xml': 'marcxml',
+  'application/xml': 'marcxml',
+  'text/xml': 'marcxml'
+};
+
+const formatFromContentType = (contentType) => CONTENT_TYPES[(contentType || '').split(';')[0].trim()];
+
+// Parse an uploaded file into book records, numbered from 1 in file order
+const parseImport = (format, buffer) => {
+  const books = {
+    csv: () => parseCsv(buffer.toString('utf8')).map(csvRowToBook),
+    marc: () => parseMarc(buffer).map(marcToBook),
+    marcxml: () => parseMarcXml(buffer.toString('utf8')).map(marcToBook)
+  }[format]();
+
+  return books.map((book, index) => ({ row: index + 1, book }));
+};
+
+// Field errors of a record, using the same rules as POST /api/books
+const validateRecord = (book) => {
+  const errors = validateBody(schemas.createBook, book);
+
+  if (book.publisher && book.publisher.length > 255) {
+    errors.push({ field: 'publisher', message: 'Must be at most 255 characters' });
+  }
+
+  book.authors.forEach((author) => {
+    if (!author.last_name || author.first_name.length > 100 || author.last_name.length > 100) {
+      errors.push({ field: 'authors', message: `Invalid author name "${author.first_name} ${author.last_name}"` });
+    }
+  });
+
+  book.categories.forEach((category) => {
+    if (category.length > 100) {
+      errors.push({ field: 'categories', message: `Category name "${category}" is too long` });
+    }
+  });
+
+  return errors;
+};
+
+// Find a row by its natural key or insert it, returns [id, created].
+// For soft deleted entities (`entity`), a deleted match is restored.
+const findOrCreate = async (connection, table, idColumn, key, { entity = null, req = null } = {}) => {
+  const columns = Object.keys(key);
+  const values = Object.values(key);
+
+  const [existing] = await connection.query(`
+    SELECT ${idColumn} AS id${entity ? ', deleted_at' : ''} FROM ${table}
+    WHERE ${columns.map(column => `${column} = ?`).join(' AND ')}
+    ${entity ? 'ORDER BY deleted_at IS NOT NULL' : ''}
+    LIMIT 1
+  `, values);
+
+  if (existing.length > 0) {
+    if (existing[0].deleted_at) {
+      await restore(connection, req, entity, existing[0].id);
+    }
+    return [existing[0].id, false];
+  }
+
+  const [result] = await connection.query(`
+    INSERT INTO ${table} (${columns.join(', ')}) VALUES (?)
+  `, [values]);
+
+  return [result.insertId, true];
+};
+
+// Create or update one book with its authors, publisher and categories,
+// audited as a change made by the request `req`
+const importBook = async (connection, book, req) => {
+  const created = { publisher: null, authors: [], categories: [] };
+  const isbn = book.isbn ? normalizeIsbn(book.isbn) : null;
+
+  let publisherId = null;
+  if (book.publisher) {
+    const [id, isNew] = await findOrCreate(
+      connection, 'publishers', 'publisher_id', { name: book.publisher }, { entity: 'publisher', req }
+    );
+    publisherId = id;
+    if (isNew) {
+      created.publisher = book.publisher;
+      await auditChange(connection, req, 'publisher', id);
+    }
+  }
+
+  // Matched in either form, ISBN-10 or ISBN-13
+  const [existing] = isbn
+    ? await connection.query(`
+        SELECT book_id, deleted_at FROM books WHERE isbn13 = ? FOR UPDATE
+      `, [toIsbn13(isbn)])
+    : [[]];
+
+  let bookId;
+  let action;
+  let before = null;
+
+  if (existing.length > 0) {
+    bookId = existing[0].book_id;
+    action = 'updated';
+
+    if (existing[0].deleted_at) {
+      await restore(connection, req, 'book', bookId);
+      action = 'restored';
+    }
+
+    before = await snapshot(connection, 'book', bookId);
+
+    // Fields missing from the file keep their current values
+    await connection.query(`
+      UPDATE books SET
+        title = ?,
+        publisher_id = COALESCE(?, publisher_id),
+        publication_year = COALESCE(?, publication_year),
+        language = COALESCE(?, language),
+        page_count = COALESCE(?, page_count),
+        description = COALESCE(?, description),
+        replacement_cost = COALESCE(?, replacement_cost)
+      WHERE book_id = ?
+    `, [
+      book.title, publisherId, book.publication_year, book.language, book.page_count,
+      book.description, book.replacement_cost, bookId
+    ]);
+  } else {
+    action = 'created';
+
+    const [result] = await connection.query(`
+      INSERT INTO books (
+        title, isbn, publisher_id, publication_year, language,
+        page_count, description, replacement_cost
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      book.title, isbn, publisherId, book.publication_year, book.language || 'English',
+      book.page_count, book.description, book.replacement_cost
+    ]);
+    bookId = result.insertId;
+  }
+
+  // Links are only added, existing authors and categories of the book are kept
+  for (const author of book.authors) {
+    const [authorId, isNew] = await findOrCreate(
+      connection, 'authors', 'author_id', author, { entity: 'author', req }
+    );
+    if (isNew) {
+      created.authors.push(`${author.first_name} ${author.last_name}`.trim());
+      await auditChange(connection, req, 'author', authorId);
+    }
+    await connection.query(`
+      INSERT IGNORE INTO book_authors (book_id, author_id) VALUES (?, ?)
+    `, [bookId, authorId]);
+  }
+
+  for (const name of book.categories) {
+    const [categoryId, isNew] = await findOrCreate(connection, 'categories', 'category_id', { name });
+    if (isNew) {
+      created.categories.push(name);
+      await auditChange(connection, req, 'category', categoryId);
+    }
+    await connection.query(`
+      INSERT IGNORE INTO book_categories (book_id, category_id) VALUES (?, ?)
+    `, [bookId, categoryId]);
+  }
+
+  await auditChange(connection, req, 'book', bookId, before);
+
+  return { action, book_id: bookId, created };
+};
+
+// Thrown at the end of a dry run so withTransaction rolls it back
+class DryRunRollback extends Error {}
+
+// What the report says about a record that could not be saved. Database errors
+// get the messages the API gives for them, anything unexpected is only logged.
+const saveErrorMessage = (error) => {
+  if (error instanceof AppError) {
+    return error.message;
+  }
+  if (MYSQL_ERRORS[error.code]) {
+    return MYSQL_ERRORS[error.code].message;
+  }
+  console.error('Book import failed:', error);
+  return 'Row could not be saved';
+};
+
+// Import records in batches, each in its own transaction: a database error
+// rolls back its whole batch. A dry run imports everything in one transaction
+// that is rolled back, so the report shows exactly what an import would do;
+// each of its records runs behind a savepoint, so a failing one is undone and
+// reported on its own.
+const importBooks = async (pool, records, { dryRun = false, batchSize = 100, req = null } = {}) => {
+  const report = records.map(({ row, book }) => ({
+    row,
+    isbn: book.isbn,
+    title: book.title,
+    action: null,
+    errors: validateRecord(book)
+  }));
+
+  // Only the first record of an ISBN is imported, in either form
+  const seenIsbns = new Map();
+  report.forEach((entry) => {
+    if (entry.errors.length > 0 || !entry.isbn) {
+      return;
+    }
+    const isbn = toIsbn13(entry.isbn);
+    if (seenIsbns.has(isbn)) {
+      entry.errors.push({ field: 'isbn', message: `Duplicate of row ${seenIsbns.get(isbn)}` });
+    } else {
+      seenIsbns.set(isbn, entry.row);
+    }
+  });
+
+  const valid = report
+    .map((entry, index) => ({ entry, book: records[index].book }))
+    .filter(({ entry }) => entry.errors.length === 0);
+
+  const size = dryRun ? valid.length : batchSize;
+
+  for (let start = 0; start < valid.length; start += size) {
+    const batch = valid.slice(start, start + size);
+
+    try {
+      await withTransaction(pool, async (connection) => {
+        for (const { entry, book } of batch) {
+          if (dryRun) {
+            await connection.query('SAVEPOINT import_row');
+          }
+
+          try {
+            Object.assign(entry, await importBook(connection, book, req));
+          } catch (error) {
+            if (!dryRun) {
+              error.row = entry.row;
+              throw error;
+            }
+
+            await connection.query('ROLLBACK TO SAVEPOINT import_row');
+            entry.errors.push({ field: null, message: saveErrorMessage(error) });
+          }
+        }
+
+        if (dryRun) {
+          throw new DryRunRollback();
+        }
+      });
+    } catch (error) {
+      if (!(error instanceof DryRunRollback)) {
+        // Nothing from the batch was saved
+        const message = saveErrorMessage(error);
+        batch.forEach(({ entry }) => {
+          delete entry.book_id;
+          delete entry.created;
+          entry.errors.push({
+            field: null,
+            message: error.row === undefined || entry.row === error.row
+              ? message
+              : `Batch rolled back because of row ${error.row}`
+          });
+        });
+      }
+    }
+  }
+
+  report.forEach((entry) => {
+    if (entry.errors.length > 0) {
+      entry.action = 'rejected';
+    }
+  });
+
+  const count = (action) => report.filter(entry => entry.action === action).length;
+
+  return {
+    dry_run: dryRun,
+    summary: {
+      total: report.length,
+      created: count('created'),
+      updated: count('updated'),
+      restored: count('restored'),
+      rejected: count('rejected')
+    },
+    rows: report
+  };
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  formatFromContentType,
+  parseImport,
+  importBooks
+};
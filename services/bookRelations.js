@@ -0,0 +1,136 @@
+// File: services/bookRelations.js
+// Loads related records for a list of books with one query per relation,
+// selected by the `include=` query parameter of the book routes.
+const { BadRequestError, ForbiddenError } = require('../errors');
+const { hasRole } = require('../middleware/auth');
+
+const groupBy = (rows, key) => {
+  const groups = new Map();
+  rows.forEach((row) => {
+    const { [key]: id, ...rest } = row;
+    if (!groups.has(id)) {
+      groups.set(id, []);
+    }
+    groups.get(id).push(rest);
+  });
+  return groups;
+};
+
+// Each loader returns Map(book_id => related records) for the given books
+const loaders = {
+  authors: async (db, bookIds) => {
+    const [rows] = await db.query(`
+      SELECT ba.book_id, a.author_id, a.first_name, a.last_name
+      FROM book_authors ba
+      JOIN authors a ON ba.author_id = a.author_id
+      WHERE ba.book_id IN (?)
+      ORDER BY a.last_name, a.first_name
+    `, [bookIds]);
+    return groupBy(rows, 'book_id');
+  },
+
+  categories: async (db, bookIds) => {
+    const [rows] = await db.query(`
+      SELECT bc.book_id, c.category_id, c.name
+      FROM book_categories bc
+      JOIN categories c ON bc.category_id = c.category_id
+      WHERE bc.book_id IN (?)
+      ORDER BY c.name
+    `, [bookIds]);
+    return groupBy(rows, 'book_id');
+  },
+
+  // A single record (or null) rather than a list
+  publisher: async (db, bookIds) => {
+    const [rows] = await db.query(`
+      SELECT b.book_id, p.publisher_id, p.name, p.address, p.phone, p.email
+      FROM books b
+      JOIN publishers p ON b.publisher_id = p.publisher_id
+      WHERE b.book_id IN (?)
+    `, [bookIds]);
+    return new Map(rows.map(({ book_id, ...publisher }) => [book_id, publisher]));
+  },
+
+  current_borrowings: async (db, bookIds) => {
+    const [rows] = await db.query(`
+      SELECT b.book_id, b.borrowing_id, b.borrow_date, b.due_date, b.status,
+             i.item_id, i.barcode,
+             m.member_id, CONCAT(m.first_name, ' ', m.last_name) AS member_name
+      FROM borrowings b
+      LEFT JOIN items i ON b.item_id = i.item_id
+      JOIN members m ON b.member_id = m.member_id
+      WHERE b.book_id IN (?) AND b.status IN ('borrowed', 'overdue')
+      ORDER BY b.due_date
+    `, [bookIds]);
+    return groupBy(rows, 'book_id');
+  },
+
+  items: async (db, bookIds) => {
+    const [rows] = await db.query(`
+      SELECT book_id, item_id, barcode, shelf_location, item_condition, status
+      FROM items
+      WHERE book_id IN (?)
+      ORDER BY barcode
+    `, [bookIds]);
+    return groupBy(rows, 'book_id');
+  }
+};
+
+const BOOK_INCLUDES = Object.keys(loaders);
+
+// Relations showing which copy is where and who borrowed it
+const STAFF_INCLUDES = ['current_borrowings', 'items'];
+
+// Parse ?include=authors,categories of the request; without the parameter the
+// defaults apply and an empty include= loads no relations. Below staff, the
+// staff-only relations are left out of the defaults and refused when asked for.
+const parseIncludes = (req, defaults) => {
+  const isStaff = hasRole(req.user, 'staff');
+  const value = req.query.include;
+
+  if (value === undefined) {
+    return isStaff ? defaults : defaults.filter(include => !STAFF_INCLUDES.includes(include));
+  }
+
+  const includes = String(value).split(',').map(include => include.trim()).filter(Boolean);
+  const unknown = includes.filter(include => !BOOK_INCLUDES.includes(include));
+
+  if (unknown.length > 0) {
+    throw new BadRequestError(`Unknown include: ${unknown.join(', ')}. Allowed: ${BOOK_INCLUDES.join(', ')}`);
+  }
+
+  const restricted = includes.filter(include => STAFF_INCLUDES.includes(include));
+
+  if (restricted.length > 0 && !isStaff) {
+    throw new ForbiddenError(`Only staff can include ${restricted.join(', ')}`);
+  }
+
+  return [...new Set(includes)];
+};
+
+// Attach the included relations to each book, in place
+const loadBookRelations = async (db, books, includes) => {
+  if (books.length === 0) {
+    return books;
+  }
+
+  const bookIds = books.map(book => book.book_id);
+
+  for (const include of includes) {
+    const related = await loaders[include](db, bookIds);
+    const empty = include === 'publisher' ? null : [];
+
+    books.forEach((book) => {
+      book[include] = related.get(book.book_id) ?? empty;
+    });
+  }
+
+  return books;
+};
+
+module.exports = {
+  BOOK_INCLUDES,
+  STAFF_INCLUDES,
+  parseIncludes,
+  loadBookRelations
+};
@@ -0,0 +1,298 @@
+// File: services/borrowings.js
+// Lending, returning and losing copies. Every function must be called inside a
+// transaction (see db/transaction.js) and records its changes in the audit log.
+const { BadRequestError, ConflictError, NotFoundError } = require('../errors');
+const bookRepository = require('../repositories/books');
+const borrowingRepository = require('../repositories/borrowings');
+const itemRepository = require('../repositories/items');
+const { addDays, calculateFine, formatDate, resolvePolicy } = require('./loanPolicies');
+const { checkBorrowingEligibility } = require('./eligibility');
+const { postTransaction, getBorrowingCharges, syncFineCharge } = require('./ledger');
+const { releaseItem, fulfillReservations } = require('./reservations');
+const { notifyFinePosted } = require('./notifications');
+const { snapshot, auditChange } = require('./audit');
+
+// Pick the item to lend: the scanned barcode, the copy held for the member's
+// reservation, or any copy on the shelf. Locks the item row.
+const findItemToLend = async (connection, bookId, barcode, memberId) => {
+  if (barcode) {
+    const item = await itemRepository.findByBarcode(connection, barcode, { lock: true });
+
+    if (!item) {
+      throw new NotFoundError('Item not found');
+    }
+
+    if (bookId && item.book_id !== Number(bookId)) {
+      throw new BadRequestError('Item does not belong to this book');
+    }
+
+    if (item.status === 'on_hold') {
+      const [holdResult] = await connection.query(`
+        SELECT member_id FROM reservations WHERE item_id = ? AND status = 'ready'
+      `, [item.item_id]);
+
+      if (holdResult.length > 0 && holdResult[0].member_id !== Number(memberId)) {
+        throw new BadRequestError('Item is held for another member\'s reservation');
+      }
+    } else if (item.status !== 'available') {
+      throw new BadRequestError(`Item is not available (status: ${item.status})`);
+    }
+
+    return item;
+  }
+
+  await bookRepository.getById(connection, bookId);
+
+  // Copies held for reservations can only go to the reserving member
+  const [heldResult] = await connection.query(`
+    SELECT i.item_id, i.book_id, i.status
+    FROM reservations r
+    JOIN items i ON r.item_id = i.item_id
+    WHERE r.book_id = ? AND r.member_id = ? AND r.status = 'ready'
+    FOR UPDATE
+  `, [bookId, memberId]);
+
+  if (heldResult.length > 0) {
+    return heldResult[0];
+  }
+
+  const item = await itemRepository.findAvailable(connection, bookId);
+
+  if (!item) {
+    if (await itemRepository.countByStatus(connection, bookId, 'on_hold') > 0) {
+      throw new BadRequestError('All available copies are held for other members\' reservations');
+    }
+    throw new BadRequestError('No available copies of this book');
+  }
+
+  return item;
+};
+
+// Lend a copy of a book, either any available copy or the scanned barcode, to a
+// member who is eligible to borrow it. The loan period comes from the member's
+// policy unless due_date is given. Fulfils the member's reservation for the book.
+const checkoutBook = async (connection, req, { book_id, barcode, member_id, borrow_date, due_date }) => {
+  const item = await findItemToLend(connection, book_id, barcode, member_id);
+  const policy = await checkBorrowingEligibility(connection, member_id, item.book_id);
+
+  const finalBorrowDate = borrow_date || formatDate(new Date()); // Use current date if not provided
+
+  // Calculate due date if not provided
+  const finalDueDate = due_date || addDays(finalBorrowDate, policy.loan_days);
+
+  const borrowingId = await borrowingRepository.create(connection, {
+    book_id: item.book_id,
+    item_id: item.item_id,
+    member_id,
+    borrow_date: finalBorrowDate,
+    due_date: finalDueDate
+  });
+
+  await auditChange(connection, req, 'borrowing', borrowingId);
+
+  // Update book available copies (item trigger handles this)
+  await itemRepository.setStatus(connection, item.item_id, 'on_loan');
+
+  await fulfillReservations(connection, item.book_id, member_id, item.item_id);
+
+  return {
+    borrowing_id: borrowingId,
+    item_id: item.item_id,
+    due_date: finalDueDate,
+    policy_id: policy.policy_id
+  };
+};
+
+// The charge for replacing a book, unless given explicitly
+const getReplacementCost = async (connection, bookId, amount, field) => {
+  if (amount !== undefined && amount !== null) {
+    return Number(amount);
+  }
+
+  const replacementCost = await bookRepository.getReplacementCost(connection, bookId);
+
+  if (replacementCost === null) {
+    throw new BadRequestError(`Book has no replacement cost, ${field} is required`);
+  }
+
+  return replacementCost;
+};
+
+// Mark a locked borrowing as returned and put its item back into circulation.
+// Without an explicit fine_amount the final fine is calculated from the policy,
+// a lost book that turns up keeps the fine it had when declared lost and its
+// replacement charge is waived. A damaged item is charged and kept off the shelf.
+const closeBorrowing = async (connection, req, borrowing, { return_date, fine_amount, ...damage }) => {
+  if (borrowing.status === 'returned') {
+    throw new ConflictError('Book is already returned');
+  }
+
+  const returnedBy = req.user.user_id;
+  const finalReturnDate = return_date || formatDate(new Date()); // Use current date if not provided
+
+  let finalFine = fine_amount;
+  if (finalFine === undefined || finalFine === null) {
+    if (borrowing.status === 'lost') {
+      finalFine = Number(borrowing.fine_amount);
+    } else {
+      const policy = await resolvePolicy(connection, borrowing.member_id, borrowing.book_id);
+      finalFine = calculateFine(policy, borrowing.due_date, new Date(`${finalReturnDate}T00:00:00`));
+    }
+  }
+
+  const before = await snapshot(connection, 'borrowing', borrowing.borrowing_id);
+
+  await borrowingRepository.markReturned(connection, borrowing.borrowing_id, {
+    return_date: finalReturnDate,
+    fine_amount: finalFine
+  });
+
+  await auditChange(connection, req, 'borrowing', borrowing.borrowing_id, before);
+
+  // Post the final fine to the member's account
+  await syncFineCharge(connection, borrowing.borrowing_id, borrowing.member_id, finalFine, returnedBy);
+
+  if (finalFine > 0) {
+    await notifyFinePosted(connection, borrowing.borrowing_id, finalFine);
+  }
+
+  // A lost book that was found no longer has to be replaced
+  let replacementWaived = 0;
+  if (borrowing.status === 'lost') {
+    replacementWaived = await getBorrowingCharges(connection, borrowing.borrowing_id, 'replacement');
+
+    if (replacementWaived > 0) {
+      await postTransaction(connection, {
+        member_id: borrowing.member_id,
+        borrowing_id: borrowing.borrowing_id,
+        type: 'waiver',
+        category: 'replacement',
+        amount: replacementWaived,
+        description: 'Replacement of lost item',
+        reason: 'Lost item returned',
+        created_by: returnedBy
+      });
+    }
+  }
+
+  let damageCharge = 0;
+  if (damage.damaged) {
+    damageCharge = await getReplacementCost(connection, borrowing.book_id, damage.damage_charge, 'damage_charge');
+
+    if (damageCharge > 0) {
+      await postTransaction(connection, {
+        member_id: borrowing.member_id,
+        borrowing_id: borrowing.borrowing_id,
+        type: 'charge',
+        category: 'damage',
+        amount: damageCharge,
+        description: 'Damaged item',
+        created_by: returnedBy
+      });
+    }
+  }
+
+  const result = {
+    borrowing_id: borrowing.borrowing_id,
+    fine_amount: finalFine,
+    damage_charge: damageCharge,
+    replacement_waived: replacementWaived,
+    held_for_reservation_id: null
+  };
+
+  // Loans recorded before item tracking have no item to release
+  if (!borrowing.item_id) {
+    return result;
+  }
+
+  // Damaged items go to repair or are withdrawn (a withdrawn item is no longer counted as a copy)
+  if (damage.damaged) {
+    await connection.query(`
+      UPDATE items SET item_condition = 'damaged', status = ? WHERE item_id = ?
+    `, [damage.withdraw_item ? 'withdrawn' : 'repair', borrowing.item_id]);
+
+    return result;
+  }
+
+  // Hold the returned item for the next member waiting in the queue or shelve it
+  // (item trigger updates book available copies)
+  result.held_for_reservation_id = await releaseItem(connection, borrowing.item_id, borrowing.book_id);
+
+  return result;
+};
+
+// Return a borrowing by its id
+const returnBorrowing = async (connection, req, borrowingId, options) => {
+  const borrowing = await borrowingRepository.getById(connection, borrowingId, { lock: true });
+
+  return closeBorrowing(connection, req, borrowing, options);
+};
+
+// Return the borrowed (or lost) item with the scanned barcode
+const returnByBarcode = async (connection, req, barcode, options) => {
+  const borrowing = await borrowingRepository.findOpenByBarcode(connection, barcode, { lock: true });
+
+  if (!borrowing) {
+    throw new NotFoundError('No active borrowing for this item');
+  }
+
+  return closeBorrowing(connection, req, borrowing, options);
+};
+
+// Declare a borrowed book lost: the member is charged its replacement cost,
+// the fine stops accruing and the item no longer counts as a copy.
+// Returning the book later reverses the replacement charge.
+const declareLost = async (connection, req, borrowingId, { lost_date, replacement_cost }) => {
+  const borrowing = await borrowingRepository.getById(connection, borrowingId, { lock: true });
+
+  if (!borrowingRepository.ACTIVE_STATUSES.includes(borrowing.status)) {
+    throw new BadRequestError(`Cannot mark ${borrowing.status} borrowing as lost`);
+  }
+
+  const finalLostDate = lost_date || formatDate(new Date()); // Use current date if not provided
+  const replacementCost = await getReplacementCost(
+    connection, borrowing.book_id, replacement_cost, 'replacement_cost'
+  );
+
+  // The fine is frozen at what it was on the day the book was lost
+  const policy = await resolvePolicy(connection, borrowing.member_id, borrowing.book_id);
+  const fine = calculateFine(policy, borrowing.due_date, new Date(`${finalLostDate}T00:00:00`));
+
+  const before = await snapshot(connection, 'borrowing', borrowingId);
+
+  await borrowingRepository.markLost(connection, borrowingId, { lost_date: finalLostDate, fine_amount: fine });
+
+  await auditChange(connection, req, 'borrowing', borrowingId, before);
+
+  await syncFineCharge(connection, borrowing.borrowing_id, borrowing.member_id, fine, req.user.user_id);
+
+  if (replacementCost > 0) {
+    await postTransaction(connection, {
+      member_id: borrowing.member_id,
+      borrowing_id: borrowing.borrowing_id,
+      type: 'charge',
+      category: 'replacement',
+      amount: replacementCost,
+      description: 'Replacement of lost item',
+      created_by: req.user.user_id
+    });
+  }
+
+  // Lost items no longer count towards total copies (item trigger updates the book)
+  if (borrowing.item_id) {
+    await itemRepository.setStatus(connection, borrowing.item_id, 'lost');
+  }
+
+  return {
+    borrowing_id: borrowing.borrowing_id,
+    fine_amount: fine,
+    replacement_cost: replacementCost
+  };
+};
+
+module.exports = {
+  checkoutBook,
+  returnBorrowing,
+  returnByBarcode,
+  declareLost
+};
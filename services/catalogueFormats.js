@@ -0,0 +1,330 @@
+// File: services/catalogueFormats.js
+// Parsing of catalogue files (CSV, MARC21 binary, MARCXML) into plain book records
+// and writing CSV and MARCXML back out. Book records look like:
+//   { title, isbn, publisher, publication_year, language, page_count, description,
+//     replacement_cost, authors: [{ first_name, last_name }], categories: [name] }
+const { XMLParser } = require('fast-xml-parser');
+
+// CSV columns, authors and categories hold several values separated by ";"
+const CSV_COLUMNS = [
+  'title', 'isbn', 'authors', 'publisher', 'publication_year', 'language',
+  'page_count', 'description', 'categories', 'replacement_cost'
+];
+
+// MARC language codes (008/35-37, 041$a) of the languages we catalogue
+const MARC_LANGUAGES = {
+  eng: 'English',
+  pol: 'Polish',
+  ger: 'German',
+  fre: 'French',
+  spa: 'Spanish',
+  ita: 'Italian',
+  rus: 'Russian'
+};
+
+const FIELD_TERMINATOR = 0x1e;
+const RECORD_TERMINATOR = 0x1d;
+const SUBFIELD_DELIMITER = '\x1f';
+
+// Parse RFC 4180 CSV (quoted fields, "" escapes, CRLF or LF) into rows of strings
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+// Parse CSV with a header row into objects keyed by the lowercased column names
+const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(column => column.trim().toLowerCase());
+
+  return rows.map(fields => Object.fromEntries(
+    columns.map((column, index) => [column, (fields[index] ?? '').trim()])
+  ));
+};
+
+// "Last, First" or "First Last"
+const parsePersonName = (name) => {
+  const trimmed = name.trim();
+
+  if (trimmed.includes(',')) {
+    const [lastName, ...rest] = trimmed.split(',');
+    return { first_name: rest.join(',').trim(), last_name: lastName.trim() };
+  }
+
+  const parts = trimmed.split(/\s+/);
+  return { first_name: parts.slice(0, -1).join(' '), last_name: parts[parts.length - 1] };
+};
+
+const splitList = (value) => (value || '').split(';').map(item => item.trim()).filter(Boolean);
+
+const emptyToNull = (value) => (value === undefined || value === '' ? null : value);
+
+const csvRowToBook = (row) => ({
+  title: emptyToNull(row.title),
+  isbn: emptyToNull(row.isbn),
+  publisher: emptyToNull(row.publisher),
+  publication_year: emptyToNull(row.publication_year),
+  language: emptyToNull(row.language),
+  page_count: emptyToNull(row.page_count),
+  description: emptyToNull(row.description),
+  replacement_cost: emptyToNull(row.replacement_cost),
+  authors: splitList(row.authors).map(parsePersonName),
+  categories: splitList(row.categories)
+});
+
+// Parse binary MARC21 (ISO 2709). Offsets in the leader and directory are in bytes.
+const parseMarc = (buffer) => {
+  const records = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    // Skip whitespace between records (e.g. a trailing newline)
+    if (/\s/.test(String.fromCharCode(buffer[offset]))) {
+      offset++;
+      continue;
+    }
+
+    const recordLength = Number(buffer.toString('latin1', offset, offset + 5));
+    if (!Number.isInteger(recordLength) || recordLength < 25 || offset + recordLength > buffer.length) {
+      throw new Error(`Invalid MARC record at byte ${offset}`);
+    }
+
+    const record = buffer.subarray(offset, offset + recordLength);
+    const baseAddress = Number(record.toString('latin1', 12, 17));
+    const directoryEnd = record.indexOf(FIELD_TERMINATOR, 24);
+
+    const parsed = { leader: record.toString('latin1', 0, 24), controlfields: {}, datafields: [] };
+
+    for (let entry = 24; entry + 12 <= directoryEnd; entry += 12) {
+      const tag = record.toString('latin1', entry, entry + 3);
+      const length = Number(record.toString('latin1', entry + 3, entry + 7));
+      const start = baseAddress + Number(record.toString('latin1', entry + 7, entry + 12));
+
+      // Field data without its terminator
+      let data = record.subarray(start, start + length);
+      if (data[data.length - 1] === FIELD_TERMINATOR) {
+        data = data.subarray(0, -1);
+      }
+      const value = data.toString('utf8');
+
+      if (tag < '010') {
+        parsed.controlfields[tag] = value;
+      } else {
+        parsed.datafields.push({
+          tag,
+          subfields: value.split(SUBFIELD_DELIMITER).slice(1).map(subfield => ({
+            code: subfield[0],
+            value: subfield.slice(1)
+          }))
+        });
+      }
+    }
+
+    records.push(parsed);
+    offset += recordLength;
+
+    if (buffer[offset - 1] !== RECORD_TERMINATOR) {
+      throw new Error(`MARC record ending at byte ${offset} is not terminated`);
+    }
+  }
+
+  return records;
+};
+
+// Parse MARCXML (a <collection> of <record>s or a single <record>), namespace prefixes are ignored
+const parseMarcXml = (text) => {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    removeNSPrefix: true,
+    parseTagValue: false,
+    parseAttributeValue: false,
+    htmlEntities: true,
+    isArray: (name) => ['record', 'controlfield', 'datafield', 'subfield'].includes(name)
+  });
+
+  const document = parser.parse(text);
+  const records = document.collection?.record || document.record || [];
+
+  const textOf = (node) => (typeof node === 'object' ? node['#text'] ?? '' : String(node ?? ''));
+
+  return records.map(record => ({
+    leader: textOf(record.leader),
+    controlfields: Object.fromEntries(
+      (record.controlfield || []).map(field => [field.tag, textOf(field)])
+    ),
+    datafields: (record.datafield || []).map(field => ({
+      tag: field.tag,
+      subfields: (field.subfield || []).map(subfield => ({ code: subfield.code, value: textOf(subfield) }))
+    }))
+  }));
+};
+
+// Strip the ISBD punctuation MARC puts at the end of subfields (" /", " :", ",", ".")
+// but keep the period of a trailing initial such as "J. R. R."
+const trimPunctuation = (value) => value
+  .trim()
+  .replace(/\s*[/:;,=]$/, '')
+  .replace(/([^\s.]{2,})\.$/, '$1')
+  .trim();
+
+const subfieldValues = (record, tag, code) => record.datafields
+  .filter(field => field.tag === tag)
+  .flatMap(field => field.subfields.filter(subfield => subfield.code === code))
+  .map(subfield => subfield.value);
+
+const firstSubfield = (record, tags, code) => {
+  for (const tag of tags) {
+    const [value] = subfieldValues(record, tag, code);
+    if (value) {
+      return value;
+    }
+  }
+  return null;
+};
+
+const marcToBook = (record) => {
+  const title = [firstSubfield(record, ['245'], 'a'), firstSubfield(record, ['245'], 'b')]
+    .filter(Boolean)
+    .map(trimPunctuation)
+    .join(': ');
+
+  // 020$a may carry a qualifier, e.g. "9780061120084 (pbk.)"
+  const isbn = firstSubfield(record, ['020'], 'a');
+  const year = (firstSubfield(record, ['264', '260'], 'c') || '').match(/\d{4}/);
+  const pages = (firstSubfield(record, ['300'], 'a') || '').match(/\d+/);
+
+  const languageCode = firstSubfield(record, ['041'], 'a') || (record.controlfields['008'] || '').slice(35, 38).trim();
+  const publisher = firstSubfield(record, ['264', '260'], 'b');
+  const description = firstSubfield(record, ['520'], 'a');
+
+  return {
+    title: title || null,
+    isbn: isbn ? isbn.split(/\s/)[0] : null,
+    publisher: publisher ? trimPunctuation(publisher) : null,
+    publication_year: year ? year[0] : null,
+    language: languageCode ? MARC_LANGUAGES[languageCode] || languageCode : null,
+    page_count: pages ? pages[0] : null,
+    description: description ? description.trim() : null,
+    replacement_cost: null,
+    authors: [...subfieldValues(record, '100', 'a'), ...subfieldValues(record, '700', 'a')]
+      .map(name => parsePersonName(trimPunctuation(name))),
+    categories: [...new Set(subfieldValues(record, '650', 'a').map(trimPunctuation))]
+  };
+};
+
+// Quote a CSV value when needed, arrays are joined with "; "
+const csvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = Array.isArray(value) ? value.join('; ') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => `${values.map(csvValue).join(',')}\r\n`;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const MARC_LANGUAGE_CODES = Object.fromEntries(
+  Object.entries(MARC_LANGUAGES).map(([code, language]) => [language, code])
+);
+
+const MARCXML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>\n'
+  + '<collection xmlns="http://www.loc.gov/MARC21/slim">\n';
+const MARCXML_FOOTER = '</collection>\n';
+
+// One MARCXML <record> for a book record, the fields marcToBook reads
+const bookToMarcXml = (book) => {
+  const datafield = (tag, subfields, ind1 = ' ', ind2 = ' ') => {
+    const present = subfields.filter(([, value]) => value !== null && value !== undefined && value !== '');
+    if (present.length === 0) {
+      return '';
+    }
+    return `    <datafield tag="${tag}" ind1="${ind1}" ind2="${ind2}">\n`
+      + present.map(([code, value]) => `      <subfield code="${code}">${escapeXml(value)}</subfield>\n`).join('')
+      + '    </datafield>\n';
+  };
+
+  const personName = (author) => [author.last_name, author.first_name].filter(Boolean).join(', ');
+  const [mainAuthor, ...addedAuthors] = book.authors || [];
+  const languageCode = MARC_LANGUAGE_CODES[book.language] || '';
+
+  return '  <record>\n'
+    + '    <leader>00000nam a2200000 i 4500</leader>\n'
+    + (book.book_id ? `    <controlfield tag="001">${book.book_id}</controlfield>\n` : '')
+    + datafield('020', [['a', book.isbn]])
+    + datafield('041', [['a', languageCode]])
+    + (mainAuthor ? datafield('100', [['a', personName(mainAuthor)]], '1') : '')
+    + datafield('245', [['a', book.title]], mainAuthor ? '1' : '0', '0')
+    + datafield('264', [['b', book.publisher], ['c', book.publication_year]], ' ', '1')
+    + datafield('300', [['a', book.page_count ? `${book.page_count} pages` : null]])
+    + datafield('520', [['a', book.description]])
+    + (book.categories || []).map(category => datafield('650', [['a', category]], ' ', '4')).join('')
+    + addedAuthors.map(author => datafield('700', [['a', personName(author)]], '1')).join('')
+    + '  </record>\n';
+};
+
+module.exports = {
+  CSV_COLUMNS,
+  MARC_LANGUAGES,
+  parsePersonName,
+  parseCsv,
+  csvRowToBook,
+  parseMarc,
+  parseMarcXml,
+  marcToBook,
+  toCsvRow,
+  MARCXML_HEADER,
+  MARCXML_FOOTER,
+  bookToMarcXml
+};
@@ -0,0 +1,284 @@
+// File: services/catalogueSearch.js
+// Catalogue search over titles, descriptions, author names, ISBNs and publishers.
+// The query language:
+//   orwell farm            every word must match somewhere, words match as prefixes;
+//                          stopwords and words under 3 letters are ignored
+//   "animal farm"          phrase
+//   author:orwell          qualifiers: title, author, publisher, isbn, category, language, year
+//   year:>2000             year also takes >=, <, <=, and ranges like year:1990..1999
+// The facet parameters category, language, decade, publisher and availability narrow the results.
+const { BadRequestError } = require('../errors');
+const { normalizeIsbn, toIsbn13 } = require('../middleware/validate');
+const { whereClause } = require('./filters');
+
+const SEARCH_QUALIFIERS = ['title', 'author', 'publisher', 'isbn', 'category', 'language', 'year'];
+
+// Values of each facet returned, the most frequent first
+const FACET_LIMIT = 20;
+
+// qualifier:"quoted value", qualifier:value, "phrase" or word
+const TOKEN = /(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+
+// InnoDB leaves stopwords and words shorter than innodb_ft_min_token_size (3)
+// out of full-text indexes, so a required MATCH on one of them never succeeds
+const FULLTEXT_STOPWORDS = new Set([
+  'a', 'about', 'an', 'are', 'as', 'at', 'be', 'by', 'com', 'de', 'en', 'for', 'from', 'how',
+  'i', 'in', 'is', 'it', 'la', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what',
+  'when', 'where', 'who', 'will', 'with', 'und', 'www'
+]);
+const FULLTEXT_MIN_WORD_LENGTH = 3;
+
+const isIndexedWord = (word) => word.length >= FULLTEXT_MIN_WORD_LENGTH && !FULLTEXT_STOPWORDS.has(word.toLowerCase());
+
+// Characters with a meaning in MySQL boolean mode searches, and colons
+const stripOperators = (text) => text.replace(/[+\-<>()~*"@:]/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Split a search into free text terms and qualifiers
+const parseSearchQuery = (text) => {
+  const terms = [];
+  const qualifiers = [];
+
+  for (const [, field, quotedValue, value, phrase, word] of String(text || '').matchAll(TOKEN)) {
+    const name = field && field.toLowerCase();
+
+    if (name && SEARCH_QUALIFIERS.includes(name)) {
+      const qualifierValue = (quotedValue ?? value).trim();
+      if (qualifierValue) {
+        qualifiers.push({ field: name, value: qualifierValue });
+      }
+      continue;
+    }
+
+    // Anything else, including "word:" in a title, is free text
+    const cleaned = stripOperators(phrase ?? word ?? `${field} ${quotedValue ?? value}`);
+    if (cleaned) {
+      terms.push({ text: cleaned, phrase: phrase !== undefined || cleaned.includes(' ') });
+    }
+  }
+
+  return { terms, qualifiers };
+};
+
+// Boolean mode expression of a term: a phrase, or a word matched as a prefix
+const matchTerm = (term) => (term.phrase ? `"${term.text}"` : `${term.text}*`);
+
+// Every indexed word of a name is required, e.g. author:"george orwell"
+const matchAllWords = (value) => stripOperators(value).split(' ').filter(isIndexedWord).map(word => `+${word}*`).join(' ');
+
+// A name of only stopwords and short words, e.g. publisher:"of", narrows nothing
+const matchCondition = (sql, value) => {
+  const expression = matchAllWords(value);
+  return expression ? { sql, parameters: [expression] } : null;
+};
+
+const parseYear = (value) => {
+  const range = value.match(/^(\d{4})\.\.(\d{4})$/);
+  if (range) {
+    return { sql: `b.publication_year BETWEEN ? AND ?`, parameters: [range[1], range[2]] };
+  }
+
+  const comparison = value.match(/^(>=|<=|>|<)?(\d{4})$/);
+  if (comparison) {
+    return { sql: `b.publication_year ${comparison[1] || '='} ?`, parameters: [comparison[2]] };
+  }
+
+  throw new BadRequestError(`Invalid year "${value}", expected e.g. 2001, >2000, <=1999 or 1990..1999`);
+};
+
+const qualifierConditions = {
+  title: (value) => ({ sql: `b.title LIKE ?`, parameters: [`%${value}%`] }),
+  author: (value) => matchCondition(`EXISTS (
+    SELECT 1 FROM book_authors ba
+    JOIN authors a ON ba.author_id = a.author_id
+    WHERE ba.book_id = b.book_id AND MATCH(a.first_name, a.last_name) AGAINST(? IN BOOLEAN MODE)
+  )`, value),
+  publisher: (value) => matchCondition(`MATCH(p.name) AGAINST(? IN BOOLEAN MODE)`, value),
+  // The start of an ISBN-13, or a whole ISBN in either form
+  isbn: (value) => ({
+    sql: `(b.isbn13 LIKE ? OR b.isbn13 = ?)`,
+    parameters: [`${normalizeIsbn(value)}%`, toIsbn13(value)]
+  }),
+  category: (value) => ({
+    sql: `EXISTS (
+      SELECT 1 FROM book_categories bc
+      JOIN categories c ON bc.category_id = c.category_id
+      WHERE bc.book_id = b.book_id AND c.name = ?
+    )`,
+    parameters: [value]
+  }),
+  language: (value) => ({ sql: `b.language = ?`, parameters: [value] }),
+  year: parseYear
+};
+
+// A free text term matches the title or description, an author, the publisher or the ISBN
+const termCondition = (term) => ({
+  sql: `(
+    MATCH(b.title, b.description) AGAINST(? IN BOOLEAN MODE)
+    OR EXISTS (
+      SELECT 1 FROM book_authors ba
+      JOIN authors a ON ba.author_id = a.author_id
+      WHERE ba.book_id = b.book_id AND MATCH(a.first_name, a.last_name) AGAINST(? IN BOOLEAN MODE)
+    )
+    OR MATCH(p.name) AGAINST(? IN BOOLEAN MODE)
+    OR b.isbn13 = ?
+  )`,
+  parameters: [matchTerm(term), matchTerm(term), matchTerm(term), toIsbn13(term.text)]
+});
+
+// Relevance: text and author scores, author matches weigh double, plus
+// a bonus for every term in the title and for an exact ISBN
+const relevanceScore = (terms) => {
+  if (terms.length === 0) {
+    return { sql: '0', parameters: [] };
+  }
+
+  const all = terms.map(matchTerm).join(' ');
+
+  return {
+    sql: `(
+      MATCH(b.title, b.description) AGAINST(? IN BOOLEAN MODE)
+      + 2 * COALESCE((
+        SELECT MAX(MATCH(a.first_name, a.last_name) AGAINST(? IN BOOLEAN MODE))
+        FROM book_authors ba
+        JOIN authors a ON ba.author_id = a.author_id
+        WHERE ba.book_id = b.book_id
+      ), 0)
+      + COALESCE(MATCH(p.name) AGAINST(? IN BOOLEAN MODE), 0)
+      ${terms.map(() => '+ IF(b.title LIKE ?, 2, 0)').join(' ')}
+      + IF(b.isbn13 IN (?), 100, 0)
+    )`,
+    parameters: [
+      all, all, all,
+      ...terms.map(term => `%${term.text}%`),
+      terms.map(term => toIsbn13(term.text))
+    ]
+  };
+};
+
+// Narrowing by facet values, e.g. ?category=Fiction&decade=1990
+const facetConditions = (query) => {
+  const conditions = [];
+
+  if (query.category) {
+    conditions.push(qualifierConditions.category(query.category));
+  }
+
+  if (query.language) {
+    conditions.push(qualifierConditions.language(query.language));
+  }
+
+  if (query.decade) {
+    if (!/^\d{3}0$/.test(query.decade)) {
+      throw new BadRequestError('decade must be a year ending in 0, e.g. 1990');
+    }
+    conditions.push({ sql: `b.publication_year BETWEEN ? AND ?`, parameters: [Number(query.decade), Number(query.decade) + 9] });
+  }
+
+  if (query.publisher) {
+    conditions.push({ sql: `p.name = ?`, parameters: [query.publisher] });
+  }
+
+  if (query.availability === 'available') {
+    conditions.push({ sql: `b.available_copies > 0`, parameters: [] });
+  } else if (query.availability === 'unavailable') {
+    conditions.push({ sql: `b.available_copies = 0`, parameters: [] });
+  }
+
+  return conditions;
+};
+
+// Conditions of a search request (?q= and the facet parameters) over
+// `books b LEFT JOIN publishers p`, and the relevance column
+const buildSearch = (query) => {
+  const parsed = parseSearchQuery(query.q);
+  const { qualifiers } = parsed;
+
+  // Terms without an indexed word are left out rather than matching nothing
+  const terms = parsed.terms.filter(term => term.text.split(' ').some(isIndexedWord));
+
+  const conditions = [
+    ...terms.map(termCondition),
+    ...qualifiers.map(({ field, value }) => qualifierConditions[field](value)).filter(Boolean),
+    ...facetConditions(query)
+  ];
+
+  return {
+    terms,
+    qualifiers,
+    conditions: conditions.map(condition => condition.sql),
+    parameters: conditions.flatMap(condition => condition.parameters),
+    relevance: relevanceScore(terms)
+  };
+};
+
+// Facet counts over all results of a search
+const searchFacets = async (db, search) => {
+  const from = `
+    FROM books b
+    LEFT JOIN publishers p ON b.publisher_id = p.publisher_id
+  `;
+  const where = (extra) => whereClause([...search.conditions, ...extra]);
+
+  const [categories] = await db.query(`
+    SELECT c.name AS value, COUNT(*) AS count
+    ${from}
+    JOIN book_categories bc ON bc.book_id = b.book_id
+    JOIN categories c ON bc.category_id = c.category_id
+    ${where([])}
+    GROUP BY c.category_id, c.name
+    ORDER BY count DESC, value
+    LIMIT ?
+  `, [...search.parameters, FACET_LIMIT]);
+
+  const [languages] = await db.query(`
+    SELECT b.language AS value, COUNT(*) AS count
+    ${from}
+    ${where(['b.language IS NOT NULL'])}
+    GROUP BY b.language
+    ORDER BY count DESC, value
+    LIMIT ?
+  `, [...search.parameters, FACET_LIMIT]);
+
+  const [decades] = await db.query(`
+    SELECT FLOOR(b.publication_year / 10) * 10 AS value, COUNT(*) AS count
+    ${from}
+    ${where(['b.publication_year IS NOT NULL'])}
+    GROUP BY value
+    ORDER BY value DESC
+    LIMIT ?
+  `, [...search.parameters, FACET_LIMIT]);
+
+  const [publishers] = await db.query(`
+    SELECT p.name AS value, COUNT(*) AS count
+    ${from}
+    ${where(['p.publisher_id IS NOT NULL'])}
+    GROUP BY p.publisher_id, p.name
+    ORDER BY count DESC, value
+    LIMIT ?
+  `, [...search.parameters, FACET_LIMIT]);
+
+  const [availability] = await db.query(`
+    SELECT COALESCE(SUM(b.available_copies > 0), 0) AS available,
+           COALESCE(SUM(b.available_copies = 0), 0) AS unavailable
+    ${from}
+    ${where([])}
+  `, search.parameters);
+
+  return {
+    category: categories,
+    language: languages,
+    decade: decades.map(({ value, count }) => ({ value: Number(value), count })),
+    publisher: publishers,
+    availability: {
+      available: Number(availability[0].available),
+      unavailable: Number(availability[0].unavailable)
+    }
+  };
+};
+
+module.exports = {
+  SEARCH_QUALIFIERS,
+  parseSearchQuery,
+  buildSearch,
+  searchFacets
+};
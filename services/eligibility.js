@@ -0,0 +1,97 @@
+// File: services/eligibility.js
+// Who may borrow, renew and reserve. The checks throw a BadRequestError naming
+// the rule that is broken; run them inside the transaction that acts on them.
+const { BadRequestError } = require('../errors');
+const memberRepository = require('../repositories/members');
+const borrowingRepository = require('../repositories/borrowings');
+const { resolvePolicy } = require('./loanPolicies');
+const { getBalance, getBalanceLimit } = require('./ledger');
+
+// The member, who must exist and be active
+const requireActiveMember = async (db, memberId) => {
+  const member = await memberRepository.getById(db, memberId);
+
+  if (member.membership_status !== 'active') {
+    throw new BadRequestError('Member is not active');
+  }
+
+  return member;
+};
+
+// Check that a member may take another copy of a book: active, nothing overdue,
+// not owing more than the balance limit and below the policy's loan limit.
+// Returns the loan policy that applies.
+const checkBorrowingEligibility = async (db, memberId, bookId) => {
+  await requireActiveMember(db, memberId);
+
+  if (await borrowingRepository.countOverdue(db, memberId) > 0) {
+    throw new BadRequestError('Member has overdue books and cannot borrow more');
+  }
+
+  // Check if the member owes more than the allowed balance
+  const balance = await getBalance(db, memberId);
+  const balanceLimit = getBalanceLimit();
+
+  if (balance > balanceLimit) {
+    throw new BadRequestError(
+      `Member owes ${balance.toFixed(2)}, which exceeds the borrowing limit of ${balanceLimit.toFixed(2)}`
+    );
+  }
+
+  // Loan length and loan limit come from the member's policy for this book
+  const policy = await resolvePolicy(db, memberId, bookId);
+
+  if (policy.max_loans !== null
+    && await borrowingRepository.countActive(db, { member_id: memberId }) >= policy.max_loans) {
+    throw new BadRequestError(`Member has reached the limit of ${policy.max_loans} concurrent loans`);
+  }
+
+  return policy;
+};
+
+// Check that a loan may be renewed: still out and not past due, the member active
+// and not owing more than the balance limit, renewals left and nobody else queueing
+// for the book. Returns the loan policy that applies.
+const checkRenewalEligibility = async (db, borrowing) => {
+  if (!borrowingRepository.ACTIVE_STATUSES.includes(borrowing.status)) {
+    throw new BadRequestError(`Cannot renew ${borrowing.status} borrowing`);
+  }
+
+  // A renewal would move the due date past the days the fine is counted for
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  if (borrowing.status === 'overdue' || borrowing.due_date < today) {
+    throw new BadRequestError('Cannot renew overdue borrowing, return it to settle the fine');
+  }
+
+  await requireActiveMember(db, borrowing.member_id);
+
+  if (await getBalance(db, borrowing.member_id) > getBalanceLimit()) {
+    throw new BadRequestError('Member owes more than the borrowing limit and cannot renew');
+  }
+
+  const policy = await resolvePolicy(db, borrowing.member_id, borrowing.book_id);
+
+  if (policy.max_renewals !== null && borrowing.renewal_count >= policy.max_renewals) {
+    throw new BadRequestError(`Renewal limit of ${policy.max_renewals} reached`);
+  }
+
+  // Members waiting in the queue get the copy first
+  const [queueResult] = await db.query(`
+    SELECT COUNT(*) AS count FROM reservations
+    WHERE book_id = ? AND member_id != ? AND status = 'pending' AND expiry_date >= CURDATE()
+  `, [borrowing.book_id, borrowing.member_id]);
+
+  if (queueResult[0].count > 0) {
+    throw new BadRequestError('Book is reserved by another member and cannot be renewed');
+  }
+
+  return policy;
+};
+
+module.exports = {
+  requireActiveMember,
+  checkBorrowingEligibility,
+  checkRenewalEligibility
+};
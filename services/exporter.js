@@ -0,0 +1,97 @@
+// File: services/exporter.js
+// Streaming exports: rows are read from MySQL as a stream and written to the
+// response one by one, so large tables are never loaded into memory.
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { BadRequestError } = require('../errors');
+const { formatDate } = require('./loanPolicies');
+const { toCsvRow, MARCXML_HEADER, MARCXML_FOOTER, bookToMarcXml } = require('./catalogueFormats');
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  jsonl: 'application/x-ndjson; charset=utf-8',
+  marcxml: 'application/marcxml+xml; charset=utf-8'
+};
+
+const EXTENSIONS = {
+  csv: 'csv',
+  jsonl: 'jsonl',
+  marcxml: 'xml'
+};
+
+// Header, one chunk per record and footer of each format.
+// csv columns are [header, record => value] pairs.
+const formatters = {
+  csv: (columns) => ({
+    header: toCsvRow(columns.map(([header]) => header)),
+    record: (record) => toCsvRow(columns.map(([, value]) => value(record))),
+    footer: ''
+  }),
+  jsonl: () => ({
+    header: '',
+    record: (record) => `${JSON.stringify(record)}\n`,
+    footer: ''
+  }),
+  marcxml: () => ({
+    header: MARCXML_HEADER,
+    record: bookToMarcXml,
+    footer: MARCXML_FOOTER
+  })
+};
+
+// Stream the rows of a query to the response in `format` (one of `formats`).
+// toRecord shapes a database row into the exported record.
+const streamExport = async (pool, res, {
+  sql, parameters, format, formats, name, columns, toRecord = (row) => row
+}) => {
+  if (!formats.includes(format)) {
+    throw new BadRequestError(`Unsupported export format, expected one of: ${formats.join(', ')}`);
+  }
+
+  const formatter = formatters[format](columns);
+
+  const toChunks = new Transform({
+    writableObjectMode: true,
+    transform(row, encoding, callback) {
+      callback(null, formatter.record(toRecord(row)));
+    },
+    flush(callback) {
+      callback(null, formatter.footer);
+    }
+  });
+  toChunks.push(formatter.header);
+
+  const connection = await pool.getConnection();
+  let failed = false;
+
+  try {
+    // Dates are exported as written in the database, without time zone conversion
+    const rows = connection.connection.query({ sql, values: parameters, dateStrings: true }).stream();
+
+    res.status(200);
+    res.set('Content-Type', CONTENT_TYPES[format]);
+    res.set('Content-Disposition', `attachment; filename="${name}-${formatDate(new Date())}.${EXTENSIONS[format]}"`);
+
+    await pipeline(rows, toChunks, res);
+  } catch (error) {
+    failed = true;
+
+    // Once streaming has started the error can only be reported by cutting the response short
+    if (!res.headersSent) {
+      throw error;
+    }
+    console.error(`Export of ${name} failed (request ${res.get('X-Request-Id')}):`, error);
+    res.destroy(error);
+  } finally {
+    // A connection whose result stream was interrupted cannot be reused
+    if (failed) {
+      connection.destroy();
+    } else {
+      connection.release();
+    }
+  }
+};
+
+module.exports = {
+  streamExport
+};
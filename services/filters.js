@@ -0,0 +1,100 @@
+// File: services/filters.js
+// Query string filters of the list endpoints, shared with the export endpoints.
+// Each builder returns SQL conditions and their parameters, to be joined with AND.
+
+// ?search, ?category (name), ?author (part of the name), ?availability=available|unavailable
+const bookFilters = (query) => {
+  const conditions = [];
+  const parameters = [];
+
+  if (query.search) {
+    conditions.push(`(MATCH(b.title, b.description) AGAINST(? IN BOOLEAN MODE))`);
+    parameters.push(`*${query.search}*`);
+  }
+
+  if (query.category) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM book_categories bc
+      JOIN categories c ON bc.category_id = c.category_id
+      WHERE bc.book_id = b.book_id AND c.name = ?
+    )`);
+    parameters.push(query.category);
+  }
+
+  if (query.author) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM book_authors ba
+      JOIN authors a ON ba.author_id = a.author_id
+      WHERE ba.book_id = b.book_id AND CONCAT(a.first_name, ' ', a.last_name) LIKE ?
+    )`);
+    parameters.push(`%${query.author}%`);
+  }
+
+  if (query.availability === 'available') {
+    conditions.push(`b.available_copies > 0`);
+  } else if (query.availability === 'unavailable') {
+    conditions.push(`b.available_copies = 0`);
+  }
+
+  return { conditions, parameters };
+};
+
+// ?search (name or email), ?status
+const memberFilters = (query) => {
+  const conditions = [];
+  const parameters = [];
+
+  if (query.search) {
+    conditions.push(`(CONCAT(m.first_name, ' ', m.last_name) LIKE ? OR m.email LIKE ?)`);
+    parameters.push(`%${query.search}%`, `%${query.search}%`);
+  }
+
+  if (query.status) {
+    conditions.push(`m.membership_status = ?`);
+    parameters.push(query.status);
+  }
+
+  return { conditions, parameters };
+};
+
+// ?status, ?member_id, ?book_id, ?from_date and ?to_date (borrow date range)
+const borrowingFilters = (query) => {
+  const conditions = [];
+  const parameters = [];
+
+  if (query.status) {
+    conditions.push(`b.status = ?`);
+    parameters.push(query.status);
+  }
+
+  if (query.member_id) {
+    conditions.push(`b.member_id = ?`);
+    parameters.push(query.member_id);
+  }
+
+  if (query.book_id) {
+    conditions.push(`b.book_id = ?`);
+    parameters.push(query.book_id);
+  }
+
+  if (query.from_date) {
+    conditions.push(`b.borrow_date >= ?`);
+    parameters.push(query.from_date);
+  }
+
+  if (query.to_date) {
+    conditions.push(`b.borrow_date <= ?`);
+    parameters.push(query.to_date);
+  }
+
+  return { conditions, parameters };
+};
+
+const whereClause = (conditions) => (conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '');
+
+module.exports = {
+  bookFilters,
+  memberFilters,
+  borrowingFilters,
+  whereClause
+};
@@ -0,0 +1,163 @@
+// File: services/isbnLookup.js
+// ISBN metadata lookup through an ISBN provider (see services/isbnProviders.js),
+// cached in isbn_lookups and matched against existing publishers and authors.
+const { BadRequestError, BadGatewayError } = require('../errors');
+const { validateBody, isIsbn, toIsbn13 } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+
+const getCacheDays = () => Number(process.env.ISBN_CACHE_DAYS ?? 30);
+
+// Unknown ISBNs are asked again after a day, the record may have been added since
+const MISS_CACHE_DAYS = 1;
+
+// Book fields a lookup can fill in
+const ENRICHED_FIELDS = ['title', 'publication_year', 'language', 'page_count', 'description'];
+
+// Only 978 ISBN-13s have an ISBN-10
+const isbn13To10 = (isbn13) => {
+  if (!isbn13.startsWith('978')) {
+    return null;
+  }
+  const digits = isbn13.slice(3, 12);
+  const sum = digits.split('').reduce((total, digit, index) => total + Number(digit) * (10 - index), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return `${digits}${check === 10 ? 'X' : check}`;
+};
+
+// Both forms of a valid ISBN, e.g. "0-452-28423-6" => { isbn10: '0452284236', isbn13: '9780452284234' }
+const isbnForms = (value) => {
+  if (!isIsbn(value)) {
+    throw new BadRequestError(`Invalid ISBN "${value}"`);
+  }
+  const isbn13 = toIsbn13(value);
+  return { isbn10: isbn13To10(isbn13), isbn13 };
+};
+
+// Metadata of an ISBN-13 from the cache, or from the provider when missing or stale
+const fetchMetadata = async (pool, provider, isbn13, refresh) => {
+  if (!refresh) {
+    const [cached] = await pool.query(`
+      SELECT metadata, fetched_at FROM isbn_lookups
+      WHERE isbn = ? AND provider = ?
+        AND fetched_at > NOW() - INTERVAL IF(metadata IS NULL, ?, ?) DAY
+    `, [isbn13, provider.name, MISS_CACHE_DAYS, getCacheDays()]);
+
+    if (cached.length > 0) {
+      return { source: 'cache', fetched_at: cached[0].fetched_at, metadata: cached[0].metadata };
+    }
+  }
+
+  let metadata;
+  try {
+    metadata = await provider.lookup(isbn13);
+  } catch (error) {
+    throw new BadGatewayError(`ISBN lookup through ${provider.name} failed: ${error.message}`);
+  }
+
+  await pool.query(`
+    INSERT INTO isbn_lookups (isbn, provider, metadata) VALUES (?, ?, ?)
+    ON DUPLICATE KEY UPDATE metadata = VALUES(metadata), fetched_at = CURRENT_TIMESTAMP
+  `, [isbn13, provider.name, metadata ? JSON.stringify(metadata) : null]);
+
+  return { source: 'provider', fetched_at: new Date(), metadata };
+};
+
+// Attach publisher_id and author_id of existing rows with the same names (null if none)
+const matchExisting = async (db, metadata) => {
+  let publisher = null;
+  if (metadata.publisher) {
+    const [publishers] = await db.query(`
+      SELECT publisher_id FROM publishers WHERE name = ? AND deleted_at IS NULL
+    `, [metadata.publisher]);
+    publisher = { name: metadata.publisher, publisher_id: publishers[0]?.publisher_id ?? null };
+  }
+
+  const authors = [];
+  for (const author of metadata.authors || []) {
+    const [matches] = await db.query(`
+      SELECT author_id FROM authors
+      WHERE first_name = ? AND last_name = ? AND deleted_at IS NULL
+      ORDER BY author_id LIMIT 1
+    `, [author.first_name, author.last_name]);
+    authors.push({ ...author, author_id: matches[0]?.author_id ?? null });
+  }
+
+  return { ...metadata, publisher, authors };
+};
+
+// Look up an ISBN, returns null when the provider has no record of it.
+// refresh skips the cache.
+const lookupIsbn = async (pool, provider, value, { refresh = false } = {}) => {
+  const { isbn10, isbn13 } = isbnForms(value);
+  const { source, fetched_at, metadata } = await fetchMetadata(pool, provider, isbn13, refresh);
+
+  if (!metadata) {
+    return null;
+  }
+
+  // A book already catalogued under either form
+  const [existing] = await pool.query(`
+    SELECT book_id FROM books WHERE isbn13 = ?
+  `, [isbn13]);
+
+  return {
+    isbn10,
+    isbn13,
+    provider: provider.name,
+    source,
+    fetched_at,
+    existing_book_id: existing[0]?.book_id ?? null,
+    book: await matchExisting(pool, metadata)
+  };
+};
+
+// Fill the fields missing from a new book with looked up metadata. Values that
+// would not pass validation are skipped. Returns the filled fields and the
+// publisher and authors that have no matching row yet.
+const applyMetadata = (body, lookup) => {
+  const { book } = lookup;
+  const filled = [];
+  const publisherGiven = body.publisher_id !== undefined && body.publisher_id !== null;
+  const authorsGiven = Array.isArray(body.author_ids) && body.author_ids.length > 0;
+
+  ENRICHED_FIELDS.forEach((field) => {
+    const value = book[field];
+    const missing = body[field] === undefined || body[field] === null || body[field] === '';
+    if (missing && value !== null && value !== undefined
+        && validateBody({ [field]: schemas.createBook[field] }, { [field]: value }).length === 0) {
+      body[field] = value;
+      filled.push(field);
+    }
+  });
+
+  if (!publisherGiven && book.publisher?.publisher_id) {
+    body.publisher_id = book.publisher.publisher_id;
+    filled.push('publisher_id');
+  }
+
+  const matchedAuthors = book.authors.filter(author => author.author_id);
+  if (!authorsGiven && matchedAuthors.length > 0) {
+    body.author_ids = matchedAuthors.map(author => author.author_id);
+    filled.push('author_ids');
+  }
+
+  return {
+    source: lookup.source,
+    provider: lookup.provider,
+    filled,
+    unmatched_publisher: !publisherGiven && book.publisher && !book.publisher.publisher_id
+      ? book.publisher.name
+      : null,
+    unmatched_authors: authorsGiven
+      ? []
+      : book.authors
+        .filter(author => !author.author_id)
+        .map(author => `${author.first_name} ${author.last_name}`.trim())
+  };
+};
+
+module.exports = {
+  isbnForms,
+  lookupIsbn,
+  applyMetadata
+};
@@ -0,0 +1,76 @@
+// File: services/isbnProviders.js
+// Providers look up bibliographic metadata: lookup(isbn13) resolves to a book record
+// ({ title, publisher, publication_year, language, page_count, description,
+// authors: [{ first_name, last_name }] }), null when the ISBN is unknown, and
+// rejects when the source cannot be reached.
+// ISBN_PROVIDER selects one: 'openlibrary' (default) or 'fixture' (offline, for tests).
+const fs = require('fs');
+const { MARC_LANGUAGES, parsePersonName } = require('./catalogueFormats');
+
+// Open Library's books API, ISBN_LOOKUP_URL points it at a mirror
+const createOpenLibraryProvider = ({
+  baseUrl = process.env.ISBN_LOOKUP_URL || 'https://openlibrary.org',
+  timeoutMs = Number(process.env.ISBN_LOOKUP_TIMEOUT_MS || 5000)
+} = {}) => ({
+  name: 'openlibrary',
+  lookup: async (isbn) => {
+    const url = `${baseUrl}/api/books?bibkeys=ISBN:${isbn}&format=json&jscmd=details`;
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+
+    if (!response.ok) {
+      throw new Error(`Open Library responded with ${response.status}`);
+    }
+
+    const details = (await response.json())[`ISBN:${isbn}`]?.details;
+    if (!details) {
+      return null;
+    }
+
+    const year = String(details.publish_date || '').match(/\d{4}/);
+    const languageCode = (details.languages?.[0]?.key || '').split('/').pop();
+    const description = typeof details.description === 'object'
+      ? details.description?.value
+      : details.description;
+
+    return {
+      title: [details.title, details.subtitle].filter(Boolean).join(': ') || null,
+      publisher: details.publishers?.[0] || null,
+      publication_year: year ? Number(year[0]) : null,
+      language: languageCode ? MARC_LANGUAGES[languageCode] || languageCode : null,
+      page_count: details.number_of_pages || null,
+      description: description || null,
+      authors: (details.authors || []).map(author => parsePersonName(author.name))
+    };
+  }
+});
+
+// Records from a JSON file keyed by ISBN-13 (ISBN_FIXTURE_FILE), or given directly
+const createFixtureProvider = ({ file = process.env.ISBN_FIXTURE_FILE, records } = {}) => {
+  let loaded = records;
+
+  return {
+    name: 'fixture',
+    lookup: async (isbn) => {
+      if (!loaded) {
+        loaded = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+      }
+      return loaded[isbn] || null;
+    }
+  };
+};
+
+const PROVIDERS = {
+  openlibrary: createOpenLibraryProvider,
+  fixture: createFixtureProvider
+};
+
+const createIsbnProvider = (name = process.env.ISBN_PROVIDER || 'openlibrary', options) => {
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown ISBN_PROVIDER "${name}", expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return PROVIDERS[name](options);
+};
+
+module.exports = {
+  createIsbnProvider
+};
@@ -0,0 +1,67 @@
+// File: services/jobs.js
+// Background jobs run nightly by the scheduler, see services/scheduler.js.
+// Each job returns counts of what it changed, recorded in job_runs.
+const { updateOverdueBorrowings, calculateOverdueFines } = require('./overdue');
+const { expireReservations } = require('./reservations');
+const { queueDueReminders, queueOverdueNotices } = require('./notifications');
+const { purgeDeleted } = require('./softDelete');
+const { forgetReadingHistory } = require('./readingHistory');
+const { withTransaction } = require('../db/transaction');
+
+// Flip active members whose membership end date has passed to expired
+const expireMemberships = async (pool) => {
+  const [result] = await pool.query(`
+    UPDATE members SET membership_status = 'expired'
+    WHERE membership_status = 'active' AND membership_end_date < CURDATE()
+  `);
+  return result.affectedRows;
+};
+
+// Listed in the order they run, fines are calculated after overdue marking
+const JOBS = [
+  {
+    name: 'update-overdue',
+    description: 'Mark borrowed books past their due date as overdue',
+    run: async (pool) => ({ updated: await updateOverdueBorrowings(pool) })
+  },
+  {
+    name: 'calculate-fines',
+    description: 'Recalculate fines of overdue books and post them to member accounts',
+    run: async (pool) => ({ updated: await calculateOverdueFines(pool) })
+  },
+  {
+    name: 'expire-reservations',
+    description: 'Expire stale reservations and pass uncollected holds on to the queue',
+    run: async (pool) => expireReservations(pool)
+  },
+  {
+    name: 'expire-memberships',
+    description: 'Expire memberships past their end date',
+    run: async (pool) => ({ expired: await expireMemberships(pool) })
+  },
+  {
+    name: 'queue-reminders',
+    description: 'Queue due date reminders and overdue notices for members',
+    run: async (pool) => ({
+      due_soon: await queueDueReminders(pool),
+      overdue: await queueOverdueNotices(pool)
+    })
+  },
+  {
+    name: 'purge-deleted',
+    description: 'Permanently remove records deleted longer than the retention period, keeping loans anonymized',
+    run: async (pool) => purgeDeleted(pool)
+  },
+  {
+    name: 'forget-history',
+    description: 'Unlink returned loans from members who turned their reading history off',
+    run: async (pool) => ({ unlinked: await withTransaction(pool, connection => forgetReadingHistory(connection)) })
+  }
+];
+
+const findJob = (name) => JOBS.find(job => job.name === name);
+
+module.exports = {
+  JOBS,
+  findJob
+};
@@ -0,0 +1,100 @@
+// File: services/ledger.js
+// Member accounts are an append-only ledger of transactions with positive amounts.
+// Balance owed = charges - payments - waivers + refunds.
+
+const TRANSACTION_TYPES = ['charge', 'payment', 'waiver', 'refund'];
+// What a charge (or the waiver of a charge) is for
+const CHARGE_CATEGORIES = ['overdue_fine', 'replacement', 'damage', 'other'];
+
+// Members owing more than this cannot borrow or renew (BORROWING_BALANCE_LIMIT in .env)
+const getBalanceLimit = () => Number(process.env.BORROWING_BALANCE_LIMIT ?? 10);
+
+const SIGNED_AMOUNT = `
+  CASE type WHEN 'charge' THEN amount WHEN 'refund' THEN amount ELSE -amount END
+`;
+
+const round = (amount) => Math.round(Number(amount) * 100) / 100;
+
+const getBalance = async (db, memberId) => {
+  const [rows] = await db.query(`
+    SELECT COALESCE(SUM(${SIGNED_AMOUNT}), 0) AS balance
+    FROM account_transactions
+    WHERE member_id = ?
+  `, [memberId]);
+  return round(rows[0].balance);
+};
+
+const receiptNumber = (transaction) => (
+  `R-${new Date(transaction.created_at).getFullYear()}-${String(transaction.transaction_id).padStart(6, '0')}`
+);
+
+// Append a transaction and return its id
+const postTransaction = async (db, {
+  member_id, borrowing_id = null, type, category = null, amount, description = null,
+  reason = null, payment_method = null, related_transaction_id = null, created_by = null
+}) => {
+  const [result] = await db.query(`
+    INSERT INTO account_transactions (
+      member_id, borrowing_id, type, category, amount, description, reason,
+      payment_method, related_transaction_id, created_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    member_id, borrowing_id, type, category, round(amount), description, reason,
+    payment_method, related_transaction_id, created_by
+  ]);
+  return result.insertId;
+};
+
+// What is still charged for a borrowing in a category (charges minus waivers)
+const getBorrowingCharges = async (db, borrowingId, category) => {
+  const [rows] = await db.query(`
+    SELECT COALESCE(SUM(CASE type WHEN 'charge' THEN amount ELSE -amount END), 0) AS charged
+    FROM account_transactions
+    WHERE borrowing_id = ? AND category = ? AND type IN ('charge', 'waiver')
+  `, [borrowingId, category]);
+  return round(rows[0].charged);
+};
+
+// Bring the ledger in line with a borrowing's current fine: post the difference to
+// what was already posted for it (a charge, or a waiver if the fine went down).
+// borrowings.fine_posted tracks what was posted, so manual waivers are never re-charged.
+const syncFineCharge = async (db, borrowingId, memberId, fineAmount, createdBy = null) => {
+  const [rows] = await db.query(`
+    SELECT fine_posted FROM borrowings WHERE borrowing_id = ? FOR UPDATE
+  `, [borrowingId]);
+
+  const difference = round(Number(fineAmount) - Number(rows[0].fine_posted));
+
+  if (difference === 0) {
+    return 0;
+  }
+
+  await postTransaction(db, {
+    member_id: memberId,
+    borrowing_id: borrowingId,
+    type: difference > 0 ? 'charge' : 'waiver',
+    category: 'overdue_fine',
+    amount: Math.abs(difference),
+    description: 'Overdue fine',
+    reason: difference > 0 ? null : 'Fine adjusted',
+    created_by: createdBy
+  });
+
+  await db.query(`
+    UPDATE borrowings SET fine_posted = ? WHERE borrowing_id = ?
+  `, [round(fineAmount), borrowingId]);
+
+  return difference;
+};
+
+module.exports = {
+  TRANSACTION_TYPES,
+  CHARGE_CATEGORIES,
+  SIGNED_AMOUNT,
+  getBalanceLimit,
+  getBalance,
+  receiptNumber,
+  postTransaction,
+  getBorrowingCharges,
+  syncFineCharge
+};
@@ -0,0 +1,223 @@
+// File: services/listQuery.js
+// Sorting, field selection and pagination shared by the list endpoints:
+//   ?sort=-borrow_date,title   sort fields, "-" for descending
+//   ?fields=title,isbn         only return these fields
+//   ?page=2&limit=20           offset pagination
+//   ?cursor=...                keyset pagination from the next/prev cursor of a previous page
+const { BadRequestError } = require('../errors');
+const { formatDate } = require('./loanPolicies');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+const splitList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// Dates go into the cursor the way MySQL compares them, in local time like mysql2 reads them
+const toCursorValue = (value) => {
+  if (!(value instanceof Date)) {
+    return value ?? null;
+  }
+  const time = [value.getHours(), value.getMinutes(), value.getSeconds()]
+    .map(part => String(part).padStart(2, '0'))
+    .join(':');
+  const midnight = time === '00:00:00' && value.getMilliseconds() === 0;
+  return midnight
+    ? formatDate(value)
+    : `${formatDate(value)} ${time}.${String(value.getMilliseconds()).padStart(3, '0')}`;
+};
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodeCursor = (value) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    if (typeof cursor.s === 'string' && ['next', 'prev'].includes(cursor.d) && Array.isArray(cursor.v)) {
+      return cursor;
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw new BadRequestError('Invalid cursor');
+};
+
+// Rows after `values` in the given order. MySQL sorts NULL first ascending and last descending.
+const keysetCondition = (terms, values) => {
+  const alternatives = [];
+  const parameters = [];
+
+  terms.forEach((term, index) => {
+    const parts = [];
+    const partParameters = [];
+
+    terms.slice(0, index).forEach((previous, previousIndex) => {
+      if (values[previousIndex] === null) {
+        parts.push(`${previous.column} IS NULL`);
+      } else {
+        parts.push(`${previous.column} = ?`);
+        partParameters.push(values[previousIndex]);
+      }
+    });
+
+    const value = values[index];
+    if (term.descending) {
+      if (value === null) {
+        return;
+      }
+      parts.push(`(${term.column} < ? OR ${term.column} IS NULL)`);
+      partParameters.push(value);
+    } else if (value === null) {
+      parts.push(`${term.column} IS NOT NULL`);
+    } else {
+      parts.push(`${term.column} > ?`);
+      partParameters.push(value);
+    }
+
+    alternatives.push(`(${parts.join(' AND ')})`);
+    parameters.push(...partParameters);
+  });
+
+  return {
+    condition: alternatives.length > 0 ? `(${alternatives.join(' OR ')})` : 'FALSE',
+    parameters
+  };
+};
+
+// Parse the list parameters of a request.
+//   sortable     { name: SQL column }, the names must be columns of the selected rows
+//   defaultSort  sort used without ?sort, e.g. '-borrow_date'
+//   key          unique sortable field appended to every sort so the order is stable
+//   fields       fields allowed in ?fields=
+//   cursors      false when a sort column cannot be compared in WHERE, e.g. a computed score
+// Returns the cursor conditions and parameters to add to the WHERE clause, the
+// ORDER BY and LIMIT clause with its parameters, and page() to shape the result.
+const listQuery = (req, { sortable, defaultSort, key, fields = [], cursors = true }) => {
+  const query = req.query;
+
+  const limit = Math.min(parseInt(query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+  if (limit < 1) {
+    throw new BadRequestError('limit must be a positive number');
+  }
+
+  // Sort terms, always ending with the key. The older sort_by and sort_order
+  // parameters of the member list are still accepted.
+  const legacySort = query.sort_by
+    ? `${String(query.sort_order).toUpperCase() === 'DESC' ? '-' : ''}${query.sort_by}`
+    : null;
+  const sortNames = splitList(query.sort || legacySort || defaultSort);
+  const unknownSort = sortNames.map(name => name.replace(/^-/, '')).filter(name => !sortable[name]);
+  if (unknownSort.length > 0) {
+    throw new BadRequestError(`Cannot sort by ${unknownSort.join(', ')}. Sortable fields: ${Object.keys(sortable).join(', ')}`);
+  }
+
+  const terms = sortNames.map(name => ({
+    name: name.replace(/^-/, ''),
+    column: sortable[name.replace(/^-/, '')],
+    descending: name.startsWith('-')
+  }));
+  if (!terms.some(term => term.name === key)) {
+    terms.push({ name: key, column: sortable[key], descending: terms.length > 0 && terms[terms.length - 1].descending });
+  }
+  const sortKey = terms.map(term => `${term.descending ? '-' : ''}${term.name}`).join(',');
+
+  // Sparse fieldsets
+  const selected = query.fields !== undefined ? splitList(query.fields) : null;
+  if (selected) {
+    const unknownFields = selected.filter(field => !fields.includes(field));
+    if (unknownFields.length > 0) {
+      throw new BadRequestError(`Unknown fields: ${unknownFields.join(', ')}. Available fields: ${fields.join(', ')}`);
+    }
+  }
+
+  if (query.cursor && !cursors) {
+    throw new BadRequestError('This list does not support cursors, use page instead');
+  }
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+  if (cursor && (cursor.s !== sortKey || cursor.v.length !== terms.length)) {
+    throw new BadRequestError('Cursor does not match the sort order of the request');
+  }
+
+  const page = cursor ? null : Math.max(parseInt(query.page) || 1, 1);
+  const backwards = cursor?.d === 'prev';
+
+  // Walking backwards reads the reversed order and flips the page afterwards
+  const queryTerms = terms.map(term => ({ ...term, descending: term.descending !== backwards }));
+
+  const conditions = [];
+  const parameters = [];
+  if (cursor) {
+    const keyset = keysetCondition(queryTerms, cursor.v);
+    conditions.push(keyset.condition);
+    parameters.push(...keyset.parameters);
+  }
+
+  const orderBy = queryTerms.map(term => `${term.column} ${term.descending ? 'DESC' : 'ASC'}`).join(', ');
+
+  // Same path and parameters with the page or cursor replaced
+  const link = (changes) => {
+    const url = new URL(req.originalUrl, 'http://localhost');
+    url.searchParams.delete('page');
+    url.searchParams.delete('cursor');
+    Object.entries(changes).forEach(([name, value]) => url.searchParams.set(name, value));
+    return `${url.pathname}${url.search}`;
+  };
+
+  const cursorOf = (row, direction) => encodeCursor({
+    s: sortKey,
+    d: direction,
+    v: terms.map(term => toCursorValue(row[term.name]))
+  });
+
+  // One extra row is read to know whether there is another page
+  const toPage = (rows, total) => {
+    const hasMore = rows.length > limit;
+    const items = rows.slice(0, limit);
+    if (backwards) {
+      items.reverse();
+    }
+
+    const hasNext = cursor ? (backwards || hasMore) : hasMore;
+    const hasPrevious = cursor ? (!backwards || hasMore) : page > 1;
+    const first = items[0];
+    const last = items[items.length - 1];
+
+    const nextCursor = cursors && hasNext && last ? cursorOf(last, 'next') : null;
+    const prevCursor = cursors && hasPrevious && first ? cursorOf(first, 'prev') : null;
+    const pages = Math.ceil(total / limit);
+
+    let next = nextCursor && link({ cursor: nextCursor });
+    let prev = prevCursor && link({ cursor: prevCursor });
+    if (!cursor) {
+      next = page < pages ? link({ page: page + 1 }) : null;
+      prev = page > 1 ? link({ page: Math.min(page - 1, Math.max(pages, 1)) }) : null;
+    }
+
+    return {
+      items: selected
+        ? items.map(item => Object.fromEntries(selected.map(field => [field, item[field]])))
+        : items,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages,
+        next_cursor: nextCursor,
+        prev_cursor: prevCursor,
+        next,
+        prev
+      }
+    };
+  };
+
+  return {
+    conditions,
+    parameters,
+    orderAndLimit: ` ORDER BY ${orderBy} LIMIT ? OFFSET ?`,
+    limitParameters: [limit + 1, cursor ? 0 : (page - 1) * limit],
+    page: toPage
+  };
+};
+
+module.exports = {
+  MAX_LIMIT,
+  listQuery
+};
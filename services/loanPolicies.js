@@ -0,0 +1,113 @@
+// File: services/loanPolicies.js
+
+const MEMBER_TYPES = ['standard', 'student', 'child', 'staff'];
+
+// Used when no policy matches, mirrors the rules that were hardcoded before policies existed
+const DEFAULT_POLICY = {
+  policy_id: null,
+  name: 'Built-in default',
+  member_type: null,
+  category_id: null,
+  loan_days: 14,
+  max_loans: null,
+  max_renewals: null,
+  fine_per_day: 1.00,
+  max_fine: null,
+  grace_days: 0
+};
+
+// Higher is more specific: member type + category, then category only, then member type only, then default
+const specificity = (policy) => (policy.category_id !== null ? 2 : 0) + (policy.member_type !== null ? 1 : 0);
+
+// Pick the most specific policy for a member type and the categories of a book
+const pickPolicy = (policies, memberType, categoryIds) => {
+  const matching = policies.filter((policy) => (
+    (policy.member_type === null || policy.member_type === memberType)
+    && (policy.category_id === null || categoryIds.includes(policy.category_id))
+  ));
+
+  if (matching.length === 0) {
+    return DEFAULT_POLICY;
+  }
+
+  // Ties (a book in several categories) go to the oldest policy
+  matching.sort((a, b) => specificity(b) - specificity(a) || a.policy_id - b.policy_id);
+  return matching[0];
+};
+
+const loadPolicies = async (db) => {
+  const [policies] = await db.query(`SELECT * FROM loan_policies`);
+  return policies;
+};
+
+const loadBookCategoryIds = async (db, bookIds) => {
+  const byBook = new Map(bookIds.map((bookId) => [Number(bookId), []]));
+
+  if (bookIds.length > 0) {
+    const [rows] = await db.query(`
+      SELECT book_id, category_id FROM book_categories WHERE book_id IN (?)
+    `, [bookIds]);
+    rows.forEach((row) => byBook.get(row.book_id).push(row.category_id));
+  }
+
+  return byBook;
+};
+
+// Resolve the policy that applies when a member borrows a book.
+// `db` is either the pool or a connection inside a transaction.
+const resolvePolicy = async (db, memberId, bookId) => {
+  const [members] = await db.query(`
+    SELECT member_type FROM members WHERE member_id = ?
+  `, [memberId]);
+
+  const memberType = members.length > 0 ? members[0].member_type : null;
+  const policies = await loadPolicies(db);
+  const categoryIds = (await loadBookCategoryIds(db, [bookId])).get(Number(bookId));
+
+  return pickPolicy(policies, memberType, categoryIds);
+};
+
+// Format as YYYY-MM-DD in local time; DATE columns are read as local midnight,
+// so toISOString() would shift them a day back east of UTC
+const formatDate = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// Accepts a Date or a YYYY-MM-DD string (read as local midnight)
+const addDays = (date, days) => {
+  const result = typeof date === 'string' ? new Date(`${date}T00:00:00`) : new Date(date);
+  result.setDate(result.getDate() + days);
+  return formatDate(result);
+};
+
+// Fine for a loan that is overdue on `asOf`: only days beyond the grace period are charged,
+// and the total never exceeds the policy cap
+const calculateFine = (policy, dueDate, asOf = new Date(), finePerDay = policy.fine_per_day) => {
+  const msPerDay = 24 * 60 * 60 * 1000;
+  const due = Date.UTC(dueDate.getFullYear(), dueDate.getMonth(), dueDate.getDate());
+  const today = Date.UTC(asOf.getFullYear(), asOf.getMonth(), asOf.getDate());
+  const daysLate = Math.floor((today - due) / msPerDay);
+  const chargeableDays = daysLate - policy.grace_days;
+
+  if (chargeableDays <= 0) {
+    return 0;
+  }
+
+  const fine = chargeableDays * Number(finePerDay);
+  const capped = policy.max_fine !== null ? Math.min(fine, Number(policy.max_fine)) : fine;
+  return Math.round(capped * 100) / 100;
+};
+
+module.exports = {
+  MEMBER_TYPES,
+  DEFAULT_POLICY,
+  pickPolicy,
+  loadPolicies,
+  loadBookCategoryIds,
+  resolvePolicy,
+  formatDate,
+  addDays,
+  calculateFine
+};
@@ -0,0 +1,55 @@
+// File: services/notificationTransports.js
+// Transports deliver rendered notifications: send({ to, subject, text }) resolves
+// once the message is accepted and rejects to make the outbox retry it.
+// NOTIFY_TRANSPORT selects one: 'log' (default, for local testing) or 'smtp'.
+const fs = require('fs/promises');
+const nodemailer = require('nodemailer');
+
+// Appends each message as a JSON line to NOTIFY_LOG_FILE instead of sending it
+const createLogTransport = ({ file = process.env.NOTIFY_LOG_FILE || 'notifications.log' } = {}) => ({
+  name: 'log',
+  send: async ({ to, subject, text }) => {
+    const entry = { sent_at: new Date().toISOString(), to, subject, text };
+    await fs.appendFile(file, `${JSON.stringify(entry)}\n`);
+    console.log(`Notification to ${to}: ${subject}`);
+  }
+});
+
+const createSmtpTransport = () => {
+  const mailer = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async ({ to, subject, text }) => {
+      await mailer.sendMail({
+        from: process.env.NOTIFY_FROM || 'library@library.local',
+        to,
+        subject,
+        text
+      });
+    }
+  };
+};
+
+const TRANSPORTS = {
+  log: createLogTransport,
+  smtp: createSmtpTransport
+};
+
+const createTransport = (name = process.env.NOTIFY_TRANSPORT || 'log') => {
+  if (!TRANSPORTS[name]) {
+    throw new Error(`Unknown NOTIFY_TRANSPORT "${name}", expected one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  return TRANSPORTS[name]();
+};
+
+module.exports = {
+  createTransport
+};
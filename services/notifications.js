@@ -0,0 +1,283 @@
+// File: services/notifications.js
+// Notifications are rendered from templates into the notifications outbox and
+// delivered by the outbox worker through a transport (services/notificationTransports.js).
+// Failed deliveries are retried with exponential backoff.
+const { formatDate } = require('./loanPolicies');
+
+const NOTIFICATION_TYPES = ['due_soon', 'overdue', 'reservation_ready', 'fine_posted'];
+
+// Give up on a notification after this many failed deliveries
+const MAX_ATTEMPTS = 5;
+
+// Days before the due date to remind members (NOTIFY_DUE_DAYS in .env)
+const getDueReminderDays = () => Number(process.env.NOTIFY_DUE_DAYS ?? 3);
+
+const TEMPLATES = {
+  due_soon: {
+    subject: (data) => `"${data.title}" is due on ${data.due_date}`,
+    text: (data) => (
+      `Hello ${data.first_name},\n\n`
+      + `"${data.title}" is due back on ${data.due_date}. `
+      + 'Please return or renew it by then to avoid a fine.\n'
+    )
+  },
+  overdue: {
+    subject: (data) => `"${data.title}" is overdue`,
+    text: (data) => (
+      `Hello ${data.first_name},\n\n`
+      + `"${data.title}" was due back on ${data.due_date} and is now overdue. `
+      + 'Fines accrue for every day until it is returned.\n'
+    )
+  },
+  reservation_ready: {
+    subject: (data) => `"${data.title}" is ready for pickup`,
+    text: (data) => (
+      `Hello ${data.first_name},\n\n`
+      + `The copy of "${data.title}" you reserved is waiting for you. `
+      + `It is held until ${data.pickup_by}.\n`
+    )
+  },
+  fine_posted: {
+    subject: (data) => `A fine of ${data.amount} was charged to your account`,
+    text: (data) => (
+      `Hello ${data.first_name},\n\n`
+      + `A fine of ${data.amount} for returning "${data.title}" late was charged to your account.\n`
+    )
+  }
+};
+
+// Render a notification into the outbox, unless the member opted out of this type.
+// dedupe_key makes repeated calls for the same event queue only one notification.
+// Returns the notification id, or null if nothing was queued.
+const enqueue = async (db, {
+  member_id, type, data, borrowing_id = null, reservation_id = null, dedupe_key = null
+}) => {
+  const [memberResult] = await db.query(`
+    SELECT m.email, m.first_name, COALESCE(p.enabled, TRUE) AS enabled
+    FROM members m
+    LEFT JOIN notification_preferences p ON p.member_id = m.member_id AND p.type = ?
+    WHERE m.member_id = ?
+  `, [type, member_id]);
+
+  if (memberResult.length === 0 || !memberResult[0].enabled || !memberResult[0].email) {
+    return null;
+  }
+
+  const member = memberResult[0];
+  const templateData = { first_name: member.first_name, ...data };
+  const template = TEMPLATES[type];
+
+  const [result] = await db.query(`
+    INSERT INTO notifications (
+      member_id, type, recipient, subject, body, borrowing_id, reservation_id, dedupe_key
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE notification_id = notification_id
+  `, [
+    member_id, type, member.email, template.subject(templateData), template.text(templateData),
+    borrowing_id, reservation_id, dedupe_key
+  ]);
+
+  return result.affectedRows === 1 ? result.insertId : null;
+};
+
+// Tell a member the copy held for their reservation can be picked up
+const notifyReservationReady = async (db, reservationId) => {
+  const [reservationResult] = await db.query(`
+    SELECT r.member_id, r.expiry_date, bk.title
+    FROM reservations r
+    JOIN books bk ON r.book_id = bk.book_id
+    WHERE r.reservation_id = ?
+  `, [reservationId]);
+
+  const reservation = reservationResult[0];
+
+  return enqueue(db, {
+    member_id: reservation.member_id,
+    type: 'reservation_ready',
+    data: { title: reservation.title, pickup_by: formatDate(reservation.expiry_date) },
+    reservation_id: reservationId,
+    dedupe_key: `reservation_ready:${reservationId}:${formatDate(reservation.expiry_date)}`
+  });
+};
+
+// Tell a member the final fine of a returned book was charged
+const notifyFinePosted = async (db, borrowingId, amount) => {
+  const [borrowingResult] = await db.query(`
+    SELECT b.member_id, bk.title
+    FROM borrowings b
+    JOIN books bk ON b.book_id = bk.book_id
+    WHERE b.borrowing_id = ?
+  `, [borrowingId]);
+
+  return enqueue(db, {
+    member_id: borrowingResult[0].member_id,
+    type: 'fine_posted',
+    data: { title: borrowingResult[0].title, amount: Number(amount).toFixed(2) },
+    borrowing_id: borrowingId,
+    dedupe_key: `fine_posted:${borrowingId}`
+  });
+};
+
+// Queue reminders for loans due in NOTIFY_DUE_DAYS days, returns the number queued
+const queueDueReminders = async (pool) => {
+  const [borrowings] = await pool.query(`
+    SELECT b.borrowing_id, b.member_id, b.due_date, bk.title
+    FROM borrowings b
+    JOIN books bk ON b.book_id = bk.book_id
+    WHERE b.status = 'borrowed' AND b.due_date = DATE_ADD(CURDATE(), INTERVAL ? DAY)
+  `, [getDueReminderDays()]);
+
+  let queuedCount = 0;
+  for (const borrowing of borrowings) {
+    const dueDate = formatDate(borrowing.due_date);
+    const notificationId = await enqueue(pool, {
+      member_id: borrowing.member_id,
+      type: 'due_soon',
+      data: { title: borrowing.title, due_date: dueDate },
+      borrowing_id: borrowing.borrowing_id,
+      dedupe_key: `due_soon:${borrowing.borrowing_id}:${dueDate}`
+    });
+    if (notificationId) {
+      queuedCount++;
+    }
+  }
+
+  return queuedCount;
+};
+
+// Queue one overdue notice per overdue loan (a renewed loan that becomes
+// overdue again gets a new one), returns the number queued
+const queueOverdueNotices = async (pool) => {
+  const [borrowings] = await pool.query(`
+    SELECT b.borrowing_id, b.member_id, b.due_date, bk.title
+    FROM borrowings b
+    JOIN books bk ON b.book_id = bk.book_id
+    WHERE b.status = 'overdue'
+  `);
+
+  let queuedCount = 0;
+  for (const borrowing of borrowings) {
+    const dueDate = formatDate(borrowing.due_date);
+    const notificationId = await enqueue(pool, {
+      member_id: borrowing.member_id,
+      type: 'overdue',
+      data: { title: borrowing.title, due_date: dueDate },
+      borrowing_id: borrowing.borrowing_id,
+      dedupe_key: `overdue:${borrowing.borrowing_id}:${dueDate}`
+    });
+    if (notificationId) {
+      queuedCount++;
+    }
+  }
+
+  return queuedCount;
+};
+
+// Deliver pending notifications that are due. Each one is claimed first by
+// pushing its next attempt into the future, so concurrent workers skip it.
+const processOutbox = async (pool, transport, limit = 20) => {
+  const [pending] = await pool.query(`
+    SELECT notification_id, recipient, subject, body, attempts
+    FROM notifications
+    WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+    ORDER BY next_attempt_at, notification_id
+    LIMIT ?
+  `, [limit]);
+
+  const counts = { sent: 0, retried: 0, failed: 0 };
+
+  for (const notification of pending) {
+    const [claim] = await pool.query(`
+      UPDATE notifications SET next_attempt_at = CURRENT_TIMESTAMP + INTERVAL 5 MINUTE
+      WHERE notification_id = ? AND status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+    `, [notification.notification_id]);
+
+    if (claim.affectedRows === 0) {
+      continue;
+    }
+
+    try {
+      await transport.send({
+        to: notification.recipient,
+        subject: notification.subject,
+        text: notification.body
+      });
+
+      await pool.query(`
+        UPDATE notifications SET
+          status = 'sent',
+          attempts = attempts + 1,
+          sent_at = CURRENT_TIMESTAMP,
+          last_error = NULL
+        WHERE notification_id = ?
+      `, [notification.notification_id]);
+      counts.sent++;
+    } catch (error) {
+      const attempts = notification.attempts + 1;
+      const giveUp = attempts >= MAX_ATTEMPTS;
+
+      // Retry after 1, 2, 4, 8... minutes
+      await pool.query(`
+        UPDATE notifications SET
+          status = ?,
+          attempts = ?,
+          last_error = ?,
+          next_attempt_at = CURRENT_TIMESTAMP + INTERVAL ? MINUTE
+        WHERE notification_id = ?
+      `, [
+        giveUp ? 'failed' : 'pending', attempts, error.message,
+        2 ** (attempts - 1), notification.notification_id
+      ]);
+      counts[giveUp ? 'failed' : 'retried']++;
+    }
+  }
+
+  return counts;
+};
+
+// Polls the outbox every NOTIFY_INTERVAL_SECONDS (default 60)
+const createOutboxWorker = (pool, transport, {
+  intervalSeconds = Number(process.env.NOTIFY_INTERVAL_SECONDS || 60)
+} = {}) => {
+  let timer = null;
+  let busy = false;
+
+  const tick = async () => {
+    // Skip a tick while the previous batch is still being sent
+    if (busy) {
+      return;
+    }
+    busy = true;
+
+    try {
+      await processOutbox(pool, transport);
+    } catch (error) {
+      console.error('Sending notifications failed:', error);
+    } finally {
+      busy = false;
+    }
+  };
+
+  return {
+    start: () => {
+      timer = setInterval(tick, intervalSeconds * 1000);
+      // The worker alone must not keep the process alive
+      timer.unref();
+    },
+    stop: () => {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  enqueue,
+  notifyReservationReady,
+  notifyFinePosted,
+  queueDueReminders,
+  queueOverdueNotices,
+  processOutbox,
+  createOutboxWorker
+};
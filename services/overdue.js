@@ -0,0 +1,65 @@
+// File: services/overdue.js
+// Overdue processing shared by the borrowings routes and the nightly jobs
+const { pickPolicy, loadPolicies, loadBookCategoryIds, calculateFine } = require('./loanPolicies');
+const { syncFineCharge } = require('./ledger');
+const { withTransaction } = require('../db/transaction');
+
+// Flag borrowed books past their due date as overdue, returns the number updated
+const updateOverdueBorrowings = async (pool) => {
+  const [result] = await pool.query('CALL UpdateOverdueBorrowings()');
+  return result.affectedRows;
+};
+
+// Recalculate the fines of overdue books from their policies and post the
+// changes to the members' accounts. An optional finePerDay overrides the
+// policy rates, grace days and caps still apply. Each loan is updated in its
+// own transaction and only while still overdue, so a loan returned meanwhile
+// keeps the fine settled at its return. Returns the number updated.
+const calculateOverdueFines = async (pool, { finePerDay, createdBy = null } = {}) => {
+  const [overdueBorrowings] = await pool.query(`
+    SELECT b.borrowing_id, b.book_id, b.member_id, b.due_date, m.member_type
+    FROM borrowings b
+    JOIN members m ON b.member_id = m.member_id
+    WHERE b.status = 'overdue'
+    AND b.return_date IS NULL
+  `);
+
+  const policies = await loadPolicies(pool);
+  const bookIds = [...new Set(overdueBorrowings.map(borrowing => borrowing.book_id))];
+  const categoriesByBook = await loadBookCategoryIds(pool, bookIds);
+
+  let updatedCount = 0;
+  for (const borrowing of overdueBorrowings) {
+    const policy = pickPolicy(policies, borrowing.member_type, categoriesByBook.get(borrowing.book_id));
+    const fine = calculateFine(policy, borrowing.due_date, new Date(), finePerDay ?? policy.fine_per_day);
+
+    updatedCount += await withTransaction(pool, async (connection) => {
+      const [locked] = await connection.query(`
+        SELECT borrowing_id FROM borrowings
+        WHERE borrowing_id = ? AND status = 'overdue' AND return_date IS NULL
+        FOR UPDATE
+      `, [borrowing.borrowing_id]);
+
+      if (locked.length === 0) {
+        return 0;
+      }
+
+      const [result] = await connection.query(`
+        UPDATE borrowings SET fine_amount = ?
+        WHERE borrowing_id = ? AND status = 'overdue' AND return_date IS NULL
+      `, [fine, borrowing.borrowing_id]);
+
+      // Post the change to the member's account
+      await syncFineCharge(connection, borrowing.borrowing_id, borrowing.member_id, fine, createdBy);
+
+      return result.affectedRows;
+    });
+  }
+
+  return updatedCount;
+};
+
+module.exports = {
+  updateOverdueBorrowings,
+  calculateOverdueFines
+};
@@ -0,0 +1,49 @@
+// File: services/readingHistory.js
+// Members who turn keep_history off have their returned loans unlinked from
+// them: the loan stays for the statistics, without the member. The nightly
+// forget-history job does this for everyone, /api/me right when it is turned off.
+// Open loans and ledger entries are kept as they are.
+
+// Unlink the returned loans of members who keep no history, or of one of them.
+// Returns the number of loans unlinked. Run it inside a transaction, so the
+// loans and their audit entries are forgotten together. The unlinking itself
+// is not audited, the entry would record the very link being removed.
+const forgetReadingHistory = async (db, memberId = null) => {
+  const memberCondition = memberId ? 'AND m.member_id = ?' : '';
+  const parameters = memberId ? [memberId] : [];
+
+  // The audit entries of the loans would still tie the member to the book:
+  // drop the member from their data, and the member's own login as the actor
+  await db.query(`
+    UPDATE audit_log al
+    JOIN borrowings b ON al.entity = 'borrowing' AND al.entity_id = b.borrowing_id
+    JOIN members m ON b.member_id = m.member_id
+    LEFT JOIN users u ON al.actor_user_id = u.user_id AND u.member_id = m.member_id
+    SET al.before_data = JSON_REPLACE(al.before_data, '$.member_id', NULL),
+        al.after_data = JSON_REPLACE(al.after_data, '$.member_id', NULL),
+        al.changes = JSON_REMOVE(al.changes, '$.member_id'),
+        al.actor_user_id = IF(u.user_id IS NULL, al.actor_user_id, NULL)
+    WHERE b.status = 'returned' AND m.keep_history = FALSE ${memberCondition}
+  `, parameters);
+
+  // Due date reminders and overdue notices name the book
+  await db.query(`
+    DELETE n FROM notifications n
+    JOIN borrowings b ON n.borrowing_id = b.borrowing_id
+    JOIN members m ON b.member_id = m.member_id
+    WHERE b.status = 'returned' AND m.keep_history = FALSE ${memberCondition}
+  `, parameters);
+
+  const [result] = await db.query(`
+    UPDATE borrowings b
+    JOIN members m ON b.member_id = m.member_id
+    SET b.member_id = NULL
+    WHERE b.status = 'returned' AND m.keep_history = FALSE ${memberCondition}
+  `, parameters);
+
+  return result.affectedRows;
+};
+
+module.exports = {
+  forgetReadingHistory
+};
@@ -0,0 +1,46 @@
+// File: services/renewals.js
+const borrowingRepository = require('../repositories/borrowings');
+const { addDays, formatDate } = require('./loanPolicies');
+const { checkRenewalEligibility } = require('./eligibility');
+const { snapshot, auditChange } = require('./audit');
+
+// Renew a loan that is not overdue for another loan period of its policy,
+// counted from its due date. Must be called inside a transaction.
+const renewBorrowing = async (connection, req, borrowingId) => {
+  const borrowing = await borrowingRepository.getById(connection, borrowingId, { lock: true });
+  const policy = await checkRenewalEligibility(connection, borrowing);
+
+  const newDueDate = addDays(borrowing.due_date, policy.loan_days);
+
+  const before = await snapshot(connection, 'borrowing', borrowingId);
+
+  await connection.query(`
+    UPDATE borrowings SET
+      due_date = ?,
+      renewal_count = renewal_count + 1
+    WHERE borrowing_id = ?
+  `, [newDueDate, borrowingId]);
+
+  await connection.query(`
+    INSERT INTO borrowing_renewals (
+      borrowing_id, previous_due_date, new_due_date, renewed_by
+    ) VALUES (?, ?, ?, ?)
+  `, [borrowingId, borrowing.due_date, newDueDate, req.user.user_id || null]);
+
+  await auditChange(connection, req, 'borrowing', borrowingId, before);
+
+  const renewalCount = borrowing.renewal_count + 1;
+
+  return {
+    borrowing_id: borrowing.borrowing_id,
+    previous_due_date: formatDate(borrowing.due_date),
+    due_date: newDueDate,
+    renewal_count: renewalCount,
+    renewals_left: policy.max_renewals !== null ? policy.max_renewals - renewalCount : null,
+    fine_amount: borrowing.fine_amount
+  };
+};
+
+module.exports = {
+  renewBorrowing
+};
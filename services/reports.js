@@ -0,0 +1,313 @@
+// File: services/reports.js
+// Circulation and collection statistics for /api/reports. Each report builds
+// one aggregate query from the request options:
+//   from, to   inclusive date range, either end may be open
+//   period     day, week, month or year, for reports over time
+//   limit      maximum number of rows, always set for the top lists
+//   groupBy    grouping of the overdue rate
+// and returns it with its columns, the decimal ones listed apart so the JSON
+// response can turn them into numbers (mysql2 reads DECIMAL as strings).
+const { whereClause } = require('./filters');
+
+// Grouping keys of the reports over time, weeks are ISO weeks
+const PERIODS = {
+  day: '%Y-%m-%d',
+  week: '%x-W%v',
+  month: '%Y-%m',
+  year: '%Y'
+};
+
+const periodColumn = (column, period) => `DATE_FORMAT(${column}, '${PERIODS[period]}')`;
+
+// Conditions keeping `column` within the range, which works for dates and timestamps
+const rangeConditions = (column, { from, to }) => {
+  const conditions = [];
+  const parameters = [];
+
+  if (from) {
+    conditions.push(`${column} >= ?`);
+    parameters.push(from);
+  }
+
+  if (to) {
+    conditions.push(`${column} < ? + INTERVAL 1 DAY`);
+    parameters.push(to);
+  }
+
+  return { conditions, parameters };
+};
+
+// Copies that can still be lent
+const COPIES = `SELECT book_id, COUNT(*) AS copies FROM items WHERE status NOT IN ('lost', 'withdrawn') GROUP BY book_id`;
+
+// A loan was overdue if it was returned, declared lost or is still out after its due date
+const WAS_OVERDUE = `COALESCE(b.return_date, b.lost_date, CURDATE()) > b.due_date`;
+
+const OVERDUE_GROUPS = {
+  category: {
+    select: `c.category_id, COALESCE(c.name, 'Uncategorized') AS category`,
+    join: `
+      LEFT JOIN book_categories bc ON b.book_id = bc.book_id
+      LEFT JOIN categories c ON bc.category_id = c.category_id
+    `,
+    groupBy: 'c.category_id',
+    columns: ['category_id', 'category']
+  },
+  // Loans of purged members have no member type
+  member_type: {
+    select: `m.member_type`,
+    join: `LEFT JOIN members m ON b.member_id = m.member_id`,
+    groupBy: 'm.member_type',
+    columns: ['member_type']
+  }
+};
+
+// Loans counted per book, author or category, most borrowed first
+const topList = (select, join, groupBy) => ({ from, to, limit }) => {
+  const range = rangeConditions('b.borrow_date', { from, to });
+
+  return {
+    sql: `
+      SELECT ${select}, COUNT(*) AS loans, COUNT(DISTINCT b.member_id) AS borrowers
+      FROM borrowings b
+      ${join}
+      ${whereClause(range.conditions)}
+      GROUP BY ${groupBy}
+      ORDER BY loans DESC, ${groupBy}
+      LIMIT ?
+    `,
+    parameters: [...range.parameters, limit]
+  };
+};
+
+const REPORTS = {
+  loans: {
+    description: 'Loans, borrowers, titles and renewals per period by borrow date',
+    overTime: true,
+    columns: ['period', 'loans', 'borrowers', 'titles', 'renewals'],
+    build: ({ from, to, period }) => {
+      const range = rangeConditions('b.borrow_date', { from, to });
+
+      return {
+        sql: `
+          SELECT ${periodColumn('b.borrow_date', period)} AS period,
+                 COUNT(*) AS loans,
+                 COUNT(DISTINCT b.member_id) AS borrowers,
+                 COUNT(DISTINCT b.book_id) AS titles,
+                 SUM(b.renewal_count) AS renewals
+          FROM borrowings b
+          ${whereClause(range.conditions)}
+          GROUP BY period
+          ORDER BY period
+        `,
+        parameters: range.parameters
+      };
+    },
+    decimals: ['renewals']
+  },
+
+  'top-titles': {
+    description: 'Most borrowed books',
+    top: true,
+    columns: ['book_id', 'title', 'isbn', 'loans', 'borrowers'],
+    build: topList(
+      'bk.book_id, bk.title, bk.isbn',
+      'JOIN books bk ON b.book_id = bk.book_id',
+      'bk.book_id'
+    )
+  },
+
+  'top-authors': {
+    description: 'Most borrowed authors, a loan counts for each author of the book',
+    top: true,
+    columns: ['author_id', 'author_name', 'loans', 'borrowers'],
+    build: topList(
+      `a.author_id, CONCAT(a.first_name, ' ', a.last_name) AS author_name`,
+      `
+        JOIN book_authors ba ON b.book_id = ba.book_id
+        JOIN authors a ON ba.author_id = a.author_id
+      `,
+      'a.author_id'
+    )
+  },
+
+  'top-categories': {
+    description: 'Most borrowed categories, a loan counts for each category of the book',
+    top: true,
+    columns: ['category_id', 'category', 'loans', 'borrowers'],
+    build: topList(
+      'c.category_id, c.name AS category',
+      `
+        JOIN book_categories bc ON b.book_id = bc.book_id
+        JOIN categories c ON bc.category_id = c.category_id
+      `,
+      'c.category_id'
+    )
+  },
+
+  // Books without copies left cannot turn over and are left out
+  turnover: {
+    description: 'Loans per lendable copy of each book, highest first',
+    columns: ['book_id', 'title', 'isbn', 'copies', 'loans', 'turnover'],
+    build: ({ from, to, limit }) => {
+      const range = rangeConditions('b.borrow_date', { from, to });
+
+      return {
+        sql: `
+          SELECT bk.book_id, bk.title, bk.isbn, copies.copies,
+                 COALESCE(loans.loans, 0) AS loans,
+                 ROUND(COALESCE(loans.loans, 0) / copies.copies, 2) AS turnover
+          FROM books bk
+          JOIN (${COPIES}) copies ON bk.book_id = copies.book_id
+          LEFT JOIN (
+            SELECT b.book_id, COUNT(*) AS loans
+            FROM borrowings b
+            ${whereClause(range.conditions)}
+            GROUP BY b.book_id
+          ) loans ON bk.book_id = loans.book_id
+          WHERE bk.deleted_at IS NULL
+          ORDER BY turnover DESC, bk.book_id
+          ${limit ? 'LIMIT ?' : ''}
+        `,
+        parameters: [...range.parameters, ...(limit ? [limit] : [])]
+      };
+    },
+    decimals: ['turnover']
+  },
+
+  // Without a range these are the books never borrowed at all
+  'never-borrowed': {
+    description: 'Books in the catalogue not borrowed within the range',
+    columns: ['book_id', 'title', 'isbn', 'copies', 'added', 'last_borrow_date'],
+    build: ({ from, to, limit }) => {
+      const range = rangeConditions('b.borrow_date', { from, to });
+      const conditions = ['bk.deleted_at IS NULL', `NOT EXISTS (
+        SELECT 1 FROM borrowings b
+        ${whereClause(['b.book_id = bk.book_id', ...range.conditions])}
+      )`];
+      const parameters = [...range.parameters];
+
+      // Books added after the range could not have been borrowed in it
+      if (to) {
+        conditions.push(`bk.created_at < ? + INTERVAL 1 DAY`);
+        parameters.push(to);
+      }
+
+      return {
+        sql: `
+          SELECT bk.book_id, bk.title, bk.isbn, COALESCE(copies.copies, 0) AS copies,
+                 DATE(bk.created_at) AS added,
+                 (SELECT MAX(b.borrow_date) FROM borrowings b WHERE b.book_id = bk.book_id) AS last_borrow_date
+          FROM books bk
+          LEFT JOIN (${COPIES}) copies ON bk.book_id = copies.book_id
+          ${whereClause(conditions)}
+          ORDER BY bk.title, bk.book_id
+          ${limit ? 'LIMIT ?' : ''}
+        `,
+        parameters: [...parameters, ...(limit ? [limit] : [])]
+      };
+    }
+  },
+
+  'overdue-rate': {
+    description: 'Share of loans that went past their due date, by category or member type',
+    groups: Object.keys(OVERDUE_GROUPS),
+    columns: ({ groupBy }) => [...OVERDUE_GROUPS[groupBy].columns, 'loans', 'overdue', 'overdue_rate'],
+    build: ({ from, to, groupBy }) => {
+      const group = OVERDUE_GROUPS[groupBy];
+      const range = rangeConditions('b.borrow_date', { from, to });
+
+      return {
+        sql: `
+          SELECT ${group.select},
+                 COUNT(*) AS loans,
+                 SUM(${WAS_OVERDUE}) AS overdue,
+                 ROUND(SUM(${WAS_OVERDUE}) / COUNT(*), 4) AS overdue_rate
+          FROM borrowings b
+          ${group.join}
+          ${whereClause(range.conditions)}
+          GROUP BY ${group.groupBy}
+          ORDER BY overdue_rate DESC, ${group.groupBy}
+        `,
+        parameters: range.parameters
+      };
+    },
+    decimals: ['overdue', 'overdue_rate']
+  },
+
+  // Revenue is what was paid in, less refunds
+  'fine-revenue': {
+    description: 'Charges, waivers, payments and refunds of member accounts per period',
+    overTime: true,
+    columns: ['period', 'fines_charged', 'other_charges', 'waived', 'payments', 'refunds', 'revenue'],
+    build: ({ from, to, period }) => {
+      const range = rangeConditions('t.created_at', { from, to });
+      const total = (condition) => `SUM(CASE WHEN ${condition} THEN t.amount ELSE 0 END)`;
+
+      return {
+        sql: `
+          SELECT ${periodColumn('t.created_at', period)} AS period,
+                 ${total(`t.type = 'charge' AND t.category = 'overdue_fine'`)} AS fines_charged,
+                 ${total(`t.type = 'charge' AND NOT (t.category <=> 'overdue_fine')`)} AS other_charges,
+                 ${total(`t.type = 'waiver'`)} AS waived,
+                 ${total(`t.type = 'payment'`)} AS payments,
+                 ${total(`t.type = 'refund'`)} AS refunds,
+                 ${total(`t.type = 'payment'`)} - ${total(`t.type = 'refund'`)} AS revenue
+          FROM account_transactions t
+          ${whereClause(range.conditions)}
+          GROUP BY period
+          ORDER BY period
+        `,
+        parameters: range.parameters
+      };
+    },
+    decimals: ['fines_charged', 'other_charges', 'waived', 'payments', 'refunds', 'revenue']
+  },
+
+  // Active members are the ones who borrowed something in the period
+  'active-members': {
+    description: 'Members who borrowed and members who registered per period',
+    overTime: true,
+    columns: ['period', 'active_members', 'new_members'],
+    build: ({ from, to, period }) => {
+      const loanRange = rangeConditions('b.borrow_date', { from, to });
+      const registrationRange = rangeConditions('m.registration_date', { from, to });
+
+      return {
+        sql: `
+          SELECT period, SUM(active_members) AS active_members, SUM(new_members) AS new_members
+          FROM (
+            SELECT ${periodColumn('b.borrow_date', period)} AS period,
+                   COUNT(DISTINCT b.member_id) AS active_members, 0 AS new_members
+            FROM borrowings b
+            ${whereClause(loanRange.conditions)}
+            GROUP BY period
+            UNION ALL
+            SELECT ${periodColumn('m.registration_date', period)} AS period,
+                   0 AS active_members, COUNT(*) AS new_members
+            FROM members m
+            ${whereClause(registrationRange.conditions)}
+            GROUP BY period
+          ) counts
+          GROUP BY period
+          ORDER BY period
+        `,
+        parameters: [...loanRange.parameters, ...registrationRange.parameters]
+      };
+    },
+    decimals: ['active_members', 'new_members']
+  }
+};
+
+// The query of a report with its columns
+const buildReport = (report, options) => ({
+  ...report.build(options),
+  columns: typeof report.columns === 'function' ? report.columns(options) : report.columns,
+  decimals: report.decimals || []
+});
+
+module.exports = {
+  PERIODS,
+  REPORTS,
+  buildReport
+};
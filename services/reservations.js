@@ -0,0 +1,245 @@
+// File: services/reservations.js
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../errors');
+const { isSelfOrRole } = require('../middleware/auth');
+const { withTransaction } = require('../db/transaction');
+const bookRepository = require('../repositories/books');
+const borrowingRepository = require('../repositories/borrowings');
+const itemRepository = require('../repositories/items');
+const { requireActiveMember } = require('./eligibility');
+const { addDays } = require('./loanPolicies');
+const { notifyReservationReady } = require('./notifications');
+const { snapshot, auditChange } = require('./audit');
+
+// How long a pending reservation stays in the queue
+const RESERVATION_VALID_DAYS = 30;
+// How long a returned copy is held for the reserving member
+const HOLD_PICKUP_DAYS = 7;
+
+// Put an item that came back into circulation: hold it for the first pending
+// reservation in the book's queue, or return it to the shelf if nobody is waiting.
+// Must be called inside a transaction; returns the held reservation id or null.
+const releaseItem = async (connection, itemId, bookId) => {
+  const [nextResult] = await connection.query(`
+    SELECT reservation_id FROM reservations
+    WHERE book_id = ? AND status = 'pending' AND expiry_date >= CURDATE()
+    ORDER BY reservation_date ASC, reservation_id ASC
+    LIMIT 1
+    FOR UPDATE
+  `, [bookId]);
+
+  if (nextResult.length === 0) {
+    await itemRepository.setStatus(connection, itemId, 'available');
+    return null;
+  }
+
+  const reservationId = nextResult[0].reservation_id;
+
+  await connection.query(`
+    UPDATE reservations SET
+      status = 'ready',
+      item_id = ?,
+      ready_date = CURDATE(),
+      expiry_date = ?
+    WHERE reservation_id = ?
+  `, [itemId, addDays(new Date(), HOLD_PICKUP_DAYS), reservationId]);
+
+  await itemRepository.setStatus(connection, itemId, 'on_hold');
+
+  await notifyReservationReady(connection, reservationId);
+
+  return reservationId;
+};
+
+// Join the queue for a book that has no copy on the shelf. Must be called
+// inside a transaction; returns the reservation id and its queue position.
+const placeReservation = async (connection, req, { book_id, member_id, expiry_date }) => {
+  const book = await bookRepository.getById(connection, book_id, { lock: true });
+  await requireActiveMember(connection, member_id);
+
+  // Held items are not counted as available
+  if (book.available_copies > 0) {
+    throw new BadRequestError('Book has available copies and can be borrowed directly');
+  }
+
+  // Check if the member is already in the queue for this book
+  const [existingResult] = await connection.query(`
+    SELECT COUNT(*) AS count FROM reservations
+    WHERE book_id = ? AND member_id = ? AND status IN ('pending', 'ready')
+  `, [book_id, member_id]);
+
+  if (existingResult[0].count > 0) {
+    throw new ConflictError('Member already has an active reservation for this book');
+  }
+
+  // Check if the member is currently borrowing this book
+  if (await borrowingRepository.countActive(connection, { book_id, member_id }) > 0) {
+    throw new BadRequestError('Member is currently borrowing this book');
+  }
+
+  // Insert the reservation record
+  const [result] = await connection.query(`
+    INSERT INTO reservations (
+      book_id, member_id, expiry_date, status
+    ) VALUES (?, ?, ?, 'pending')
+  `, [
+    book_id,
+    member_id,
+    expiry_date || addDays(new Date(), RESERVATION_VALID_DAYS)
+  ]);
+
+  await auditChange(connection, req, 'reservation', result.insertId);
+
+  const [positionResult] = await connection.query(`
+    SELECT COUNT(*) AS position FROM reservations
+    WHERE book_id = ? AND status = 'pending'
+  `, [book_id]);
+
+  return {
+    reservation_id: result.insertId,
+    queue_position: positionResult[0].position
+  };
+};
+
+// Cancel a pending or ready reservation, members may only cancel their own.
+// A copy held for it goes to the next member in the queue. Must be called
+// inside a transaction; returns the reservation now holding the copy or null.
+const cancelReservation = async (connection, req, reservationId) => {
+  const [reservationResult] = await connection.query(`
+    SELECT book_id, member_id, item_id, status FROM reservations WHERE reservation_id = ? FOR UPDATE
+  `, [reservationId]);
+
+  if (reservationResult.length === 0) {
+    throw new NotFoundError('Reservation not found');
+  }
+
+  const { book_id, member_id, item_id, status } = reservationResult[0];
+
+  // Members may only cancel their own reservations
+  if (!isSelfOrRole(req.user, member_id, 'staff')) {
+    throw new ForbiddenError('Insufficient permissions');
+  }
+
+  if (!['pending', 'ready'].includes(status)) {
+    throw new BadRequestError(`Cannot cancel ${status} reservation`);
+  }
+
+  const before = await snapshot(connection, 'reservation', reservationId);
+
+  await connection.query(`
+    UPDATE reservations SET status = 'cancelled' WHERE reservation_id = ?
+  `, [reservationId]);
+
+  await auditChange(connection, req, 'reservation', reservationId, before);
+
+  // A held item passes on to the next member in the queue
+  let heldForReservationId = null;
+  if (status === 'ready' && item_id) {
+    heldForReservationId = await releaseItem(connection, item_id, book_id);
+  }
+
+  return heldForReservationId;
+};
+
+// A member borrowed a copy of a book they were queueing for: their reservation
+// is fulfilled, and a copy held for them other than the one lent (`itemId`) goes
+// back into circulation. Must be called inside a transaction.
+const fulfillReservations = async (connection, bookId, memberId, itemId) => {
+  const [ownReservations] = await connection.query(`
+    SELECT reservation_id, item_id, status FROM reservations
+    WHERE book_id = ? AND member_id = ? AND status IN ('pending', 'ready')
+    FOR UPDATE
+  `, [bookId, memberId]);
+
+  await connection.query(`
+    UPDATE reservations SET status = 'fulfilled'
+    WHERE book_id = ? AND member_id = ? AND status IN ('pending', 'ready')
+  `, [bookId, memberId]);
+
+  for (const reservation of ownReservations) {
+    if (reservation.status === 'ready' && reservation.item_id && reservation.item_id !== itemId) {
+      await releaseItem(connection, reservation.item_id, bookId);
+    }
+  }
+};
+
+// Cancel the open reservations of a book or member that is being deleted
+// (`column` is book_id or member_id). Copies held for them go to the next member
+// in the queue or back on the shelf. Must be called inside a transaction.
+const cancelReservations = async (connection, req, column, id) => {
+  const [open] = await connection.query(`
+    SELECT reservation_id, book_id, item_id, status FROM reservations
+    WHERE ${column} = ? AND status IN ('pending', 'ready')
+    FOR UPDATE
+  `, [id]);
+
+  for (const reservation of open) {
+    const before = await snapshot(connection, 'reservation', reservation.reservation_id);
+
+    await connection.query(`
+      UPDATE reservations SET status = 'cancelled' WHERE reservation_id = ?
+    `, [reservation.reservation_id]);
+
+    await auditChange(connection, req, 'reservation', reservation.reservation_id, before);
+  }
+
+  for (const reservation of open) {
+    if (reservation.status === 'ready' && reservation.item_id) {
+      await releaseItem(connection, reservation.item_id, reservation.book_id);
+    }
+  }
+
+  return open.length;
+};
+
+// Expire reservations past their expiry date. Copies held for a reservation
+// that was never picked up pass on to the next member in the queue.
+const expireReservations = async (pool) => {
+  const [pendingResult] = await pool.query(`
+    UPDATE reservations SET status = 'expired'
+    WHERE status = 'pending' AND expiry_date < CURDATE()
+  `);
+
+  const [staleHolds] = await pool.query(`
+    SELECT reservation_id FROM reservations
+    WHERE status = 'ready' AND expiry_date < CURDATE()
+  `);
+
+  let releasedCount = 0;
+  for (const hold of staleHolds) {
+    await withTransaction(pool, async (connection) => {
+      // Re-check under lock, the member may have picked the copy up meanwhile
+      const [holdResult] = await connection.query(`
+        SELECT book_id, item_id FROM reservations
+        WHERE reservation_id = ? AND status = 'ready' AND expiry_date < CURDATE()
+        FOR UPDATE
+      `, [hold.reservation_id]);
+
+      if (holdResult.length > 0) {
+        await connection.query(`
+          UPDATE reservations SET status = 'expired' WHERE reservation_id = ?
+        `, [hold.reservation_id]);
+
+        if (holdResult[0].item_id) {
+          await releaseItem(connection, holdResult[0].item_id, holdResult[0].book_id);
+        }
+        releasedCount++;
+      }
+    });
+  }
+
+  return {
+    expired_pending: pendingResult.affectedRows,
+    expired_holds: releasedCount
+  };
+};
+
+module.exports = {
+  RESERVATION_VALID_DAYS,
+  HOLD_PICKUP_DAYS,
+  releaseItem,
+  placeReservation,
+  cancelReservation,
+  fulfillReservations,
+  cancelReservations,
+  expireReservations
+};
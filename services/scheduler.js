@@ -0,0 +1,170 @@
+// File: services/scheduler.js
+// In-process scheduler running the jobs of services/jobs.js once a day at
+// JOBS_RUN_AT (HH:MM local time, default 02:00). On start it catches up on jobs
+// that missed their last scheduled run, e.g. because the server was down.
+// Set JOBS_ENABLED=false to run jobs only manually (e.g. with several app instances).
+const { ConflictError, NotFoundError } = require('../errors');
+const { JOBS, findJob } = require('./jobs');
+
+// Most recent scheduled time at or before `now`
+const lastScheduledTime = (runAt, now = new Date()) => {
+  const [hours, minutes] = runAt.split(':').map(Number);
+  const scheduled = new Date(now);
+  scheduled.setHours(hours, minutes, 0, 0);
+  if (scheduled > now) {
+    scheduled.setDate(scheduled.getDate() - 1);
+  }
+  return scheduled;
+};
+
+// First scheduled time after `now`
+const nextScheduledTime = (runAt, now = new Date()) => {
+  const next = lastScheduledTime(runAt, now);
+  next.setDate(next.getDate() + 1);
+  return next;
+};
+
+const createScheduler = (pool, { runAt = process.env.JOBS_RUN_AT || '02:00' } = {}) => {
+  if (!/^([01]?\d|2[0-3]):[0-5]\d$/.test(runAt)) {
+    throw new Error(`Invalid JOBS_RUN_AT "${runAt}", expected HH:MM`);
+  }
+
+  // Jobs currently running in this process, a job never runs twice at once
+  const running = new Set();
+  let timer = null;
+
+  // Run a job and record the run, returns the run record.
+  // A failing job is recorded as failed rather than thrown.
+  const runJob = async (name, triggerType, triggeredBy = null) => {
+    const job = findJob(name);
+
+    if (!job) {
+      throw new NotFoundError('Job not found');
+    }
+
+    if (running.has(name)) {
+      throw new ConflictError(`Job ${name} is already running`);
+    }
+
+    running.add(name);
+
+    try {
+      const [result] = await pool.query(`
+        INSERT INTO job_runs (job_name, trigger_type, triggered_by) VALUES (?, ?, ?)
+      `, [name, triggerType, triggeredBy]);
+
+      const run = { run_id: result.insertId, job_name: name, trigger_type: triggerType };
+
+      try {
+        const counts = await job.run(pool);
+
+        await pool.query(`
+          UPDATE job_runs SET status = 'succeeded', counts = ?, finished_at = CURRENT_TIMESTAMP
+          WHERE run_id = ?
+        `, [JSON.stringify(counts), run.run_id]);
+
+        return { ...run, status: 'succeeded', counts };
+      } catch (error) {
+        console.error(`Job ${name} (run ${run.run_id}) failed:`, error);
+
+        await pool.query(`
+          UPDATE job_runs SET status = 'failed', error = ?, finished_at = CURRENT_TIMESTAMP
+          WHERE run_id = ?
+        `, [error.message, run.run_id]);
+
+        return { ...run, status: 'failed', error: error.message };
+      }
+    } finally {
+      running.delete(name);
+    }
+  };
+
+  // Run jobs one after another, an error in one does not stop the others
+  const runJobs = async (jobs, triggerType) => {
+    for (const job of jobs) {
+      try {
+        await runJob(job.name, triggerType);
+      } catch (error) {
+        console.error(`Could not run job ${job.name}:`, error);
+      }
+    }
+  };
+
+  // Jobs whose last successful run started before the most recent scheduled time
+  const missedJobs = async () => {
+    const [lastRuns] = await pool.query(`
+      SELECT job_name, MAX(started_at) AS last_success
+      FROM job_runs
+      WHERE status = 'succeeded'
+      GROUP BY job_name
+    `);
+
+    const dueSince = lastScheduledTime(runAt);
+
+    return JOBS.filter((job) => {
+      const lastRun = lastRuns.find(run => run.job_name === job.name);
+      return !lastRun || lastRun.last_success < dueSince;
+    });
+  };
+
+  const scheduleNext = () => {
+    const delay = nextScheduledTime(runAt) - new Date();
+
+    timer = setTimeout(async () => {
+      await runJobs(JOBS, 'scheduled');
+      scheduleNext();
+    }, delay);
+
+    // The scheduler alone must not keep the process alive
+    timer.unref();
+  };
+
+  const start = async () => {
+    if (process.env.JOBS_ENABLED === 'false') {
+      return;
+    }
+
+    scheduleNext();
+
+    try {
+      await runJobs(await missedJobs(), 'startup');
+    } catch (error) {
+      console.error('Job catch-up on startup failed:', error);
+    }
+  };
+
+  const stop = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+
+  // Job definitions with their latest run and next scheduled time
+  const listJobs = async () => {
+    const [lastRuns] = await pool.query(`
+      SELECT r.*
+      FROM job_runs r
+      JOIN (
+        SELECT job_name, MAX(run_id) AS run_id FROM job_runs GROUP BY job_name
+      ) latest ON r.run_id = latest.run_id
+    `);
+
+    return JOBS.map(job => ({
+      name: job.name,
+      description: job.description,
+      running: running.has(job.name),
+      last_run: lastRuns.find(run => run.job_name === job.name) || null,
+      next_run_at: timer ? nextScheduledTime(runAt) : null
+    }));
+  };
+
+  return {
+    start,
+    stop,
+    runJob,
+    listJobs
+  };
+};
+
+module.exports = {
+  createScheduler
+};
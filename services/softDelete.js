@@ -0,0 +1,169 @@
+// File: services/softDelete.js
+// Soft deletion of books, authors, publishers and members. Deleting sets
+// deleted_at, which hides the row from lists and lookups while the loans and
+// other records that refer to it stay intact; POST /:id/restore brings it back.
+// The nightly purge-deleted job removes rows deleted more than
+// SOFT_DELETE_RETENTION_DAYS ago (default 90) for good.
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../errors');
+const { hasRole } = require('../middleware/auth');
+const { withTransaction } = require('../db/transaction');
+const { AUDITED_ENTITIES, snapshot, auditChange } = require('./audit');
+
+// Entities with a deleted_at column, with the name used in error messages
+const SOFT_DELETABLE = {
+  book: 'Book',
+  author: 'Author',
+  publisher: 'Publisher',
+  member: 'Member'
+};
+
+const getRetentionDays = () => Number(process.env.SOFT_DELETE_RETENTION_DAYS ?? 90);
+
+// Conditions hiding the deleted rows of the table aliased `alias`. Admins can
+// pass ?include_deleted=true to see them too, or ?include_deleted=only.
+const deletedFilter = (req, alias) => {
+  const value = req.query.include_deleted;
+
+  if (value === undefined || value === 'false') {
+    return [`${alias}.deleted_at IS NULL`];
+  }
+
+  if (!['true', 'only'].includes(value)) {
+    throw new BadRequestError('include_deleted must be true, false or only');
+  }
+
+  if (!hasRole(req.user, 'admin')) {
+    throw new ForbiddenError('Only admins can see deleted records');
+  }
+
+  return value === 'only' ? [`${alias}.deleted_at IS NOT NULL`] : [];
+};
+
+const setDeletedAt = async (db, entity, id, value) => {
+  const { table, key } = AUDITED_ENTITIES[entity];
+  await db.query(`UPDATE ${table} SET deleted_at = ${value} WHERE ${key} = ?`, [id]);
+};
+
+// Mark a row deleted. Rows that do not exist or are already deleted are not found.
+const softDelete = async (db, req, entity, id) => {
+  const before = await snapshot(db, entity, id);
+
+  if (!before || before.deleted_at) {
+    throw new NotFoundError(`${SOFT_DELETABLE[entity]} not found`);
+  }
+
+  await setDeletedAt(db, entity, id, 'CURRENT_TIMESTAMP');
+  await auditChange(db, req, entity, id, before);
+};
+
+// Bring back a deleted row
+const restore = async (db, req, entity, id) => {
+  const before = await snapshot(db, entity, id);
+
+  if (!before) {
+    throw new NotFoundError(`${SOFT_DELETABLE[entity]} not found`);
+  }
+
+  if (!before.deleted_at) {
+    throw new ConflictError(`${SOFT_DELETABLE[entity]} is not deleted`);
+  }
+
+  await setDeletedAt(db, entity, id, 'NULL');
+  await auditChange(db, req, entity, id, before);
+};
+
+// A purged member's loans and ledger entries are kept without the link to them,
+// everything else about the member goes. Returns the number of loans kept.
+const anonymizeMember = async (connection, memberId) => {
+  const [borrowingResult] = await connection.query(`
+    UPDATE borrowings SET member_id = NULL WHERE member_id = ?
+  `, [memberId]);
+
+  await connection.query(`
+    UPDATE account_transactions SET member_id = NULL WHERE member_id = ?
+  `, [memberId]);
+
+  await connection.query(`DELETE FROM reservations WHERE member_id = ?`, [memberId]);
+  await connection.query(`DELETE FROM notifications WHERE member_id = ?`, [memberId]);
+  await connection.query(`DELETE FROM notification_preferences WHERE member_id = ?`, [memberId]);
+
+  // The member's login accounts
+  const [users] = await connection.query(`SELECT user_id FROM users WHERE member_id = ?`, [memberId]);
+  for (const { user_id } of users) {
+    const before = await snapshot(connection, 'user', user_id);
+    await connection.query(`DELETE FROM users WHERE user_id = ?`, [user_id]);
+    await auditChange(connection, null, 'user', user_id, before);
+  }
+
+  return borrowingResult.affectedRows;
+};
+
+// What the purge removes, members first so their loans are anonymized
+const PURGED = [
+  { entity: 'member', cleanUp: anonymizeMember },
+  // Books that were ever lent are kept, so the loan history keeps its titles
+  { entity: 'book', condition: 'NOT EXISTS (SELECT 1 FROM borrowings br WHERE br.book_id = books.book_id)' },
+  // Authors and publishers stay while any book refers to them, deleted books
+  // included, so restoring a book never finds its authors or publisher gone
+  {
+    entity: 'author',
+    condition: 'NOT EXISTS (SELECT 1 FROM book_authors ba WHERE ba.author_id = authors.author_id)'
+  },
+  {
+    entity: 'publisher',
+    condition: 'NOT EXISTS (SELECT 1 FROM books b WHERE b.publisher_id = publishers.publisher_id)'
+  }
+];
+
+// Permanently remove rows deleted more than `days` days ago, each in its own transaction.
+// Returns the number of rows removed per table and of loans anonymized.
+const purgeDeleted = async (pool, days = getRetentionDays()) => {
+  const counts = { anonymized_borrowings: 0 };
+
+  for (const { entity, condition, cleanUp } of PURGED) {
+    const { table, key } = AUDITED_ENTITIES[entity];
+    counts[table] = 0;
+
+    const expiredRows = `
+      FROM ${table}
+      WHERE deleted_at < NOW() - INTERVAL ? DAY
+      ${condition ? `AND ${condition}` : ''}
+    `;
+
+    const [expired] = await pool.query(`SELECT ${key} AS id ${expiredRows}`, [days]);
+
+    for (const { id } of expired) {
+      await withTransaction(pool, async (connection) => {
+        // Re-check under lock, the row may have been restored, deleted again
+        // or taken into use meanwhile
+        const [locked] = await connection.query(`
+          SELECT ${key} ${expiredRows} AND ${key} = ? FOR UPDATE
+        `, [days, id]);
+
+        if (locked.length === 0) {
+          return;
+        }
+
+        const before = await snapshot(connection, entity, id);
+
+        if (cleanUp) {
+          counts.anonymized_borrowings += await cleanUp(connection, id);
+        }
+
+        await connection.query(`DELETE FROM ${table} WHERE ${key} = ?`, [id]);
+        await auditChange(connection, null, entity, id, before);
+        counts[table]++;
+      });
+    }
+  }
+
+  return counts;
+};
+
+module.exports = {
+  SOFT_DELETABLE,
+  deletedFilter,
+  softDelete,
+  restore,
+  purgeDeleted
+};
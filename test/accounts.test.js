@@ -0,0 +1,130 @@
+// File: test/accounts.test.js
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, MEMBER, startApp, resetData, stopApp, api, login } = require('./harness');
+
+describe('accounts', () => {
+  let admin;
+  let member;
+
+  before(startApp);
+  beforeEach(async () => {
+    await resetData();
+    admin = await login(ADMIN);
+    member = await login(MEMBER);
+  });
+  after(stopApp);
+
+  const charge = (amount, memberId = 1) => api.post(`/api/members/${memberId}/account/charges`, admin, {
+    amount, description: 'Lost library card'
+  });
+
+  it('starts with an empty account', async () => {
+    const response = await api.get('/api/members/1/account', member);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.balance, 0);
+    assert.equal(response.body.borrowing_blocked, false);
+    assert.deepEqual(response.body.totals, { charge: 0, payment: 0, waiver: 0, refund: 0 });
+  });
+
+  it('lets members see only their own account', async () => {
+    assert.equal((await api.get('/api/members/2/account', member)).status, 403);
+    assert.equal((await api.get('/api/members/2/account/transactions', member)).status, 403);
+  });
+
+  it('returns 404 for an unknown member', async () => {
+    assert.equal((await api.get('/api/members/999/account', admin)).status, 404);
+    assert.equal((await charge(5, 999)).status, 404);
+  });
+
+  it('blocks borrowing once the balance exceeds the limit', async () => {
+    const response = await charge(12.5);
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.balance, 12.5);
+    assert.equal((await api.get('/api/members/1/account', admin)).body.borrowing_blocked, true);
+  });
+
+  it('keeps a running balance and issues receipts for payments', async () => {
+    await charge(8);
+    const payment = await api.post('/api/members/1/account/payments', admin, { amount: 5, payment_method: 'cash' });
+
+    assert.equal(payment.status, 201);
+    assert.match(payment.body.receipt_number, /^R-\d{4}-\d{6}$/);
+    assert.equal(payment.body.balance, 3);
+
+    const { body } = await api.get('/api/members/1/account/transactions', member);
+    assert.deepEqual(body.transactions.map(({ type }) => type), ['payment', 'charge']);
+    assert.deepEqual(body.transactions.map(({ running_balance }) => Number(running_balance)), [3, 8]);
+
+    const receipt = await api.get(`/api/members/1/account/transactions/${payment.body.transaction_id}/receipt`, member);
+    assert.equal(receipt.status, 200);
+    assert.equal(receipt.body.processed_by, ADMIN.email);
+    assert.equal(receipt.body.balance_after, 3);
+  });
+
+  it('refuses payments and waivers above the balance', async () => {
+    await charge(4);
+
+    const payment = await api.post('/api/members/1/account/payments', admin, { amount: 5, payment_method: 'card' });
+    const waiver = await api.post('/api/members/1/account/waivers', admin, { amount: 5, reason: 'Goodwill' });
+
+    assert.equal(payment.status, 400);
+    assert.equal(waiver.status, 400);
+  });
+
+  it('waives part of the balance', async () => {
+    await charge(4);
+
+    const response = await api.post('/api/members/1/account/waivers', admin, { amount: 1.5, reason: 'Goodwill' });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.balance, 2.5);
+  });
+
+  it('refunds up to the amount paid', async () => {
+    await charge(10);
+    const { body: payment } = await api.post('/api/members/1/account/payments', admin, { amount: 10, payment_method: 'card' });
+
+    const refund = { transaction_id: payment.transaction_id, amount: 6, reason: 'Charged twice' };
+    const first = await api.post('/api/members/1/account/refunds', admin, refund);
+    assert.equal(first.status, 201);
+    assert.equal(first.body.balance, 6);
+
+    const second = await api.post('/api/members/1/account/refunds', admin, refund);
+    assert.equal(second.status, 400);
+  });
+
+  it('refunds only payments of the member', async () => {
+    const response = await api.post('/api/members/1/account/refunds', admin, {
+      transaction_id: 999, amount: 1, reason: 'Charged twice'
+    });
+
+    assert.equal(response.status, 404);
+  });
+
+  it('charges and waives only for loans of the member', async () => {
+    const own = { amount: 2, description: 'Damaged cover', borrowing_id: 1 };
+    assert.equal((await api.post('/api/members/1/account/charges', admin, own)).status, 201);
+
+    const other = await api.post('/api/members/1/account/charges', admin, { ...own, borrowing_id: 3 });
+    assert.equal(other.status, 400);
+    assert.equal(other.body.message, 'Borrowing belongs to another member');
+
+    const unknown = await api.post('/api/members/1/account/charges', admin, { ...own, borrowing_id: 999 });
+    assert.equal(unknown.status, 404);
+
+    const waiver = await api.post('/api/members/1/account/waivers', admin, {
+      amount: 1, reason: 'Goodwill', borrowing_id: 3
+    });
+    assert.equal(waiver.status, 400);
+    assert.equal((await api.get('/api/members/1/account', admin)).body.balance, 2);
+  });
+
+  it('only lets staff post to an account', async () => {
+    const response = await api.post('/api/members/1/account/payments', member, { amount: 1, payment_method: 'cash' });
+
+    assert.equal(response.status, 403);
+  });
+});
@@ -0,0 +1,143 @@
+// File: test/admin.test.js
+// Jobs, the audit log and reports
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, MEMBER, startApp, resetData, stopApp, query, api, login } = require('./harness');
+
+describe('admin', () => {
+  let admin;
+  let member;
+
+  before(startApp);
+  beforeEach(async () => {
+    await resetData();
+    admin = await login(ADMIN);
+    member = await login(MEMBER);
+  });
+  after(stopApp);
+
+  describe('jobs', () => {
+    it('lists the jobs in the order they run', async () => {
+      const response = await api.get('/api/admin/jobs', admin);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.jobs[0].name, 'update-overdue');
+      assert.equal(response.body.jobs[0].last_run, null);
+    });
+
+    it('runs a job and records the run', async () => {
+      const run = await api.post('/api/admin/jobs/update-overdue/run', admin);
+
+      assert.equal(run.status, 200);
+      assert.equal(run.body.status, 'succeeded');
+      assert.deepEqual(run.body.counts, { updated: 4 });
+
+      const { body } = await api.get('/api/admin/jobs/runs?job=update-overdue', admin);
+      assert.equal(body.runs.length, 1);
+      assert.equal(body.runs[0].trigger_type, 'manual');
+      assert.equal(body.runs[0].triggered_by_email, ADMIN.email);
+    });
+
+    it('keeps the purged authors of a restored book', async () => {
+      await api.delete('/api/books/3', admin);
+      await api.delete('/api/authors/6', admin);
+      await api.post('/api/books/3/restore', admin);
+      await query(`UPDATE authors SET deleted_at = NOW() - INTERVAL 365 DAY WHERE author_id = 6`);
+
+      const run = await api.post('/api/admin/jobs/purge-deleted/run', admin);
+
+      assert.equal(run.body.status, 'succeeded');
+      assert.equal(run.body.counts.authors, 0);
+      const { body } = await api.get('/api/books/3', admin);
+      assert.deepEqual(body.authors.map(({ author_id }) => author_id), [6]);
+    });
+
+    it('returns 404 for an unknown job', async () => {
+      const response = await api.post('/api/admin/jobs/nothing/run', admin);
+
+      assert.equal(response.status, 404);
+    });
+
+    it('is only for admins', async () => {
+      assert.equal((await api.get('/api/admin/jobs', member)).status, 403);
+      assert.equal((await api.post('/api/admin/jobs/update-overdue/run', member)).status, 403);
+    });
+  });
+
+  describe('audit log', () => {
+    it('records who changed what with the request id', async () => {
+      const update = await api.put('/api/publishers/2', admin, { name: 'Bloomsbury Publishing', email: 'contact@bloomsbury.com' });
+
+      const response = await api.get('/api/audit?entity=publisher&entity_id=2', admin);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.entries.length, 1);
+      const [entry] = response.body.entries;
+      assert.equal(entry.action, 'update');
+      assert.equal(entry.actor_email, ADMIN.email);
+      assert.equal(entry.request_id, update.headers.get('x-request-id'));
+      assert.ok(Object.keys(entry.changes).includes('name'));
+    });
+
+    it('rejects an unknown entity or action', async () => {
+      assert.equal((await api.get('/api/audit?entity=nothing', admin)).status, 400);
+      assert.equal((await api.get('/api/audit?action=nothing', admin)).status, 400);
+      assert.equal((await api.get('/api/audit?from_date=yesterday', admin)).status, 400);
+    });
+
+    it('is only for admins', async () => {
+      const response = await api.get('/api/audit', member);
+
+      assert.equal(response.status, 403);
+    });
+  });
+
+  describe('reports', () => {
+    it('lists the reports', async () => {
+      const response = await api.get('/api/reports', admin);
+
+      assert.equal(response.status, 200);
+      assert.ok(response.body.reports.some(({ name }) => name === 'loans'));
+    });
+
+    it('counts loans per month', async () => {
+      const response = await api.get('/api/reports/loans', admin);
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.rows, [{ period: '2025-01', loans: 4, borrowers: 2, titles: 1, renewals: 0 }]);
+    });
+
+    it('lists the most borrowed titles', async () => {
+      const response = await api.get('/api/reports/top-titles?limit=1', admin);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.rows[0].book_id, 7);
+      assert.equal(response.body.rows[0].loans, 4);
+    });
+
+    it('downloads a report as CSV', async () => {
+      const response = await api.get('/api/reports/loans?format=csv', admin);
+
+      assert.equal(response.status, 200);
+      assert.match(response.body, /^period,loans,borrowers,titles,renewals/);
+    });
+
+    it('rejects invalid options', async () => {
+      assert.equal((await api.get('/api/reports/loans?period=decade', admin)).status, 400);
+      assert.equal((await api.get('/api/reports/loans?from_date=2025-02-01&to_date=2025-01-01', admin)).status, 400);
+      assert.equal((await api.get('/api/reports/loans?format=xlsx', admin)).status, 400);
+    });
+
+    it('returns 404 for an unknown report', async () => {
+      const response = await api.get('/api/reports/nothing', admin);
+
+      assert.equal(response.status, 404);
+    });
+
+    it('is only for staff', async () => {
+      const response = await api.get('/api/reports', member);
+
+      assert.equal(response.status, 403);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+// File: test/auth.test.js
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, MEMBER, startApp, resetData, stopApp, request, api, login } = require('./harness');
+
+describe('auth', () => {
+  let admin;
+  let member;
+
+  before(startApp);
+  beforeEach(async () => {
+    await resetData();
+    admin = await login(ADMIN);
+    member = await login(MEMBER);
+  });
+  after(stopApp);
+
+  it('reports the database as healthy', async () => {
+    const response = await api.get('/api/health');
+
+    assert.equal(response.status, 200);
+  });
+
+  it('logs in with a valid email and password', async () => {
+    const response = await api.post('/api/auth/login', null, MEMBER);
+
+    assert.equal(response.status, 200);
+    assert.ok(response.body.token);
+    assert.deepEqual(response.body.user, {
+      user_id: 2, email: MEMBER.email, role: 'member', member_id: 1
+    });
+  });
+
+  it('rejects a login without a password', async () => {
+    const response = await api.post('/api/auth/login', null, { email: ADMIN.email });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'BAD_REQUEST');
+  });
+
+  it('rejects a wrong password', async () => {
+    const response = await api.post('/api/auth/login', null, { ...ADMIN, password: 'wrong' });
+
+    assert.equal(response.status, 401);
+  });
+
+  it('returns the logged in user', async () => {
+    const response = await api.get('/api/auth/me', admin);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.email, ADMIN.email);
+  });
+
+  it('requires a token for everything but login', async () => {
+    const response = await api.get('/api/books');
+
+    assert.equal(response.status, 401);
+  });
+
+  it('creates a staff account that can log in', async () => {
+    const response = await api.post('/api/auth/users', admin, {
+      email: 'librarian@library.local', password: 'secret', role: 'librarian'
+    });
+
+    assert.equal(response.status, 201);
+    assert.ok(await login({ email: 'librarian@library.local', password: 'secret' }));
+  });
+
+  it('rejects an unknown role', async () => {
+    const response = await api.post('/api/auth/users', admin, {
+      email: 'someone@library.local', password: 'secret', role: 'owner'
+    });
+
+    assert.equal(response.status, 400);
+  });
+
+  it('requires member_id for member accounts', async () => {
+    const response = await api.post('/api/auth/users', admin, {
+      email: 'jane.smith@example.com', password: 'secret', role: 'member'
+    });
+
+    assert.equal(response.status, 400);
+  });
+
+  it('rejects an email that already has an account', async () => {
+    const response = await api.post('/api/auth/users', admin, {
+      email: MEMBER.email, password: 'secret', role: 'staff'
+    });
+
+    assert.equal(response.status, 409);
+  });
+
+  it('only lets admins create accounts', async () => {
+    const response = await api.post('/api/auth/users', member, {
+      email: 'someone@library.local', password: 'secret', role: 'staff'
+    });
+
+    assert.equal(response.status, 403);
+  });
+
+  it('answers unknown routes with the error envelope', async () => {
+    const response = await api.get('/api/nothing-here', admin);
+
+    assert.equal(response.status, 404);
+    assert.equal(response.body.code, 'NOT_FOUND');
+    assert.ok(response.body.request_id);
+  });
+
+  it('reuses a plain request id and replaces any other', async () => {
+    const plain = await request('GET', '/api/auth/me', { token: admin, headers: { 'X-Request-Id': 'checkout-42.a' } });
+    const long = await request('GET', '/api/auth/me', { token: admin, headers: { 'X-Request-Id': 'x'.repeat(65) } });
+    const spaced = await request('GET', '/api/auth/me', { token: admin, headers: { 'X-Request-Id': 'a b' } });
+
+    assert.equal(plain.headers.get('x-request-id'), 'checkout-42.a');
+    assert.match(long.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+    assert.match(spaced.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  });
+
+  it('answers a body that is too large with 413', async () => {
+    const response = await api.post('/api/auth/login', null, { email: 'x'.repeat(200 * 1024), password: 'x' });
+
+    assert.equal(response.status, 413);
+    assert.equal(response.body.code, 'PAYLOAD_TOO_LARGE');
+  });
+});
@@ -0,0 +1,87 @@
+// File: test/authors.test.js
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, MEMBER, startApp, resetData, stopApp, api, login } = require('./harness');
+
+describe('authors', () => {
+  let admin;
+  let member;
+
+  before(startApp);
+  beforeEach(async () => {
+    await resetData();
+    admin = await login(ADMIN);
+    member = await login(MEMBER);
+  });
+  after(stopApp);
+
+  it('searches authors by name with their book counts', async () => {
+    const response = await api.get('/api/authors?search=Williams', member);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.authors.length, 1);
+    assert.equal(response.body.authors[0].book_count, 1);
+  });
+
+  it('returns an author with their books and co-authors', async () => {
+    const response = await api.get('/api/authors/8', member);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.books.map(({ book_id }) => book_id), [5]);
+    assert.deepEqual(response.body.coauthors.map(({ author_id }) => author_id), [9]);
+  });
+
+  it('lists the books of an author', async () => {
+    const response = await api.get('/api/authors/10/books', member);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.books.map(({ book_id }) => book_id), [7]);
+  });
+
+  it('returns 404 for an unknown author', async () => {
+    assert.equal((await api.get('/api/authors/999', member)).status, 404);
+    assert.equal((await api.get('/api/authors/999/books', member)).status, 404);
+  });
+
+  it('creates and updates an author', async () => {
+    const created = await api.post('/api/authors', admin, { first_name: 'Aldous', last_name: 'Huxley' });
+    assert.equal(created.status, 201);
+
+    const updated = await api.put(`/api/authors/${created.body.author_id}`, admin, {
+      first_name: 'Aldous', last_name: 'Huxley', birth_date: '1894-07-26'
+    });
+    assert.equal(updated.status, 200);
+
+    const response = await api.get(`/api/authors/${created.body.author_id}`, admin);
+    assert.equal(response.body.last_name, 'Huxley');
+    assert.ok(response.body.birth_date);
+  });
+
+  it('rejects an author without a last name', async () => {
+    const response = await api.post('/api/authors', admin, { first_name: 'Aldous' });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'VALIDATION_ERROR');
+  });
+
+  it('refuses to delete an author with books', async () => {
+    const response = await api.delete('/api/authors/10', admin);
+
+    assert.equal(response.status, 409);
+  });
+
+  it('deletes and restores an author without books', async () => {
+    assert.equal((await api.delete('/api/authors/2', admin)).status, 200);
+    assert.equal((await api.get('/api/authors/2', admin)).status, 404);
+    assert.equal((await api.delete('/api/authors/2', admin)).status, 404);
+
+    assert.equal((await api.post('/api/authors/2/restore', admin)).status, 200);
+    assert.equal((await api.get('/api/authors/2', admin)).status, 200);
+  });
+
+  it('only lets librarians change authors', async () => {
+    const response = await api.post('/api/authors', member, { first_name: 'Aldous', last_name: 'Huxley' });
+
+    assert.equal(response.status, 403);
+  });
+});
@@ -0,0 +1,313 @@
+// File: test/books.test.js
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, MEMBER, startApp, resetData, stopApp, api, request, login } = require('./harness');
+
+describe('books', () => {
+  let admin;
+  let member;
+
+  before(startApp);
+  beforeEach(async () => {
+    await resetData();
+    admin = await login(ADMIN);
+    member = await login(MEMBER);
+  });
+  after(stopApp);
+
+  describe('GET /api/books', () => {
+    it('lists books with their authors and categories', async () => {
+      const response = await api.get('/api/books', member);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.pagination.total, 7);
+      const book = response.body.books.find(({ book_id }) => book_id === 5);
+      assert.deepEqual(book.authors.map(({ author_id }) => author_id).sort(), [8, 9]);
+      assert.deepEqual(book.categories.map(({ name }) => name), ['Non-fiction']);
+    });
+
+    it('filters by availability', async () => {
+      const response = await api.get('/api/books?availability=unavailable', member);
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.books.map(({ book_id }) => book_id), [7]);
+    });
+
+    it('rejects an unknown sort field', async () => {
+      const response = await api.get('/api/books?sort=price', member);
+
+      assert.equal(response.status, 400);
+    });
+
+    it('hides deleted books from members', async () => {
+      const response = await api.get('/api/books?include_deleted=true', member);
+
+      assert.equal(response.status, 403);
+    });
+
+    it('does not show members who borrowed the books', async () => {
+      const response = await api.get('/api/books?include=current_borrowings', member);
+
+      assert.equal(response.status, 403);
+    });
+  });
+
+  describe('GET /api/books/search', () => {
+    it('finds a book by ISBN with facet counts', async () => {
+      const response = await api.get('/api/books/search?q=9780525559474', member);
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.books.map(({ book_id }) => book_id), [7]);
+      assert.ok(response.body.facets);
+    });
+
+    it('ignores stopwords and short words in the search', async () => {
+      const response = await api.get(`/api/books/search?q=${encodeURIComponent('a hundred years of solitude')}`, member);
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.books.map(({ book_id }) => book_id), [4]);
+    });
+  });
+
+  describe('GET /api/books/:id', () => {
+    it('returns a book with its copies and current loans', async () => {
+      const response = await api.get('/api/books/7', admin);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.title, 'The Midnight Library');
+      assert.equal(response.body.total_copies, 4);
+      assert.equal(response.body.available_copies, 0);
+      assert.equal(response.body.items.length, 4);
+      assert.equal(response.body.current_borrowings.length, 4);
+    });
+
+    it('shows members a book without its copies and borrowers', async () => {
+      const response = await api.get('/api/books/7', member);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.available_copies, 0);
+      assert.equal(response.body.current_borrowings, undefined);
+      assert.equal(response.body.items, undefined);
+      assert.equal((await api.get('/api/books/7?include=current_borrowings', member)).status, 403);
+      assert.equal((await api.get('/api/books/7?include=items', member)).status, 403);
+    });
+
+    it('returns 404 for an unknown book', async () => {
+      const response = await api.get('/api/books/999', member);
+
+      assert.equal(response.status, 404);
+    });
+  });
+
+  describe('POST /api/books', () => {
+    it('creates a book with its authors and categories', async () => {
+      const created = await api.post('/api/books', admin, {
+        title: 'Animal Farm', isbn: '9780451526342', publisher_id: 1, author_ids: [2], category_ids: [1, 4]
+      });
+
+      assert.equal(created.status, 201);
+
+      const response = await api.get(`/api/books/${created.body.book_id}`, admin);
+      assert.equal(response.body.total_copies, 0);
+      assert.deepEqual(response.body.authors.map(({ author_id }) => author_id), [2]);
+      assert.deepEqual(response.body.categories.map(({ category_id }) => category_id).sort(), [1, 4]);
+    });
+
+    it('fills a book from its ISBN metadata with ?enrich=true', async () => {
+      const response = await api.post('/api/books?enrich=true', admin, { isbn: '9780141036144' });
+
+      assert.equal(response.status, 201);
+      assert.ok(response.body.enrichment.filled.includes('title'));
+
+      const book = await api.get(`/api/books/${response.body.book_id}`, admin);
+      assert.equal(book.body.title, 'Nineteen Eighty-Four');
+      assert.equal(book.body.publisher_id, 1);
+      assert.deepEqual(book.body.authors.map(({ author_id }) => author_id), [2]);
+    });
+
+    it('rejects a book without a title', async () => {
+      const response = await api.post('/api/books', admin, { isbn: '9780451526342' });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.code, 'VALIDATION_ERROR');
+      assert.equal(response.body.details[0].field, 'title');
+    });
+
+    it('rejects an unknown publisher', async () => {
+      const response = await api.post('/api/books', admin, { title: 'Animal Farm', publisher_id: 99 });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.code, 'INVALID_REFERENCE');
+    });
+
+    it('rejects an ISBN that is already catalogued', async () => {
+      const response = await api.post('/api/books', admin, { title: 'Copy', isbn: '9780061120084' });
+
+      assert.equal(response.status, 409);
+    });
+
+    it('rejects the ISBN-10 of a catalogued ISBN-13', async () => {
+      const response = await api.post('/api/books', admin, { title: 'Copy', isbn: '0-06-112008-1' });
+
+      assert.equal(response.status, 409);
+    });
+
+    it('is not open to members', async () => {
+      const response = await api.post('/api/books', member, { title: 'Animal Farm' });
+
+      assert.equal(response.status, 403);
+    });
+  });
+
+  describe('PUT /api/books/:id', () => {
+    it('replaces the authors and categories it is given', async () => {
+      const response = await api.put('/api/books/5', admin, {
+        title: 'Learning MySQL', isbn: '9780596008642', publisher_id: 1, author_ids: [8], category_ids: []
+      });
+
+      assert.equal(response.status, 200);
+
+      const book = await api.get('/api/books/5', admin);
+      assert.deepEqual(book.body.authors.map(({ author_id }) => author_id), [8]);
+      assert.deepEqual(book.body.categories, []);
+      assert.equal(book.body.total_copies, 6);
+    });
+
+    it('keeps the relations that are left out', async () => {
+      await api.put('/api/books/2', admin, { title: 'To Kill a Mockingbird', isbn: '9780061120084' });
+
+      const book = await api.get('/api/books/2', admin);
+      assert.equal(book.body.categories.length, 2);
+      assert.equal(book.body.authors.length, 1);
+    });
+
+    it('rejects an invalid body', async () => {
+      const response = await api.put('/api/books/5', admin, { title: 'Learning MySQL', publication_year: 1500 });
+
+      assert.equal(response.status, 400);
+    });
+
+    it('returns 404 for an unknown book', async () => {
+      const response = await api.put('/api/books/999', admin, { title: 'Nothing' });
+
+      assert.equal(response.status, 404);
+    });
+  });
+
+  describe('DELETE /api/books/:id', () => {
+    it('refuses to delete a book that is on loan', async () => {
+      const response = await api.delete('/api/books/7', admin);
+
+      assert.equal(response.status, 409);
+    });
+
+    it('deletes and restores a book', async () => {
+      const deleted = await api.delete('/api/books/6', admin);
+      assert.equal(deleted.status, 200);
+      assert.equal((await api.get('/api/books/6', admin)).status, 404);
+      assert.equal((await api.get('/api/books/6?include_deleted=true', admin)).status, 200);
+
+      const restored = await api.post('/api/books/6/restore', admin);
+      assert.equal(restored.status, 200);
+      assert.equal((await api.get('/api/books/6', admin)).status, 200);
+    });
+
+    it('refuses to restore a book that is not deleted', async () => {
+      const response = await api.post('/api/books/6/restore', admin);
+
+      assert.equal(response.status, 409);
+    });
+
+    it('returns 404 for an unknown book', async () => {
+      assert.equal((await api.delete('/api/books/999', admin)).status, 404);
+      assert.equal((await api.post('/api/books/999/restore', admin)).status, 404);
+    });
+  });
+
+  describe('GET /api/books/lookup/:isbn', () => {
+    it('matches the metadata to existing publishers and authors', async () => {
+      const response = await api.get('/api/books/lookup/9780141036144', admin);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.book.publisher.publisher_id, 1);
+      assert.equal(response.body.book.authors[0].author_id, 2);
+      assert.equal(response.body.existing_book_id, null);
+    });
+
+    it('returns 404 for an ISBN without metadata', async () => {
+      const response = await api.get('/api/books/lookup/9780306406157', admin);
+
+      assert.equal(response.status, 404);
+    });
+
+    it('rejects an invalid ISBN', async () => {
+      const response = await api.get('/api/books/lookup/12345', admin);
+
+      assert.equal(response.status, 400);
+    });
+  });
+
+  describe('GET /api/books/export', () => {
+    it('exports one JSON line per book', async () => {
+      const response = await api.get('/api/books/export?format=jsonl', admin);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.trim().split('\n').length, 7);
+    });
+
+    it('rejects an unknown format', async () => {
+      const response = await api.get('/api/books/export?format=xlsx', admin);
+
+      assert.equal(response.status, 400);
+    });
+  });
+
+  describe('POST /api/books/import', () => {
+    const csv = [
+      'title,isbn,authors,publisher,publication_year,categories',
+      'Animal Farm,9780451526342,"Orwell, George",Penguin Books,1945,Fiction;Classic',
+      ',9780141036144,,,,'
+    ].join('\n');
+
+    it('reports what a dry run would import without saving it', async () => {
+      const response = await request('POST', '/api/books/import?dry_run=true', {
+        token: admin, body: csv, headers: { 'Content-Type': 'text/csv' }
+      });
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.summary, { total: 2, created: 1, updated: 0, restored: 0, rejected: 1 });
+      assert.equal((await api.get('/api/books', admin)).body.pagination.total, 7);
+    });
+
+    it('imports the valid rows', async () => {
+      const response = await request('POST', '/api/books/import', {
+        token: admin, body: csv, headers: { 'Content-Type': 'text/csv' }
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.summary.created, 1);
+      assert.equal((await api.get('/api/books', admin)).body.pagination.total, 8);
+    });
+
+    it('updates the book catalogued under the other form of an ISBN', async () => {
+      const response = await request('POST', '/api/books/import', {
+        token: admin,
+        body: 'title,isbn,page_count\nTo Kill a Mockingbird,0-06-112008-1,384',
+        headers: { 'Content-Type': 'text/csv' }
+      });
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.summary, { total: 1, created: 0, updated: 1, restored: 0, rejected: 0 });
+      assert.equal(response.body.rows[0].book_id, 2);
+      assert.equal((await api.get('/api/books/2', admin)).body.page_count, 384);
+    });
+
+    it('rejects an empty file', async () => {
+      const response = await request('POST', '/api/books/import', {
+        token: admin, body: '', headers: { 'Content-Type': 'text/csv' }
+      });
+
+      assert.equal(response.status, 400);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+// File: test/borrowingService.test.js
+// Lending, returning and losing copies in services/borrowings.js, with the
+// repositories stubbed, no database needed
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { BadRequestError, ConflictError, NotFoundError } = require('../errors');
+const bookRepository = require('../repositories/books');
+const borrowingRepository = require('../repositories/borrowings');
+const itemRepository = require('../repositories/items');
+const memberRepository = require('../repositories/members');
+const { checkoutBook, returnBorrowing, declareLost } = require('../services/borrowings');
+const { stubDb } = require('./stubs');
+
+const POLICY = {
+  policy_id: 1,
+  name: 'Standard',
+  member_type: null,
+  category_id: null,
+  loan_days: 21,
+  max_loans: null,
+  max_renewals: null,
+  fine_per_day: 0.5,
+  max_fine: null,
+  grace_days: 0
+};
+
+const req = { user: { user_id: 1 } };
+
+// The loan policy, the member's balance and the fine posted so far
+const database = () => stubDb([
+  [/FROM loan_policies/, [POLICY]],
+  [/FROM account_transactions/, [{ balance: 0 }]],
+  [/SELECT fine_posted/, [{ fine_posted: 0 }]]
+]);
+
+describe('borrowings service', () => {
+  let item;
+  let borrowing;
+
+  beforeEach(() => {
+    item = { item_id: 25, book_id: 7, barcode: 'LIB0007005', status: 'available' };
+    borrowing = {
+      borrowing_id: 1,
+      book_id: 7,
+      item_id: 25,
+      member_id: 1,
+      status: 'borrowed',
+      due_date: new Date(2025, 0, 20),
+      fine_amount: 0
+    };
+
+    mock.method(memberRepository, 'getById', async () => ({ member_id: 1, membership_status: 'active' }));
+    mock.method(borrowingRepository, 'countActive', async () => 0);
+    mock.method(borrowingRepository, 'countOverdue', async () => 0);
+    mock.method(borrowingRepository, 'getById', async () => borrowing);
+    mock.method(borrowingRepository, 'create', async () => 12);
+    mock.method(borrowingRepository, 'markLost', async () => {});
+    mock.method(itemRepository, 'findByBarcode', async () => item);
+    mock.method(itemRepository, 'setStatus', async () => {});
+    mock.method(bookRepository, 'getReplacementCost', async () => null);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('checkoutBook', () => {
+    it('lends the scanned copy for the loan period of the policy', async () => {
+      const result = await checkoutBook(database(), req, {
+        book_id: 7, barcode: 'LIB0007005', member_id: 1, borrow_date: '2025-03-01'
+      });
+
+      assert.deepEqual(result, { borrowing_id: 12, item_id: 25, due_date: '2025-03-22', policy_id: 1 });
+      assert.deepEqual(borrowingRepository.create.mock.calls[0].arguments[1], {
+        book_id: 7, item_id: 25, member_id: 1, borrow_date: '2025-03-01', due_date: '2025-03-22'
+      });
+      assert.deepEqual(itemRepository.setStatus.mock.calls[0].arguments.slice(1), [25, 'on_loan']);
+    });
+
+    it('refuses an unknown barcode', async () => {
+      item = null;
+
+      await assert.rejects(checkoutBook(stubDb(), req, { barcode: 'NOPE', member_id: 1 }), NotFoundError);
+    });
+
+    it('refuses a copy of another book', async () => {
+      await assert.rejects(
+        checkoutBook(stubDb(), req, { book_id: 3, barcode: 'LIB0007005', member_id: 1 }),
+        /does not belong to this book/
+      );
+    });
+
+    it('refuses a copy that is on loan', async () => {
+      item.status = 'on_loan';
+
+      await assert.rejects(
+        checkoutBook(stubDb(), req, { barcode: 'LIB0007005', member_id: 1 }),
+        /not available \(status: on_loan\)/
+      );
+    });
+
+    it('refuses a copy held for another member', async () => {
+      item.status = 'on_hold';
+      const db = stubDb([[/FROM reservations WHERE item_id/, [{ member_id: 2 }]]]);
+
+      await assert.rejects(
+        checkoutBook(db, req, { barcode: 'LIB0007005', member_id: 1 }),
+        /held for another member/
+      );
+      assert.equal(borrowingRepository.create.mock.callCount(), 0);
+    });
+  });
+
+  describe('returnBorrowing', () => {
+    it('refuses a loan that was already returned', async () => {
+      borrowing.status = 'returned';
+
+      await assert.rejects(returnBorrowing(stubDb(), req, 1, {}), ConflictError);
+    });
+  });
+
+  describe('declareLost', () => {
+    it('refuses a loan that was returned', async () => {
+      borrowing.status = 'returned';
+
+      await assert.rejects(declareLost(stubDb(), req, 1, {}), /Cannot mark returned borrowing as lost/);
+    });
+
+    it('needs a replacement cost when the book has none', async () => {
+      await assert.rejects(declareLost(stubDb(), req, 1, {}), {
+        name: BadRequestError.name, message: 'Book has no replacement cost, replacement_cost is required'
+      });
+      assert.equal(borrowingRepository.markLost.mock.callCount(), 0);
+    });
+
+    it('freezes the fine and takes the copy out of circulation', async () => {
+      const db = database();
+
+      const result = await declareLost(db, req, 1, { lost_date: '2025-01-30', replacement_cost: 20 });
+
+      assert.deepEqual(result, { borrowing_id: 1, fine_amount: 5, replacement_cost: 20 });
+      assert.deepEqual(borrowingRepository.markLost.mock.calls[0].arguments.slice(1), [
+        1, { lost_date: '2025-01-30', fine_amount: 5 }
+      ]);
+      assert.equal(db.queries.filter(({ sql }) => /INSERT INTO account_transactions/.test(sql)).length, 2);
+      assert.deepEqual(itemRepository.setStatus.mock.calls[0].arguments.slice(1), [25, 'lost']);
+    });
+  });
+});
@@ -0,0 +1,281 @@
+// File: test/borrowings.test.js
+// The sample loans of The Midnight Library were due on 2025-01-20, so they are
+// overdue by the real date once update-overdue runs. Returns and losses pass
+// their dates explicitly to keep fines independent of the day the tests run.
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, MEMBER, startApp, resetData, stopApp, api, login, query } = require('./harness');
+
+describe('borrowings', () => {
+  let admin;
+  let member;
+
+  before(startApp);
+  beforeEach(async () => {
+    await resetData();
+    admin = await login(ADMIN);
+    member = await login(MEMBER);
+  });
+  after(stopApp);
+
+  const copies = async (bookId) => {
+    const { body } = await api.get(`/api/books/${bookId}`, admin);
+    return { available: body.available_copies, total: body.total_copies };
+  };
+
+  const balanceOf = async (memberId) => (await api.get(`/api/members/${memberId}/account`, admin)).body.balance;
+
+  describe('listing', () => {
+    it('lists the loans for staff', async () => {
+      const response = await api.get('/api/borrowings', admin);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.pagination.total, 4);
+    });
+
+    it('returns a loan', async () => {
+      const response = await api.get('/api/borrowings/3', admin);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.member_id, 2);
+    });
+
+    it('returns 404 for an unknown loan', async () => {
+      assert.equal((await api.get('/api/borrowings/999', admin)).status, 404);
+      assert.equal((await api.get('/api/borrowings/999/renewals', admin)).status, 404);
+    });
+
+    it('is not open to members', async () => {
+      assert.equal((await api.get('/api/borrowings', member)).status, 403);
+      assert.equal((await api.post('/api/borrowings', member, { book_id: 1, member_id: 1 })).status, 403);
+    });
+  });
+
+  describe('POST /api/borrowings', () => {
+    it('lends an available copy for the policy loan period', async () => {
+      const response = await api.post('/api/borrowings', admin, { book_id: 1, member_id: 2, borrow_date: '2025-02-01' });
+
+      assert.equal(response.status, 201);
+      assert.equal(response.body.due_date, '2025-02-15');
+      assert.equal(response.body.policy_id, 1);
+      assert.deepEqual(await copies(1), { available: 9, total: 10 });
+    });
+
+    it('lends the scanned copy', async () => {
+      const response = await api.post('/api/borrowings', admin, { barcode: 'LIB0002005', member_id: 2 });
+
+      assert.equal(response.status, 201);
+      assert.equal(response.body.item_id, 15);
+    });
+
+    it('requires a book or a barcode', async () => {
+      const response = await api.post('/api/borrowings', admin, { member_id: 2 });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.code, 'VALIDATION_ERROR');
+    });
+
+    it('refuses a book without available copies', async () => {
+      const response = await api.post('/api/borrowings', admin, { book_id: 7, member_id: 2 });
+
+      assert.equal(response.status, 400);
+      assert.match(response.body.message, /No available copies/);
+    });
+
+    it('refuses a copy that is already on loan', async () => {
+      const response = await api.post('/api/borrowings', admin, { barcode: 'LIB0007001', member_id: 2 });
+
+      assert.equal(response.status, 400);
+    });
+
+    it('refuses members who are not active', async () => {
+      await api.put('/api/members/2/status', admin, { membership_status: 'suspended' });
+
+      const response = await api.post('/api/borrowings', admin, { book_id: 1, member_id: 2 });
+
+      assert.equal(response.status, 400);
+      assert.match(response.body.message, /not active/);
+    });
+
+    it('refuses members with overdue loans', async () => {
+      const overdue = await api.post('/api/borrowings/update-overdue', admin);
+      assert.equal(overdue.body.updated_count, 4);
+
+      const response = await api.post('/api/borrowings', admin, { book_id: 1, member_id: 1 });
+
+      assert.equal(response.status, 400);
+      assert.match(response.body.message, /overdue/);
+    });
+
+    it('refuses members who owe more than the balance limit', async () => {
+      await api.post('/api/members/1/account/charges', admin, { amount: 10.01, description: 'Lost library card' });
+
+      const response = await api.post('/api/borrowings', admin, { book_id: 1, member_id: 1 });
+
+      assert.equal(response.status, 400);
+      assert.match(response.body.message, /exceeds the borrowing limit/);
+    });
+
+    it('refuses members who reached the loan limit of their policy', async () => {
+      for (let i = 0; i < 3; i++) {
+        assert.equal((await api.post('/api/borrowings', admin, { book_id: 1, member_id: 1 })).status, 201);
+      }
+
+      const response = await api.post('/api/borrowings', admin, { book_id: 1, member_id: 1 });
+
+      assert.equal(response.status, 400);
+      assert.match(response.body.message, /limit of 5 concurrent loans/);
+    });
+
+    it('returns 404 for an unknown member or book', async () => {
+      assert.equal((await api.post('/api/borrowings', admin, { book_id: 1, member_id: 999 })).status, 404);
+      assert.equal((await api.post('/api/borrowings', admin, { book_id: 999, member_id: 1 })).status, 404);
+    });
+  });
+
+  describe('returns', () => {
+    it('returns a loan on time without a fine', async () => {
+      const response = await api.put('/api/borrowings/1/return', admin, { return_date: '2025-01-20' });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.fine_amount, 0);
+      assert.deepEqual(await copies(7), { available: 1, total: 4 });
+    });
+
+    it('charges the policy fine for a late return by barcode', async () => {
+      const response = await api.post('/api/borrowings/return', admin, { barcode: 'LIB0007001', return_date: '2025-01-25' });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.borrowing_id, 1);
+      assert.equal(response.body.fine_amount, 5);
+      assert.equal(await balanceOf(1), 5);
+    });
+
+    it('refuses to return a loan twice', async () => {
+      await api.put('/api/borrowings/1/return', admin, { return_date: '2025-01-20' });
+
+      const response = await api.put('/api/borrowings/1/return', admin, { return_date: '2025-01-20' });
+
+      assert.equal(response.status, 409);
+    });
+
+    it('returns 404 for a barcode that is not on loan', async () => {
+      const response = await api.post('/api/borrowings/return', admin, { barcode: 'LIB0001001' });
+
+      assert.equal(response.status, 404);
+    });
+
+    it('keeps damaged copies off the shelf', async () => {
+      const response = await api.put('/api/borrowings/3/return', admin, {
+        return_date: '2025-01-20', damaged: true, damage_charge: 12
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.damage_charge, 12);
+      assert.deepEqual(await copies(7), { available: 0, total: 4 });
+      assert.equal(await balanceOf(2), 12);
+    });
+  });
+
+  describe('lost books', () => {
+    it('charges the replacement cost and stops counting the copy', async () => {
+      const response = await api.post('/api/borrowings/1/lost', admin, { lost_date: '2025-01-20', replacement_cost: 20 });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.replacement_cost, 20);
+      assert.deepEqual(await copies(7), { available: 0, total: 3 });
+      assert.equal(await balanceOf(1), 20);
+    });
+
+    it('requires a replacement cost when the book has none', async () => {
+      const response = await api.post('/api/borrowings/1/lost', admin, {});
+
+      assert.equal(response.status, 400);
+    });
+
+    it('waives the replacement when the book turns up', async () => {
+      await api.post('/api/borrowings/1/lost', admin, { lost_date: '2025-01-20', replacement_cost: 20 });
+
+      const response = await api.put('/api/borrowings/1/return', admin, {});
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.replacement_waived, 20);
+      assert.equal(await balanceOf(1), 0);
+      assert.deepEqual(await copies(7), { available: 1, total: 4 });
+    });
+  });
+
+  describe('renewals', () => {
+    // The sample loans are long past due
+    beforeEach(async () => {
+      await query('UPDATE borrowings SET due_date = CURDATE() + INTERVAL 7 DAY WHERE borrowing_id = 1');
+    });
+
+    it('renews a loan until the policy limit', async () => {
+      const first = await api.post('/api/borrowings/1/renew', admin);
+      assert.equal(first.status, 200);
+      assert.equal(first.body.renewal_count, 1);
+      assert.equal(first.body.renewals_left, 1);
+
+      assert.equal((await api.post('/api/borrowings/1/renew', admin)).status, 200);
+
+      const third = await api.post('/api/borrowings/1/renew', admin);
+      assert.equal(third.status, 400);
+      assert.match(third.body.message, /Renewal limit of 2/);
+
+      const history = await api.get('/api/borrowings/1/renewals', admin);
+      assert.equal(history.body.renewal_count, 2);
+      assert.equal(history.body.renewals.length, 2);
+      assert.equal(history.body.renewals[0].renewed_by_email, ADMIN.email);
+    });
+
+    it('refuses to renew an overdue loan and keeps its fine', async () => {
+      await query('UPDATE borrowings SET due_date = CURDATE() - INTERVAL 4 DAY WHERE borrowing_id = 1');
+
+      const response = await api.post('/api/borrowings/1/renew', admin);
+      assert.equal(response.status, 400);
+      assert.match(response.body.message, /Cannot renew overdue borrowing/);
+
+      await api.post('/api/borrowings/update-overdue', admin);
+      await api.post('/api/borrowings/calculate-fines', admin);
+      assert.equal((await api.post('/api/borrowings/1/renew', admin)).status, 400);
+
+      const [loan] = await query('SELECT status, fine_amount FROM borrowings WHERE borrowing_id = 1');
+      assert.equal(loan.status, 'overdue');
+      assert.ok(Number(loan.fine_amount) > 0);
+    });
+
+    it('refuses to renew a returned loan', async () => {
+      await api.put('/api/borrowings/1/return', admin, { return_date: '2025-01-20' });
+
+      const response = await api.post('/api/borrowings/1/renew', admin);
+
+      assert.equal(response.status, 400);
+    });
+
+    it('refuses to renew a book another member reserved', async () => {
+      const { body } = await api.post('/api/members', admin, {
+        first_name: 'Ada', last_name: 'Lovelace', email: 'ada@example.com'
+      });
+      await api.post('/api/reservations', admin, { book_id: 7, member_id: body.member_id });
+
+      const response = await api.post('/api/borrowings/1/renew', admin);
+
+      assert.equal(response.status, 400);
+      assert.match(response.body.message, /reserved by another member/);
+    });
+  });
+
+  describe('overdue loans and fines', () => {
+    it('marks past due loans overdue and charges their fines', async () => {
+      await api.post('/api/borrowings/update-overdue', admin);
+
+      const response = await api.post('/api/borrowings/calculate-fines', admin);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.updated_count, 4);
+      // Fines stop at the policy maximum of 50.00
+      assert.equal(await balanceOf(1), 100);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+// File: test/categories.test.js
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, MEMBER, startApp, resetData, stopApp, api, login } = require('./harness');
+
+describe('categories', () => {
+  let admin;
+  let member;
+
+  before(startApp);
+  beforeEach(async () => {
+    await resetData();
+    admin = await login(ADMIN);
+    member = await login(MEMBER);
+  });
+  after(stopApp);
+
+  it('lists the categories', async () => {
+    const response = await api.get('/api/categories', member);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.pagination.total, 5);
+  });
+
+  it('returns a category', async () => {
+    const response = await api.get('/api/categories/3', member);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.name, 'Fantasy');
+  });
+
+  it('returns 404 for an unknown category', async () => {
+    const response = await api.get('/api/categories/999', member);
+
+    assert.equal(response.status, 404);
+  });
+
+  it('creates and renames a category', async () => {
+    const created = await api.post('/api/categories', admin, { name: 'Poetry' });
+    assert.equal(created.status, 201);
+
+    const { body } = await api.get('/api/categories', admin);
+    const poetry = body.categories.find(({ name }) => name === 'Poetry');
+
+    const updated = await api.put(`/api/categories/${poetry.category_id}`, admin, { name: 'Poems' });
+    assert.equal(updated.status, 200);
+    assert.equal((await api.get(`/api/categories/${poetry.category_id}`, admin)).body.name, 'Poems');
+  });
+
+  it('rejects a name that is already taken', async () => {
+    const response = await api.post('/api/categories', admin, { name: 'Fantasy' });
+
+    assert.equal(response.status, 409);
+    assert.equal(response.body.code, 'DUPLICATE_ENTRY');
+  });
+
+  it('refuses to delete a category with books', async () => {
+    const response = await api.delete('/api/categories/1', admin);
+
+    assert.equal(response.status, 409);
+  });
+
+  it('deletes a category without books', async () => {
+    assert.equal((await api.delete('/api/categories/2', admin)).status, 200);
+    assert.equal((await api.delete('/api/categories/2', admin)).status, 404);
+  });
+
+  it('only lets librarians change categories', async () => {
+    const response = await api.post('/api/categories', member, { name: 'Poetry' });
+
+    assert.equal(response.status, 403);
+  });
+});
@@ -0,0 +1,95 @@
+// File: test/contract.js
+// Checks responses against docs/openapi.js. harness.js runs every response of
+// the HTTP tests through checkResponse(), so a route that answers with a status,
+// media type or JSON shape its operation does not document fails the test.
+const Ajv = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const { openApiDocument } = require('../docs/openapi');
+
+const ajv = new Ajv({ allowUnionTypes: true });
+addFormats(ajv);
+
+// Component schemas become $defs of one schema, refs are rewritten to point there
+const toAjvRefs = (schema) => JSON.parse(
+  JSON.stringify(schema).replaceAll('#/components/schemas/', 'openapi.json#/$defs/')
+);
+
+ajv.addSchema({ $id: 'openapi.json', $defs: toAjvRefs(openApiDocument.components.schemas) });
+
+// Path templates as patterns, most literal segments first so /api/books/search
+// wins over /api/books/{id}
+const TEMPLATES = Object.keys(openApiDocument.paths)
+  .map(template => ({
+    template,
+    pattern: new RegExp(`^${template.replace(/\{[^}]+\}/g, '[^/]+')}$`),
+    literals: template.split('/').filter(segment => segment && !segment.startsWith('{')).length
+  }))
+  .sort((a, b) => b.literals - a.literals);
+
+const findTemplate = (pathname) => TEMPLATES.find(({ pattern }) => pattern.test(pathname))?.template;
+
+const resolve = (object) => {
+  if (!object?.$ref) {
+    return object;
+  }
+  const [, section, name] = object.$ref.match(/^#\/components\/(\w+)\/(.+)$/);
+  return openApiDocument.components[section][name];
+};
+
+const validators = new Map();
+
+const validatorFor = (schema) => {
+  if (!validators.has(schema)) {
+    validators.set(schema, ajv.compile(toAjvRefs(schema)));
+  }
+  return validators.get(schema);
+};
+
+// Throw when the response does not match the documented operation
+const checkResponse = (method, url, { status, headers, body }) => {
+  const { pathname } = new URL(url, 'http://localhost');
+  const template = findTemplate(pathname);
+  const operation = template && openApiDocument.paths[template][method.toLowerCase()];
+
+  if (!operation) {
+    // Unknown paths fall through to the 404 handler
+    if (status === 404) {
+      return;
+    }
+    throw new Error(`${method} ${pathname} is not in the OpenAPI document`);
+  }
+
+  const response = resolve(operation.responses[status] || operation.responses.default);
+  const where = `${method} ${template} ${status}`;
+
+  if (!response) {
+    throw new Error(`${where} is not documented`);
+  }
+
+  if (!response.content) {
+    return;
+  }
+
+  const mediaType = (headers.get('content-type') || '').split(';')[0].trim();
+  const content = response.content[mediaType];
+
+  if (!content) {
+    throw new Error(`${where} returned ${mediaType || 'no content type'}, documented: ${Object.keys(response.content).join(', ')}`);
+  }
+
+  if (mediaType !== 'application/json') {
+    return;
+  }
+
+  const validate = validatorFor(content.schema);
+
+  if (!validate(body)) {
+    throw new Error(`${where} does not match the OpenAPI document: ${ajv.errorsText(validate.errors)}`);
+  }
+};
+
+module.exports = {
+  ajv,
+  toAjvRefs,
+  checkResponse
+};
@@ -0,0 +1,148 @@
+// File: test/eligibility.test.js
+// Borrowing and renewal rules of services/eligibility.js, with the repositories
+// stubbed, no database needed
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { BadRequestError, NotFoundError } = require('../errors');
+const memberRepository = require('../repositories/members');
+const borrowingRepository = require('../repositories/borrowings');
+const { checkBorrowingEligibility, checkRenewalEligibility } = require('../services/eligibility');
+const { stubDb } = require('./stubs');
+
+const POLICY = {
+  policy_id: 1,
+  name: 'Standard',
+  member_type: null,
+  category_id: null,
+  loan_days: 21,
+  max_loans: 3,
+  max_renewals: 2,
+  fine_per_day: 0.5,
+  max_fine: null,
+  grace_days: 0
+};
+
+// The account balance, the loan policies and the reservation queue
+const database = ({ balance = 0, waiting = 0 } = {}) => stubDb([
+  [/FROM account_transactions/, [{ balance }]],
+  [/FROM loan_policies/, [POLICY]],
+  [/FROM reservations/, [{ count: waiting }]]
+]);
+
+// Due in a week
+const dueDate = new Date();
+dueDate.setHours(0, 0, 0, 0);
+dueDate.setDate(dueDate.getDate() + 7);
+
+const BORROWING = {
+  borrowing_id: 1,
+  book_id: 7,
+  member_id: 1,
+  status: 'borrowed',
+  due_date: dueDate,
+  renewal_count: 0
+};
+
+describe('eligibility', () => {
+  let member;
+  let activeLoans;
+  let overdueLoans;
+
+  beforeEach(() => {
+    member = { member_id: 1, member_type: 'standard', membership_status: 'active' };
+    activeLoans = 0;
+    overdueLoans = 0;
+
+    mock.method(memberRepository, 'getById', async () => member);
+    mock.method(borrowingRepository, 'countActive', async () => activeLoans);
+    mock.method(borrowingRepository, 'countOverdue', async () => overdueLoans);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('checkBorrowingEligibility', () => {
+    it('returns the loan policy of an eligible member', async () => {
+      const policy = await checkBorrowingEligibility(database(), 1, 7);
+
+      assert.equal(policy.policy_id, 1);
+    });
+
+    it('passes on a missing member', async () => {
+      memberRepository.getById.mock.mockImplementation(async () => {
+        throw new NotFoundError('Member not found');
+      });
+
+      await assert.rejects(checkBorrowingEligibility(database(), 99, 7), NotFoundError);
+    });
+
+    it('refuses a member who is not active', async () => {
+      member.membership_status = 'suspended';
+
+      await assert.rejects(checkBorrowingEligibility(database(), 1, 7), {
+        name: BadRequestError.name, message: 'Member is not active'
+      });
+    });
+
+    it('refuses a member with overdue loans', async () => {
+      overdueLoans = 1;
+
+      await assert.rejects(checkBorrowingEligibility(database(), 1, 7), /overdue books/);
+    });
+
+    it('refuses a member owing more than the balance limit', async () => {
+      await assert.rejects(checkBorrowingEligibility(database({ balance: 12.5 }), 1, 7), /owes 12\.50/);
+    });
+
+    it('refuses a member at the loan limit of the policy', async () => {
+      activeLoans = 3;
+
+      await assert.rejects(checkBorrowingEligibility(database(), 1, 7), /limit of 3 concurrent loans/);
+    });
+  });
+
+  describe('checkRenewalEligibility', () => {
+    it('returns the loan policy of a renewable loan', async () => {
+      const policy = await checkRenewalEligibility(database(), BORROWING);
+
+      assert.equal(policy.policy_id, 1);
+    });
+
+    it('refuses a loan that was returned', async () => {
+      await assert.rejects(
+        checkRenewalEligibility(database(), { ...BORROWING, status: 'returned' }),
+        /Cannot renew returned borrowing/
+      );
+    });
+
+    it('refuses an overdue loan', async () => {
+      await assert.rejects(
+        checkRenewalEligibility(database(), { ...BORROWING, status: 'overdue' }),
+        /Cannot renew overdue borrowing/
+      );
+    });
+
+    it('refuses a loan past its due date that is not marked overdue yet', async () => {
+      await assert.rejects(
+        checkRenewalEligibility(database(), { ...BORROWING, due_date: new Date(2025, 0, 20) }),
+        /Cannot renew overdue borrowing/
+      );
+    });
+
+    it('refuses a member owing more than the balance limit', async () => {
+      await assert.rejects(checkRenewalEligibility(database({ balance: 10.01 }), BORROWING), /borrowing limit/);
+    });
+
+    it('refuses a loan with no renewals left', async () => {
+      await assert.rejects(
+        checkRenewalEligibility(database(), { ...BORROWING, renewal_count: 2 }),
+        /Renewal limit of 2 reached/
+      );
+    });
+
+    it('refuses a book another member is waiting for', async () => {
+      await assert.rejects(checkRenewalEligibility(database({ waiting: 1 }), BORROWING), /reserved by another member/);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+// File: test/harness.js
+// Runs the app against a disposable MySQL database for the HTTP tests. Each
+// test file starts the app on a freshly created and migrated database (the
+// server of the DB_* settings, database TEST_DB_NAME, default library_test),
+// and resetData() reloads db/seeds/sample.js before every test:
+//   before(startApp);
+//   beforeEach(resetData);
+//   after(stopApp);
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// The test database is dropped and emptied, it must never be the app's own
+process.env.DB_NAME = process.env.TEST_DB_NAME || 'library_test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// ISBN lookups are answered from test/fixtures/isbn.json instead of Open Library
+process.env.ISBN_PROVIDER = 'fixture';
+process.env.ISBN_FIXTURE_FILE = path.join(__dirname, 'fixtures', 'isbn.json');
+
+const { once } = require('events');
+const mysql = require('mysql2/promise');
+const { connectionOptions } = require('../db/config');
+const { connect, migrateUp, seedDatabase } = require('../db/migrator');
+const sample = require('../db/seeds/sample');
+const { createApp } = require('../app');
+const { checkResponse } = require('./contract');
+
+// Logins of db/seeds/sample.js
+const ADMIN = { email: 'admin@library.local', password: 'admin' };
+const MEMBER = { email: 'john.doe@example.com', password: 'member' };
+
+let connection = null;
+let pool = null;
+let server = null;
+let baseUrl = null;
+
+// Recreate the test database with every migration applied and start the app on it
+const startApp = async () => {
+  const { database } = connectionOptions();
+
+  try {
+    connection = await connect({ createDatabase: true });
+  } catch (error) {
+    throw new Error(`The tests need a MySQL server, set DB_HOST, DB_USER and DB_PASSWORD: ${error.message}`);
+  }
+
+  await connection.query('DROP DATABASE IF EXISTS ??', [database]);
+  await connection.query('CREATE DATABASE ?? CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci', [database]);
+  await connection.changeUser({ database });
+  await migrateUp(connection);
+
+  pool = mysql.createPool({ ...connectionOptions(), connectionLimit: 5 });
+
+  server = createApp(pool).listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+};
+
+// Empty every table and load the sample data
+const resetData = async () => {
+  await seedDatabase(connection, sample);
+};
+
+const stopApp = async () => {
+  if (server) {
+    server.close();
+    await once(server, 'close');
+  }
+  await pool?.end();
+  await connection?.end();
+  server = pool = connection = null;
+};
+
+// Run a query on the test database, to set up or check what the API cannot show
+const query = async (sql, parameters) => {
+  const [rows] = await connection.query(sql, parameters);
+  return rows;
+};
+
+// Send a request to the app. Objects are sent as JSON, strings and buffers as
+// they are. Resolves to { status, headers, body }, body parsed when it is JSON,
+// and fails when the response is not the one documented in docs/openapi.js.
+const request = async (method, url, { token, body, headers = {} } = {}) => {
+  const isRaw = typeof body === 'string' || Buffer.isBuffer(body);
+
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: {
+      ...(body !== undefined && !isRaw && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers
+    },
+    body: body === undefined || isRaw ? body : JSON.stringify(body)
+  });
+
+  const text = await response.text();
+  const isJson = (response.headers.get('content-type') || '').includes('application/json');
+
+  const result = {
+    status: response.status,
+    headers: response.headers,
+    body: isJson && text ? JSON.parse(text) : text
+  };
+
+  checkResponse(method, url, result);
+
+  return result;
+};
+
+const api = {
+  get: (url, token) => request('GET', url, { token }),
+  post: (url, token, body = {}) => request('POST', url, { token, body }),
+  put: (url, token, body = {}) => request('PUT', url, { token, body }),
+  delete: (url, token) => request('DELETE', url, { token })
+};
+
+// Log in and return the token
+const login = async ({ email, password }) => {
+  const response = await api.post('/api/auth/login', null, { email, password });
+
+  if (response.status !== 200) {
+    throw new Error(`Login of ${email} failed with ${response.status}: ${response.body.message}`);
+  }
+
+  return response.body.token;
+};
+
+module.exports = {
+  ADMIN,
+  MEMBER,
+  startApp,
+  resetData,
+  stopApp,
+  query,
+  request,
+  api,
+  login
+};
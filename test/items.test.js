@@ -0,0 +1,132 @@
+// File: test/items.test.js
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, MEMBER, startApp, resetData, stopApp, api, login } = require('./harness');
+
+describe('items', () => {
+  let admin;
+  let member;
+
+  before(startApp);
+  beforeEach(async () => {
+    await resetData();
+    admin = await login(ADMIN);
+    member = await login(MEMBER);
+  });
+  after(stopApp);
+
+  const copies = async (bookId) => {
+    const { body } = await api.get(`/api/books/${bookId}`, admin);
+    return { available: body.available_copies, total: body.total_copies };
+  };
+
+  it('lists the copies of a book', async () => {
+    const response = await api.get('/api/items?book_id=4', admin);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.items.map(({ barcode }) => barcode), ['LIB0004001', 'LIB0004002', 'LIB0004003']);
+  });
+
+  it('looks up an item by barcode with its current loan', async () => {
+    const response = await api.get('/api/items/barcode/LIB0007003', admin);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'on_loan');
+    assert.equal(response.body.member_id, 2);
+  });
+
+  it('returns 404 for an unknown barcode', async () => {
+    const response = await api.get('/api/items/barcode/NOPE', admin);
+
+    assert.equal(response.status, 404);
+  });
+
+  it('counts a new copy as available', async () => {
+    const response = await api.post('/api/items', admin, { book_id: 4, barcode: 'LIB0004004' });
+
+    assert.equal(response.status, 201);
+    assert.deepEqual(await copies(4), { available: 4, total: 4 });
+  });
+
+  it('rejects a barcode that is already in use', async () => {
+    const response = await api.post('/api/items', admin, { book_id: 4, barcode: 'LIB0001001' });
+
+    assert.equal(response.status, 409);
+  });
+
+  it('rejects a copy of an unknown book', async () => {
+    const response = await api.post('/api/items', admin, { book_id: 999, barcode: 'LIB0999001' });
+
+    assert.equal(response.status, 404);
+  });
+
+  it('stops counting copies in repair as available and withdrawn copies at all', async () => {
+    assert.equal((await api.put('/api/items/24', admin, { status: 'repair' })).status, 200);
+    assert.deepEqual(await copies(4), { available: 2, total: 3 });
+
+    assert.equal((await api.put('/api/items/24', admin, { status: 'withdrawn' })).status, 200);
+    assert.deepEqual(await copies(4), { available: 2, total: 2 });
+  });
+
+  describe('with members waiting for the book', () => {
+    let reservationId;
+
+    // All four copies of The Midnight Library are on loan
+    beforeEach(async () => {
+      const { body: reader } = await api.post('/api/members', admin, {
+        first_name: 'Ada', last_name: 'Lovelace', email: 'ada@example.com'
+      });
+      const { body } = await api.post('/api/reservations', admin, { book_id: 7, member_id: reader.member_id });
+      reservationId = body.reservation_id;
+    });
+
+    it('holds a new copy for the first reservation', async () => {
+      const response = await api.post('/api/items', admin, { book_id: 7, barcode: 'LIB0007005' });
+
+      assert.equal(response.status, 201);
+      assert.equal(response.body.held_for_reservation_id, reservationId);
+      assert.equal((await api.get(`/api/reservations/${reservationId}`, admin)).body.status, 'ready');
+      assert.deepEqual(await copies(7), { available: 0, total: 5 });
+    });
+
+    it('holds a copy back from repair for the first reservation', async () => {
+      const { body: item } = await api.post('/api/items', admin, { book_id: 7, barcode: 'LIB0007005' });
+      await api.put(`/api/reservations/${reservationId}/cancel`, admin);
+      await api.put(`/api/items/${item.item_id}`, admin, { status: 'repair' });
+      const { body: reader } = await api.post('/api/members', admin, {
+        first_name: 'Alan', last_name: 'Turing', email: 'alan@example.com'
+      });
+      const { body: reservation } = await api.post('/api/reservations', admin, { book_id: 7, member_id: reader.member_id });
+
+      const response = await api.put(`/api/items/${item.item_id}`, admin, { status: 'available' });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.held_for_reservation_id, reservation.reservation_id);
+      assert.equal((await api.get(`/api/items/${item.item_id}`, admin)).body.status, 'on_hold');
+    });
+  });
+
+  it('leaves the status of copies on loan to circulation', async () => {
+    const response = await api.put('/api/items/43', admin, { status: 'available' });
+
+    assert.equal(response.status, 400);
+  });
+
+  it('deletes a copy without history', async () => {
+    const response = await api.delete('/api/items/24', admin);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await copies(4), { available: 2, total: 2 });
+  });
+
+  it('refuses to delete a copy that has been lent', async () => {
+    const response = await api.delete('/api/items/43', admin);
+
+    assert.equal(response.status, 409);
+  });
+
+  it('is not open to members', async () => {
+    assert.equal((await api.get('/api/items', member)).status, 403);
+    assert.equal((await api.post('/api/items', member, { book_id: 4, barcode: 'X' })).status, 403);
+  });
+});
@@ -0,0 +1,130 @@
+// File: test/me.test.js
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, MEMBER, startApp, resetData, stopApp, api, login, query } = require('./harness');
+
+describe('member portal', () => {
+  let admin;
+  let member;
+
+  before(startApp);
+  beforeEach(async () => {
+    await resetData();
+    admin = await login(ADMIN);
+    member = await login(MEMBER);
+  });
+  after(stopApp);
+
+  it('returns the profile of the logged in member', async () => {
+    const response = await api.get('/api/me', member);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.member_id, 1);
+    assert.equal(response.body.keep_history, true);
+  });
+
+  it('is only for member accounts', async () => {
+    const response = await api.get('/api/me', admin);
+
+    assert.equal(response.status, 403);
+  });
+
+  it('updates the contact details', async () => {
+    const response = await api.put('/api/me', member, { phone: '555-0000' });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.profile.phone, '555-0000');
+    assert.equal(response.body.profile.email, MEMBER.email);
+  });
+
+  it('lists the current loans with the renewals left', async () => {
+    const response = await api.get('/api/me/loans', member);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.loans.map(({ borrowing_id }) => borrowing_id), [1, 2]);
+    assert.equal(response.body.loans[0].renewals_left, 2);
+    assert.equal(response.body.loans[0].barcode, 'LIB0007001');
+  });
+
+  it('renews an own loan', async () => {
+    await query('UPDATE borrowings SET due_date = CURDATE() + INTERVAL 7 DAY WHERE borrowing_id = 1');
+
+    const response = await api.post('/api/me/loans/1/renew', member);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.renewal_count, 1);
+  });
+
+  it('does not find the loans of other members', async () => {
+    const response = await api.post('/api/me/loans/3/renew', member);
+
+    assert.equal(response.status, 404);
+  });
+
+  it('reserves and cancels a book', async () => {
+    // No copy of One Hundred Years of Solitude left on the shelf
+    for (const id of [24, 25, 26]) {
+      await api.put(`/api/items/${id}`, admin, { status: 'repair' });
+    }
+
+    const reserved = await api.post('/api/me/reservations', member, { book_id: 4 });
+    assert.equal(reserved.status, 201);
+
+    const { body } = await api.get('/api/me/reservations', member);
+    assert.equal(body.reservations.length, 1);
+    assert.equal(body.reservations[0].queue_position, 1);
+
+    const cancelled = await api.put(`/api/me/reservations/${reserved.body.reservation_id}/cancel`, member);
+    assert.equal(cancelled.status, 200);
+    assert.equal((await api.get('/api/me/reservations', member)).body.reservations.length, 0);
+  });
+
+  it('does not find the reservations of other members', async () => {
+    const response = await api.put('/api/me/reservations/999/cancel', member);
+
+    assert.equal(response.status, 404);
+  });
+
+  it('shows the balance', async () => {
+    await api.post('/api/members/1/account/charges', admin, { amount: 3, description: 'Lost library card' });
+
+    const response = await api.get('/api/me/account', member);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, { balance: 3, balance_limit: 10, borrowing_blocked: false });
+  });
+
+  it('keeps the reading history until it is turned off', async () => {
+    await api.put('/api/borrowings/1/return', admin, { return_date: '2025-01-20' });
+
+    const history = await api.get('/api/me/history', member);
+    assert.deepEqual(history.body.history.map(({ borrowing_id }) => borrowing_id), [1]);
+
+    const update = await api.put('/api/me', member, { keep_history: false });
+    assert.equal(update.body.forgotten_loans, 1);
+
+    const forgotten = await api.get('/api/me/history', member);
+    assert.equal(forgotten.body.keep_history, false);
+    assert.equal(forgotten.body.history.length, 0);
+
+    const [loan] = await query('SELECT member_id FROM borrowings WHERE borrowing_id = 1');
+    assert.equal(loan.member_id, null);
+  });
+
+  it('forgets which member borrowed the book in the audit log', async () => {
+    await query('UPDATE borrowings SET due_date = CURDATE() + INTERVAL 7 DAY WHERE borrowing_id = 1');
+    assert.equal((await api.post('/api/me/loans/1/renew', member)).status, 200);
+    await api.put('/api/borrowings/1/return', admin, { return_date: '2025-01-20' });
+    await api.put('/api/me', member, { keep_history: false });
+
+    const { body } = await api.get('/api/audit?entity=borrowing&entity_id=1', admin);
+
+    assert.ok(body.entries.length > 0);
+    body.entries.forEach((entry) => {
+      assert.equal(entry.before_data?.member_id ?? null, null);
+      assert.equal(entry.after_data?.member_id ?? null, null);
+      assert.equal(entry.changes.member_id, undefined);
+      assert.notEqual(entry.actor_email, MEMBER.email);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+// File: test/members.test.js
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, MEMBER, startApp, resetData, stopApp, api, login } = require('./harness');
+
+describe('members', () => {
+  let admin;
+  let member;
+
+  before(startApp);
+  beforeEach(async () => {
+    await resetData();
+    admin = await login(ADMIN);
+    member = await login(MEMBER);
+  });
+  after(stopApp);
+
+  const newMember = { first_name: 'Ada', last_name: 'Lovelace', email: 'ada@example.com' };
+
+  it('lists members for staff only', async () => {
+    const response = await api.get('/api/members', admin);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.pagination.total, 2);
+    assert.equal((await api.get('/api/members', member)).status, 403);
+  });
+
+  it('returns a member with their loans and balance', async () => {
+    const response = await api.get('/api/members/2', admin);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.email, 'jane.smith@example.com');
+    assert.equal(response.body.current_borrowings.length, 2);
+    assert.equal(Number(response.body.balance), 0);
+  });
+
+  it('lets members see themselves but nobody else', async () => {
+    assert.equal((await api.get('/api/members/1', member)).status, 200);
+    assert.equal((await api.get('/api/members/2', member)).status, 403);
+    assert.equal((await api.get('/api/members/1/borrowings', member)).status, 200);
+    assert.equal((await api.get('/api/members/2/borrowings', member)).status, 403);
+  });
+
+  it('returns 404 for an unknown member', async () => {
+    assert.equal((await api.get('/api/members/999', admin)).status, 404);
+    assert.equal((await api.get('/api/members/999/borrowings', admin)).status, 404);
+  });
+
+  it('creates a member', async () => {
+    const response = await api.post('/api/members', admin, newMember);
+
+    assert.equal(response.status, 201);
+    assert.equal((await api.get(`/api/members/${response.body.member_id}`, admin)).body.membership_status, 'active');
+  });
+
+  it('rejects an email that is already in use', async () => {
+    const response = await api.post('/api/members', admin, { ...newMember, email: 'jane.smith@example.com' });
+
+    assert.equal(response.status, 409);
+  });
+
+  it('rejects a member without an email', async () => {
+    const response = await api.post('/api/members', admin, { first_name: 'Ada', last_name: 'Lovelace' });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'VALIDATION_ERROR');
+  });
+
+  it('updates a member', async () => {
+    const response = await api.put('/api/members/2', admin, {
+      first_name: 'Jane', last_name: 'Doe', email: 'jane.doe@example.com', membership_status: 'active'
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal((await api.get('/api/members/2', admin)).body.last_name, 'Doe');
+  });
+
+  it('rejects the email of another member on update', async () => {
+    const response = await api.put('/api/members/2', admin, {
+      first_name: 'Jane', last_name: 'Smith', email: MEMBER.email, membership_status: 'active'
+    });
+
+    assert.equal(response.status, 409);
+  });
+
+  it('changes the membership status', async () => {
+    const response = await api.put('/api/members/2/status', admin, { membership_status: 'suspended' });
+
+    assert.equal(response.status, 200);
+    assert.equal((await api.get('/api/members/2', admin)).body.membership_status, 'suspended');
+  });
+
+  it('refuses to delete a member with loans', async () => {
+    const response = await api.delete('/api/members/2', admin);
+
+    assert.equal(response.status, 409);
+  });
+
+  it('deletes and restores a member without loans', async () => {
+    const { body } = await api.post('/api/members', admin, newMember);
+
+    assert.equal((await api.delete(`/api/members/${body.member_id}`, admin)).status, 200);
+    assert.equal((await api.get(`/api/members/${body.member_id}`, admin)).status, 404);
+    assert.equal((await api.post(`/api/members/${body.member_id}/restore`, admin)).status, 200);
+  });
+
+  it('refuses the tokens of a deleted member', async () => {
+    const { body } = await api.post('/api/members', admin, newMember);
+    await api.post('/api/auth/users', admin, {
+      email: newMember.email, password: 'secret', role: 'member', member_id: body.member_id
+    });
+    const token = await login({ email: newMember.email, password: 'secret' });
+    assert.equal((await api.get('/api/me', token)).status, 200);
+
+    await api.delete(`/api/members/${body.member_id}`, admin);
+
+    const response = await api.get('/api/me', token);
+    assert.equal(response.status, 401);
+    assert.equal(response.body.message, 'Account is disabled');
+    assert.equal((await api.get(`/api/members/${body.member_id}`, token)).status, 401);
+  });
+
+  it('refuses to restore a member whose email was taken meanwhile', async () => {
+    const { body } = await api.post('/api/members', admin, newMember);
+    await api.delete(`/api/members/${body.member_id}`, admin);
+    await api.post('/api/members', admin, newMember);
+
+    const response = await api.post(`/api/members/${body.member_id}/restore`, admin);
+
+    assert.equal(response.status, 409);
+  });
+
+  it('exports members as CSV', async () => {
+    const response = await api.get('/api/members/export', admin);
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/csv/);
+    assert.equal(response.body.trim().split('\n').length, 3);
+  });
+});
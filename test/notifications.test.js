@@ -0,0 +1,67 @@
+// File: test/notifications.test.js
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, MEMBER, startApp, resetData, stopApp, api, login } = require('./harness');
+
+describe('notifications', () => {
+  let admin;
+  let member;
+
+  before(startApp);
+  beforeEach(async () => {
+    await resetData();
+    admin = await login(ADMIN);
+    member = await login(MEMBER);
+  });
+  after(stopApp);
+
+  // A late return posts a fine of 5.00 to John Doe's account
+  const returnLate = () => api.post('/api/borrowings/return', admin, { barcode: 'LIB0007001', return_date: '2025-01-25' });
+
+  it('sends every notification type by default', async () => {
+    const response = await api.get('/api/members/1/notifications/preferences', member);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, { due_soon: true, overdue: true, reservation_ready: true, fine_posted: true });
+  });
+
+  it('queues a notification when a fine is posted', async () => {
+    await returnLate();
+
+    const response = await api.get('/api/members/1/notifications', member);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.notifications.length, 1);
+    assert.equal(response.body.notifications[0].type, 'fine_posted');
+    assert.equal(response.body.notifications[0].status, 'pending');
+    assert.equal(response.body.notifications[0].recipient, MEMBER.email);
+  });
+
+  it('stops notifying types the member opted out of', async () => {
+    const update = await api.put('/api/members/1/notifications/preferences', member, { fine_posted: false });
+    assert.equal(update.status, 200);
+    assert.equal(update.body.preferences.fine_posted, false);
+    assert.equal(update.body.preferences.overdue, true);
+
+    await returnLate();
+
+    const response = await api.get('/api/members/1/notifications', member);
+    assert.equal(response.body.notifications.length, 0);
+  });
+
+  it('rejects a preference that is not a boolean', async () => {
+    const response = await api.put('/api/members/1/notifications/preferences', member, { overdue: 'no' });
+
+    assert.equal(response.status, 400);
+  });
+
+  it('lets members see only their own notifications', async () => {
+    assert.equal((await api.get('/api/members/2/notifications', member)).status, 403);
+    assert.equal((await api.put('/api/members/2/notifications/preferences', member, { overdue: false })).status, 403);
+  });
+
+  it('returns 404 for an unknown member', async () => {
+    assert.equal((await api.get('/api/members/999/notifications', admin)).status, 404);
+    assert.equal((await api.get('/api/members/999/notifications/preferences', admin)).status, 404);
+  });
+});
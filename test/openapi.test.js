@@ -0,0 +1,148 @@
+// File: test/openapi.test.js
+// Keeps docs/openapi.js in step with the routers. Needs no database: the
+// routers are only walked, never called.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { PUBLIC_ROUTERS, createRouters, createApp } = require('../app');
+const { authenticate } = require('../middleware/auth');
+const schemas = require('../validation/schemas');
+const { openApiDocument } = require('../docs/openapi');
+const { ajv, toAjvRefs } = require('./contract');
+
+// Nothing queries the database while the app is assembled
+const pool = {};
+const scheduler = { jobs: () => [], runNow: async () => {} };
+
+// Express paths use :param, OpenAPI paths {param}
+const toTemplate = (path) => path.replace(/:(\w+)/g, '{$1}').replace(/\/$/, '') || '/';
+
+// Every route as { method, path, isPublic }
+const routesOf = (router, mountPath, isPublic) => router.stack
+  .filter(layer => layer.route)
+  .flatMap(({ route }) => Object.keys(route.methods).map(method => ({
+    method,
+    path: toTemplate(`${mountPath}${route.path}`),
+    isPublic: isPublic && !route.stack.some(layer => layer.handle === authenticate)
+  })));
+
+const appRoutes = () => [
+  ...routesOf(createApp(pool, scheduler).router, '', true),
+  ...Object.entries(createRouters(pool, scheduler))
+    .flatMap(([mountPath, router]) => routesOf(router, mountPath, PUBLIC_ROUTERS.includes(mountPath)))
+];
+
+const documentedRoutes = () => Object.entries(openApiDocument.paths)
+  .flatMap(([path, operations]) => Object.entries(operations).map(([method, operation]) => ({
+    method,
+    path,
+    isPublic: Array.isArray(operation.security) && operation.security.length === 0
+  })));
+
+const key = ({ method, path }) => `${method.toUpperCase()} ${path}`;
+
+// Every value of a nested object, to find the $refs
+const walk = (value, visit) => {
+  if (value && typeof value === 'object') {
+    visit(value);
+    Object.values(value).forEach(child => walk(child, visit));
+  }
+};
+
+describe('OpenAPI document', () => {
+  it('documents every route of the routers', () => {
+    const documented = new Set(documentedRoutes().map(key));
+    const missing = appRoutes().map(key).filter(route => !documented.has(route));
+
+    assert.deepEqual(missing, []);
+  });
+
+  it('documents no route the routers lack', () => {
+    const routes = new Set(appRoutes().map(key));
+    const extra = documentedRoutes().map(key).filter(route => !routes.has(route));
+
+    assert.deepEqual(extra, []);
+  });
+
+  it('documents which routes need a token', () => {
+    const publicRoutes = new Set(appRoutes().filter(route => route.isPublic).map(key));
+    const wrong = documentedRoutes().filter(route => route.isPublic !== publicRoutes.has(key(route))).map(key);
+
+    assert.deepEqual(wrong, []);
+  });
+
+  it('documents the path parameters of every route', () => {
+    Object.entries(openApiDocument.paths).forEach(([path, operations]) => {
+      const inPath = [...path.matchAll(/\{(\w+)\}/g)].map(match => match[1]).sort();
+
+      Object.entries(operations).forEach(([method, operation]) => {
+        const parameters = (operation.parameters || [])
+          .filter(parameter => parameter.in === 'path')
+          .map(parameter => parameter.name)
+          .sort();
+
+        assert.deepEqual(parameters, inPath, `${method.toUpperCase()} ${path}`);
+      });
+    });
+  });
+
+  it('resolves every reference', () => {
+    walk(openApiDocument, (value) => {
+      if (typeof value.$ref === 'string') {
+        const [, section, name] = value.$ref.match(/^#\/components\/(\w+)\/(.+)$/) || [];
+        assert.ok(openApiDocument.components[section]?.[name], `${value.$ref} is not defined`);
+      }
+    });
+  });
+
+  it('compiles every schema', () => {
+    Object.entries(openApiDocument.components.schemas).forEach(([name, schema]) => {
+      assert.doesNotThrow(() => ajv.compile(toAjvRefs(schema)), name);
+    });
+  });
+
+  it('has a request body for every validation schema', () => {
+    Object.entries(schemas).forEach(([name, rules]) => {
+      const schema = openApiDocument.components.schemas[`${name[0].toUpperCase()}${name.slice(1)}Input`];
+
+      assert.ok(schema, name);
+      // Rules that span several fields can only be described in words
+      if (rules.$check) {
+        assert.ok(schema.description, `${name} has a $check without a description`);
+      }
+    });
+  });
+
+  describe('GET /api/openapi.json', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+      server = createApp(pool, scheduler).listen(0, '127.0.0.1');
+      await once(server, 'listening');
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+      server.close();
+      await once(server, 'close');
+    });
+
+    it('serves the document without a token', async () => {
+      const response = await fetch(`${baseUrl}/api/openapi.json`);
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(await response.json(), JSON.parse(JSON.stringify(openApiDocument)));
+    });
+
+    it('serves the documentation page', async () => {
+      const page = await fetch(`${baseUrl}/api/docs`);
+      const bundle = await fetch(`${baseUrl}/api/docs/swagger-ui-bundle.js`);
+
+      assert.equal(page.status, 200);
+      assert.match(await page.text(), /SwaggerUIBundle/);
+      assert.equal(bundle.status, 200);
+      await bundle.arrayBuffer();
+    });
+  });
+});
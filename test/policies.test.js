@@ -0,0 +1,91 @@
+// File: test/policies.test.js
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, MEMBER, startApp, resetData, stopApp, api, login } = require('./harness');
+
+describe('loan policies', () => {
+  let admin;
+  let member;
+
+  before(startApp);
+  beforeEach(async () => {
+    await resetData();
+    admin = await login(ADMIN);
+    member = await login(MEMBER);
+  });
+  after(stopApp);
+
+  const policy = { name: 'Classics', category_id: 4, loan_days: 21, fine_per_day: 0.5 };
+
+  it('lists the most specific policies first', async () => {
+    const response = await api.get('/api/policies', admin);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.policies.map(({ policy_id }) => policy_id), [4, 2, 3, 1]);
+    assert.equal(response.body.policies[0].category_name, 'Non-fiction');
+  });
+
+  it('resolves the policy of a member borrowing a book', async () => {
+    const fiction = await api.get('/api/policies/resolve?member_id=1&book_id=1', admin);
+    const reference = await api.get('/api/policies/resolve?member_id=1&book_id=5', admin);
+
+    assert.equal(fiction.body.policy_id, 1);
+    assert.equal(reference.body.policy_id, 4);
+  });
+
+  it('uses the policy of the member type', async () => {
+    await api.put('/api/members/2', admin, {
+      first_name: 'Jane', last_name: 'Smith', email: 'jane.smith@example.com',
+      membership_status: 'active', member_type: 'student'
+    });
+
+    const response = await api.get('/api/policies/resolve?member_id=2&book_id=1', admin);
+
+    assert.equal(response.body.policy_id, 2);
+  });
+
+  it('requires a member and a book to resolve', async () => {
+    const response = await api.get('/api/policies/resolve?member_id=1', admin);
+
+    assert.equal(response.status, 400);
+  });
+
+  it('creates a policy that applies to new loans', async () => {
+    const created = await api.post('/api/policies', admin, policy);
+    assert.equal(created.status, 201);
+
+    const loan = await api.post('/api/borrowings', admin, { book_id: 2, member_id: 2, borrow_date: '2025-02-01' });
+    assert.equal(loan.body.policy_id, created.body.policy_id);
+    assert.equal(loan.body.due_date, '2025-02-22');
+  });
+
+  it('allows only one policy per member type and category', async () => {
+    const response = await api.post('/api/policies', admin, { ...policy, category_id: 5 });
+
+    assert.equal(response.status, 409);
+  });
+
+  it('rejects a policy without a loan period', async () => {
+    const response = await api.post('/api/policies', admin, { name: 'Classics', fine_per_day: 0.5 });
+
+    assert.equal(response.status, 400);
+  });
+
+  it('updates a policy', async () => {
+    const response = await api.put('/api/policies/1', admin, { name: 'Default', loan_days: 28, fine_per_day: 0.25 });
+
+    assert.equal(response.status, 200);
+    assert.equal((await api.get('/api/policies/1', admin)).body.loan_days, 28);
+  });
+
+  it('deletes a policy', async () => {
+    assert.equal((await api.delete('/api/policies/4', admin)).status, 200);
+    assert.equal((await api.get('/api/policies/4', admin)).status, 404);
+    assert.equal((await api.delete('/api/policies/4', admin)).status, 404);
+  });
+
+  it('only lets admins change policies', async () => {
+    assert.equal((await api.get('/api/policies', member)).status, 403);
+    assert.equal((await api.post('/api/policies', member, policy)).status, 403);
+  });
+});
@@ -0,0 +1,78 @@
+// File: test/publishers.test.js
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, MEMBER, startApp, resetData, stopApp, api, login } = require('./harness');
+
+describe('publishers', () => {
+  let admin;
+  let member;
+
+  before(startApp);
+  beforeEach(async () => {
+    await resetData();
+    admin = await login(ADMIN);
+    member = await login(MEMBER);
+  });
+  after(stopApp);
+
+  it('lists the publishers with their book counts', async () => {
+    const response = await api.get('/api/publishers?sort=publisher_id', member);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.publishers.map(({ book_count }) => book_count), [4, 3]);
+  });
+
+  it('returns 404 for an unknown publisher', async () => {
+    const response = await api.get('/api/publishers/999', member);
+
+    assert.equal(response.status, 404);
+  });
+
+  it('creates a publisher', async () => {
+    const response = await api.post('/api/publishers', admin, { name: 'Faber & Faber', email: 'info@faber.co.uk' });
+
+    assert.equal(response.status, 201);
+    assert.equal((await api.get(`/api/publishers/${response.body.publisher_id}`, admin)).body.name, 'Faber & Faber');
+  });
+
+  it('rejects an invalid email', async () => {
+    const response = await api.post('/api/publishers', admin, { name: 'Faber & Faber', email: 'faber' });
+
+    assert.equal(response.status, 400);
+  });
+
+  it('updates a publisher', async () => {
+    const response = await api.put('/api/publishers/2', admin, { name: 'Bloomsbury Publishing', email: 'contact@bloomsbury.com' });
+
+    assert.equal(response.status, 200);
+    assert.equal((await api.get('/api/publishers/2', admin)).body.name, 'Bloomsbury Publishing');
+  });
+
+  it('rejects the email of another publisher', async () => {
+    const response = await api.put('/api/publishers/2', admin, { name: 'Bloomsbury', email: 'info@penguin.com' });
+
+    assert.equal(response.status, 409);
+  });
+
+  it('refuses to delete a publisher with books', async () => {
+    const response = await api.delete('/api/publishers/1', admin);
+
+    assert.equal(response.status, 409);
+  });
+
+  it('deletes and restores a publisher without books', async () => {
+    const created = await api.post('/api/publishers', admin, { name: 'Faber & Faber' });
+    const id = created.body.publisher_id;
+
+    assert.equal((await api.delete(`/api/publishers/${id}`, admin)).status, 200);
+    assert.equal((await api.get(`/api/publishers/${id}`, admin)).status, 404);
+    assert.equal((await api.post(`/api/publishers/${id}/restore`, admin)).status, 200);
+    assert.equal((await api.post(`/api/publishers/${id}/restore`, admin)).status, 409);
+  });
+
+  it('only lets librarians change publishers', async () => {
+    const response = await api.post('/api/publishers', member, { name: 'Faber & Faber' });
+
+    assert.equal(response.status, 403);
+  });
+});
@@ -0,0 +1,133 @@
+// File: test/reservations.test.js
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, MEMBER, startApp, resetData, stopApp, api, login } = require('./harness');
+
+describe('reservations', () => {
+  let admin;
+  let member;
+  // A member without loans of The Midnight Library, created for every test
+  let readerId;
+
+  before(startApp);
+  beforeEach(async () => {
+    await resetData();
+    admin = await login(ADMIN);
+    member = await login(MEMBER);
+
+    const { body } = await api.post('/api/members', admin, {
+      first_name: 'Ada', last_name: 'Lovelace', email: 'ada@example.com'
+    });
+    readerId = body.member_id;
+  });
+  after(stopApp);
+
+  const reserve = (memberId, token = admin) => api.post('/api/reservations', token, { book_id: 7, member_id: memberId });
+
+  it('queues a member for a book without copies on the shelf', async () => {
+    const response = await reserve(readerId);
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.queue_position, 1);
+
+    const reservation = await api.get(`/api/reservations/${response.body.reservation_id}`, admin);
+    assert.equal(reservation.body.status, 'pending');
+  });
+
+  it('refuses a book that can be borrowed directly', async () => {
+    const response = await api.post('/api/reservations', admin, { book_id: 1, member_id: readerId });
+
+    assert.equal(response.status, 400);
+  });
+
+  it('refuses a member who is borrowing the book', async () => {
+    const response = await reserve(2);
+
+    assert.equal(response.status, 400);
+  });
+
+  it('refuses a second reservation of the same book', async () => {
+    await reserve(readerId);
+
+    const response = await reserve(readerId);
+
+    assert.equal(response.status, 409);
+  });
+
+  it('lets members reserve only for themselves', async () => {
+    const response = await reserve(readerId, member);
+
+    assert.equal(response.status, 403);
+  });
+
+  it('holds a returned copy for the first member in the queue', async () => {
+    const { body: reservation } = await reserve(readerId);
+
+    const returned = await api.put('/api/borrowings/1/return', admin, { return_date: '2025-01-20' });
+    assert.equal(returned.body.held_for_reservation_id, reservation.reservation_id);
+
+    const { body } = await api.get(`/api/reservations/${reservation.reservation_id}`, admin);
+    assert.equal(body.status, 'ready');
+    assert.equal(body.item_id, 43);
+    assert.equal((await api.get('/api/books/7', admin)).body.available_copies, 0);
+  });
+
+  it('lends the held copy only to the member who reserved it', async () => {
+    const { body: reservation } = await reserve(readerId);
+    await api.put('/api/borrowings/1/return', admin, { return_date: '2025-01-20' });
+
+    const other = await api.post('/api/borrowings', admin, { book_id: 7, member_id: 2 });
+    assert.equal(other.status, 400);
+
+    const borrowed = await api.post('/api/borrowings', admin, { book_id: 7, member_id: readerId });
+    assert.equal(borrowed.status, 201);
+    assert.equal(borrowed.body.item_id, 43);
+    assert.equal((await api.get(`/api/reservations/${reservation.reservation_id}`, admin)).body.status, 'fulfilled');
+  });
+
+  it('shelves a held copy when its reservation is cancelled', async () => {
+    const { body: reservation } = await reserve(readerId);
+    await api.put('/api/borrowings/1/return', admin, { return_date: '2025-01-20' });
+
+    const response = await api.put(`/api/reservations/${reservation.reservation_id}/cancel`, admin);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.held_for_reservation_id, null);
+    assert.equal((await api.get('/api/books/7', admin)).body.available_copies, 1);
+  });
+
+  it('refuses to cancel a reservation twice', async () => {
+    const { body: reservation } = await reserve(readerId);
+    await api.put(`/api/reservations/${reservation.reservation_id}/cancel`, admin);
+
+    const response = await api.put(`/api/reservations/${reservation.reservation_id}/cancel`, admin);
+
+    assert.equal(response.status, 400);
+  });
+
+  it('lets members cancel only their own reservations', async () => {
+    const { body: reservation } = await reserve(readerId);
+
+    const response = await api.put(`/api/reservations/${reservation.reservation_id}/cancel`, member);
+
+    assert.equal(response.status, 403);
+  });
+
+  it('returns 404 for an unknown reservation', async () => {
+    assert.equal((await api.get('/api/reservations/999', admin)).status, 404);
+    assert.equal((await api.put('/api/reservations/999/cancel', admin)).status, 404);
+  });
+
+  it('cancels the reservations of a deleted book', async () => {
+    await reserve(readerId);
+    await api.post('/api/borrowings/return', admin, { barcode: 'LIB0007001', return_date: '2025-01-20' });
+    for (const id of [2, 3, 4]) {
+      await api.put(`/api/borrowings/${id}/return`, admin, { return_date: '2025-01-20' });
+    }
+
+    const response = await api.delete('/api/books/7', admin);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.cancelled_reservations, 1);
+  });
+});
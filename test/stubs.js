@@ -0,0 +1,27 @@
+// File: test/stubs.js
+// A stand-in for the pool or a connection, for unit tests of the services that
+// need no database. Repository functions are replaced with mock.method(); the
+// queries the services still send themselves are answered by the first pattern
+// that matches the SQL, anything else gets no rows:
+//   const db = stubDb([[/FROM account_transactions/, [{ balance: 12.5 }]]]);
+//   await checkBorrowingEligibility(db, 1, 7);
+//   db.queries  // [{ sql, values }, ...] in the order they were sent
+const stubDb = (answers = []) => {
+  const queries = [];
+
+  return {
+    queries,
+    query: async (sql, values) => {
+      // snapshot() passes { sql, values } as one object
+      const text = typeof sql === 'string' ? sql : sql.sql;
+      queries.push({ sql: text, values: typeof sql === 'string' ? values : sql.values });
+
+      const answer = answers.find(([pattern]) => pattern.test(text));
+      return [answer ? answer[1] : []];
+    }
+  };
+};
+
+module.exports = {
+  stubDb
+};
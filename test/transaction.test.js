@@ -0,0 +1,51 @@
+// File: test/transaction.test.js
+// withTransaction on a stubbed pool, no database needed
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { withTransaction } = require('../db/transaction');
+
+// A pool handing out one connection that records what was called on it
+const stubPool = ({ failBegin = false } = {}) => {
+  const calls = [];
+  const connection = {
+    beginTransaction: async () => {
+      calls.push('begin');
+      if (failBegin) {
+        throw new Error('connection lost');
+      }
+    },
+    commit: async () => { calls.push('commit'); },
+    rollback: async () => { calls.push('rollback'); },
+    release: () => { calls.push('release'); }
+  };
+  return { calls, getConnection: async () => connection };
+};
+
+describe('withTransaction', () => {
+  it('commits and returns the result of the work', async () => {
+    const pool = stubPool();
+
+    const result = await withTransaction(pool, async () => 42);
+
+    assert.equal(result, 42);
+    assert.deepEqual(pool.calls, ['begin', 'commit', 'release']);
+  });
+
+  it('rolls back when the work throws', async () => {
+    const pool = stubPool();
+
+    await assert.rejects(withTransaction(pool, async () => {
+      throw new Error('refused');
+    }), /refused/);
+
+    assert.deepEqual(pool.calls, ['begin', 'rollback', 'release']);
+  });
+
+  it('releases the connection when the transaction cannot start', async () => {
+    const pool = stubPool({ failBegin: true });
+
+    await assert.rejects(withTransaction(pool, async () => 42), /connection lost/);
+
+    assert.ok(pool.calls.includes('release'));
+  });
+});
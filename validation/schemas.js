@@ -0,0 +1,237 @@
+// File: validation/schemas.js
+// Request body schemas for the create/update routes, see middleware/validate.js
+const { MEMBER_TYPES, formatDate } = require('../services/loanPolicies');
+const { CHARGE_CATEGORIES } = require('../services/ledger');
+const { NOTIFICATION_TYPES } = require('../services/notifications');
+
+const MEMBERSHIP_STATUSES = ['active', 'expired', 'suspended'];
+const ITEM_CONDITIONS = ['new', 'good', 'fair', 'poor', 'damaged'];
+
+// MySQL YEAR columns only hold 1901-2155
+// Copy counts are derived from items and cannot be set directly
+const book = {
+  title: { type: 'string', required: true, maxLength: 255 },
+  isbn: { type: 'isbn' },
+  publisher_id: { type: 'integer', min: 1 },
+  publication_year: { type: 'integer', min: 1901, max: 2155 },
+  language: { type: 'string', maxLength: 50 },
+  page_count: { type: 'integer', min: 1 },
+  description: { type: 'string' },
+  replacement_cost: { type: 'number', min: 0 },
+  author_ids: { type: 'array', items: 'integer' },
+  category_ids: { type: 'array', items: 'integer' }
+};
+
+const createBook = book;
+
+const updateBook = book;
+
+const createItem = {
+  book_id: { type: 'integer', required: true, min: 1 },
+  barcode: { type: 'string', required: true, maxLength: 50 },
+  shelf_location: { type: 'string', maxLength: 50 },
+  item_condition: { type: 'enum', values: ITEM_CONDITIONS },
+  acquired_date: { type: 'date' },
+  notes: { type: 'string' }
+};
+
+// on_loan and on_hold are only set by circulation, lost by the lost workflow
+const updateItem = {
+  shelf_location: { type: 'string', maxLength: 50 },
+  item_condition: { type: 'enum', values: ITEM_CONDITIONS },
+  status: { type: 'enum', values: ['available', 'repair', 'withdrawn'] },
+  notes: { type: 'string' }
+};
+
+const author = {
+  first_name: { type: 'string', required: true, maxLength: 100 },
+  last_name: { type: 'string', required: true, maxLength: 100 },
+  birth_date: { type: 'date' },
+  biography: { type: 'string' }
+};
+
+const createMember = {
+  first_name: { type: 'string', required: true, maxLength: 100 },
+  last_name: { type: 'string', required: true, maxLength: 100 },
+  email: { type: 'email', required: true },
+  phone: { type: 'string', maxLength: 20 },
+  address: { type: 'string' },
+  registration_date: { type: 'date' },
+  membership_end_date: { type: 'date' },
+  membership_status: { type: 'enum', values: MEMBERSHIP_STATUSES },
+  member_type: { type: 'enum', values: MEMBER_TYPES }
+};
+
+const updateMember = {
+  first_name: { type: 'string', required: true, maxLength: 100 },
+  last_name: { type: 'string', required: true, maxLength: 100 },
+  email: { type: 'email', required: true },
+  phone: { type: 'string', maxLength: 20 },
+  address: { type: 'string' },
+  membership_end_date: { type: 'date' },
+  membership_status: { type: 'enum', values: MEMBERSHIP_STATUSES, required: true },
+  member_type: { type: 'enum', values: MEMBER_TYPES }
+};
+
+// The fields members may change on their own profile through /api/me
+const updateProfile = {
+  phone: { type: 'string', maxLength: 20 },
+  address: { type: 'string' },
+  keep_history: { type: 'boolean' }
+};
+
+const memberStatus = {
+  membership_status: { type: 'enum', values: MEMBERSHIP_STATUSES, required: true }
+};
+
+const category = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  description: { type: 'string' }
+};
+
+const publisher = {
+  name: { type: 'string', required: true, maxLength: 255 },
+  address: { type: 'string' },
+  phone: { type: 'string', maxLength: 20 },
+  email: { type: 'email' }
+};
+
+// Either book_id (any available copy) or a scanned item barcode is required
+const createBorrowing = {
+  book_id: { type: 'integer', min: 1 },
+  barcode: { type: 'string', maxLength: 50 },
+  member_id: { type: 'integer', required: true, min: 1 },
+  borrow_date: { type: 'date' },
+  due_date: { type: 'date' },
+  $check: (body) => {
+    const errors = [];
+    if (!body.book_id && !body.barcode) {
+      errors.push({ field: 'book_id', message: 'Either book_id or barcode is required' });
+    }
+    const borrowDate = body.borrow_date || formatDate(new Date());
+    if (body.due_date && body.due_date < borrowDate) {
+      errors.push({ field: 'due_date', message: 'Must not be before borrow_date' });
+    }
+    return errors;
+  }
+};
+
+// A damaged item is charged damage_charge (default: the book's replacement cost)
+// and goes to repair, or is withdrawn when withdraw_item is set
+const returnBorrowing = {
+  return_date: { type: 'date' },
+  fine_amount: { type: 'number', min: 0 },
+  damaged: { type: 'boolean' },
+  damage_charge: { type: 'number', min: 0 },
+  withdraw_item: { type: 'boolean' },
+  $check: (body) => (
+    !body.damaged && (body.damage_charge !== undefined || body.withdraw_item !== undefined)
+      ? [{ field: 'damaged', message: 'Required for damage_charge and withdraw_item' }]
+      : []
+  )
+};
+
+const returnByBarcode = {
+  ...returnBorrowing,
+  barcode: { type: 'string', required: true, maxLength: 50 }
+};
+
+// replacement_cost defaults to the book's replacement cost
+const markLost = {
+  lost_date: { type: 'date' },
+  replacement_cost: { type: 'number', min: 0 }
+};
+
+const calculateFines = {
+  fine_per_day: { type: 'number', min: 0 }
+};
+
+// NULL member_type/category_id make a policy apply to any member type/category
+const loanPolicy = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  member_type: { type: 'enum', values: MEMBER_TYPES },
+  category_id: { type: 'integer', min: 1 },
+  loan_days: { type: 'integer', required: true, min: 1 },
+  max_loans: { type: 'integer', min: 0 },
+  max_renewals: { type: 'integer', min: 0 },
+  fine_per_day: { type: 'number', required: true, min: 0 },
+  max_fine: { type: 'number', min: 0 },
+  grace_days: { type: 'integer', min: 0 }
+};
+
+// Ledger amounts are always positive, the transaction type gives the direction
+const accountCharge = {
+  amount: { type: 'number', required: true, min: 0.01 },
+  category: { type: 'enum', values: CHARGE_CATEGORIES },
+  description: { type: 'string', required: true, maxLength: 255 },
+  borrowing_id: { type: 'integer', min: 1 }
+};
+
+const accountPayment = {
+  amount: { type: 'number', required: true, min: 0.01 },
+  payment_method: { type: 'enum', values: ['cash', 'card', 'transfer'], required: true },
+  description: { type: 'string', maxLength: 255 }
+};
+
+const accountWaiver = {
+  amount: { type: 'number', required: true, min: 0.01 },
+  reason: { type: 'string', required: true },
+  category: { type: 'enum', values: CHARGE_CATEGORIES },
+  borrowing_id: { type: 'integer', min: 1 }
+};
+
+const accountRefund = {
+  transaction_id: { type: 'integer', required: true, min: 1 },
+  amount: { type: 'number', required: true, min: 0.01 },
+  reason: { type: 'string', required: true }
+};
+
+// true to receive a notification type, false to opt out
+const notificationPreferences = Object.fromEntries(
+  NOTIFICATION_TYPES.map(type => [type, { type: 'boolean' }])
+);
+
+const createReservation = {
+  book_id: { type: 'integer', required: true, min: 1 },
+  member_id: { type: 'integer', required: true, min: 1 },
+  expiry_date: { type: 'date' },
+  $check: (body) => (
+    body.expiry_date && body.expiry_date < formatDate(new Date())
+      ? [{ field: 'expiry_date', message: 'Must not be in the past' }]
+      : []
+  )
+};
+
+// Reservations placed through /api/me are for the member logged in
+const ownReservation = {
+  book_id: createReservation.book_id,
+  expiry_date: createReservation.expiry_date,
+  $check: createReservation.$check
+};
+
+module.exports = {
+  createBook,
+  updateBook,
+  createItem,
+  updateItem,
+  author,
+  createMember,
+  updateMember,
+  updateProfile,
+  memberStatus,
+  category,
+  publisher,
+  createBorrowing,
+  returnBorrowing,
+  returnByBarcode,
+  markLost,
+  calculateFines,
+  loanPolicy,
+  accountCharge,
+  accountPayment,
+  accountWaiver,
+  accountRefund,
+  notificationPreferences,
+  createReservation,
+  ownReservation
+};